@@ -0,0 +1,68 @@
+/**
+ * access.js - Role-Based Access per Namespace
+ *
+ * Pure helpers for the grants held by roles. A grant gives a permission on
+ * either a name prefix or a single settings ID:
+ *   { permission: 'write', prefix: 'payments' }    payments and payments/...
+ *   { permission: 'read', id: '<settings id>' }    that object only
+ *
+ * Permissions form a ladder: admin includes write, which includes read.
+ * A principal's grants are the union of its roles' grants, so the highest
+ * matching permission wins and a grant on a prefix is inherited by every
+ * name below it.
+ */
+
+export const PERMISSIONS = ['read', 'write', 'admin'];
+
+const level = (permission) => PERMISSIONS.indexOf(permission);
+
+/**
+ * Checks whether a name is a prefix itself or lies below it ("a/b" is under
+ * "a", "ab" is not).
+ *
+ * @param {string|null} name - Settings name
+ * @param {string} prefix - Name prefix
+ * @returns {boolean}
+ */
+export const underPrefix = (name, prefix) =>
+    typeof name === 'string' && (name === prefix || name.startsWith(`${prefix}/`));
+
+/**
+ * Checks whether grants give at least a permission on a settings object.
+ * A null grant list means the principal is unrestricted.
+ *
+ * @param {Array|null} grants - The principal's grants
+ * @param {{id?: string, name?: string|null}} target - Settings object (or a name being created)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const allows = (grants, target, permission) =>
+    grants === null ||
+    grants.some(grant =>
+                    level(grant.permission) >= level(permission) &&
+                    (grant.id !== undefined ? grant.id === target.id : underPrefix(target.name, grant.prefix)));
+
+/**
+ * Builds a SQL condition matching the settings rows grants give at least
+ * a permission on, for filtering lists (and their totals) in the database.
+ * Returns null when the principal is unrestricted.
+ *
+ * @returns {{sql: string, params: Array}|null}
+ */
+export const grantCondition = (grants, permission) => {
+  if (grants === null) return null;
+
+  const terms = [];
+  const params = [];
+  for (const grant of grants) {
+    if (level(grant.permission) < level(permission)) continue;
+    if (grant.id !== undefined) {
+      terms.push('id = ?');
+      params.push(grant.id);
+    } else {
+      terms.push('(name = ? OR substr(name, 1, ?) = ?)');
+      params.push(grant.prefix, grant.prefix.length + 1, `${grant.prefix}/`);
+    }
+  }
+  return terms.length > 0 ? { sql: `(${terms.join(' OR ')})`, params } : { sql: '0', params: [] };
+};
@@ -0,0 +1,62 @@
+/**
+ * access.test.js - Access Control Tests
+ *
+ * Unit tests for grant matching and inheritance in access.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { allows, grantCondition } from './access.js';
+
+const id = '11111111-1111-4111-8111-111111111111';
+
+describe('allows', () => {
+  it('should let prefix grants cover the name and everything below it', () => {
+    const grants = [{ permission: 'read', prefix: 'payments' }];
+
+    expect(allows(grants, { name: 'payments' }, 'read')).toBe(true);
+    expect(allows(grants, { name: 'payments/api/eu' }, 'read')).toBe(true);
+    expect(allows(grants, { name: 'payments-legacy' }, 'read')).toBe(false);
+    expect(allows(grants, { name: null }, 'read')).toBe(false);
+  });
+
+  it('should let higher permissions include lower ones', () => {
+    const grants = [{ permission: 'admin', prefix: 'team' }];
+
+    expect(allows(grants, { name: 'team/a' }, 'read')).toBe(true);
+    expect(allows(grants, { name: 'team/a' }, 'write')).toBe(true);
+    expect(allows([{ permission: 'read', prefix: 'team' }], { name: 'team/a' }, 'write')).toBe(false);
+  });
+
+  it('should combine grants so the highest matching permission wins', () => {
+    const grants = [
+      { permission: 'read', prefix: 'shared' },
+      { permission: 'write', prefix: 'shared/payments' },
+      { permission: 'write', id }
+    ];
+
+    expect(allows(grants, { name: 'shared/db' }, 'write')).toBe(false);
+    expect(allows(grants, { name: 'shared/payments/keys' }, 'write')).toBe(true);
+    expect(allows(grants, { id, name: null }, 'write')).toBe(true);
+  });
+
+  it('should treat null grants as unrestricted and [] as nothing', () => {
+    expect(allows(null, { name: null }, 'admin')).toBe(true);
+    expect(allows([], { name: 'x' }, 'read')).toBe(false);
+  });
+});
+
+describe('grantCondition', () => {
+  it('should only use grants at or above the permission', () => {
+    const condition = grantCondition([
+                                       { permission: 'read', prefix: 'shared' },
+                                       { permission: 'write', id }
+                                     ], 'write');
+
+    expect(condition).toEqual({ sql: '(id = ?)', params: [id] });
+  });
+
+  it('should match nothing without grants and everything when unrestricted', () => {
+    expect(grantCondition([], 'read')).toEqual({ sql: '0', params: [] });
+    expect(grantCondition(null, 'read')).toBeNull();
+  });
+});
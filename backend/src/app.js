@@ -2,167 +2,3262 @@
  * app.js - Express Application Setup
  *
  * Separated from index.js to allow testing without starting the server.
- * Exports the Express app instance for use in tests.
+ * Exports createApp, which builds the Express app on a storage adapter
+ * (see storage.js), so every test can start from an empty store.
  */
 
 import express from 'express';
 import cors from 'cors';
-import Database from 'better-sqlite3';
+import { createHash } from 'node:crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { HttpError, sendError } from './errors.js';
+import {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch,
+  deepEqual,
+  parsePointer
+} from './patch.js';
+import { assertValidSchema, assertConforms, findSettingsViolations } from './validation.js';
+import { deepMerge, resolveLayers } from './inheritance.js';
+import { diffDocuments, diffToJsonPatch, mapDiffValues } from './diff.js';
+import { parseFilters, parseSort } from './filters.js';
+import { parseKeysetSort, decodeCursor, encodeCursor, buildKeyset } from './cursor.js';
+import { HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, flattenLeaves, searchTerms } from './search.js';
+import { getAtPointer, setAtPointer, removeAtPointer } from './pointer.js';
+import { TEXT_FORMATS, serialize, parse as parseFormat } from './formats.js';
+import { SCOPES, REVEAL_SCOPE, generateApiKey, hashApiKey, readApiKey, hasScope } from './auth.js';
+import { PERMISSIONS, allows } from './access.js';
+import { toChangeEvent, matchesFilter, formatEvent, createEventBuffer } from './events.js';
+import { WEBHOOK_EVENTS, generateSecret, signPayload, retryDelay } from './webhooks.js';
+import {
+  REDACTED,
+  createKeyring,
+  sealSecrets,
+  openPlainValues,
+  redactSecrets,
+  revealSecrets,
+  rotateSecrets,
+  sealedValues,
+  requireKeyring
+} from './secrets.js';
+import { assertValidFlag, evaluateFlag } from './flags.js';
 
-const app = express();
-
-// Middleware Configuration
-app.use(cors());
-app.use(express.json());
-
-// Database Initialization
-// Use test database if in test environment
-const dbPath = process.env.NODE_ENV === 'test'
-               ? ':memory:'
-               : './data/settings.db';
-
-const db = new Database(dbPath);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS settings (
-    id TEXT PRIMARY KEY,
-    data TEXT NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Helper Functions
-const parseRow = (row) => ({
-  id: row.id,
-  data: JSON.parse(row.data),
-  createdAt: row.created_at,
-  updatedAt: row.updated_at
-});
-
-// Export for testing - allows clearing database between tests
-export const clearDatabase = () => {
-  db.exec('DELETE FROM settings');
-};
-
-// API Endpoints
-// CREATE - POST /settings
-app.post('/settings', (req, res) => {
-  try {
+/**
+ * Builds the app on a storage adapter (see storage.js). The app owns the
+ * adapter from then on: app.close() closes it.
+ *
+ * @param {Object} storage - Result of createStorage
+ */
+export const createApp = (storage) => {
+  const app = express();
+
+  // Set by app.close(); background work checks it before touching the storage
+  let closed = false;
+
+  const NDJSON_TYPE = 'application/x-ndjson';
+
+  // Middleware Configuration
+  app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
+  // Request IDs: a sensible X-Request-Id from the client (or a proxy) is kept,
+  // otherwise one is generated. Echoed back and recorded in the audit log.
+  const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+  app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID_PATTERN.test(given) ? given : uuidv4();
+    res.set('X-Request-Id', req.id);
+    next();
+  });
+  // Sub-document values may be any JSON value, not just objects and arrays
+  app.use('/settings/:id/data', express.json({ strict: false }));
+  // YAML, TOML and dotenv bodies for POST /settings and PUT /settings/:id
+  const textFormats = express.text({ type: TEXT_FORMATS });
+  // Imports are whole backups, so they get a larger body limit (JSON or NDJSON)
+  app.use('/settings/import', express.json({ limit: '10mb' }), express.text({ type: NDJSON_TYPE, limit: '10mb' }));
+  app.use(express.json({ type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE] }));
+
+  // ADMIN_API_KEY (if set) is always a valid admin key, so the first key
+  // can be issued on a fresh install and a locked-out install recovered
+  if (process.env.ADMIN_API_KEY && !storage.apiKeys.getByHash(hashApiKey(process.env.ADMIN_API_KEY))) {
+    storage.apiKeys.insert({
+                             id: uuidv4(),
+                             name: 'bootstrap',
+                             prefix: process.env.ADMIN_API_KEY.slice(0, 8),
+                             key_hash: hashApiKey(process.env.ADMIN_API_KEY),
+                             scopes: '["admin"]',
+                             created_at: new Date().toISOString(),
+                             revoked_at: null
+                           });
+  }
+
+  // Master key for secret values. Older keys listed in SECRETS_PREVIOUS_KEYS
+  // (comma-separated) still decrypt until POST /admin/secrets/rotate has
+  // re-encrypted everything with the current one.
+  const keyring = process.env.SECRETS_MASTER_KEY
+                  ? createKeyring(process.env.SECRETS_MASTER_KEY,
+                                  (process.env.SECRETS_PREVIOUS_KEYS ?? '').split(',').filter(Boolean))
+                  : null;
+
+  // Helper Functions
+  /**
+   * Settings ID and parsed secret paths of a settings row, a trashed row or a
+   * revision (which keeps the paths that were secret when it was written).
+   */
+  const secretsOf = (row) => ({ id: row.settings_id ?? row.id, paths: JSON.parse(row.secrets).map(parsePointer) });
+
+  // Applies fn to each environment override of an overrides map
+  const mapOverrides = (overrides, fn) =>
+      Object.fromEntries(Object.entries(overrides).map(([env, override]) => [env, fn(override)]));
+
+  /**
+   * A stored document of a row (its data, or one environment's override) as
+   * the caller may see it: the values at the row's secret paths decrypted
+   * with reveal, redacted otherwise.
+   */
+  const viewSecrets = (doc, row, reveal) =>
+      reveal ? revealSecrets(doc, secretsOf(row), keyring) : redactSecrets(doc, secretsOf(row));
+
+  const viewOverrides = (overrides, row, reveal) =>
+      mapOverrides(overrides, override => viewSecrets(override, row, reveal));
+
+  /**
+   * Stored data and overrides with the secrets at target's paths decrypted,
+   * e.g. for checks against a schema or the flag format.
+   */
+  const revealStored = (target, data, overrides) => [
+    revealSecrets(data, target, keyring),
+    mapOverrides(overrides, override => revealSecrets(override, target, keyring))
+  ];
+
+  /**
+   * Converts a stored row to the API shape. `data` is always the raw,
+   * stored defaults. Optional views (see buildViews):
+   *   - resolved ({ data, provenance }): merged with the object's parents
+   *   - environment ({ name, data }): defaults plus one environment's override
+   * Secret values are redacted unless reveal is set.
+   */
+  const parseRow = (row, { resolved, environment, reveal = false } = {}) => ({
+    id: row.id,
+    name: row.name,
+    data: viewSecrets(JSON.parse(row.data), row, reveal),
+    ...(resolved && { resolved }),
+    ...(environment && { environment }),
+    overrides: viewOverrides(JSON.parse(row.overrides), row, reveal),
+    parents: JSON.parse(row.parents),
+    secrets: JSON.parse(row.secrets),
+    kind: row.kind,
+    revision: row.revision,
+    // schema version null means "always the latest version"
+    schema: row.schema_id
+            ? { id: row.schema_id, version: row.schema_version }
+            : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  });
+
+  // Path-like names: segments of letters, digits, "_", "-" and "." joined by "/"
+  // e.g. "payments/prod/limits". The first "/"-separated part is the namespace.
+  const NAME_PATTERN = /^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)*$/;
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  /**
+   * Throws 400 if a settings name is malformed. Names that look like UUIDs are
+   * refused so a lookup string is never ambiguous between an ID and a name.
+   */
+  const assertValidName = (name) => {
+    if (typeof name !== 'string' || name.length > 255 || !NAME_PATTERN.test(name)) {
+      throw new HttpError(400, 'Invalid name. Use path-like segments such as "payments/prod/limits"');
+    }
+    if (UUID_PATTERN.test(name)) {
+      throw new HttpError(400, 'Names must not look like a UUID');
+    }
+  };
+
+  /**
+   * Throws 409 if another settings object already uses the name.
+   */
+  const assertNameAvailable = (name, id) => {
+    const owner = storage.settings.getByName(name);
+    if (owner && owner.id !== id) {
+      throw new HttpError(409, `Name "${name}" is already in use`);
+    }
+  };
+
+  // Environment names: short identifiers such as "dev", "staging", "prod"
+  const ENV_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+  const assertValidEnvironment = (env) => {
+    if (!ENV_PATTERN.test(env)) {
+      throw new HttpError(400, 'Invalid environment name. Use letters, digits, "_" or "-"');
+    }
+  };
+
+  /**
+   * Effective data of a settings row for an environment: the defaults with
+   * that environment's override merged on top. Unknown environments (and no
+   * environment) get the defaults.
+   */
+  const effectiveData = (row, env) => {
+    const data = JSON.parse(row.data);
+    const override = env ? JSON.parse(row.overrides)[env] : undefined;
+    return override === undefined ? data : deepMerge(data, override);
+  };
+
+  /**
+   * Collects the inheritance layers of a settings row, lowest priority first:
+   * each parent's own layers in declared order, then the row itself.
+   * Parents that no longer exist are skipped. With env, every layer uses its
+   * effective data for that environment.
+   *
+   * @returns {Array<{id: string, data: *, row: Object}>}
+   */
+  const collectLayers = (row, env, path = []) => {
+    if (path.includes(row.id)) {
+      throw new HttpError(500, `Inheritance cycle: ${[...path, row.id].join(' -> ')}`);
+    }
+
+    const layers = [];
+    for (const parentId of JSON.parse(row.parents)) {
+      const parent = storage.settings.get(parentId);
+      if (parent) {
+        layers.push(...collectLayers(parent, env, [...path, row.id]));
+      }
+    }
+    layers.push({ id: row.id, data: effectiveData(row, env), row });
+    return layers;
+  };
+
+  /**
+   * Throws 400 unless parents is a list of existing settings IDs that would
+   * not make the object (directly or indirectly) inherit from itself.
+   */
+  const assertValidParents = (id, parents) => {
+    if (!Array.isArray(parents) || !parents.every(p => typeof p === 'string')) {
+      throw new HttpError(400, 'parents must be an array of settings IDs');
+    }
+    if (new Set(parents).size !== parents.length) {
+      throw new HttpError(400, 'parents must not contain duplicates');
+    }
+
+    const visit = (current, path) => {
+      if (current === id) {
+        throw new HttpError(400, `Inheritance cycle: ${[...path, current].join(' -> ')}`);
+      }
+      const row = storage.settings.get(current);
+      if (!row) {
+        throw new HttpError(400, `Parent settings not found: ${current}`);
+      }
+      for (const next of JSON.parse(row.parents)) {
+        visit(next, [...path, current]);
+      }
+    };
+    parents.forEach(parentId => visit(parentId, [id]));
+  };
+
+  /**
+   * Builds the optional views requested through the query string:
+   * ?env=<name> adds the environment view (and makes ?resolved=true use
+   * that environment's data for every layer), ?resolved=true adds the
+   * merged view, ?reveal=true decrypts secrets (see wantsReveal). Views
+   * come redacted or revealed; each layer by its own secret paths. Also
+   * returns the rows the response depends on.
+   */
+  const buildViews = (req, row) => {
+    const env = req.query.env ? String(req.query.env) : undefined;
+    if (env !== undefined) {
+      assertValidEnvironment(env);
+    }
+
+    const views = { reveal: wantsReveal(req) };
+    let rows = [row];
+    if (env !== undefined) {
+      views.environment = { name: env, data: viewSecrets(effectiveData(row, env), row, views.reveal) };
+    }
+    if (req.query.resolved === 'true') {
+      const layers = collectLayers(row, env);
+      // Resolving reveals every layer's data
+      layers.forEach(layer => assertAccess(req.grants, layer.row, 'read'));
+      views.resolved = resolveLayers(layers.map(layer => ({
+        ...layer,
+        data: viewSecrets(layer.data, layer.row, views.reveal)
+      })));
+      rows = layers.map(layer => layer.row);
+    }
+    return { views, rows };
+  };
+
+  /**
+   * Picks the response format from the Accept header: JSON (the default),
+   * YAML, TOML or dotenv. Throws 406 if none of them is acceptable.
+   */
+  const negotiateFormat = (req, res) => {
+    res.vary('Accept');
+    const type = req.accepts(['application/json', ...TEXT_FORMATS]);
+    if (!type) {
+      throw new HttpError(406, `Not acceptable. Use application/json or ${TEXT_FORMATS.join(', ')}`);
+    }
+    return type;
+  };
+
+  /**
+   * Reads the settings data from a POST/PUT body: JSON as parsed by
+   * express.json(), or YAML, TOML or dotenv text. Throws 415 for any other
+   * content type.
+   */
+  const readSettingsBody = (req) => {
+    const format = TEXT_FORMATS.find(type => req.is(type));
+    if (format) {
+      return parseFormat(format, req.body);
+    }
+    if (req.is() && !req.is('application/json')) {
+      throw new HttpError(415, `Unsupported content type. Use application/json or ${TEXT_FORMATS.join(', ')}`);
+    }
+    return req.body;
+  };
+
+  /**
+   * Sends a single settings row with its ETag, or 304 if If-None-Match matches.
+   * When the resolved view is requested the ETag covers every layer, so a
+   * change to any parent invalidates it. Text formats carry only the data
+   * (resolved or per-environment when those views are requested).
+   */
+  const sendSettings = (req, res, row) => {
+    const format = negotiateFormat(req, res);
+    const { views, rows } = buildViews(req, row);
+    const etag = representationEtag(rows.length === 1 ? etagFor(row) : etagFor(rows), {
+      format,
+      environment: views.environment?.name,
+      resolved: views.resolved !== undefined,
+      reveal: views.reveal
+    });
+    res.set('ETag', etag);
+
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && etagMatches(ifNoneMatch, etag, false)) {
+      return res.status(304).end();
+    }
+
+    if (format === 'application/json') {
+      return res.json(parseRow(row, views));
+    }
+    const data = views.resolved?.data ?? views.environment?.data ??
+                 viewSecrets(JSON.parse(row.data), row, views.reveal);
+    const text = serialize(format, data);
+    res.type(format).send(text);
+  };
+
+  const parseRevision = (row, reveal = false) => ({
+    revision: row.revision,
+    data: viewSecrets(JSON.parse(row.data), row, reveal),
+    overrides: viewOverrides(JSON.parse(row.overrides), row, reveal),
+    secrets: JSON.parse(row.secrets),
+    createdAt: row.created_at
+  });
+
+  const DIFF_FORMATS = ['diff', 'patch'];
+
+  /**
+   * Sends the diff of two stored documents, each given with the row (or
+   * revision) it belongs to: { ...meta, added, removed, changed }, or with
+   * ?format=patch an RFC 6902 patch turning before into after.
+   * Secret values are compared encrypted, so changing one shows up redacted;
+   * with ?reveal=true they are decrypted first.
+   */
+  const sendDiff = (req, res, before, after, meta) => {
+    const format = req.query.format || 'diff';
+    if (!DIFF_FORMATS.includes(format)) {
+      throw new HttpError(400, `format must be one of ${DIFF_FORMATS.join(', ')}`);
+    }
+    const reveal = wantsReveal(req);
+    const [a, b] = [before, after].map(({ doc, row }) => reveal ? revealSecrets(doc, secretsOf(row), keyring) : doc);
+
+    // Unrevealed, the sealed values at either side's secret paths are redacted
+    const sealed = new Set(reveal ? [] : [before, after].flatMap(({ doc, row }) => sealedValues(doc, secretsOf(row))));
+    const redact = (value) => {
+      if (sealed.has(value)) return REDACTED;
+      if (Array.isArray(value)) return value.map(redact);
+      if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+      }
+      return value;
+    };
+
+    if (format === 'patch') {
+      return res.type(JSON_PATCH_TYPE).send(JSON.stringify(mapDiffValues(diffToJsonPatch(a, b), redact)));
+    }
+    res.json({ ...meta, ...mapDiffValues(diffDocuments(a, b), redact) });
+  };
+
+  /**
+   * Strong ETag for the current state of a settings object.
+   * Hashes the whole stored row, so data and metadata changes (name, schema)
+   * both produce a new tag.
+   */
+  const etagFor = (row) =>
+      `"${createHash('sha1').update(JSON.stringify(row)).digest('hex')}"`;
+
+  // Suffix that representationEtag adds to a row's tag
+  const VARIANT_SUFFIX = /-[0-9a-f]{12}"/g;
+
+  /**
+   * ETag of one representation of a settings object: the row's tag for plain
+   * JSON, or the tag with a suffix hashing the format and view (?env,
+   * ?resolved, ?reveal) for any other, so a cached YAML or revealed copy is
+   * never confirmed for a JSON or redacted request.
+   */
+  const representationEtag = (etag, { format = 'application/json', environment, resolved = false, reveal = false }) => {
+    if (format === 'application/json' && environment === undefined && !resolved && !reveal) {
+      return etag;
+    }
+    const variant = createHash('sha1').update(JSON.stringify([format, environment ?? null, resolved, reveal]));
+    return `${etag.slice(0, -1)}-${variant.digest('hex').slice(0, 12)}"`;
+  };
+
+  /**
+   * Checks an If-Match / If-None-Match header value against an ETag.
+   * Handles "*" and comma-separated lists. Strong comparison ignores weak tags.
+   */
+  const etagMatches = (header, etag, strong) =>
+      header.split(',').some((tag) => {
+        const candidate = tag.trim();
+        if (candidate === '*') return true;
+        if (candidate.startsWith('W/')) return !strong && candidate.slice(2) === etag;
+        return candidate === etag;
+      });
+
+  /**
+   * Enforces If-Match inside a write transaction.
+   * Throws 412 if the header is present and the current row does not match.
+   * The tag of any representation of the row (see representationEtag) will do.
+   */
+  const assertIfMatch = (ifMatch, row) => {
+    if (ifMatch === undefined) return;
+    if (!row || !etagMatches(ifMatch.replace(VARIANT_SUFFIX, '"'), etagFor(row), true)) {
+      throw new HttpError(412, 'Precondition Failed: settings were modified by someone else');
+    }
+  };
+
+  const parseSchema = (row) => ({
+    id: row.id,
+    name: row.name,
+    version: row.version,
+    schema: JSON.parse(row.schema),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  });
+
+  /**
+   * Loads the text of a schema version, or the latest version if none is given.
+   * Returns undefined if the schema or version does not exist.
+   */
+  const getSchemaText = (schemaId, version) => {
+    const schema = storage.schemas.get(schemaId);
+    if (!schema) return undefined;
+    if (version === undefined || version === null) return schema.schema;
+    return storage.schemas.getVersion(schemaId, version)?.schema;
+  };
+
+  /**
+   * Throws 422 if data (or any environment's effective data) does not conform
+   * to the schema attached to a settings row. Rows without a schema accept anything.
+   * data and overrides are as stored; secrets are decrypted to be checked.
+   */
+  const assertSettingsConform = (row, data, overrides) => {
+    if (!row.schema_id) return;
+    assertConforms(getSchemaText(row.schema_id, row.schema_version),
+                   ...revealStored(secretsOf(row), data, overrides));
+  };
+
+  // Kinds of settings object: plain settings, or feature flags (see flags.js)
+  const KINDS = ['settings', 'flag'];
+
+  const assertValidKind = (kind) => {
+    if (!KINDS.includes(kind)) {
+      throw new HttpError(400, `kind must be one of ${KINDS.join(', ')}`);
+    }
+  };
+
+  /**
+   * Throws 422 unless a flag's data (and each environment's effective data)
+   * is a valid flag definition. Other kinds accept anything.
+   * data and overrides are as stored, with secrets at target's paths
+   * (see secretsOf); they are decrypted to be checked.
+   */
+  const assertValidKindData = (kind, target, data, overrides) => {
+    if (kind !== 'flag') return;
+    assertValidFlag(...revealStored(target, data, overrides));
+  };
+
+  /**
+   * Replaces the full-text index entries of a settings object.
+   * Pass data = undefined to only remove them (on delete). Values at the
+   * secret paths of target are indexed redacted, so their keys can be found
+   * but never their values.
+   */
+  const indexSettings = (id, data, target) => {
+    storage.search.replace(id, data === undefined ? [] : flattenLeaves(redactSecrets(data, target)));
+  };
+
+  // secrets: the JSON text of the secret paths the revision was written with
+  const insertRevision = (id, revision, data, overrides, secrets, now) => {
+    storage.revisions.insert({ settings_id: id, revision, data, overrides, secrets, created_at: now });
+  };
+
+  /**
+   * Throws 400 unless secrets is a list of distinct JSON Pointers below the
+   * document root, e.g. ["/database/password"].
+   */
+  const assertValidSecretPaths = (secrets) => {
+    if (!Array.isArray(secrets) || !secrets.every(path => typeof path === 'string')) {
+      throw new HttpError(400, 'secrets must be an array of JSON Pointers');
+    }
+    if (new Set(secrets).size !== secrets.length) {
+      throw new HttpError(400, 'secrets must not contain duplicates');
+    }
+    for (const path of secrets) {
+      if (path === '' || parsePointer(path) === null) {
+        throw new HttpError(400, `Invalid secret path "${path}". Use a JSON Pointer such as /database/password`);
+      }
+    }
+  };
+
+  /**
+   * Encrypts the values at the secret paths of data and of every environment
+   * override (JSON text) about to be stored over existing (undefined for new
+   * objects), target being the object's secretsOf. REDACTED values keep what
+   * existing holds. Values elsewhere that look encrypted are opened or
+   * refused (see openPlainValues). Returns the JSON text to store.
+   */
+  const sealWrite = (target, data, overrides, existing) => {
+    const write = (doc, before) =>
+        sealSecrets(openPlainValues(doc, target, before, keyring), target, before, keyring);
+
+    const previous = existing ? JSON.parse(existing.overrides) : {};
+    return {
+      data: JSON.stringify(write(JSON.parse(data), existing && JSON.parse(existing.data))),
+      overrides: JSON.stringify(Object.fromEntries(
+          Object.entries(JSON.parse(overrides)).map(([env, override]) => [env, write(override, previous[env])])
+      ))
+    };
+  };
+
+  /**
+   * Replaces the data and/or environment overrides (JSON text) of an existing
+   * settings object and records the result as a new revision. Fields left
+   * undefined in changes keep their current value. Values at secret paths
+   * are encrypted (see sealWrite).
+   * Returns the updated row, or undefined if the ID is unknown.
+   * Throws 412 if ifMatch is given and no longer matches.
+   */
+  const writeRevision = storage.transaction((id, changes, now, ifMatch) => {
+    const existing = storage.settings.get(id);
+    if (!existing) return undefined;
+    assertIfMatch(ifMatch, existing);
+
+    const target = secretsOf(existing);
+    const { data, overrides } = sealWrite(target,
+                                          changes.data ?? existing.data,
+                                          changes.overrides ?? existing.overrides,
+                                          existing);
+    assertSettingsConform(existing, JSON.parse(data), JSON.parse(overrides));
+    assertValidKindData(existing.kind, target, JSON.parse(data), JSON.parse(overrides));
+
+    const revision = existing.revision + 1;
+    storage.settings.update(id, { data, overrides, revision, updated_at: now });
+    insertRevision(id, revision, data, overrides, existing.secrets, now);
+    indexSettings(id, JSON.parse(data), target);
+
+    return storage.settings.get(id);
+  });
+
+  /**
+   * Applies a patch function to the current data of a settings object and
+   * records the result as a new revision, all in one transaction. The patch
+   * sees secret values decrypted (so a "test" or "copy" works on the real
+   * value); they are sealed again by path. Errors thrown by applyPatch roll
+   * the transaction back. Returns undefined if the ID is unknown.
+   */
+  const patchSettings = storage.transaction((id, applyPatch, now, ifMatch) => {
+    const existing = storage.settings.get(id);
+    if (!existing) return undefined;
+    assertIfMatch(ifMatch, existing);
+
+    const patched = applyPatch(revealSecrets(JSON.parse(existing.data), secretsOf(existing), keyring));
+    return writeRevision(id, { data: JSON.stringify(patched) }, now);
+  });
+
+  /**
+   * Permanently removes a trashed settings object and its history.
+   * IDs not in the trash are a no-op.
+   */
+  const purgeTrashed = (id) => {
+    if (storage.trash.remove(id)) {
+      storage.revisions.removeAll(id);
+    }
+  };
+
+  /**
+   * Creates a settings object with its first revision.
+   * options: { name, parents, secrets, kind, schemaId, schemaVersion }, all optional; imports
+   * also pass { id, overrides, createdAt, updatedAt } to keep those from the source.
+   * Returns the new row. Throws 400/409/422 for bad names, parents or data.
+   */
+  const createSettings = storage.transaction((body, options, now) => {
+    const id = options.id ?? uuidv4();
+    const createdAt = options.createdAt ?? now;
+    const updatedAt = options.updatedAt ?? createdAt;
+    const name = options.name ?? null;
+    const parents = options.parents ?? [];
+    const secrets = options.secrets ?? [];
+    const kind = options.kind ?? 'settings';
+    const schemaId = options.schemaId ?? null;
+    const schemaVersion = schemaId ? options.schemaVersion ?? null : null;
+
+    if (name !== null) {
+      assertValidName(name);
+      assertNameAvailable(name, id);
+    }
+    assertValidParents(id, parents);
+    assertValidSecretPaths(secrets);
+    assertValidKind(kind);
+    const target = { id, paths: secrets.map(parsePointer) };
+    const { data, overrides } = sealWrite(target, JSON.stringify(body), JSON.stringify(options.overrides ?? {}));
+    assertValidKindData(kind, target, JSON.parse(data), JSON.parse(overrides));
+    if (schemaId) {
+      const schemaText = getSchemaText(schemaId, schemaVersion);
+      if (!schemaText) {
+        throw new HttpError(400, 'Schema not found');
+      }
+      assertConforms(schemaText, ...revealStored(target, JSON.parse(data), JSON.parse(overrides)));
+    }
+
+    // An imported ID replaces a trashed copy of the same object
+    if (options.id) purgeTrashed(options.id);
+
+    storage.settings.insert({
+                              id,
+                              name,
+                              data,
+                              revision: 1,
+                              parents: JSON.stringify(parents),
+                              overrides,
+                              secrets: JSON.stringify(secrets),
+                              kind,
+                              schema_id: schemaId,
+                              schema_version: schemaVersion,
+                              created_at: createdAt,
+                              updated_at: updatedAt
+                            });
+    insertRevision(id, 1, data, overrides, JSON.stringify(secrets), updatedAt);
+    indexSettings(id, JSON.parse(data), target);
+
+    return storage.settings.get(id);
+  });
+
+  /**
+   * Moves a settings object to the trash, keeping its history for a restore.
+   * Unknown (and already trashed) IDs are a no-op.
+   * Throws 412 if ifMatch is given and no longer matches.
+   */
+  const deleteSettings = storage.transaction((id, ifMatch, now) => {
+    const existing = storage.settings.get(id);
+    assertIfMatch(ifMatch, existing);
+    if (!existing) return;
+
+    storage.trash.insert({ ...existing, deleted_at: now });
+    storage.settings.remove(id);
+    indexSettings(id, undefined);
+  });
+
+  /**
+   * Moves a settings object back from the trash as it was (same revision).
+   * Throws 409 if its name has been taken or its schema deleted since.
+   * Returns the restored row, or undefined if the ID is not in the trash.
+   */
+  const restoreSettings = storage.transaction((id) => {
+    const trashed = storage.trash.get(id);
+    if (!trashed) return undefined;
+
+    if (trashed.name !== null) {
+      assertNameAvailable(trashed.name, id);
+    }
+    if (trashed.schema_id && !storage.schemas.get(trashed.schema_id)) {
+      throw new HttpError(409, 'The schema these settings used has been deleted');
+    }
+
+    const { deleted_at, ...row } = trashed;
+    storage.settings.insert(row);
+    storage.trash.remove(id);
+    indexSettings(id, JSON.parse(trashed.data), secretsOf(trashed));
+
+    return storage.settings.get(id);
+  });
+
+  /**
+   * Changes which paths of a settings object are secret, without adding a
+   * revision. Values at new secret paths are encrypted in the current data and
+   * overrides and in every past revision (which then lists them as secret);
+   * values at paths no longer secret are decrypted in the current data and
+   * overrides (past revisions stay encrypted, and keep listing them).
+   * Returns the updated row, or undefined if the ID is unknown.
+   * Throws 412 if ifMatch is given and no longer matches.
+   */
+  const setSecretPaths = storage.transaction((id, secrets, ifMatch) => {
+    const existing = storage.settings.get(id);
+    if (!existing) return undefined;
+    assertIfMatch(ifMatch, existing);
+    assertValidSecretPaths(secrets);
+
+    const current = JSON.parse(existing.secrets);
+    const added = secrets.filter(path => !current.includes(path));
+    const removed = current.filter(path => !secrets.includes(path));
+
+    // Applies update to a document (JSON text) and to each override of an overrides map
+    const rewrite = (text, update) => JSON.stringify(update(JSON.parse(text)));
+    const rewriteOverrides = (text, update) => rewrite(text, overrides => mapOverrides(overrides, update));
+    const sealer = (paths) => (doc) => sealSecrets(doc, { id, paths: paths.map(parsePointer) }, undefined, keyring);
+    const seal = sealer(added);
+    const open = (doc) => seal(revealSecrets(doc, { id, paths: removed.map(parsePointer) }, keyring));
+
+    const data = rewrite(existing.data, open);
+    storage.settings.update(id, {
+      data,
+      overrides: rewriteOverrides(existing.overrides, open),
+      secrets: JSON.stringify(secrets)
+    });
+    indexSettings(id, JSON.parse(data), { id, paths: secrets.map(parsePointer) });
+
+    for (const revision of storage.revisions.list(id)) {
+      // Paths a revision already lists hold values sealed back then
+      const listed = JSON.parse(revision.secrets);
+      const sealing = added.filter(path => !listed.includes(path));
+      if (sealing.length === 0) continue;
+      storage.revisions.update(id, revision.revision, {
+        data: rewrite(revision.data, sealer(sealing)),
+        overrides: rewriteOverrides(revision.overrides, sealer(sealing)),
+        secrets: JSON.stringify([...listed, ...sealing])
+      });
+    }
+
+    return storage.settings.get(id);
+  });
+
+  /**
+   * Who made a request and from where, for the audit log. actor is null
+   * while the API is open (no keys issued yet).
+   */
+  const auditContext = (req) => ({
+    at: new Date().toISOString(),
+    actor: req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name } : null,
+    ip: req.ip ?? null,
+    requestId: req.id
+  });
+
+  /**
+   * Appends one entry to the audit log. Call inside the transaction making
+   * the change, so the entry and the change are saved (or rolled back) together.
+   * before/after are API shapes; null for creates / deletes.
+   */
+  const recordAudit = (context, action, settingsId, before, after) => {
+    storage.audit.append({
+                           at: context.at,
+                           actor_id: context.actor?.id ?? null,
+                           actor_name: context.actor?.name ?? null,
+                           action,
+                           settings_id: settingsId,
+                           before: before === null ? null : JSON.stringify(before),
+                           after: after === null ? null : JSON.stringify(after),
+                           ip: context.ip,
+                           request_id: context.requestId
+                         });
+  };
+
+  /**
+   * Runs a change to one settings object and records it in the audit log,
+   * in one transaction, with the object as it was before and after.
+   * Pass id = null for creates; the ID is then taken from the returned row.
+   * Nothing is recorded if nothing changed (unknown ID, idempotent delete).
+   * Returns what mutate returns.
+   */
+  const audited = storage.transaction((context, action, id, mutate) => {
+    const read = (settingsId) => storage.settings.get(settingsId);
+    const before = id === null ? undefined : read(id);
+    const result = mutate();
+    const settingsId = id ?? result?.id;
+    const after = settingsId === undefined ? undefined : read(settingsId);
+
+    if (!deepEqual(before ?? null, after ?? null)) {
+      recordAudit(context, action, settingsId, before ? parseRow(before) : null, after ? parseRow(after) : null);
+    }
+    return result;
+  });
+
+  // Trash
+  // Trashed settings are purged this many days after they were deleted
+  const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  // How often expired objects are looked for (reading the trash also does)
+  const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+  // API shape of a trashed object: the usual shape plus when it was deleted
+  // and when it will be purged
+  const parseTrashed = (row) => ({
+    ...parseRow(row),
+    deletedAt: row.deleted_at,
+    purgeAt: new Date(Date.parse(row.deleted_at) + TRASH_RETENTION_MS).toISOString()
+  });
+
+  /**
+   * Purges the trashed settings whose retention period is over, recording
+   * each in the audit log as settings.purge (with no actor).
+   */
+  const purgeExpiredTrash = storage.transaction(() => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_MS).toISOString();
+    const context = { at: now.toISOString(), actor: null, ip: null, requestId: null };
+
+    for (const row of storage.trash.deletedBefore(cutoff)) {
+      recordAudit(context, 'settings.purge', row.id, parseTrashed(row), null);
+      purgeTrashed(row.id);
+    }
+  });
+
+  purgeExpiredTrash();
+  const purgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+
+  const parseAuditEntry = (row) => ({
+    id: row.id,
+    at: row.at,
+    actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+    action: row.action,
+    settingsId: row.settings_id,
+    before: row.before === null ? null : JSON.parse(row.before),
+    after: row.after === null ? null : JSON.parse(row.after),
+    ip: row.ip,
+    requestId: row.request_id
+  });
+
+  // Change Events (GET /settings/events)
+  // Events kept for Last-Event-ID replay
+  const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE) || 1000;
+  // Comment lines sent this often keep idle streams (and proxies) open
+  const EVENT_KEEPALIVE_MS = 25000;
+
+  // Audit entries up to this ID have been published. Changes made before the
+  // server started cannot be replayed, so the buffer starts out past them.
+  let publishedUpTo = storage.audit.lastId();
+  const eventBuffer = createEventBuffer(EVENT_BUFFER_SIZE, publishedUpTo);
+  // Open streams: functions taking each new event
+  const subscribers = new Set();
+
+  /**
+   * Publishes the settings changes committed since the last call. They are
+   * read back from the audit log, so rolled-back changes are never announced.
+   */
+  const publishChanges = () => {
+    if (closed) return;
+    const rows = storage.audit.after(publishedUpTo);
+    if (rows.length === 0) return;
+    publishedUpTo = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      // Purged objects were announced as deleted when they were trashed
+      if (row.settings_id === null || row.action === 'settings.purge') continue;
+      const event = toChangeEvent(parseAuditEntry(row));
+      eventBuffer.push(event);
+      subscribers.forEach(send => send(event));
+      enqueueDeliveries(event);
+    }
+  };
+
+  // Webhook Deliveries
+  // Attempts per delivery before it is marked failed, and the first retry delay
+  const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+  const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+  // A receiver that has not answered by then counts as a failed attempt
+  const WEBHOOK_TIMEOUT_MS = 10000;
+
+  // Scheduled attempts by delivery ID
+  const deliveryTimers = new Map();
+
+  const scheduleDelivery = (id, delayMs) => {
+    const timer = setTimeout(() => {
+      deliveryTimers.delete(id);
+      attemptDelivery(id);
+    }, delayMs);
+    timer.unref();
+    deliveryTimers.set(id, timer);
+  };
+
+  /**
+   * Stores a pending delivery of a payload to a webhook and schedules its
+   * first attempt. Returns the delivery row.
+   */
+  const createDelivery = (webhookId, eventId, event, payload, redeliveryOf = null) => {
     const id = uuidv4();
-    const data = JSON.stringify(req.body);
     const now = new Date().toISOString();
+    storage.deliveries.insert({
+                                id,
+                                webhook_id: webhookId,
+                                event_id: eventId,
+                                event,
+                                payload,
+                                status: 'pending',
+                                attempts: 0,
+                                response_status: null,
+                                error: null,
+                                next_attempt_at: null,
+                                redelivery_of: redeliveryOf,
+                                created_at: now,
+                                updated_at: now
+                              });
+    scheduleDelivery(id, 0);
+    return storage.deliveries.get(id);
+  };
 
-    const stmt = db.prepare(
-        'INSERT INTO settings (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)'
-    );
-    stmt.run(id, data, now, now);
+  /**
+   * Queues a change event for every active webhook whose filters match.
+   * Runs after the change is committed (from publishChanges).
+   */
+  const enqueueDeliveries = (event) => {
+    for (const webhook of storage.webhooks.active()) {
+      if (!JSON.parse(webhook.events).includes(event.type)) continue;
+      if (!matchesFilter(event, { ids: null, namespace: webhook.namespace })) continue;
 
-    res.status(201).json({
-                           id,
-                           data: req.body,
-                           createdAt: now,
-                           updatedAt: now
-                         });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to create settings' });
-  }
-});
+      const payload = JSON.stringify({
+                                       event: event.type,
+                                       eventId: event.id,
+                                       webhookId: webhook.id,
+                                       data: event.data
+                                     });
+      createDelivery(webhook.id, event.id, event.type, payload);
+    }
+  };
 
-// READ ALL - GET /settings (with pagination)
-app.get('/settings', (req, res) => {
-  try {
-    // Parse pagination parameters with defaults
-    let page = parseInt(req.query.page) || 1;
-    let limit = parseInt(req.query.limit) || 5;
+  /**
+   * Sends one attempt of a pending delivery, signed with the webhook's secret,
+   * and records the outcome. Any 2xx answer succeeds; anything else is retried
+   * with exponential backoff until WEBHOOK_MAX_ATTEMPTS, then marked failed.
+   */
+  const attemptDelivery = async (id) => {
+    const delivery = storage.deliveries.get(id);
+    const webhook = delivery && storage.webhooks.get(delivery.webhook_id);
+    if (!webhook || delivery.status !== 'pending') return;
 
-    // Ensure page and limit are at least 1
-    if (page < 1) page = 1;
-    if (limit < 1) limit = 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'settings-webhooks',
+          'X-Webhook-Id': delivery.webhook_id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      responseStatus = res.status;
+      await res.body?.cancel();
+      if (!res.ok) error = `Receiver answered ${res.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError'
+              ? `No answer within ${WEBHOOK_TIMEOUT_MS} ms`
+              : err.cause?.message ?? err.message;
+    }
+    // The app may have been closed while the receiver was answering
+    if (closed) return;
 
-    const offset = (page - 1) * limit;
+    const attempts = delivery.attempts + 1;
+    const status = error === null ? 'succeeded' : attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+    const delay = status === 'pending' ? retryDelay(attempts, WEBHOOK_RETRY_BASE_MS) : null;
+    const now = new Date();
 
-    const countStmt = db.prepare('SELECT COUNT(*) as total FROM settings');
-    const { total } = countStmt.get();
+    storage.deliveries.update(id, {
+      status,
+      attempts,
+      response_status: responseStatus,
+      error,
+      next_attempt_at: delay === null ? null : new Date(now.getTime() + delay).toISOString(),
+      updated_at: now.toISOString()
+    });
 
-    const stmt = db.prepare(
-        'SELECT * FROM settings ORDER BY created_at DESC LIMIT ? OFFSET ?'
-    );
-    const rows = stmt.all(limit, offset);
+    if (delay !== null) scheduleDelivery(id, delay);
+  };
 
-    res.json({
-               data: rows.map(parseRow),
-               pagination: {
-                 page,
-                 limit,
-                 total,
-                 totalPages: Math.ceil(total / limit) || 1
-               }
-             });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch settings' });
+  // Deliveries still pending when the server stopped are picked up again
+  for (const { id, next_attempt_at } of storage.deliveries.pending()) {
+    const due = next_attempt_at ? Date.parse(next_attempt_at) - Date.now() : 0;
+    scheduleDelivery(id, Math.max(0, due));
   }
-});
 
-// READ ONE - GET /settings/:id
-app.get('/settings/:id', (req, res) => {
-  try {
-    const stmt = db.prepare('SELECT * FROM settings WHERE id = ?');
-    const row = stmt.get(req.params.id);
+  // Writes commit before they are answered, so publish once the response is done
+  app.use((req, res, next) => {
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      res.on('close', publishChanges);
+    }
+    next();
+  });
+
+  const PATCH_FORMATS = {
+    [MERGE_PATCH_TYPE]: applyMergePatch,
+    [JSON_PATCH_TYPE]: applyJsonPatch
+  };
+
+  const UNSUPPORTED_PATCH_MESSAGE =
+      `Unsupported patch format. Use ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`;
+
+  // Authentication
+  /**
+   * The grants of a principal (API key): the union of its roles' grants, or
+   * null (unrestricted) for keys with the admin scope or without any roles.
+   */
+  const grantsFor = (apiKey) => {
+    if (hasScope(JSON.parse(apiKey.scopes), 'admin')) return null;
+
+    const roles = storage.roles.forApiKey(apiKey.id);
+    return roles.length > 0 ? roles.flatMap(role => JSON.parse(role.grants)) : null;
+  };
+
+  /**
+   * Identifies the caller by API key and stores the key row on req.apiKey.
+   * Until the first key is issued the API is open (req.apiKey stays null and
+   * every scope check passes), so existing installs keep working.
+   * Revoked keys still count, so revoking every key does not reopen the API.
+   */
+  const authenticate = (req, res, next) => {
+    req.apiKey = null;
+    req.authRequired = storage.apiKeys.any();
+    req.grants = null;
+    if (!req.authRequired) return next();
 
-    if (!row) {
-      return res.status(404).json({ error: 'Settings not found' });
+    const key = readApiKey(req);
+    if (key) {
+      const row = storage.apiKeys.getByHash(hashApiKey(key));
+      req.apiKey = row && row.revoked_at === null ? row : null;
     }
+    req.grants = req.apiKey ? grantsFor(req.apiKey) : null;
+    next();
+  };
 
-    res.json(parseRow(row));
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch settings' });
-  }
-});
+  app.use(authenticate);
 
-// UPDATE - PUT /settings/:id
-app.put('/settings/:id', (req, res) => {
-  try {
-    const checkStmt = db.prepare('SELECT id FROM settings WHERE id = ?');
-    const existing = checkStmt.get(req.params.id);
+  /**
+   * Route middleware: 401 without a valid API key, 403 if the key lacks
+   * the scope.
+   *
+   * @param {string} scope - One of SCOPES
+   */
+  const requireScope = (scope) => (req, res, next) => {
+    if (!req.authRequired) return next();
 
-    if (!existing) {
-      return res.status(404).json({ error: 'Settings not found' });
+    if (!req.apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+                                    error: readApiKey(req) ? 'Invalid or revoked API key' : 'API key required'
+                                  });
+    }
+    if (!hasScope(JSON.parse(req.apiKey.scopes), scope)) {
+      return res.status(403).json({ error: `This API key lacks the ${scope} scope`, required: scope });
     }
+    next();
+  };
 
-    const data = JSON.stringify(req.body);
-    const now = new Date().toISOString();
+  const canRead = requireScope('settings:read');
+  const canWrite = requireScope('settings:write');
+  const isAdmin = requireScope('admin');
+
+  /**
+   * Whether a read should decrypt secret values: only on ?reveal=true, and
+   * only for keys holding the secrets:reveal scope, which no other scope
+   * includes (anyone may while the API is open). Throws 403 otherwise.
+   */
+  const wantsReveal = (req) => {
+    if (req.query.reveal !== 'true') return false;
+    if (req.apiKey && !JSON.parse(req.apiKey.scopes).includes(REVEAL_SCOPE)) {
+      throw new HttpError(403, `Revealing secrets needs the ${REVEAL_SCOPE} scope`);
+    }
+    return true;
+  };
+
+  /**
+   * Throws 403 unless the caller's grants give at least a permission on a
+   * settings object ({ id, name }) or, for creates, a name ({ name }).
+   * The message names the object only if the caller may read it.
+   */
+  const assertAccess = (grants, target, permission) => {
+    if (!allows(grants, target, permission)) {
+      const visible = target.id === undefined || allows(grants, target, 'read');
+      const what = visible ? target.name ?? target.id ?? 'settings without a name' : 'these settings';
+      throw new HttpError(403, `No ${permission} access to ${what}`);
+    }
+  };
+
+  /**
+   * Throws 403 unless grants allow reading every parent, since inheriting
+   * from an object reveals its data through the resolved view.
+   */
+  const assertCanReadParents = (grants, parents) => {
+    for (const parentId of parents) {
+      const parent = storage.settings.get(parentId);
+      if (parent) assertAccess(grants, parent, 'read');
+    }
+  };
+
+  /**
+   * Throws 403 unless grants allow creating an object with this name and
+   * parents: write on the name and read on every parent.
+   */
+  const assertCanCreate = (grants, name, parents = []) => {
+    assertAccess(grants, { name }, 'write');
+    assertCanReadParents(grants, parents);
+  };
+
+  /**
+   * Route middleware: 403 unless the caller has a permission on the settings
+   * object in req.params.id. Unknown IDs pass through to the route's 404.
+   *
+   * @param {string} permission - One of PERMISSIONS
+   */
+  const requireAccess = (permission) => (req, res, next) => {
+    try {
+      const row = storage.settings.get(req.params.id);
+      if (row) assertAccess(req.grants, row, permission);
+      next();
+    } catch (error) {
+      sendError(res, error, 'Failed to check access');
+    }
+  };
+
+  /**
+   * Route middleware: 403 for keys limited by roles. Schemas are shared by
+   * every namespace, so only unrestricted keys may change the registry.
+   */
+  const canChangeSchemas = (req, res, next) => {
+    if (req.grants !== null) {
+      return res.status(403).json({ error: 'Changing schemas needs a key without roles' });
+    }
+    next();
+  };
+
+  const parseApiKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    roles: storage.apiKeys.roleIds(row.id),
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  });
+
+  // API Endpoints
+  // CREATE - POST /settings
+  // Optional ?name= gives the object a unique path-like name
+  // Optional ?parents=<id>,<id> sets the objects it inherits from, in order
+  // Optional ?secrets=<pointer>,<pointer> marks values to encrypt and redact
+  // Optional ?kind=flag makes it a feature flag (see POST /flags/evaluate)
+  // Optional ?schemaId=&schemaVersion= attaches a schema the data must match
+  // Accepts and returns JSON, YAML, TOML or dotenv (Content-Type / Accept)
+  app.post('/settings', canWrite, textFormats, (req, res) => {
+    try {
+      const format = negotiateFormat(req, res);
+      const data = readSettingsBody(req);
+      // Fail before saving if the response format cannot hold the data
+      const text = format === 'application/json' ? null : serialize(format, data);
 
-    const stmt = db.prepare(
-        'UPDATE settings SET data = ?, updated_at = ? WHERE id = ?'
-    );
-    stmt.run(data, now, req.params.id);
+      const name = req.query.name || null;
+      const parents = req.query.parents ? String(req.query.parents).split(',') : [];
+      assertCanCreate(req.grants, name, parents);
+
+      const now = new Date().toISOString();
+      const row = audited(auditContext(req), 'settings.create', null, () => createSettings(data, {
+        name,
+        parents,
+        secrets: req.query.secrets ? String(req.query.secrets).split(',') : [],
+        kind: req.query.kind || 'settings',
+        schemaId: req.query.schemaId || null,
+        schemaVersion: parseInt(req.query.schemaVersion) || null
+      }, now));
+
+      res.set('ETag', representationEtag(etagFor(row), { format }));
+      res.location(`/settings/${row.id}`);
+      if (text !== null) {
+        return res.status(201).type(format).send(text);
+      }
+      res.status(201).json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to create settings');
+    }
+  });
+
+  const BATCH_OPERATIONS = ['create', 'update', 'patch', 'delete'];
+  const MAX_BATCH_SIZE = 100;
+
+  // Fallback messages of the matching single-item routes, for unexpected errors
+  const BATCH_FAILURE_MESSAGES = {
+    create: 'Failed to create settings',
+    update: 'Failed to update settings',
+    patch: 'Failed to patch settings',
+    delete: 'Failed to delete settings'
+  };
+
+  /**
+   * Checks the shape of a batch request before anything runs, so a typo in
+   * the last operation is reported without touching the storage.
+   */
+  const assertValidBatch = (body) => {
+    const operations = body?.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new HttpError(400, 'Batch must be { operations: [...] } with at least one operation');
+    }
+    if (operations.length > MAX_BATCH_SIZE) {
+      throw new HttpError(400, `Batch cannot have more than ${MAX_BATCH_SIZE} operations`);
+    }
+    if (body.continueOnError !== undefined && typeof body.continueOnError !== 'boolean') {
+      throw new HttpError(400, 'continueOnError must be true or false');
+    }
+
+    operations.forEach((operation, i) => {
+      if (operation === null || typeof operation !== 'object' || !BATCH_OPERATIONS.includes(operation.op)) {
+        throw new HttpError(400, `Operation ${i}: "op" must be one of ${BATCH_OPERATIONS.join(', ')}`);
+      }
+      if (operation.op !== 'create' && typeof operation.id !== 'string') {
+        throw new HttpError(400, `Operation ${i}: "${operation.op}" requires an "id"`);
+      }
+      if (['create', 'update'].includes(operation.op) && !Object.hasOwn(operation, 'data')) {
+        throw new HttpError(400, `Operation ${i}: "${operation.op}" requires "data"`);
+      }
+      if (operation.op === 'patch' && !Object.hasOwn(operation, 'patch')) {
+        throw new HttpError(400, `Operation ${i}: "patch" requires a "patch" document`);
+      }
+      if (operation.parents !== undefined && !Array.isArray(operation.parents)) {
+        throw new HttpError(400, `Operation ${i}: "parents" must be an array of IDs`);
+      }
+    });
+  };
+
+  /**
+   * Runs one batch operation and returns what the matching single-item route
+   * would have answered: { status, body?, etag? }. HttpErrors propagate.
+   */
+  const runBatchOperation = (operation, now, grants, context) => {
+    const notFound = { status: 404, body: { error: 'Settings not found' } };
+    const written = (row, status = 200) =>
+        row ? { status, body: parseRow(row), etag: etagFor(row) } : notFound;
+
+    if (operation.op === 'create') {
+      assertCanCreate(grants, operation.name ?? null, operation.parents);
+    } else {
+      const existing = storage.settings.get(operation.id);
+      if (existing) assertAccess(grants, existing, 'write');
+    }
+
+    const action = `settings.${operation.op}`;
+    switch (operation.op) {
+      case 'create':
+        return written(audited(context, action, null, () => createSettings(operation.data, {
+          name: operation.name ?? null,
+          parents: operation.parents ?? [],
+          kind: operation.kind ?? 'settings',
+          schemaId: operation.schemaId ?? null,
+          schemaVersion: parseInt(operation.schemaVersion) || null
+        }, now)), 201);
+      case 'update':
+        return written(audited(context, action, operation.id, () => writeRevision(
+            operation.id, { data: JSON.stringify(operation.data) }, now, operation.ifMatch
+        )));
+      case 'patch': {
+        const format = operation.contentType ?? MERGE_PATCH_TYPE;
+        if (!Object.hasOwn(PATCH_FORMATS, format)) {
+          return { status: 415, body: { error: UNSUPPORTED_PATCH_MESSAGE } };
+        }
+        return written(audited(context, action, operation.id, () => patchSettings(
+            operation.id, (data) => PATCH_FORMATS[format](data, operation.patch), now, operation.ifMatch
+        )));
+      }
+      case 'delete':
+        audited(context, action, operation.id, () => deleteSettings(operation.id, operation.ifMatch, now));
+        return { status: 204 };
+    }
+  };
+
+  /**
+   * Runs a validated batch in one transaction. Each operation runs in its own
+   * savepoint, so in continueOnError mode a failed operation is rolled back
+   * alone; otherwise the first failure rolls back the whole batch (409).
+   */
+  const runBatch = storage.transaction((operations, continueOnError, now, grants, context) => {
+    const runOne = storage.transaction(runBatchOperation);
+    const results = [];
+
+    operations.forEach((operation, i) => {
+      let result;
+      try {
+        result = runOne(operation, now, grants, context);
+      } catch (error) {
+        result = error instanceof HttpError
+                 ? { status: error.status, body: { error: error.message, ...error.details } }
+                 : { status: 500, body: { error: BATCH_FAILURE_MESSAGES[operation.op] } };
+      }
+      results.push(result);
+
+      if (result.status >= 400 && !continueOnError) {
+        throw new HttpError(409, `Operation ${i} failed, no changes were saved`, {
+          failedOperation: i,
+          results
+        });
+      }
+    });
+    return results;
+  });
+
+  // BATCH - POST /settings/batch
+  // Body: { operations: [{ op: "create" | "update" | "patch" | "delete", ... }], continueOnError? }
+  // All-or-nothing unless continueOnError is true
+  app.post('/settings/batch', canWrite, (req, res) => {
+    try {
+      assertValidBatch(req.body);
+
+      const now = new Date().toISOString();
+      const results = runBatch(
+          req.body.operations, req.body.continueOnError === true, now, req.grants, auditContext(req)
+      );
+
+      res.json({ results });
+    } catch (error) {
+      sendError(res, error, 'Failed to run batch');
+    }
+  });
+
+  /**
+   * Builds the list query shared by both pagination modes of GET /settings:
+   * JSON filters, the optional namespace prefix, and the caller's read grants
+   * (so unreadable objects are left out of both the page and the total).
+   */
+  const buildListQuery = (req) => {
+    const { query } = req;
+    return {
+      filters: parseFilters(query.filter),
+      grants: req.grants,
+      // Namespace filter: exact name, or anything under "<namespace>/"
+      ...(query.namespace && { namespace: String(query.namespace).replace(/\/+$/, '') }),
+      ...(query.kind && { kind: String(query.kind) })
+    };
+  };
+
+  /**
+   * Cursor mode of GET /settings (?cursor=, empty for the first page).
+   * Fetches one extra row to learn whether another page exists in the
+   * direction of travel. No total count unless ?total=true.
+   */
+  const listByCursor = (req, res, limit) => {
+    const keyset = parseKeysetSort(req.query.sort);
+    const cursor = decodeCursor(req.query.cursor, keyset);
+    const page = buildKeyset(keyset, cursor);
+
+    const query = buildListQuery(req);
+    const rows = storage.settings.list({ ...query, sort: page.sort, after: page.after, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    if (page.reverse) pageRows.reverse();
+
+    // Paging back, a next page exists (we came from it); paging forward from a
+    // cursor, a previous one does. The other side depends on the extra row.
+    const hasNext = page.reverse || hasMore;
+    const hasPrev = page.reverse ? hasMore : cursor !== null;
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+
+    const pagination = {
+      limit,
+      next: hasNext && last ? encodeCursor(keyset, last, 'next') : null,
+      prev: hasPrev && first ? encodeCursor(keyset, first, 'prev') : null
+    };
+    if (req.query.total === 'true') {
+      pagination.total = storage.settings.count(query);
+    }
 
     res.json({
-               id: req.params.id,
-               data: req.body,
-               updatedAt: now
+               data: pageRows.map(row => parseRow(row, buildViews(req, row).views)),
+               pagination
              });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update settings' });
-  }
-});
-
-// DELETE - DELETE /settings/:id (idempotent)
-app.delete('/settings/:id', (req, res) => {
-  try {
-    const stmt = db.prepare('DELETE FROM settings WHERE id = ?');
-    stmt.run(req.params.id);
-    res.status(204).send();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete settings' });
-  }
-});
+  };
+
+  // READ ALL - GET /settings (with pagination)
+  // Offset mode: ?page=&limit= (default). Cursor mode: ?cursor=&limit=
+  // Optional ?namespace=payments/prod lists only that name and names below it
+  // Optional ?resolved=true / ?env= add each object's merged / environment view
+  // Optional filter[data.<path>][<op>]=<value> and sort=<key>,-<key> (see filters.js)
+  app.get('/settings', canRead, (req, res) => {
+    try {
+      // Parse pagination parameters with defaults
+      let page = parseInt(req.query.page) || 1;
+      let limit = parseInt(req.query.limit) || 5;
+
+      // Ensure page and limit are at least 1
+      if (page < 1) page = 1;
+      if (limit < 1) limit = 1;
+
+      if (req.query.cursor !== undefined) {
+        return listByCursor(req, res, limit);
+      }
+
+      const offset = (page - 1) * limit;
+
+      const query = buildListQuery(req);
+      const sort = parseSort(req.query.sort);
+
+      const total = storage.settings.count(query);
+      const rows = storage.settings.list({ ...query, sort, limit, offset });
+
+      res.json({
+                 data: rows.map(row => parseRow(
+                     row,
+                     buildViews(req, row).views
+                 )),
+                 pagination: {
+                   page,
+                   limit,
+                   total,
+                   totalPages: Math.ceil(total / limit) || 1
+                 }
+               });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch settings');
+    }
+  });
+
+  // EXPORT - GET /settings/export?format=json|ndjson
+  // Streams every settings object (id, name, data, timestamps), oldest first.
+  // Environment overrides, parents and the attached schema ({ id, version })
+  // are included when set. Objects with secrets also carry their secret
+  // paths; the values stay encrypted, so an export never holds them in
+  // clear. Flags carry their kind.
+  // Registered before /settings/:id so "export" is never taken as an ID.
+  app.get('/settings/export', canRead, (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!['json', 'ndjson'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or ndjson' });
+      }
+
+      // Only the objects the caller may read
+      const rows = storage.settings.list({
+                                           grants: req.grants,
+                                           sort: [
+                                             { column: 'created_at', descending: false },
+                                             { column: 'id', descending: false }
+                                           ]
+                                         });
+      const toRecord = (row) => {
+        const secrets = JSON.parse(row.secrets);
+        const overrides = JSON.parse(row.overrides);
+        const parents = JSON.parse(row.parents);
+        return JSON.stringify({
+                                id: row.id,
+                                name: row.name,
+                                data: JSON.parse(row.data),
+                                ...(Object.keys(overrides).length > 0 && { overrides }),
+                                ...(parents.length > 0 && { parents }),
+                                ...(row.schema_id && { schema: { id: row.schema_id, version: row.schema_version } }),
+                                ...(secrets.length > 0 && { secrets }),
+                                ...(row.kind !== 'settings' && { kind: row.kind }),
+                                createdAt: row.created_at,
+                                updatedAt: row.updated_at
+                              });
+      };
+
+      res.attachment(`settings-export.${format}`);
+      res.type(format === 'json' ? 'application/json' : NDJSON_TYPE);
+
+      if (format === 'ndjson') {
+        for (const row of rows) {
+          res.write(toRecord(row) + '\n');
+        }
+      } else {
+        let first = true;
+        res.write('[');
+        for (const row of rows) {
+          res.write((first ? '\n' : ',\n') + toRecord(row));
+          first = false;
+        }
+        res.write('\n]\n');
+      }
+      res.end();
+    } catch (error) {
+      sendError(res, error, 'Failed to export settings');
+    }
+  });
+
+  const IMPORT_MODES = ['skip', 'overwrite', 'fail'];
+
+  /**
+   * Reads the records of an import body: a JSON array, or NDJSON text with
+   * one record per line. Throws 400 for anything else.
+   */
+  const parseImportBody = (req) => {
+    if (req.is(NDJSON_TYPE)) {
+      return String(req.body)
+          .split('\n')
+          .map((line, i) => [line.trim(), i + 1])
+          .filter(([line]) => line !== '')
+          .map(([line, number]) => {
+            try {
+              return JSON.parse(line);
+            } catch {
+              throw new HttpError(400, `Line ${number} is not valid JSON`);
+            }
+          });
+    }
+    if (!Array.isArray(req.body)) {
+      throw new HttpError(400, `Import a JSON array of settings, or ${NDJSON_TYPE} with one per line`);
+    }
+    return req.body;
+  };
+
+  /**
+   * Checks every record before anything is written: each needs a UUID id and
+   * data, and may have a name, environment overrides, parents, a schema
+   * ({ id, version }), secret paths, a kind and ISO timestamps. IDs must be unique.
+   */
+  const assertValidImport = (records) => {
+    const seen = new Set();
+    records.forEach((record, i) => {
+      if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        throw new HttpError(400, `Record ${i}: must be an object`);
+      }
+      if (typeof record.id !== 'string' || !UUID_PATTERN.test(record.id)) {
+        throw new HttpError(400, `Record ${i}: "id" must be a UUID`);
+      }
+      if (seen.has(record.id)) {
+        throw new HttpError(400, `Record ${i}: duplicate id ${record.id}`);
+      }
+      seen.add(record.id);
+      if (!Object.hasOwn(record, 'data')) {
+        throw new HttpError(400, `Record ${i}: "data" is required`);
+      }
+      if (record.name !== undefined && record.name !== null) {
+        assertValidName(record.name);
+      }
+      if (record.overrides !== undefined) {
+        const { overrides } = record;
+        if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides) ||
+            !Object.values(overrides).every(o => o !== null && typeof o === 'object' && !Array.isArray(o))) {
+          throw new HttpError(400, `Record ${i}: "overrides" must map environment names to objects`);
+        }
+        if (!Object.keys(overrides).every(env => ENV_PATTERN.test(env))) {
+          throw new HttpError(400, `Record ${i}: invalid environment name in "overrides"`);
+        }
+      }
+      if (record.parents !== undefined &&
+          (!Array.isArray(record.parents) || !record.parents.every(p => typeof p === 'string'))) {
+        throw new HttpError(400, `Record ${i}: "parents" must be an array of settings IDs`);
+      }
+      if (record.schema !== undefined && record.schema !== null &&
+          (typeof record.schema !== 'object' || typeof record.schema.id !== 'string' ||
+           !(record.schema.version == null || Number.isInteger(record.schema.version)))) {
+        throw new HttpError(400, `Record ${i}: "schema" must be { id, version }`);
+      }
+      if (record.secrets !== undefined) {
+        try {
+          assertValidSecretPaths(record.secrets);
+        } catch (error) {
+          throw new HttpError(400, `Record ${i}: ${error.message}`);
+        }
+      }
+      if (record.kind !== undefined && !KINDS.includes(record.kind)) {
+        throw new HttpError(400, `Record ${i}: "kind" must be one of ${KINDS.join(', ')}`);
+      }
+      for (const field of ['createdAt', 'updatedAt']) {
+        if (record[field] !== undefined &&
+            (typeof record[field] !== 'string' || Number.isNaN(Date.parse(record[field])))) {
+          throw new HttpError(400, `Record ${i}: "${field}" must be an ISO timestamp`);
+        }
+      }
+    });
+  };
+
+  /**
+   * Orders import records so that parents come before the objects inheriting
+   * from them. Throws 400 if the records' parents form a cycle.
+   */
+  const importOrder = (records) => {
+    const byId = new Map(records.map(record => [record.id, record]));
+    const done = new Set();
+    const order = [];
+    const visit = (record, path) => {
+      if (done.has(record.id)) return;
+      if (path.includes(record.id)) {
+        throw new HttpError(400, `Inheritance cycle: ${[...path, record.id].join(' -> ')}`);
+      }
+      for (const parentId of record.parents ?? []) {
+        if (byId.has(parentId)) visit(byId.get(parentId), [...path, record.id]);
+      }
+      done.add(record.id);
+      order.push(record);
+    };
+    records.forEach(record => visit(record, []));
+    return order;
+  };
+
+  /**
+   * Applies validated import records and reports what happened to each:
+   * created, updated (overwrite mode), skipped (skip mode) or unchanged.
+   * In fail mode, any ID that already exists aborts with 409. Records are
+   * written parents first; the results keep the order of the records.
+   * Must run inside a transaction.
+   */
+  const applyImport = (records, mode, now, grants, context) => {
+    if (mode === 'fail') {
+      const existing = records.map(record => storage.settings.get(record.id)).filter(Boolean);
+      existing.forEach(settings => assertAccess(grants, settings, 'read'));
+      const conflicts = existing.map(settings => settings.id);
+      if (conflicts.length > 0) {
+        throw new HttpError(409, 'Settings with these IDs already exist', { conflicts });
+      }
+    }
+
+    const results = new Map(importOrder(records).map((record) => {
+      const name = record.name ?? null;
+      const secrets = record.secrets ?? [];
+      const kind = record.kind ?? 'settings';
+      const overrides = record.overrides ?? {};
+      const parents = record.parents ?? [];
+      const schemaId = record.schema?.id ?? null;
+      const schemaVersion = schemaId ? record.schema.version ?? null : null;
+      const existing = storage.settings.get(record.id);
+
+      if (!existing) {
+        assertCanCreate(grants, name, parents);
+        // The import replaces a trashed copy
+        const trashed = storage.trash.get(record.id);
+        if (trashed) assertAccess(grants, trashed, 'write');
+        audited(context, 'settings.import', null, () => createSettings(record.data, {
+          id: record.id,
+          name,
+          parents,
+          overrides,
+          secrets,
+          kind,
+          schemaId,
+          schemaVersion,
+          createdAt: record.createdAt,
+          updatedAt: record.updatedAt
+        }, now));
+        return [record.id, { id: record.id, name, action: 'created' }];
+      }
+
+      // Nothing is reported about objects the caller may not read
+      assertAccess(grants, existing, 'read');
+      const data = JSON.stringify(record.data);
+      const sameData = deepEqual(JSON.parse(existing.data), record.data) &&
+                       deepEqual(JSON.parse(existing.overrides), overrides);
+      const sameSecrets = deepEqual(JSON.parse(existing.secrets), secrets);
+      const sameParents = deepEqual(JSON.parse(existing.parents), parents);
+      const sameSchema = existing.schema_id === schemaId && existing.schema_version === schemaVersion;
+      if (existing.name === name && sameSecrets && existing.kind === kind && sameData && sameParents && sameSchema) {
+        return [record.id, { id: record.id, name, action: 'unchanged' }];
+      }
+      if (mode === 'skip') {
+        return [record.id, { id: record.id, name: existing.name, action: 'skipped' }];
+      }
+
+      assertAccess(grants, existing, 'write');
+      audited(context, 'settings.import', record.id, () => {
+        if (existing.name !== name) {
+          assertAccess(grants, { name }, 'write');
+          if (name !== null) {
+            assertNameAvailable(name, record.id);
+          }
+          storage.settings.update(record.id, { name });
+        }
+        // Changing parents or the schema needs admin, as on their own routes
+        if (!sameParents) {
+          assertAccess(grants, existing, 'admin');
+          assertValidParents(record.id, parents);
+          assertCanReadParents(grants, parents);
+          storage.settings.update(record.id, { parents: JSON.stringify(parents) });
+        }
+        if (!sameSchema) {
+          assertAccess(grants, existing, 'admin');
+          if (schemaId && !getSchemaText(schemaId, schemaVersion)) {
+            throw new HttpError(400, 'Schema not found');
+          }
+          storage.settings.update(record.id, { schema_id: schemaId, schema_version: schemaVersion });
+        }
+        if (!sameSecrets) {
+          storage.settings.update(record.id, { secrets: JSON.stringify(secrets) });
+        }
+        if (existing.kind !== kind) {
+          storage.settings.update(record.id, { kind });
+        }
+        // A new revision also checks the data against the new kind and
+        // schema, and replaces every override, so none is left from before
+        if (!sameData || !sameSecrets || existing.kind !== kind) {
+          writeRevision(record.id, { data, overrides: JSON.stringify(overrides) }, now);
+        } else if (!sameSchema) {
+          const current = storage.settings.get(record.id);
+          assertSettingsConform(current, JSON.parse(current.data), JSON.parse(current.overrides));
+        }
+      });
+      return [record.id, { id: record.id, name, action: 'updated' }];
+    }));
+    return records.map(record => results.get(record.id));
+  };
+
+  // Thrown to roll back a dry run once its report is ready
+  const DRY_RUN = Symbol('dry run');
+
+  // IMPORT - POST /settings/import?mode=skip|overwrite|fail&dryRun=true
+  // Body: a JSON array of exported records, or NDJSON (application/x-ndjson).
+  // The whole import is one transaction; dryRun reports without saving.
+  app.post('/settings/import', canWrite, (req, res) => {
+    try {
+      const mode = req.query.mode || 'fail';
+      const dryRun = req.query.dryRun === 'true';
+
+      if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${IMPORT_MODES.join(', ')}` });
+      }
+
+      const records = parseImportBody(req);
+      assertValidImport(records);
+
+      const now = new Date().toISOString();
+      let results;
+      try {
+        storage.transaction(() => {
+          results = applyImport(records, mode, now, req.grants, auditContext(req));
+          if (dryRun) throw DRY_RUN;
+        })();
+      } catch (error) {
+        if (error !== DRY_RUN) throw error;
+      }
+
+      const summary = { created: 0, updated: 0, skipped: 0, unchanged: 0 };
+      for (const result of results) {
+        summary[result.action]++;
+      }
+      res.json({ dryRun, mode, summary, results });
+    } catch (error) {
+      sendError(res, error, 'Failed to import settings');
+    }
+  });
+
+  // TRASH - GET /settings/trash?page=&limit=
+  // Deleted settings objects, most recently deleted first, with deletedAt and
+  // purgeAt. Optional ?namespace= and filter[...] as for GET /settings.
+  app.get('/settings/trash', canRead, (req, res) => {
+    try {
+      purgeExpiredTrash();
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+      const query = buildListQuery(req);
+
+      const total = storage.trash.count(query);
+      const rows = storage.trash.list({
+                                        ...query,
+                                        sort: [
+                                          { column: 'deleted_at', descending: true },
+                                          { column: 'id', descending: false }
+                                        ],
+                                        limit,
+                                        offset: (page - 1) * limit
+                                      });
+
+      res.json({
+                 data: rows.map(parseTrashed),
+                 pagination: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 }
+               });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch trash');
+    }
+  });
+
+  // CHANGE EVENTS - GET /settings/events (Server-Sent Events)
+  // Streams "created", "updated" and "deleted" events as changes are committed.
+  // Optional ?id=<id>,<id> and ?namespace=payments narrow them down. Reconnecting
+  // with Last-Event-ID replays missed events from a bounded buffer, or sends a
+  // "reset" event (reload everything) if they are no longer buffered.
+  // Registered before /settings/:id so "events" is never taken as an ID.
+  app.get('/settings/events', canRead, (req, res) => {
+    const filter = {
+      ids: req.query.id ? String(req.query.id).split(',') : null,
+      namespace: req.query.namespace ? String(req.query.namespace).replace(/\/+$/, '') : null
+    };
+    const lastEventId = req.get('Last-Event-ID');
+
+    if (lastEventId !== undefined && !/^(0|[1-9][0-9]*)$/.test(lastEventId)) {
+      return res.status(400).json({ error: 'Last-Event-ID must be the ID of an earlier event' });
+    }
+
+    // Only events about objects the caller may read
+    const send = (event) => {
+      if (matchesFilter(event, filter) && allows(req.grants, event.data, 'read')) {
+        res.write(formatEvent(event));
+      }
+    };
+
+    res.set({
+              'Content-Type': 'text/event-stream',
+              'Cache-Control': 'no-cache',
+              Connection: 'keep-alive',
+              'X-Accel-Buffering': 'no'
+            });
+    res.flushHeaders();
+
+    if (lastEventId !== undefined) {
+      const missed = eventBuffer.since(Number(lastEventId));
+      if (missed === null) {
+        res.write(formatEvent({
+                                id: publishedUpTo,
+                                type: 'reset',
+                                data: { reason: 'Missed events are no longer available' }
+                              }));
+      } else {
+        missed.forEach(send);
+      }
+    }
+
+    subscribers.add(send);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), EVENT_KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      subscribers.delete(send);
+    });
+  });
+
+  // FULL-TEXT SEARCH - GET /settings/search?q=<text>&limit=<n>
+  // Ranked hits over keys and values; matched text is wrapped in <mark></mark>.
+  // Registered before /settings/:id so "search" is never taken as an ID.
+  app.get('/settings/search', canRead, (req, res) => {
+    try {
+      const terms = searchTerms(req.query.q ?? '');
+
+      if (terms.length === 0) {
+        return res.status(400).json({ error: 'Search text "q" is required' });
+      }
+
+      let limit = parseInt(req.query.limit) || 10;
+      if (limit < 1) limit = 1;
+
+      const matches = storage.search.query(terms, { open: HIGHLIGHT_OPEN, close: HIGHLIGHT_CLOSE });
+
+      // Group matches per settings object, best total score first
+      const hits = new Map();
+      for (const m of matches) {
+        if (!hits.has(m.settings_id)) {
+          hits.set(m.settings_id, { id: m.settings_id, score: 0, matches: [] });
+        }
+        const hit = hits.get(m.settings_id);
+        hit.score += m.score;
+        hit.matches.push({ path: m.path, key: m.key, value: m.value });
+      }
+
+      // Names for display, leaving out objects the caller may not read
+      const readable = [...hits.values()]
+          .map(hit => ({ ...hit, name: storage.settings.get(hit.id)?.name ?? null }))
+          .filter(hit => allows(req.grants, hit, 'read'));
+
+      const ranked = readable
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+
+      res.json({
+                 data: ranked.map(hit => ({
+                   id: hit.id,
+                   name: hit.name,
+                   score: hit.score,
+                   matches: hit.matches
+                 })),
+                 total: readable.length
+               });
+    } catch (error) {
+      sendError(res, error, 'Failed to search settings');
+    }
+  });
+
+  // OBJECT DIFF - GET /settings/diff?a=<id or name>&b=<id or name>&env=&format=diff|patch
+  // Compares the current data of two settings objects (with ?env=, their
+  // effective config in that environment).
+  // Registered before /settings/:id so "diff" is never taken as an ID.
+  app.get('/settings/diff', canRead, (req, res) => {
+    try {
+      const { a, b } = req.query;
+      const env = req.query.env ? String(req.query.env) : undefined;
+
+      if (!a || !b) {
+        return res.status(400).json({ error: 'Both "a" and "b" settings are required' });
+      }
+      if (env !== undefined) {
+        assertValidEnvironment(env);
+      }
+
+      const [rowA, rowB] = [String(a), String(b)].map((ref) => {
+        const row = storage.settings.find(ref);
+        if (!row) {
+          throw new HttpError(404, `Settings not found: ${ref}`);
+        }
+        assertAccess(req.grants, row, 'read');
+        return row;
+      });
+
+      const identify = (row) => ({ id: row.id, name: row.name, revision: row.revision });
+      sendDiff(req, res, { doc: effectiveData(rowA, env), row: rowA }, { doc: effectiveData(rowB, env), row: rowB },
+               { a: identify(rowA), b: identify(rowB) });
+    } catch (error) {
+      sendError(res, error, 'Failed to compare settings');
+    }
+  });
+
+  // READ BY NAME - GET /settings/by-name/:name
+  // Names contain "/", so the rest of the path is the name.
+  // Registered before /settings/:id/... so "by-name" is never taken as an ID.
+  app.get('/settings/by-name/*', canRead, (req, res) => {
+    try {
+      const row = storage.settings.getByName(req.params[0]);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      assertAccess(req.grants, row, 'read');
+      sendSettings(req, res, row);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch settings');
+    }
+  });
+
+  // READ ONE - GET /settings/:id
+  // Optional ?resolved=true adds the view merged with the object's parents
+  // Optional ?env=staging adds the effective config for that environment
+  app.get('/settings/:id', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const row = storage.settings.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      sendSettings(req, res, row);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch settings');
+    }
+  });
+
+  // UPDATE - PUT /settings/:id
+  // Accepts and returns JSON, YAML, TOML or dotenv (Content-Type / Accept)
+  app.put('/settings/:id', canWrite, requireAccess('write'), textFormats, (req, res) => {
+    try {
+      const format = negotiateFormat(req, res);
+      const body = readSettingsBody(req);
+      // Fail before saving if the response format cannot hold the data
+      const text = format === 'application/json' ? null : serialize(format, body);
+
+      const data = JSON.stringify(body);
+      const now = new Date().toISOString();
+
+      const row = audited(auditContext(req), 'settings.update', req.params.id,
+                          () => writeRevision(req.params.id, { data }, now, req.get('If-Match')));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', representationEtag(etagFor(row), { format }));
+      if (text !== null) {
+        return res.type(format).send(text);
+      }
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to update settings');
+    }
+  });
+
+  // PATCH - PATCH /settings/:id
+  // Accepts JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902)
+  app.patch('/settings/:id', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      const format = Object.keys(PATCH_FORMATS).find(type => req.is(type));
+      if (!format) {
+        return res.status(415).json({ error: UNSUPPORTED_PATCH_MESSAGE });
+      }
+
+      const now = new Date().toISOString();
+      const row = audited(auditContext(req), 'settings.patch', req.params.id, () => patchSettings(
+          req.params.id,
+          (data) => PATCH_FORMATS[format](data, req.body),
+          now,
+          req.get('If-Match')
+      ));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to patch settings');
+    }
+  });
+
+  // DELETE - DELETE /settings/:id (idempotent)
+  app.delete('/settings/:id', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      audited(auditContext(req), 'settings.delete', req.params.id,
+              () => deleteSettings(req.params.id, req.get('If-Match'), new Date().toISOString()));
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete settings');
+    }
+  });
+
+  // RESTORE - POST /settings/:id/restore
+  // Moves a deleted object back from the trash; 409 if its name is taken
+  app.post('/settings/:id/restore', canWrite, (req, res) => {
+    try {
+      purgeExpiredTrash();
+      const trashed = storage.trash.get(req.params.id);
+      if (!trashed) {
+        return res.status(404).json({ error: 'Settings not found in trash' });
+      }
+      assertAccess(req.grants, trashed, 'write');
+
+      const row = audited(auditContext(req), 'settings.restore', req.params.id,
+                          () => restoreSettings(req.params.id));
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to restore settings');
+    }
+  });
+
+  /**
+   * Parses the JSON Pointer after /settings/:id/data from the wildcard param.
+   * Throws 400 if it is not a valid pointer.
+   */
+  const pointerTokens = (req) => {
+    const tokens = parsePointer('/' + req.params[0]);
+    if (tokens === null) {
+      throw new HttpError(400, 'Invalid JSON Pointer. Escape "~" as ~0 and "/" as ~1');
+    }
+    return tokens;
+  };
+
+  // READ VALUE - GET /settings/:id/data/<json-pointer>
+  // e.g. GET /settings/:id/data/database/pool/max
+  app.get('/settings/:id/data/*', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const tokens = pointerTokens(req);
+      const row = storage.settings.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      const value = getAtPointer(viewSecrets(JSON.parse(row.data), row, wantsReveal(req)), tokens);
+      res.set('ETag', etagFor(row));
+      res.json(value);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch settings value');
+    }
+  });
+
+  // SET VALUE - PUT /settings/:id/data/<json-pointer>
+  // Body: any JSON value. The parent path must already exist.
+  app.put('/settings/:id/data/*', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      const tokens = pointerTokens(req);
+      const now = new Date().toISOString();
+      const row = audited(auditContext(req), 'settings.set-value', req.params.id, () => patchSettings(
+          req.params.id,
+          (data) => setAtPointer(data, tokens, req.body),
+          now,
+          req.get('If-Match')
+      ));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to update settings value');
+    }
+  });
+
+  // REMOVE VALUE - DELETE /settings/:id/data/<json-pointer>
+  app.delete('/settings/:id/data/*', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      const tokens = pointerTokens(req);
+      const now = new Date().toISOString();
+      const row = audited(auditContext(req), 'settings.remove-value', req.params.id, () => patchSettings(
+          req.params.id,
+          (data) => removeAtPointer(data, tokens),
+          now,
+          req.get('If-Match')
+      ));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete settings value');
+    }
+  });
+
+  // REVISION HISTORY - GET /settings/:id/versions
+  app.get('/settings/:id/versions', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const existing = storage.settings.get(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      const rows = storage.revisions.list(req.params.id);
+
+      const reveal = wantsReveal(req);
+      res.json({ data: rows.map(row => parseRevision(row, reveal)) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch revisions');
+    }
+  });
+
+  // One revision of a settings object. A trashed object's history stays
+  // hidden until it is restored.
+  const getRevision = (id, revision) =>
+      storage.settings.get(id) ? storage.revisions.get(id, revision) : undefined;
+
+  // REVISION - GET /settings/:id/versions/:n
+  app.get('/settings/:id/versions/:n', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const row = getRevision(req.params.id, parseInt(req.params.n));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json(parseRevision(row, wantsReveal(req)));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch revision');
+    }
+  });
+
+  // ROLLBACK - POST /settings/:id/versions/:n/rollback
+  // Restores an older revision by recording its data as a new revision,
+  // so the history itself is never rewritten.
+  app.post('/settings/:id/versions/:n/rollback', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      const target = getRevision(req.params.id, parseInt(req.params.n));
+
+      if (!target) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      // The revision's secrets are opened by the paths it was written with,
+      // then sealed by the current ones
+      const [data, overrides] = revealStored(secretsOf(target), JSON.parse(target.data),
+                                               JSON.parse(target.overrides));
+      const now = new Date().toISOString();
+      const row = audited(auditContext(req), 'settings.rollback', req.params.id, () => writeRevision(
+          req.params.id,
+          { data: JSON.stringify(data), overrides: JSON.stringify(overrides) },
+          now,
+          req.get('If-Match')
+      ));
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to roll back settings');
+    }
+  });
+
+  // REVISION DIFF - GET /settings/:id/diff?from=<n>&to=<n>&env=&format=diff|patch
+  // Compares two revisions; "to" defaults to the current one. With ?env=,
+  // compares that environment's effective config in each revision.
+  app.get('/settings/:id/diff', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const env = req.query.env ? String(req.query.env) : undefined;
+      if (env !== undefined) {
+        assertValidEnvironment(env);
+      }
+
+      const row = storage.settings.get(req.params.id);
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      const from = Number(req.query.from);
+      const to = req.query.to === undefined ? row.revision : Number(req.query.to);
+      if (![from, to].every(n => Number.isInteger(n) && n > 0)) {
+        return res.status(400).json({ error: '"from" (and "to", if given) must be revision numbers' });
+      }
+
+      const [before, after] = [from, to].map((n) => {
+        const revision = getRevision(req.params.id, n);
+        if (!revision) {
+          throw new HttpError(404, `Revision ${n} not found`);
+        }
+        return revision;
+      });
+
+      sendDiff(req, res, { doc: effectiveData(before, env), row: before }, { doc: effectiveData(after, env), row: after },
+               { from, to });
+    } catch (error) {
+      sendError(res, error, 'Failed to compare revisions');
+    }
+  });
+
+  // RENAME - PUT /settings/:id/name
+  // Body: { name } - null removes the name
+  app.put('/settings/:id/name', canWrite, requireAccess('admin'), (req, res) => {
+    try {
+      const { name = null } = req.body;
+
+      if (name !== null) {
+        assertValidName(name);
+      }
+      // Moving an object needs admin where it lands, too
+      assertAccess(req.grants, { name }, 'admin');
+
+      const row = audited(auditContext(req), 'settings.rename', req.params.id, () => {
+        const existing = storage.settings.get(req.params.id);
+        if (!existing) return undefined;
+        assertIfMatch(req.get('If-Match'), existing);
+
+        if (name !== null) {
+          assertNameAvailable(name, req.params.id);
+        }
+
+        storage.settings.update(req.params.id, { name });
+        return storage.settings.get(req.params.id);
+      });
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to rename settings');
+    }
+  });
+
+  // ENVIRONMENT DIFF - GET /settings/:id/env-diff?from=dev&to=prod&format=diff|patch
+  // Compares the effective config of two environments
+  app.get('/settings/:id/env-diff', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if (!from || !to) {
+        return res.status(400).json({ error: 'Both "from" and "to" environments are required' });
+      }
+      assertValidEnvironment(from);
+      assertValidEnvironment(to);
+
+      const row = storage.settings.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      sendDiff(req, res, { doc: effectiveData(row, from), row }, { doc: effectiveData(row, to), row }, { from, to });
+    } catch (error) {
+      sendError(res, error, 'Failed to compare environments');
+    }
+  });
+
+  // READ OVERRIDE - GET /settings/:id/environments/:env
+  app.get('/settings/:id/environments/:env', canRead, requireAccess('read'), (req, res) => {
+    try {
+      const row = storage.settings.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      const override = JSON.parse(row.overrides)[req.params.env];
+
+      if (override === undefined) {
+        return res.status(404).json({ error: 'Environment override not found' });
+      }
+
+      res.json(viewSecrets(override, row, wantsReveal(req)));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch environment override');
+    }
+  });
+
+  // SET OVERRIDE - PUT /settings/:id/environments/:env
+  // Body: the override document, merged over the defaults for that environment
+  app.put('/settings/:id/environments/:env', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      assertValidEnvironment(req.params.env);
+
+      if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Environment override must be a JSON object' });
+      }
+
+      const now = new Date().toISOString();
+      const row = audited(auditContext(req), 'settings.set-override', req.params.id, () => {
+        const existing = storage.settings.get(req.params.id);
+        if (!existing) return undefined;
+
+        const overrides = { ...JSON.parse(existing.overrides), [req.params.env]: req.body };
+        return writeRevision(
+            req.params.id,
+            { overrides: JSON.stringify(overrides) },
+            now,
+            req.get('If-Match')
+        );
+      });
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to update environment override');
+    }
+  });
+
+  // REMOVE OVERRIDE - DELETE /settings/:id/environments/:env (idempotent)
+  app.delete('/settings/:id/environments/:env', canWrite, requireAccess('write'), (req, res) => {
+    try {
+      const now = new Date().toISOString();
+      audited(auditContext(req), 'settings.remove-override', req.params.id, () => {
+        const existing = storage.settings.get(req.params.id);
+        const overrides = existing ? JSON.parse(existing.overrides) : {};
+        if (!Object.hasOwn(overrides, req.params.env)) return;
+
+        delete overrides[req.params.env];
+        writeRevision(req.params.id, { overrides: JSON.stringify(overrides) }, now, req.get('If-Match'));
+      });
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete environment override');
+    }
+  });
+
+  // SET PARENTS - PUT /settings/:id/parents
+  // Body: { parents: [id, ...] } - lowest priority first, [] removes inheritance
+  app.put('/settings/:id/parents', canWrite, requireAccess('admin'), (req, res) => {
+    try {
+      const { parents } = req.body;
+
+      const row = audited(auditContext(req), 'settings.set-parents', req.params.id, () => {
+        const existing = storage.settings.get(req.params.id);
+        if (!existing) return undefined;
+        assertIfMatch(req.get('If-Match'), existing);
+        assertValidParents(req.params.id, parents);
+        assertCanReadParents(req.grants, parents);
+
+        storage.settings.update(req.params.id, { parents: JSON.stringify(parents) });
+        return storage.settings.get(req.params.id);
+      });
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to set parents');
+    }
+  });
+
+  // SET SECRETS - PUT /settings/:id/secrets
+  // Body: { secrets: ["/database/password", ...] } - the JSON Pointers whose
+  // values are encrypted at rest and redacted on read
+  app.put('/settings/:id/secrets', canWrite, requireAccess('admin'), (req, res) => {
+    try {
+      const row = audited(auditContext(req), 'settings.set-secrets', req.params.id,
+                          () => setSecretPaths(req.params.id, req.body.secrets, req.get('If-Match')));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to set secret paths');
+    }
+  });
+
+  // ATTACH SCHEMA - PUT /settings/:id/schema
+  // Body: { schemaId, version? } - omit version to always follow the latest
+  app.put('/settings/:id/schema', canWrite, requireAccess('admin'), (req, res) => {
+    try {
+      const { schemaId, version = null } = req.body;
+
+      if (typeof schemaId !== 'string') {
+        return res.status(400).json({ error: 'schemaId is required' });
+      }
+
+      const row = audited(auditContext(req), 'settings.attach-schema', req.params.id, () => {
+        const existing = storage.settings.get(req.params.id);
+        if (!existing) return undefined;
+        assertIfMatch(req.get('If-Match'), existing);
+
+        const schemaText = getSchemaText(schemaId, version);
+        if (!schemaText) {
+          throw new HttpError(400, 'Schema not found');
+        }
+        assertConforms(schemaText, ...revealStored(secretsOf(existing), JSON.parse(existing.data),
+                                                     JSON.parse(existing.overrides)));
+
+        storage.settings.update(req.params.id, { schema_id: schemaId, schema_version: version });
+        return storage.settings.get(req.params.id);
+      });
+
+      if (!row) {
+        return res.status(404).json({ error: 'Settings not found' });
+      }
+
+      res.set('ETag', etagFor(row));
+      res.json(parseRow(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to attach schema');
+    }
+  });
+
+  // DETACH SCHEMA - DELETE /settings/:id/schema (idempotent)
+  app.delete('/settings/:id/schema', canWrite, requireAccess('admin'), (req, res) => {
+    try {
+      const row = audited(auditContext(req), 'settings.detach-schema', req.params.id, () => {
+        const existing = storage.settings.get(req.params.id);
+        assertIfMatch(req.get('If-Match'), existing);
+        if (!existing) return undefined;
+
+        storage.settings.update(req.params.id, { schema_id: null, schema_version: null });
+        return storage.settings.get(req.params.id);
+      });
+
+      if (row) {
+        res.set('ETag', etagFor(row));
+      }
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to detach schema');
+    }
+  });
+
+  // EVALUATE FLAGS - POST /flags/evaluate
+  // Body: { context: { userId, country, plan, ... }, environment?, flags?: [id or name, ...] }
+  // Evaluates the listed flags, or every flag the caller may read, for one
+  // context. Each result has the variant served, its value and the reason.
+  app.post('/flags/evaluate', canRead, (req, res) => {
+    try {
+      const { context = {}, environment, flags } = req.body ?? {};
+      if (context === null || typeof context !== 'object' || Array.isArray(context)) {
+        return res.status(400).json({ error: 'context must be an object of attributes' });
+      }
+      if (environment !== undefined) {
+        assertValidEnvironment(String(environment));
+      }
+      if (flags !== undefined && (!Array.isArray(flags) || !flags.every(flag => typeof flag === 'string'))) {
+        return res.status(400).json({ error: 'flags must be an array of flag IDs or names' });
+      }
+      const reveal = wantsReveal(req);
+
+      let rows;
+      if (flags === undefined) {
+        // Only the flags the caller may read
+        rows = storage.settings.list({
+                                       kind: 'flag',
+                                       grants: req.grants,
+                                       sort: [
+                                         { column: 'name', descending: false },
+                                         { column: 'id', descending: false }
+                                       ]
+                                     });
+      } else {
+        rows = flags.map((flag) => {
+          const row = storage.settings.find(flag);
+          if (!row || row.kind !== 'flag') {
+            throw new HttpError(404, `Flag not found: ${flag}`);
+          }
+          assertAccess(req.grants, row, 'read');
+          return row;
+        });
+      }
+
+      res.json({
+                 flags: rows.map(row => ({
+                   id: row.id,
+                   name: row.name,
+                   // Seeded with the ID, so renaming a flag keeps everyone's variant
+                   ...evaluateFlag(viewSecrets(effectiveData(row, environment), row, reveal), context, row.id)
+                 }))
+               });
+    } catch (error) {
+      sendError(res, error, 'Failed to evaluate flags');
+    }
+  });
+
+  // SCHEMA REGISTRY
+  // CREATE - POST /schemas
+  // Body: { name, schema }
+  app.post('/schemas', canWrite, canChangeSchemas, (req, res) => {
+    try {
+      const { name, schema } = req.body;
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Schema name is required' });
+      }
+      assertValidSchema(schema);
+
+      const existing = storage.schemas.getByName(name);
+      if (existing) {
+        return res.status(409).json({ error: `Schema "${name}" already exists` });
+      }
+
+      const id = uuidv4();
+      const now = new Date().toISOString();
+
+      const created = { id, name, version: 1, schema, createdAt: now, updatedAt: now };
+      storage.transaction(() => {
+        storage.schemas.insert({ id, name, version: 1, created_at: now, updated_at: now });
+        storage.schemas.insertVersion({ schema_id: id, version: 1, schema: JSON.stringify(schema), created_at: now });
+        recordAudit(auditContext(req), 'schema.create', null, null, created);
+      })();
+
+      res.status(201).json(created);
+    } catch (error) {
+      sendError(res, error, 'Failed to create schema');
+    }
+  });
+
+  // READ ALL - GET /schemas
+  app.get('/schemas', canRead, (req, res) => {
+    try {
+      const rows = storage.schemas.list();
+      res.json({ data: rows.map(parseSchema) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch schemas');
+    }
+  });
+
+  // READ ONE - GET /schemas/:id (latest version)
+  app.get('/schemas/:id', canRead, (req, res) => {
+    try {
+      const row = storage.schemas.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+
+      res.json(parseSchema(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch schema');
+    }
+  });
+
+  // READ VERSION - GET /schemas/:id/versions/:n
+  app.get('/schemas/:id/versions/:n', canRead, (req, res) => {
+    try {
+      const row = storage.schemas.getVersion(req.params.id, parseInt(req.params.n));
+
+      if (!row) {
+        return res.status(404).json({ error: 'Schema version not found' });
+      }
+
+      res.json({
+                 id: row.schema_id,
+                 version: row.version,
+                 schema: JSON.parse(row.schema),
+                 createdAt: row.created_at
+               });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch schema version');
+    }
+  });
+
+  // UPDATE - PUT /schemas/:id
+  // Body: { schema } - stored as a new version. Rejected with 409 if settings
+  // that follow the latest version would no longer conform.
+  app.put('/schemas/:id', canWrite, canChangeSchemas, (req, res) => {
+    try {
+      const { schema } = req.body;
+      assertValidSchema(schema);
+
+      const schemaText = JSON.stringify(schema);
+      const now = new Date().toISOString();
+
+      const row = storage.transaction(() => {
+        const existing = storage.schemas.get(req.params.id);
+        if (!existing) return undefined;
+
+        const followers = storage.settings.bySchema(req.params.id).filter(s => s.schema_version === null);
+        const broken = followers
+            .map(s => ({
+              id: s.id,
+              violations: findSettingsViolations(schemaText, ...revealStored(secretsOf(s), JSON.parse(s.data),
+                                                                               JSON.parse(s.overrides)))
+            }))
+            .filter(s => s.violations.length > 0);
+        if (broken.length > 0) {
+          throw new HttpError(409, 'Existing settings do not match the new schema version',
+                              { settings: broken });
+        }
+
+        const version = existing.version + 1;
+        storage.schemas.update(req.params.id, { version, updated_at: now });
+        storage.schemas.insertVersion({ schema_id: req.params.id, version, schema: schemaText, created_at: now });
+
+        const updated = storage.schemas.get(req.params.id);
+        recordAudit(auditContext(req), 'schema.update', null, parseSchema(existing), parseSchema(updated));
+        return updated;
+      })();
+
+      if (!row) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+
+      res.json(parseSchema(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to update schema');
+    }
+  });
+
+  // DELETE - DELETE /schemas/:id (idempotent, refused while in use)
+  app.delete('/schemas/:id', canWrite, canChangeSchemas, (req, res) => {
+    try {
+      const count = storage.settings.bySchema(req.params.id).length;
+
+      if (count > 0) {
+        return res.status(409).json({ error: `Schema is attached to ${count} settings object(s)` });
+      }
+
+      storage.transaction(() => {
+        const existing = storage.schemas.get(req.params.id);
+        if (!existing) return;
+
+        storage.schemas.remove(req.params.id);
+        recordAudit(auditContext(req), 'schema.delete', null, parseSchema(existing), null);
+      })();
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete schema');
+    }
+  });
+
+  // ISSUE KEY - POST /admin/api-keys
+  // Body: { name, scopes: ["settings:read" | "settings:write" | "admin" | "secrets:reveal", ...] }
+  // The key itself is only ever returned here; store it safely.
+  app.post('/admin/api-keys', isAdmin, (req, res) => {
+    try {
+      const { name, scopes } = req.body;
+
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      const known = [...SCOPES, REVEAL_SCOPE];
+      if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => known.includes(scope))) {
+        return res.status(400).json({ error: `scopes must be a non-empty list of: ${known.join(', ')}` });
+      }
+
+      const id = uuidv4();
+      const key = generateApiKey();
+      const now = new Date().toISOString();
+
+      const row = storage.transaction(() => {
+        storage.apiKeys.insert({
+                                 id,
+                                 name: name.trim(),
+                                 prefix: key.slice(0, 8),
+                                 key_hash: hashApiKey(key),
+                                 scopes: JSON.stringify([...new Set(scopes)]),
+                                 created_at: now,
+                                 revoked_at: null
+                               });
+
+        const created = storage.apiKeys.get(id);
+        recordAudit(auditContext(req), 'api-key.create', null, null, parseApiKey(created));
+        return created;
+      })();
+
+      res.status(201).json({ ...parseApiKey(row), key });
+    } catch (error) {
+      sendError(res, error, 'Failed to create API key');
+    }
+  });
+
+  // LIST KEYS - GET /admin/api-keys (never includes the keys themselves)
+  app.get('/admin/api-keys', isAdmin, (req, res) => {
+    try {
+      const rows = storage.apiKeys.list();
+      res.json({ data: rows.map(parseApiKey) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch API keys');
+    }
+  });
+
+  // REVOKE KEY - DELETE /admin/api-keys/:id (idempotent)
+  app.delete('/admin/api-keys/:id', isAdmin, (req, res) => {
+    try {
+      storage.transaction(() => {
+        const existing = storage.apiKeys.get(req.params.id);
+        if (!existing || existing.revoked_at !== null) return;
+
+        storage.apiKeys.update(req.params.id, { revoked_at: new Date().toISOString() });
+        recordAudit(auditContext(req), 'api-key.revoke', null, parseApiKey(existing),
+                    parseApiKey(storage.apiKeys.get(req.params.id)));
+      })();
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke API key');
+    }
+  });
+
+  const parseRole = (row) => ({
+    id: row.id,
+    name: row.name,
+    grants: JSON.parse(row.grants),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  });
+
+  /**
+   * Checks and normalizes a role's grants: each is { permission, prefix } or
+   * { permission, id }. Throws 400 naming the first bad one.
+   */
+  const normalizeGrants = (grants) => {
+    if (!Array.isArray(grants)) {
+      throw new HttpError(400, 'grants must be an array');
+    }
+    return grants.map((grant, i) => {
+      if (grant === null || typeof grant !== 'object' || !PERMISSIONS.includes(grant.permission)) {
+        throw new HttpError(400, `Grant ${i}: "permission" must be one of ${PERMISSIONS.join(', ')}`);
+      }
+      if ((grant.prefix === undefined) === (grant.id === undefined)) {
+        throw new HttpError(400, `Grant ${i}: give exactly one of "prefix" or "id"`);
+      }
+      if (grant.prefix !== undefined) {
+        if (typeof grant.prefix !== 'string' || !NAME_PATTERN.test(grant.prefix)) {
+          throw new HttpError(400, `Grant ${i}: "prefix" must be a settings name such as "payments"`);
+        }
+        return { permission: grant.permission, prefix: grant.prefix };
+      }
+      if (typeof grant.id !== 'string' || !UUID_PATTERN.test(grant.id)) {
+        throw new HttpError(400, `Grant ${i}: "id" must be a settings ID`);
+      }
+      return { permission: grant.permission, id: grant.id };
+    });
+  };
+
+  // CREATE ROLE - POST /admin/roles
+  // Body: { name, grants: [{ permission, prefix } | { permission, id }, ...] }
+  app.post('/admin/roles', isAdmin, (req, res) => {
+    try {
+      const { name } = req.body;
+
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({ error: 'name is required' });
+      }
+
+      const grants = normalizeGrants(req.body.grants ?? []);
+      const id = uuidv4();
+      const now = new Date().toISOString();
+
+      if (storage.roles.getByName(name.trim())) {
+        return res.status(409).json({ error: `Role "${name.trim()}" already exists` });
+      }
+
+      const role = storage.transaction(() => {
+        storage.roles.insert({
+                               id,
+                               name: name.trim(),
+                               grants: JSON.stringify(grants),
+                               created_at: now,
+                               updated_at: now
+                             });
+
+        const created = parseRole(storage.roles.get(id));
+        recordAudit(auditContext(req), 'role.create', null, null, created);
+        return created;
+      })();
+
+      res.status(201).json(role);
+    } catch (error) {
+      sendError(res, error, 'Failed to create role');
+    }
+  });
+
+  // LIST ROLES - GET /admin/roles
+  app.get('/admin/roles', isAdmin, (req, res) => {
+    try {
+      const rows = storage.roles.list();
+      res.json({ data: rows.map(parseRole) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch roles');
+    }
+  });
+
+  // READ ROLE - GET /admin/roles/:id
+  app.get('/admin/roles/:id', isAdmin, (req, res) => {
+    try {
+      const row = storage.roles.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      res.json(parseRole(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch role');
+    }
+  });
+
+  // REPLACE GRANTS - PUT /admin/roles/:id
+  // Body: { grants: [...] } - takes effect on the next request of every holder
+  app.put('/admin/roles/:id', isAdmin, (req, res) => {
+    try {
+      const grants = normalizeGrants(req.body.grants);
+      const now = new Date().toISOString();
+
+      const role = storage.transaction(() => {
+        const existing = storage.roles.get(req.params.id);
+        if (!existing) return undefined;
+
+        storage.roles.update(req.params.id, { grants: JSON.stringify(grants), updated_at: now });
+
+        const updated = parseRole(storage.roles.get(req.params.id));
+        recordAudit(auditContext(req), 'role.update', null, parseRole(existing), updated);
+        return updated;
+      })();
+
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      res.json(role);
+    } catch (error) {
+      sendError(res, error, 'Failed to update role');
+    }
+  });
+
+  // DELETE ROLE - DELETE /admin/roles/:id (idempotent, refused while assigned)
+  // Refused rather than unassigned: a key left without roles is unrestricted
+  app.delete('/admin/roles/:id', isAdmin, (req, res) => {
+    try {
+      const count = storage.roles.assignedCount(req.params.id);
+
+      if (count > 0) {
+        return res.status(409).json({ error: `Role is assigned to ${count} API key(s)` });
+      }
+
+      storage.transaction(() => {
+        const existing = storage.roles.get(req.params.id);
+        if (!existing) return;
+
+        storage.roles.remove(req.params.id);
+        recordAudit(auditContext(req), 'role.delete', null, parseRole(existing), null);
+      })();
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete role');
+    }
+  });
+
+  // ASSIGN ROLES - PUT /admin/api-keys/:id/roles
+  // Body: { roles: [roleId, ...] } - [] makes the key unrestricted again
+  app.put('/admin/api-keys/:id/roles', isAdmin, (req, res) => {
+    try {
+      const { roles } = req.body;
+
+      if (!Array.isArray(roles) || !roles.every(role => typeof role === 'string')) {
+        return res.status(400).json({ error: 'roles must be an array of role IDs' });
+      }
+
+      const row = storage.transaction(() => {
+        const key = storage.apiKeys.get(req.params.id);
+        if (!key) return undefined;
+
+        const unknown = roles.filter(role => !storage.roles.get(role));
+        if (unknown.length > 0) {
+          throw new HttpError(400, `Unknown role(s): ${unknown.join(', ')}`);
+        }
+
+        const before = parseApiKey(key);
+        storage.apiKeys.setRoles(key.id, roles);
+
+        const after = parseApiKey(key);
+        if (!deepEqual(before, after)) {
+          recordAudit(auditContext(req), 'api-key.assign-roles', null, before, after);
+        }
+        return key;
+      })();
+
+      if (!row) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      res.json(parseApiKey(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to assign roles');
+    }
+  });
+
+  /**
+   * Parses an ISO 8601 time filter of GET /audit into the stored format,
+   * so it compares correctly as text. Throws 400 if it is not a date.
+   */
+  const parseAuditTime = (name, value) => {
+    const time = Date.parse(String(value));
+    if (Number.isNaN(time)) {
+      throw new HttpError(400, `${name} must be an ISO 8601 date or time, e.g. 2024-05-01T12:00:00Z`);
+    }
+    return new Date(time).toISOString();
+  };
+
+  const parseWebhook = (row) => ({
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    namespace: row.namespace,
+    active: row.active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  });
+
+  const parseDelivery = (row) => ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    redeliveryOf: row.redelivery_of,
+    payload: JSON.parse(row.payload),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  });
+
+  /**
+   * Checks the body of POST /webhooks and PUT /webhooks/:id. Throws 400 naming
+   * the first bad field. Returns { url, events, namespace, active, secret }
+   * with defaults filled in; secret is undefined if not given.
+   */
+  const normalizeWebhook = (body) => {
+    const { url, events = WEBHOOK_EVENTS, namespace = null, active = true, secret } = body ?? {};
+
+    let parsed = null;
+    try {
+      parsed = typeof url === 'string' ? new URL(url) : null;
+    } catch {
+      // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new HttpError(400, 'url must be an http or https URL');
+    }
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      throw new HttpError(400, `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (namespace !== null && (typeof namespace !== 'string' || !NAME_PATTERN.test(namespace))) {
+      throw new HttpError(400, 'namespace must be a settings name such as "payments"');
+    }
+    if (typeof active !== 'boolean') {
+      throw new HttpError(400, 'active must be true or false');
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new HttpError(400, 'secret must be a string of at least 16 characters');
+    }
+    return { url, events: [...new Set(events)], namespace, active, secret };
+  };
+
+  // ROTATE SECRETS - POST /admin/secrets/rotate
+  // Re-encrypts with the current master key every secret value still under an
+  // older one: current data, the trash and all revisions. Run it after moving
+  // the old key to SECRETS_PREVIOUS_KEYS; the old key can go once it succeeds.
+  app.post('/admin/secrets/rotate', isAdmin, (req, res) => {
+    try {
+      const { currentId } = requireKeyring(keyring);
+
+      const rotated = storage.transaction(() => {
+        let count = 0;
+        // The re-encrypted data and overrides of a row or revision, or null if nothing in it changed
+        const rotate = (row) => {
+          let rotated = 0;
+          const rotateDoc = (doc) => {
+            const result = rotateSecrets(doc, secretsOf(row), keyring);
+            rotated += result.rotated;
+            return result.doc;
+          };
+          const data = rotateDoc(JSON.parse(row.data));
+          const overrides = mapOverrides(JSON.parse(row.overrides), rotateDoc);
+          if (rotated === 0) return null;
+          count += rotated;
+          return { data: JSON.stringify(data), overrides: JSON.stringify(overrides) };
+        };
+
+        const current = storage.settings.list();
+        const trashed = storage.trash.list();
+        for (const row of current) {
+          const changes = rotate(row);
+          if (changes) storage.settings.update(row.id, changes);
+        }
+        for (const row of trashed) {
+          const changes = rotate(row);
+          if (changes) storage.trash.update(row.id, changes);
+        }
+        for (const { id } of [...current, ...trashed]) {
+          for (const revision of storage.revisions.list(id)) {
+            const changes = rotate(revision);
+            if (changes) storage.revisions.update(id, revision.revision, changes);
+          }
+        }
+        recordAudit(auditContext(req), 'secrets.rotate', null, null, { keyId: currentId, rotated: count });
+        return count;
+      })();
+
+      res.json({ keyId: currentId, rotated });
+    } catch (error) {
+      sendError(res, error, 'Failed to rotate secrets');
+    }
+  });
+
+  // CREATE WEBHOOK - POST /webhooks
+  // Body: { url, events?: ["created" | "updated" | "deleted"], namespace?, secret? }
+  // Without a secret one is generated. It is only returned here.
+  app.post('/webhooks', isAdmin, (req, res) => {
+    try {
+      const webhook = normalizeWebhook(req.body);
+      const id = uuidv4();
+      const secret = webhook.secret ?? generateSecret();
+      const now = new Date().toISOString();
+
+      const row = storage.transaction(() => {
+        storage.webhooks.insert({
+                                  id,
+                                  url: webhook.url,
+                                  events: JSON.stringify(webhook.events),
+                                  namespace: webhook.namespace,
+                                  secret,
+                                  active: webhook.active ? 1 : 0,
+                                  created_at: now,
+                                  updated_at: now
+                                });
+
+        const created = storage.webhooks.get(id);
+        recordAudit(auditContext(req), 'webhook.create', null, null, parseWebhook(created));
+        return created;
+      })();
+
+      res.status(201).json({ ...parseWebhook(row), secret });
+    } catch (error) {
+      sendError(res, error, 'Failed to create webhook');
+    }
+  });
+
+  // LIST WEBHOOKS - GET /webhooks (never includes the secrets)
+  app.get('/webhooks', isAdmin, (req, res) => {
+    try {
+      const rows = storage.webhooks.list();
+      res.json({ data: rows.map(parseWebhook) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch webhooks');
+    }
+  });
+
+  // READ WEBHOOK - GET /webhooks/:id
+  app.get('/webhooks/:id', isAdmin, (req, res) => {
+    try {
+      const row = storage.webhooks.get(req.params.id);
+
+      if (!row) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json(parseWebhook(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch webhook');
+    }
+  });
+
+  // UPDATE WEBHOOK - PUT /webhooks/:id
+  // Body: as for POST. A new secret replaces the old one; without one it is kept.
+  app.put('/webhooks/:id', isAdmin, (req, res) => {
+    try {
+      const webhook = normalizeWebhook(req.body);
+      const now = new Date().toISOString();
+
+      const row = storage.transaction(() => {
+        const existing = storage.webhooks.get(req.params.id);
+        if (!existing) return undefined;
+
+        storage.webhooks.update(req.params.id, {
+          url: webhook.url,
+          events: JSON.stringify(webhook.events),
+          namespace: webhook.namespace,
+          secret: webhook.secret ?? existing.secret,
+          active: webhook.active ? 1 : 0,
+          updated_at: now
+        });
+
+        const updated = storage.webhooks.get(req.params.id);
+        recordAudit(auditContext(req), 'webhook.update', null, parseWebhook(existing), parseWebhook(updated));
+        return updated;
+      })();
+
+      if (!row) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json(parseWebhook(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to update webhook');
+    }
+  });
+
+  // DELETE WEBHOOK - DELETE /webhooks/:id (idempotent, also drops its delivery log)
+  app.delete('/webhooks/:id', isAdmin, (req, res) => {
+    try {
+      storage.transaction(() => {
+        const existing = storage.webhooks.get(req.params.id);
+        if (!existing) return;
+
+        storage.webhooks.remove(req.params.id);
+        recordAudit(auditContext(req), 'webhook.delete', null, parseWebhook(existing), null);
+      })();
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Failed to delete webhook');
+    }
+  });
+
+  // DELIVERY LOG - GET /webhooks/:id/deliveries (newest first)
+  // Optional ?status=pending|succeeded|failed and ?limit= (default 50, max 200)
+  app.get('/webhooks/:id/deliveries', isAdmin, (req, res) => {
+    try {
+      const { status } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+      if (status !== undefined && !['pending', 'succeeded', 'failed'].includes(status)) {
+        return res.status(400).json({ error: 'status must be pending, succeeded or failed' });
+      }
+      if (!storage.webhooks.get(req.params.id)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const rows = storage.deliveries.list(req.params.id, { status: status ?? null, limit });
+
+      res.json({ data: rows.map(parseDelivery) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch deliveries');
+    }
+  });
+
+  // REDELIVER - POST /webhooks/:id/deliveries/:deliveryId/redeliver
+  // Sends the same payload again as a new delivery (with its own retries)
+  app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', isAdmin, (req, res) => {
+    try {
+      const original = storage.deliveries.get(req.params.deliveryId);
+
+      if (!original || original.webhook_id !== req.params.id) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      const row = createDelivery(original.webhook_id, original.event_id, original.event, original.payload,
+                                 original.id);
+      res.status(202).json(parseDelivery(row));
+    } catch (error) {
+      sendError(res, error, 'Failed to redeliver');
+    }
+  });
+
+  // AUDIT LOG - GET /audit (newest first)
+  // Optional ?settingsId=, ?actor=<key id or name>, ?action=settings.update
+  // and ?since= / ?until= (ISO 8601, since inclusive, until exclusive).
+  // Paged with ?limit= (default 50, max 200) and ?cursor=<pagination.next>.
+  app.get('/audit', isAdmin, (req, res) => {
+    try {
+      const { settingsId, actor, action, since, until, cursor } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+      const query = { limit: limit + 1 };
+      if (settingsId) query.settingsId = String(settingsId);
+      if (actor) query.actor = String(actor);
+      if (action) query.action = String(action);
+      if (since) query.since = parseAuditTime('since', since);
+      if (until) query.until = parseAuditTime('until', until);
+      if (cursor) {
+        if (!/^[1-9][0-9]*$/.test(String(cursor))) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        query.before = Number(cursor);
+      }
+
+      const rows = storage.audit.list(query);
+      const page = rows.slice(0, limit);
+
+      res.json({
+                 data: page.map(parseAuditEntry),
+                 pagination: {
+                   limit,
+                   next: rows.length > limit ? String(page[page.length - 1].id) : null
+                 }
+               });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch audit log');
+    }
+  });
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Errors passed on by middleware, mostly the body parsers (malformed JSON,
+  // a body over the limit, an unsupported encoding). Sent as JSON like every
+  // other error, never as Express's default HTML page with a stack trace.
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, new HttpError(400, 'Request body is not valid JSON'));
+    }
+    const status = error.status ?? error.statusCode;
+    if (error.expose && status >= 400 && status < 500) {
+      return sendError(res, new HttpError(status, error.message));
+    }
+    sendError(res, error, 'Internal server error');
+  });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
+  /**
+   * Stops the app's timers (trash purge, pending webhook deliveries) and
+   * closes its storage. Call it after the server has stopped.
+   */
+  app.close = () => {
+    closed = true;
+    clearInterval(purgeTimer);
+    deliveryTimers.forEach(timer => clearTimeout(timer));
+    deliveryTimers.clear();
+    storage.close();
+  };
 
-export default app;
\ No newline at end of file
+  return app;
+};
\ No newline at end of file
@@ -8,13 +8,25 @@
  * Run tests in watch mode: npm run test:watch
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'node:http';
 import request from 'supertest';
-import app, { clearDatabase } from './app.js';
+import { createApp } from './app.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+import { verifySignature } from './webhooks.js';
+import { REDACTED, createKeyring, isSealed, seal, sealedKeyId, secretBinding } from './secrets.js';
 
-// Clear database before each test for isolation
+let storage;
+let app;
+
+// A fresh in-memory database for each test, for isolation
 beforeEach(() => {
-  clearDatabase();
+  storage = createSqliteStorage();
+  app = createApp(storage);
+});
+
+afterEach(() => {
+  app.close();
 });
 
 describe('Settings API', () => {
@@ -117,6 +129,290 @@ describe('Settings API', () => {
     });
   });
 
+  // Cursor Pagination
+  describe('GET /settings cursor pagination', () => {
+    const seed = async (count) => {
+      for (let i = 1; i <= count; i++) {
+        await request(app).post('/settings').send({ item: i });
+      }
+    };
+
+    const items = (response) => response.body.data.map(s => s.data.item);
+
+    // Full listing in the same order cursors use (newest first, ID tie-break)
+    const allItems = async (sort = '') => {
+      const response = await request(app).get(`/settings?page=1&limit=100&sort=${sort}`);
+      return items(response);
+    };
+
+    it('should page forward and back with opaque cursors', async () => {
+      await seed(5);
+      const all = await allItems();
+
+      const page1 = await request(app)
+          .get('/settings?cursor=&limit=2')
+          .expect(200);
+
+      expect(items(page1)).toEqual(all.slice(0, 2));
+      expect(page1.body.pagination.prev).toBeNull();
+      expect(page1.body.pagination.next).toEqual(expect.any(String));
+      expect(page1.body.pagination).not.toHaveProperty('total');
+
+      const page2 = await request(app)
+          .get(`/settings?cursor=${page1.body.pagination.next}&limit=2`)
+          .expect(200);
+      expect(items(page2)).toEqual(all.slice(2, 4));
+
+      const page3 = await request(app)
+          .get(`/settings?cursor=${page2.body.pagination.next}&limit=2`)
+          .expect(200);
+      expect(items(page3)).toEqual(all.slice(4));
+      expect(page3.body.pagination.next).toBeNull();
+
+      const back = await request(app)
+          .get(`/settings?cursor=${page3.body.pagination.prev}&limit=2`)
+          .expect(200);
+      expect(items(back)).toEqual(all.slice(2, 4));
+
+      const first = await request(app)
+          .get(`/settings?cursor=${back.body.pagination.prev}&limit=2`)
+          .expect(200);
+      expect(items(first)).toEqual(all.slice(0, 2));
+      expect(first.body.pagination.prev).toBeNull();
+    });
+
+    it('should not duplicate or skip rows inserted between page loads', async () => {
+      await seed(4);
+      const all = await allItems();
+
+      const page1 = await request(app).get('/settings?cursor=&limit=2');
+      expect(items(page1)).toEqual(all.slice(0, 2));
+
+      // A new row lands at the front of the list
+      await request(app).post('/settings').send({ item: 99 });
+
+      const page2 = await request(app)
+          .get(`/settings?cursor=${page1.body.pagination.next}&limit=2`);
+      expect(items(page2)).toEqual(all.slice(2, 4));
+    });
+
+    it('should support ascending order and an optional total', async () => {
+      await seed(3);
+      const all = await allItems('createdAt');
+
+      const response = await request(app)
+          .get('/settings?cursor=&limit=2&sort=createdAt&total=true')
+          .expect(200);
+
+      expect(items(response)).toEqual(all.slice(0, 2));
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('should reject malformed cursors and unsupported sorts', async () => {
+      await request(app)
+          .get('/settings?cursor=not-a-cursor')
+          .expect(400);
+
+      await request(app)
+          .get('/settings?cursor=&sort=data.theme')
+          .expect(400);
+
+      await seed(3);
+      const page1 = await request(app).get('/settings?cursor=&limit=1');
+
+      const response = await request(app)
+          .get(`/settings?cursor=${page1.body.pagination.next}&sort=createdAt`)
+          .expect(400);
+
+      expect(response.body.error).toContain('sort');
+    });
+  });
+
+  // Filtering and Sorting
+  describe('GET /settings filtering and sorting', () => {
+    const seed = async () => {
+      const items = [
+        { theme: 'dark', limits: { max: 10 }, region: 'eu', beta: true },
+        { theme: 'light', limits: { max: 50 }, region: 'us' },
+        { theme: 'dark', limits: { max: 30 }, region: 'ap', beta: false }
+      ];
+      for (const item of items) {
+        await request(app).post('/settings').send(item);
+      }
+    };
+
+    const maxes = (response) => response.body.data.map(item => item.data.limits.max);
+
+    it('should filter by equality on a JSON path', async () => {
+      await seed();
+
+      const response = await request(app)
+          .get('/settings?filter[data.theme]=dark&sort=data.limits.max')
+          .expect(200);
+
+      expect(maxes(response)).toEqual([10, 30]);
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should support comparison, existence and in operators', async () => {
+      await seed();
+
+      const gte = await request(app)
+          .get('/settings?filter[data.limits.max][gte]=30&sort=data.limits.max')
+          .expect(200);
+      expect(maxes(gte)).toEqual([30, 50]);
+
+      const exists = await request(app)
+          .get('/settings?filter[data.beta][exists]=false')
+          .expect(200);
+      expect(maxes(exists)).toEqual([50]);
+
+      const bool = await request(app)
+          .get('/settings?filter[data.beta]=true')
+          .expect(200);
+      expect(maxes(bool)).toEqual([10]);
+
+      const inList = await request(app)
+          .get('/settings?filter[data.region][in]=eu,us&sort=-data.limits.max')
+          .expect(200);
+      expect(maxes(inList)).toEqual([50, 10]);
+    });
+
+    it('should sort by timestamps and name', async () => {
+      await request(app).post('/settings?name=b').send({});
+      await request(app).post('/settings?name=a').send({});
+
+      const byName = await request(app)
+          .get('/settings?sort=name')
+          .expect(200);
+      expect(byName.body.data.map(item => item.name)).toEqual(['a', 'b']);
+
+      const oldestFirst = await request(app)
+          .get('/settings?sort=createdAt')
+          .expect(200);
+      const createdAt = oldestFirst.body.data.map(item => item.createdAt);
+      expect(createdAt).toEqual([...createdAt].sort());
+    });
+
+    it('should return 400 with an explanation for bad filter expressions', async () => {
+      const badOperator = await request(app)
+          .get('/settings?filter[data.theme][like]=dark')
+          .expect(400);
+      expect(badOperator.body.error).toContain('Unknown filter operator');
+
+      const badPath = await request(app)
+          .get('/settings?filter[theme]=dark')
+          .expect(400);
+      expect(badPath.body.error).toContain('Invalid path');
+
+      const badExists = await request(app)
+          .get('/settings?filter[data.beta][exists]=maybe')
+          .expect(400);
+      expect(badExists.body.error).toContain('true or false');
+
+      const badSort = await request(app)
+          .get('/settings?sort=random')
+          .expect(400);
+      expect(badSort.body.error).toContain('Cannot sort by');
+    });
+  });
+
+  // Full-Text Search
+  describe('GET /settings/search', () => {
+    it('should find settings by value and highlight the matching path', async () => {
+      const createResponse = await request(app)
+          .post('/settings?name=payments/prod/db')
+          .send({ database: { host: 'db.prod.example.com', port: 5432 } });
+
+      await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' });
+
+      const response = await request(app)
+          .get('/settings/search?q=example')
+          .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].id).toBe(createResponse.body.id);
+      expect(response.body.data[0].name).toBe('payments/prod/db');
+      expect(response.body.data[0].matches).toEqual([
+                                                       {
+                                                         path: '/database/host',
+                                                         key: 'host',
+                                                         value: 'db.prod.<mark>example</mark>.com'
+                                                       }
+                                                     ]);
+    });
+
+    it('should match keys and prefixes', async () => {
+      await request(app)
+          .post('/settings')
+          .send({ featureFlags: { newCheckout: true } });
+
+      const response = await request(app)
+          .get('/settings/search?q=newCheck')
+          .expect(200);
+
+      expect(response.body.data[0].matches[0].path).toBe('/featureFlags/newCheckout');
+      expect(response.body.data[0].matches[0].key).toBe('<mark>newCheckout</mark>');
+    });
+
+    it('should rank objects with more matches first', async () => {
+      const weak = await request(app)
+          .post('/settings')
+          .send({ a: 'redis', b: 'other', c: 'words', d: 'here' });
+
+      const strong = await request(app)
+          .post('/settings')
+          .send({ cache: 'redis', queue: 'redis' });
+
+      const response = await request(app)
+          .get('/settings/search?q=redis')
+          .expect(200);
+
+      expect(response.body.data.map(hit => hit.id)).toEqual([strong.body.id, weak.body.id]);
+    });
+
+    it('should keep the index in sync on update and delete', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ host: 'old-host' });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .put(`/settings/${id}`)
+          .send({ host: 'new-host' });
+
+      const old = await request(app).get('/settings/search?q=old');
+      expect(old.body.total).toBe(0);
+
+      const updated = await request(app).get('/settings/search?q=new');
+      expect(updated.body.total).toBe(1);
+
+      await request(app).delete(`/settings/${id}`);
+
+      const deleted = await request(app).get('/settings/search?q=new');
+      expect(deleted.body.total).toBe(0);
+    });
+
+    it('should treat search operators as plain text and require q', async () => {
+      await request(app)
+          .post('/settings')
+          .send({ note: 'this AND that' });
+
+      const response = await request(app)
+          .get('/settings/search?q=' + encodeURIComponent('AND "that'))
+          .expect(200);
+
+      expect(response.body.total).toBe(1);
+
+      await request(app)
+          .get('/settings/search?q=')
+          .expect(400);
+    });
+  });
+
   // GET /settings/:id
   describe('GET /settings/:id', () => {
     it('should return 404 for non-existent ID', async () => {
@@ -186,6 +482,153 @@ describe('Settings API', () => {
     });
   });
 
+  // PATCH /settings/:id
+  describe('PATCH /settings/:id', () => {
+    it('should apply a JSON Merge Patch without touching other keys', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark', language: 'en', beta: true });
+
+      const id = createResponse.body.id;
+
+      const response = await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ language: 'fr', beta: null }))
+          .expect(200);
+
+      expect(response.body.data).toEqual({ theme: 'dark', language: 'fr' });
+      expect(response.body.revision).toBe(2);
+    });
+
+    it('should apply a JSON Patch including test ops', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ limits: { max: 10 }, tags: ['a'] });
+
+      const id = createResponse.body.id;
+
+      const response = await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(JSON.stringify([
+                                 { op: 'test', path: '/limits/max', value: 10 },
+                                 { op: 'replace', path: '/limits/max', value: 20 },
+                                 { op: 'add', path: '/tags/-', value: 'b' }
+                               ]))
+          .expect(200);
+
+      expect(response.body.data).toEqual({ limits: { max: 20 }, tags: ['a', 'b'] });
+    });
+
+    it('should return 409 and leave data unchanged when a test op fails', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ limits: { max: 10 } });
+
+      const id = createResponse.body.id;
+
+      const response = await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(JSON.stringify([
+                                 { op: 'replace', path: '/limits/max', value: 20 },
+                                 { op: 'test', path: '/limits/max', value: 10 }
+                               ]))
+          .expect(409);
+
+      expect(response.body.error).toContain('test failed');
+
+      const getResponse = await request(app)
+          .get(`/settings/${id}`)
+          .expect(200);
+
+      expect(getResponse.body.data).toEqual({ limits: { max: 10 } });
+      expect(getResponse.body.revision).toBe(1);
+    });
+
+    it('should return 400 for a malformed JSON Patch', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+
+      const response = await request(app)
+          .patch(`/settings/${createResponse.body.id}`)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(JSON.stringify([{ op: 'explode', path: '/a' }]))
+          .expect(400);
+
+      expect(response.body.error).toContain('"op"');
+    });
+
+    it('should reject "__proto__" keys without writing a revision', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+      const id = createResponse.body.id;
+
+      await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send('{"__proto__": {"polluted": 1}}')
+          .expect(400);
+      await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(JSON.stringify([{ op: 'add', path: '/__proto__', value: { polluted: 1 } }]))
+          .expect(400);
+      await request(app).put(`/settings/${id}/data/__proto__`).send({ polluted: 1 }).expect(400);
+
+      const versions = await request(app).get(`/settings/${id}/versions`).expect(200);
+      expect(versions.body.data.map(version => version.revision)).toEqual([1]);
+    });
+
+    it('should return a JSON 400 for a body that is not valid JSON', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+      const id = createResponse.body.id;
+
+      for (const type of ['application/merge-patch+json', 'application/json-patch+json']) {
+        const response = await request(app)
+            .patch(`/settings/${id}`)
+            .set('Content-Type', type)
+            .send('{"a": ')
+            .expect('Content-Type', /json/)
+            .expect(400);
+        expect(response.body).toEqual({ error: 'Request body is not valid JSON' });
+      }
+
+      await request(app).post('/settings').set('Content-Type', 'application/json').send('{oops').expect(400);
+      const bare = await request(app).put(`/settings/${id}`).set('Content-Type', 'application/json').send('5').expect(400);
+      expect(bare.body).toEqual({ error: 'Request body is not valid JSON' });
+
+      const getResponse = await request(app).get(`/settings/${id}`).expect(200);
+      expect(getResponse.body.revision).toBe(1);
+    });
+
+    it('should return 415 for an unsupported content type', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+
+      await request(app)
+          .patch(`/settings/${createResponse.body.id}`)
+          .send({ a: 2 })
+          .expect(415);
+    });
+
+    it('should return 404 for non-existent ID', async () => {
+      const fakeId = '00000000-0000-0000-0000-000000000000';
+
+      await request(app)
+          .patch(`/settings/${fakeId}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ a: 1 }))
+          .expect(404);
+    });
+  });
+
   // DELETE /settings/:id
   describe('DELETE /settings/:id', () => {
     it('should return 204 for existing ID', async () => {
@@ -222,7 +665,2925 @@ describe('Settings API', () => {
     });
   });
 
-  // Parameter Validation
+  // Optimistic Concurrency (ETags)
+  describe('ETags and Conditional Requests', () => {
+    it('should return a strong ETag that changes on every write', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' });
+
+      const id = createResponse.body.id;
+
+      const first = await request(app)
+          .get(`/settings/${id}`)
+          .expect(200);
+
+      expect(first.headers.etag).toMatch(/^"[^"]+"$/);
+      expect(first.headers.etag).toBe(createResponse.headers.etag);
+
+      const updateResponse = await request(app)
+          .put(`/settings/${id}`)
+          .send({ theme: 'light' })
+          .expect(200);
+
+      expect(updateResponse.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    it('should return 304 when If-None-Match matches', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' });
+
+      const id = createResponse.body.id;
+      const etag = createResponse.headers.etag;
+
+      await request(app)
+          .get(`/settings/${id}`)
+          .set('If-None-Match', etag)
+          .expect(304);
+
+      await request(app)
+          .get(`/settings/${id}`)
+          .set('If-None-Match', '"stale"')
+          .expect(200);
+    });
+
+    it('should give each format and view its own ETag', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' })
+          .expect(201);
+
+      const id = createResponse.body.id;
+      const json = createResponse.headers.etag;
+      const yaml = await request(app).get(`/settings/${id}`).set('Accept', 'application/yaml').expect(200);
+      const env = await request(app).get(`/settings/${id}?env=prod`).expect(200);
+      const resolved = await request(app).get(`/settings/${id}?resolved=true`).expect(200);
+      const revealed = await request(app).get(`/settings/${id}?reveal=true`).expect(200);
+
+      const etags = [json, yaml.headers.etag, env.headers.etag, resolved.headers.etag, revealed.headers.etag];
+      expect(new Set(etags).size).toBe(etags.length);
+
+      // A copy cached in one format is not confirmed for another
+      await request(app)
+          .get(`/settings/${id}`)
+          .set('Accept', 'application/yaml')
+          .set('If-None-Match', json)
+          .expect(200);
+      await request(app)
+          .get(`/settings/${id}`)
+          .set('Accept', 'application/yaml')
+          .set('If-None-Match', yaml.headers.etag)
+          .expect(304);
+      await request(app).get(`/settings/${id}?env=prod`).set('If-None-Match', json).expect(200);
+
+      // Any representation's ETag can guard a write
+      await request(app)
+          .put(`/settings/${id}`)
+          .set('If-Match', yaml.headers.etag)
+          .send({ theme: 'light' })
+          .expect(200);
+      await request(app)
+          .put(`/settings/${id}`)
+          .set('If-Match', env.headers.etag)
+          .send({ theme: 'blue' })
+          .expect(412);
+    });
+
+    it('should reject a PUT with a stale If-Match with 412', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' });
+
+      const id = createResponse.body.id;
+      const staleEtag = createResponse.headers.etag;
+
+      // Someone else updates first
+      await request(app)
+          .put(`/settings/${id}`)
+          .set('If-Match', staleEtag)
+          .send({ theme: 'light' })
+          .expect(200);
+
+      const response = await request(app)
+          .put(`/settings/${id}`)
+          .set('If-Match', staleEtag)
+          .send({ theme: 'blue' })
+          .expect(412);
+
+      expect(response.body.error).toContain('Precondition Failed');
+
+      const getResponse = await request(app).get(`/settings/${id}`);
+      expect(getResponse.body.data).toEqual({ theme: 'light' });
+    });
+
+    it('should enforce If-Match on PATCH and DELETE', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .set('If-Match', '"stale"')
+          .send(JSON.stringify({ a: 2 }))
+          .expect(412);
+
+      await request(app)
+          .delete(`/settings/${id}`)
+          .set('If-Match', '"stale"')
+          .expect(412);
+
+      await request(app)
+          .delete(`/settings/${id}`)
+          .set('If-Match', createResponse.headers.etag)
+          .expect(204);
+    });
+
+    it('should accept If-Match: * for existing settings', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+
+      await request(app)
+          .put(`/settings/${createResponse.body.id}`)
+          .set('If-Match', '*')
+          .send({ a: 2 })
+          .expect(200);
+    });
+  });
+
+  // Revision History
+  describe('Revision History', () => {
+    it('should start new settings at revision 1', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' })
+          .expect(201);
+
+      expect(createResponse.body.revision).toBe(1);
+
+      const response = await request(app)
+          .get(`/settings/${createResponse.body.id}/versions`)
+          .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].revision).toBe(1);
+      expect(response.body.data[0].data).toEqual({ theme: 'dark' });
+    });
+
+    it('should record a new revision on every update', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ theme: 'dark' });
+
+      const id = createResponse.body.id;
+
+      const updateResponse = await request(app)
+          .put(`/settings/${id}`)
+          .send({ theme: 'light' })
+          .expect(200);
+
+      expect(updateResponse.body.revision).toBe(2);
+
+      const list = await request(app)
+          .get(`/settings/${id}/versions`)
+          .expect(200);
+
+      // Newest revision first
+      expect(list.body.data.map(r => r.revision)).toEqual([2, 1]);
+
+      const first = await request(app)
+          .get(`/settings/${id}/versions/1`)
+          .expect(200);
+
+      expect(first.body.data).toEqual({ theme: 'dark' });
+
+      const current = await request(app)
+          .get(`/settings/${id}`)
+          .expect(200);
+
+      expect(current.body.revision).toBe(2);
+    });
+
+    it('should return 404 for unknown settings or revision', async () => {
+      const fakeId = '00000000-0000-0000-0000-000000000000';
+
+      await request(app)
+          .get(`/settings/${fakeId}/versions`)
+          .expect(404);
+
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+
+      const response = await request(app)
+          .get(`/settings/${createResponse.body.id}/versions/5`)
+          .expect(404);
+
+      expect(response.body.error).toBe('Revision not found');
+    });
+
+    it('should roll back by restoring an old revision as a new one', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ limit: 10 });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .put(`/settings/${id}`)
+          .send({ limit: 9999 });
+
+      const rollback = await request(app)
+          .post(`/settings/${id}/versions/1/rollback`)
+          .expect(200);
+
+      expect(rollback.body.revision).toBe(3);
+      expect(rollback.body.data).toEqual({ limit: 10 });
+
+      // The bad revision is still in the history
+      const bad = await request(app)
+          .get(`/settings/${id}/versions/2`)
+          .expect(200);
+
+      expect(bad.body.data).toEqual({ limit: 9999 });
+    });
+
+    it('should discard history when settings are deleted', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ a: 1 });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .delete(`/settings/${id}`)
+          .expect(204);
+
+      await request(app)
+          .get(`/settings/${id}/versions/1`)
+          .expect(404);
+    });
+  });
+
+  // Schema Registry and Validation
+  describe('Diffs', () => {
+    const create = async (data, name) => {
+      const response = await request(app)
+          .post(name ? `/settings?name=${name}` : '/settings')
+          .send(data)
+          .expect(201);
+      return response.body.id;
+    };
+
+    it('should diff two revisions, element by element in arrays', async () => {
+      const id = await create({ hosts: ['b', 'c'], pool: 5, debug: true });
+      await request(app).put(`/settings/${id}`).send({ hosts: ['a', 'b', 'c'], pool: 10 }).expect(200);
+
+      const response = await request(app).get(`/settings/${id}/diff?from=1&to=2`).expect(200);
+      expect(response.body).toEqual({
+        from: 1,
+        to: 2,
+        added: [{ path: '/hosts/0', value: 'a' }],
+        removed: [{ path: '/debug', value: true }],
+        changed: [{ path: '/pool', oldValue: 5, newValue: 10 }]
+      });
+
+      // "to" defaults to the current revision
+      const current = await request(app).get(`/settings/${id}/diff?from=1`).expect(200);
+      expect(current.body.to).toBe(2);
+    });
+
+    it('should render a diff as a JSON Patch that can be applied', async () => {
+      const id = await create({ list: [{ id: 1 }, { id: 2 }, { id: 3 }], mode: 'a' });
+      await request(app).put(`/settings/${id}`).send({ list: [{ id: 3 }, { id: 1, on: true }], mode: 'b' }).expect(200);
+
+      const response = await request(app)
+          .get(`/settings/${id}/diff?from=1&to=2&format=patch`)
+          .expect('Content-Type', /application\/json-patch\+json/)
+          .expect(200);
+      const patch = JSON.parse(response.text);
+      expect(patch.every(operation => ['add', 'remove', 'replace'].includes(operation.op))).toBe(true);
+
+      // Applying it to revision 1 gives revision 2 again
+      await request(app).post(`/settings/${id}/versions/1/rollback`).expect(200);
+      const patched = await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(response.text)
+          .expect(200);
+      expect(patched.body.data).toEqual({ list: [{ id: 3 }, { id: 1, on: true }], mode: 'b' });
+    });
+
+    it('should diff two objects by ID or name, per environment', async () => {
+      const a = await create({ db: { host: 'a', pool: 5 } }, 'svc/a');
+      const b = await create({ db: { host: 'b', pool: 5 } }, 'svc/b');
+      await request(app).put(`/settings/${b}/environments/prod`).send({ db: { pool: 50 } }).expect(200);
+
+      const response = await request(app).get(`/settings/diff?a=${a}&b=svc/b`).expect(200);
+      expect(response.body.a).toEqual({ id: a, name: 'svc/a', revision: 1 });
+      expect(response.body.b).toMatchObject({ id: b, name: 'svc/b' });
+      expect(response.body.changed).toEqual([{ path: '/db/host', oldValue: 'a', newValue: 'b' }]);
+
+      const prod = await request(app).get(`/settings/diff?a=svc/a&b=svc/b&env=prod`).expect(200);
+      expect(prod.body.changed.map(change => change.path)).toEqual(['/db/host', '/db/pool']);
+    });
+
+    it('should show changed secrets redacted', async () => {
+      const response = await request(app)
+          .post('/settings?secrets=/token')
+          .send({ token: 'one', plain: 1 })
+          .expect(201);
+      await request(app).put(`/settings/${response.body.id}`).send({ token: 'two', plain: 1 }).expect(200);
+
+      const diff = await request(app).get(`/settings/${response.body.id}/diff?from=1`).expect(200);
+      expect(diff.body.changed).toEqual([{ path: '/token', oldValue: REDACTED, newValue: REDACTED }]);
+
+      const revealed = await request(app).get(`/settings/${response.body.id}/diff?from=1&reveal=true`).expect(200);
+      expect(revealed.body.changed).toEqual([{ path: '/token', oldValue: 'one', newValue: 'two' }]);
+    });
+
+    it('should reject bad parameters and report missing revisions and objects', async () => {
+      const id = await create({ a: 1 });
+
+      await request(app).get(`/settings/${id}/diff`).expect(400);
+      await request(app).get(`/settings/${id}/diff?from=1&to=x`).expect(400);
+      await request(app).get(`/settings/${id}/diff?from=1&format=html`).expect(400);
+      const missing = await request(app).get(`/settings/${id}/diff?from=1&to=9`).expect(404);
+      expect(missing.body.error).toBe('Revision 9 not found');
+
+      await request(app).get(`/settings/diff?a=${id}`).expect(400);
+      const unknown = await request(app).get(`/settings/diff?a=${id}&b=nope`).expect(404);
+      expect(unknown.body.error).toBe('Settings not found: nope');
+    });
+  });
+
+  describe('Schemas', () => {
+    const themeSchema = {
+      type: 'object',
+      properties: {
+        theme: { enum: ['dark', 'light'] },
+        fontSize: { type: 'number' }
+      },
+      required: ['theme']
+    };
+
+    const createSchema = async (schema = themeSchema, name = 'ui') => {
+      const response = await request(app)
+          .post('/schemas')
+          .send({ name, schema })
+          .expect(201);
+      return response.body;
+    };
+
+    it('should create, fetch and version schemas', async () => {
+      const created = await createSchema();
+      expect(created.version).toBe(1);
+
+      const updated = await request(app)
+          .put(`/schemas/${created.id}`)
+          .send({ schema: { ...themeSchema, required: [] } })
+          .expect(200);
+
+      expect(updated.body.version).toBe(2);
+
+      const v1 = await request(app)
+          .get(`/schemas/${created.id}/versions/1`)
+          .expect(200);
+
+      expect(v1.body.schema.required).toEqual(['theme']);
+
+      const list = await request(app)
+          .get('/schemas')
+          .expect(200);
+
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].version).toBe(2);
+    });
+
+    it('should version schemas that declare an $id', async () => {
+      const withId = { $id: 'https://example.com/ui.json', ...themeSchema };
+      const created = await createSchema(withId);
+
+      await request(app)
+          .put(`/schemas/${created.id}`)
+          .send({ schema: { ...withId, required: [] } })
+          .expect(200);
+
+      // The same $id in another schema is fine too
+      await createSchema(withId, 'ui-copy');
+      await request(app)
+          .post(`/settings?schemaId=${created.id}`)
+          .send({ fontSize: 12 })
+          .expect(201);
+    });
+
+    it('should reject invalid schemas and duplicate names', async () => {
+      await request(app)
+          .post('/schemas')
+          .send({ name: 'bad', schema: { type: 'not-a-type' } })
+          .expect(400);
+
+      await createSchema();
+      await request(app)
+          .post('/schemas')
+          .send({ name: 'ui', schema: {} })
+          .expect(409);
+    });
+
+    it('should accept valid data for a schema-bound settings object', async () => {
+      const schema = await createSchema();
+
+      const response = await request(app)
+          .post(`/settings?schemaId=${schema.id}`)
+          .send({ theme: 'dark', fontSize: 14 })
+          .expect(201);
+
+      expect(response.body.schema).toEqual({ id: schema.id, version: null });
+
+      await request(app)
+          .put(`/settings/${response.body.id}`)
+          .send({ theme: 'light' })
+          .expect(200);
+    });
+
+    it('should return 422 listing every violation by JSON Pointer', async () => {
+      const schema = await createSchema();
+
+      const response = await request(app)
+          .post(`/settings?schemaId=${schema.id}`)
+          .send({ thmee: 'dark', fontSize: 'big' })
+          .expect(422);
+
+      const paths = response.body.violations.map(v => v.path).sort();
+      expect(paths).toEqual(['/fontSize', '/theme']);
+    });
+
+    it('should validate PUT and PATCH against the attached schema', async () => {
+      const schema = await createSchema();
+
+      const createResponse = await request(app)
+          .post(`/settings?schemaId=${schema.id}`)
+          .send({ theme: 'dark' });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .put(`/settings/${id}`)
+          .send({ theme: 'purple' })
+          .expect(422);
+
+      await request(app)
+          .patch(`/settings/${id}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ theme: null }))
+          .expect(422);
+
+      const getResponse = await request(app).get(`/settings/${id}`);
+      expect(getResponse.body.data).toEqual({ theme: 'dark' });
+    });
+
+    it('should accept anything for schema-less settings', async () => {
+      const response = await request(app)
+          .post('/settings')
+          .send({ thmee: 'anything' })
+          .expect(201);
+
+      expect(response.body.schema).toBeNull();
+    });
+
+    it('should only attach a schema the current data conforms to', async () => {
+      const schema = await createSchema();
+
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ color: 'red' });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .put(`/settings/${id}/schema`)
+          .send({ schemaId: schema.id })
+          .expect(422);
+
+      await request(app)
+          .put(`/settings/${id}`)
+          .send({ theme: 'dark' });
+
+      const attached = await request(app)
+          .put(`/settings/${id}/schema`)
+          .send({ schemaId: schema.id, version: 1 })
+          .expect(200);
+
+      expect(attached.body.schema).toEqual({ id: schema.id, version: 1 });
+
+      await request(app)
+          .delete(`/settings/${id}/schema`)
+          .expect(204);
+
+      await request(app)
+          .put(`/settings/${id}`)
+          .send({ color: 'red' })
+          .expect(200);
+    });
+
+    it('should honor If-Match when attaching and detaching a schema', async () => {
+      const schema = await createSchema();
+      const created = await request(app).post('/settings').send({ theme: 'dark' }).expect(201);
+      const id = created.body.id;
+      const stale = created.headers.etag;
+
+      await request(app).put(`/settings/${id}`).send({ theme: 'light' }).expect(200);
+      await request(app)
+          .put(`/settings/${id}/schema`)
+          .set('If-Match', stale)
+          .send({ schemaId: schema.id })
+          .expect(412);
+
+      const current = await request(app).get(`/settings/${id}`).expect(200);
+      const attached = await request(app)
+          .put(`/settings/${id}/schema`)
+          .set('If-Match', current.headers.etag)
+          .send({ schemaId: schema.id })
+          .expect(200);
+
+      await request(app).delete(`/settings/${id}/schema`).set('If-Match', current.headers.etag).expect(412);
+      const detached = await request(app)
+          .delete(`/settings/${id}/schema`)
+          .set('If-Match', attached.headers.etag)
+          .expect(204);
+
+      const after = await request(app).get(`/settings/${id}`).expect(200);
+      expect(after.body.schema).toBeNull();
+      expect(detached.headers.etag).toBe(after.headers.etag);
+    });
+
+    it('should refuse schema changes that would break existing settings', async () => {
+      const schema = await createSchema();
+
+      const createResponse = await request(app)
+          .post(`/settings?schemaId=${schema.id}`)
+          .send({ theme: 'dark' });
+
+      const response = await request(app)
+          .put(`/schemas/${schema.id}`)
+          .send({ schema: { ...themeSchema, required: ['theme', 'fontSize'] } })
+          .expect(409);
+
+      expect(response.body.settings[0].id).toBe(createResponse.body.id);
+
+      // Schemas in use cannot be deleted
+      await request(app)
+          .delete(`/schemas/${schema.id}`)
+          .expect(409);
+    });
+
+    it('should return 400 when creating with an unknown schema', async () => {
+      await request(app)
+          .post('/settings?schemaId=00000000-0000-0000-0000-000000000000')
+          .send({ theme: 'dark' })
+          .expect(400);
+    });
+  });
+
+  // Names and Namespaces
+  describe('Names', () => {
+    it('should create named settings and look them up by name', async () => {
+      const createResponse = await request(app)
+          .post('/settings?name=payments/prod/limits')
+          .send({ max: 100 })
+          .expect(201);
+
+      expect(createResponse.body.name).toBe('payments/prod/limits');
+
+      const response = await request(app)
+          .get('/settings/by-name/payments/prod/limits')
+          .expect(200);
+
+      expect(response.body.id).toBe(createResponse.body.id);
+      expect(response.body.data).toEqual({ max: 100 });
+
+      await request(app)
+          .get('/settings/by-name/payments/prod/other')
+          .expect(404);
+    });
+
+    it('should keep names optional and unique', async () => {
+      const unnamed = await request(app)
+          .post('/settings')
+          .send({ a: 1 })
+          .expect(201);
+
+      expect(unnamed.body.name).toBeNull();
+
+      await request(app)
+          .post('/settings?name=shared/flags')
+          .send({ a: 1 })
+          .expect(201);
+
+      const response = await request(app)
+          .post('/settings?name=shared/flags')
+          .send({ a: 2 })
+          .expect(409);
+
+      expect(response.body.error).toContain('already in use');
+    });
+
+    it('should reject malformed names', async () => {
+      await request(app)
+          .post('/settings?name=/leading/slash')
+          .send({})
+          .expect(400);
+
+      await request(app)
+          .post('/settings?name=has spaces')
+          .send({})
+          .expect(400);
+
+      await request(app)
+          .post('/settings?name=00000000-0000-0000-0000-000000000000')
+          .send({})
+          .expect(400);
+    });
+
+    it('should list settings by namespace prefix', async () => {
+      for (const name of ['payments/prod/limits', 'payments/dev/limits', 'payments-v2/x', 'search/prod']) {
+        await request(app)
+            .post(`/settings?name=${name}`)
+            .send({});
+      }
+
+      const payments = await request(app)
+          .get('/settings?namespace=payments&limit=10')
+          .expect(200);
+
+      expect(payments.body.data.map(s => s.name).sort())
+          .toEqual(['payments/dev/limits', 'payments/prod/limits']);
+      expect(payments.body.pagination.total).toBe(2);
+
+      const prod = await request(app)
+          .get('/settings?namespace=payments/prod/')
+          .expect(200);
+
+      expect(prod.body.data.map(s => s.name)).toEqual(['payments/prod/limits']);
+    });
+
+    it('should rename and unname settings', async () => {
+      const createResponse = await request(app)
+          .post('/settings?name=old/name')
+          .send({});
+
+      const id = createResponse.body.id;
+
+      const renamed = await request(app)
+          .put(`/settings/${id}/name`)
+          .send({ name: 'new/name' })
+          .expect(200);
+
+      expect(renamed.body.name).toBe('new/name');
+      expect(renamed.headers.etag).not.toBe(createResponse.headers.etag);
+
+      await request(app)
+          .get('/settings/by-name/old/name')
+          .expect(404);
+
+      const cleared = await request(app)
+          .put(`/settings/${id}/name`)
+          .send({ name: null })
+          .expect(200);
+
+      expect(cleared.body.name).toBeNull();
+    });
+  });
+
+  // Layered Inheritance
+  describe('Inheritance', () => {
+    const create = async (data, query = '') => {
+      const response = await request(app)
+          .post(`/settings${query}`)
+          .send(data)
+          .expect(201);
+      return response.body;
+    };
+
+    it('should return the merged view with provenance when resolved=true', async () => {
+      const base = await create({ theme: 'dark', db: { host: 'base-db', pool: 5 } });
+      const region = await create({ db: { host: 'eu-db' } });
+      const child = await create({ theme: 'light' }, `?parents=${base.id},${region.id}`);
+
+      expect(child.parents).toEqual([base.id, region.id]);
+
+      const response = await request(app)
+          .get(`/settings/${child.id}?resolved=true`)
+          .expect(200);
+
+      // Raw view is untouched
+      expect(response.body.data).toEqual({ theme: 'light' });
+      expect(response.body.resolved.data).toEqual({
+                                                    theme: 'light',
+                                                    db: { host: 'eu-db', pool: 5 }
+                                                  });
+      expect(response.body.resolved.provenance).toEqual({
+                                                          '/theme': child.id,
+                                                          '/db/host': region.id,
+                                                          '/db/pool': base.id
+                                                        });
+
+      // Without the flag only the raw view is returned
+      const raw = await request(app)
+          .get(`/settings/${child.id}`)
+          .expect(200);
+
+      expect(raw.body).not.toHaveProperty('resolved');
+    });
+
+    it('should follow multi-level inheritance and reflect parent changes', async () => {
+      const grandparent = await create({ a: 1, b: 1 });
+      const parent = await create({ b: 2 }, `?parents=${grandparent.id}`);
+      const child = await create({}, `?parents=${parent.id}`);
+
+      const before = await request(app)
+          .get(`/settings/${child.id}?resolved=true`)
+          .expect(200);
+
+      expect(before.body.resolved.data).toEqual({ a: 1, b: 2 });
+
+      await request(app)
+          .put(`/settings/${grandparent.id}`)
+          .send({ a: 99, b: 1 });
+
+      // A parent change invalidates the resolved ETag
+      const after = await request(app)
+          .get(`/settings/${child.id}?resolved=true`)
+          .set('If-None-Match', before.headers.etag)
+          .expect(200);
+
+      expect(after.body.resolved.data).toEqual({ a: 99, b: 2 });
+    });
+
+    it('should reject cycles when setting parents', async () => {
+      const a = await create({});
+      const b = await create({}, `?parents=${a.id}`);
+
+      const response = await request(app)
+          .put(`/settings/${a.id}/parents`)
+          .send({ parents: [b.id] })
+          .expect(400);
+
+      expect(response.body.error).toContain('cycle');
+
+      await request(app)
+          .put(`/settings/${a.id}/parents`)
+          .send({ parents: [a.id] })
+          .expect(400);
+    });
+
+    it('should reject unknown parents', async () => {
+      await request(app)
+          .post('/settings?parents=00000000-0000-0000-0000-000000000000')
+          .send({})
+          .expect(400);
+    });
+
+    it('should update and clear parents', async () => {
+      const base = await create({ a: 1 });
+      const child = await create({ b: 2 });
+
+      const updated = await request(app)
+          .put(`/settings/${child.id}/parents`)
+          .send({ parents: [base.id] })
+          .expect(200);
+
+      expect(updated.body.parents).toEqual([base.id]);
+
+      const cleared = await request(app)
+          .put(`/settings/${child.id}/parents`)
+          .send({ parents: [] })
+          .expect(200);
+
+      expect(cleared.body.parents).toEqual([]);
+    });
+
+    it('should skip parents that have been deleted', async () => {
+      const base = await create({ a: 1 });
+      const child = await create({ b: 2 }, `?parents=${base.id}`);
+
+      await request(app)
+          .delete(`/settings/${base.id}`)
+          .expect(204);
+
+      const response = await request(app)
+          .get(`/settings/${child.id}?resolved=true`)
+          .expect(200);
+
+      expect(response.body.resolved.data).toEqual({ b: 2 });
+    });
+  });
+
+  // Environment Overlays
+  describe('Environments', () => {
+    const createWithOverrides = async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ db: { host: 'localhost', pool: 5 }, debug: true });
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .put(`/settings/${id}/environments/staging`)
+          .send({ db: { host: 'staging-db' } })
+          .expect(200);
+
+      await request(app)
+          .put(`/settings/${id}/environments/prod`)
+          .send({ db: { host: 'prod-db', pool: 50 }, debug: false })
+          .expect(200);
+
+      return id;
+    };
+
+    it('should return the effective config for an environment', async () => {
+      const id = await createWithOverrides();
+
+      const response = await request(app)
+          .get(`/settings/${id}?env=staging`)
+          .expect(200);
+
+      expect(response.body.data).toEqual({ db: { host: 'localhost', pool: 5 }, debug: true });
+      expect(response.body.environment).toEqual({
+                                                  name: 'staging',
+                                                  data: { db: { host: 'staging-db', pool: 5 }, debug: true }
+                                                });
+
+      // Environments without an override get the defaults
+      const dev = await request(app)
+          .get(`/settings/${id}?env=dev`)
+          .expect(200);
+
+      expect(dev.body.environment.data).toEqual(dev.body.data);
+    });
+
+    it('should edit one environment without touching the others', async () => {
+      const id = await createWithOverrides();
+
+      const response = await request(app)
+          .put(`/settings/${id}/environments/staging`)
+          .send({ debug: false })
+          .expect(200);
+
+      expect(response.body.overrides).toEqual({
+                                                staging: { debug: false },
+                                                prod: { db: { host: 'prod-db', pool: 50 }, debug: false }
+                                              });
+      expect(response.body.data).toEqual({ db: { host: 'localhost', pool: 5 }, debug: true });
+
+      const override = await request(app)
+          .get(`/settings/${id}/environments/staging`)
+          .expect(200);
+
+      expect(override.body).toEqual({ debug: false });
+
+      await request(app)
+          .delete(`/settings/${id}/environments/staging`)
+          .expect(204);
+
+      await request(app)
+          .get(`/settings/${id}/environments/staging`)
+          .expect(404);
+    });
+
+    it('should diff the effective config of two environments', async () => {
+      const id = await createWithOverrides();
+
+      const response = await request(app)
+          .get(`/settings/${id}/env-diff?from=staging&to=prod`)
+          .expect(200);
+
+      expect(response.body.changed).toEqual([
+                                               { path: '/db/host', oldValue: 'staging-db', newValue: 'prod-db' },
+                                               { path: '/db/pool', oldValue: 5, newValue: 50 },
+                                               { path: '/debug', oldValue: true, newValue: false }
+                                             ]);
+      expect(response.body.added).toEqual([]);
+      expect(response.body.removed).toEqual([]);
+
+      await request(app)
+          .get(`/settings/${id}/env-diff?from=staging`)
+          .expect(400);
+    });
+
+    it('should record overrides in revisions and restore them on rollback', async () => {
+      const id = await createWithOverrides();
+
+      // Revisions: 1 create, 2 staging, 3 prod
+      const rollback = await request(app)
+          .post(`/settings/${id}/versions/2/rollback`)
+          .expect(200);
+
+      expect(Object.keys(rollback.body.overrides)).toEqual(['staging']);
+    });
+
+    it('should validate environment effective data against the schema', async () => {
+      const schema = await request(app)
+          .post('/schemas')
+          .send({ name: 'pool', schema: { properties: { pool: { type: 'number' } } } });
+
+      const createResponse = await request(app)
+          .post(`/settings?schemaId=${schema.body.id}`)
+          .send({ pool: 5 });
+
+      const response = await request(app)
+          .put(`/settings/${createResponse.body.id}/environments/prod`)
+          .send({ pool: 'fifty' })
+          .expect(422);
+
+      expect(response.body.violations).toEqual([
+                                                  expect.objectContaining({ path: '/pool', environment: 'prod' })
+                                                ]);
+    });
+
+    it('should reject invalid environment names and non-object overrides', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({});
+
+      const id = createResponse.body.id;
+
+      await request(app)
+          .put(`/settings/${id}/environments/bad name`)
+          .send({})
+          .expect(400);
+
+      await request(app)
+          .put(`/settings/${id}/environments/prod`)
+          .send([1, 2])
+          .expect(400);
+    });
+  });
+
+  // Parameter Validation
+  describe('POST /settings/batch', () => {
+    const missing = '00000000-0000-4000-8000-000000000000';
+
+    it('should run create, update, patch and delete operations together', async () => {
+      const first = await request(app).post('/settings').send({ theme: 'dark' });
+      const second = await request(app).post('/settings').send({ old: true });
+
+      const response = await request(app)
+          .post('/settings/batch')
+          .send({
+                  operations: [
+                    { op: 'create', data: { fresh: 1 }, name: 'batch/fresh' },
+                    { op: 'update', id: first.body.id, data: { theme: 'light' } },
+                    { op: 'patch', id: first.body.id, patch: { font: 'mono' } },
+                    { op: 'delete', id: second.body.id }
+                  ]
+                })
+          .expect(200);
+
+      expect(response.body.results.map(result => result.status)).toEqual([201, 200, 200, 204]);
+      expect(response.body.results[0].body.name).toBe('batch/fresh');
+      expect(response.body.results[2].body.data).toEqual({ theme: 'light', font: 'mono' });
+      expect(response.body.results[2].body.revision).toBe(3);
+      expect(response.body.results[2].etag).toBeDefined();
+
+      await request(app).get(`/settings/${second.body.id}`).expect(404);
+      await request(app).get('/settings/by-name/batch/fresh').expect(200);
+    });
+
+    it('should roll back every operation when one fails', async () => {
+      const existing = await request(app).post('/settings').send({ theme: 'dark' });
+
+      const response = await request(app)
+          .post('/settings/batch')
+          .send({
+                  operations: [
+                    { op: 'create', data: { a: 1 } },
+                    { op: 'update', id: existing.body.id, data: { theme: 'light' } },
+                    { op: 'update', id: missing, data: {} },
+                    { op: 'delete', id: existing.body.id }
+                  ]
+                })
+          .expect(409);
+
+      expect(response.body.failedOperation).toBe(2);
+      expect(response.body.results.map(result => result.status)).toEqual([201, 200, 404]);
+
+      const list = await request(app).get('/settings').expect(200);
+      expect(list.body.pagination.total).toBe(1);
+
+      const unchanged = await request(app).get(`/settings/${existing.body.id}`).expect(200);
+      expect(unchanged.body.data).toEqual({ theme: 'dark' });
+      expect(unchanged.body.revision).toBe(1);
+    });
+
+    it('should keep going past failures with continueOnError', async () => {
+      const existing = await request(app).post('/settings').send({ tags: ['a'] });
+
+      const response = await request(app)
+          .post('/settings/batch')
+          .send({
+                  continueOnError: true,
+                  operations: [
+                    { op: 'patch', id: existing.body.id, patch: { tags: ['b'] } },
+                    {
+                      op: 'patch',
+                      id: existing.body.id,
+                      contentType: 'application/json-patch+json',
+                      patch: [{ op: 'test', path: '/tags/0', value: 'a' }]
+                    },
+                    { op: 'patch', id: existing.body.id, contentType: 'text/plain', patch: 'x' },
+                    { op: 'update', id: existing.body.id, data: { v: 2 }, ifMatch: '"stale"' },
+                    { op: 'create', data: { b: 2 } }
+                  ]
+                })
+          .expect(200);
+
+      // Same status codes as PATCH, PUT and POST /settings would return
+      expect(response.body.results.map(result => result.status)).toEqual([200, 409, 415, 412, 201]);
+      expect(response.body.results[1].body.error).toMatch(/test failed/);
+
+      const current = await request(app).get(`/settings/${existing.body.id}`).expect(200);
+      expect(current.body.data).toEqual({ tags: ['b'] });
+      expect(current.body.revision).toBe(2);
+    });
+
+    it('should report deletes of unknown IDs as 204, like DELETE /settings/:id', async () => {
+      const response = await request(app)
+          .post('/settings/batch')
+          .send({ operations: [{ op: 'delete', id: missing }] })
+          .expect(200);
+
+      expect(response.body.results).toEqual([{ status: 204 }]);
+    });
+
+    it('should reject malformed batches before running anything', async () => {
+      await request(app).post('/settings/batch').send({}).expect(400);
+      await request(app).post('/settings/batch').send({ operations: [] }).expect(400);
+
+      const response = await request(app)
+          .post('/settings/batch')
+          .send({ operations: [{ op: 'create', data: {} }, { op: 'replace', id: missing }] })
+          .expect(400);
+
+      expect(response.body.error).toMatch(/Operation 1/);
+
+      const list = await request(app).get('/settings').expect(200);
+      expect(list.body.pagination.total).toBe(0);
+    });
+  });
+
+  describe('Export and Import', () => {
+    const idA = '11111111-1111-4111-8111-111111111111';
+    const idB = '22222222-2222-4222-8222-222222222222';
+
+    const seed = async () => {
+      const first = await request(app).post('/settings?name=team/web').send({ theme: 'dark' });
+      const second = await request(app).post('/settings').send({ limits: { max: 10 } });
+      return [first.body, second.body];
+    };
+
+    it('should export every settings object as JSON', async () => {
+      const [first, second] = await seed();
+
+      const response = await request(app)
+          .get('/settings/export')
+          .expect('Content-Type', /json/)
+          .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/settings-export\.json/);
+      expect(response.body).toHaveLength(2);
+      expect(response.body.map(record => record.id).sort()).toEqual([first.id, second.id].sort());
+      expect(response.body.find(record => record.id === first.id)).toEqual({
+                                                                             id: first.id,
+                                                                             name: 'team/web',
+                                                                             data: { theme: 'dark' },
+                                                                             createdAt: first.createdAt,
+                                                                             updatedAt: first.updatedAt
+                                                                           });
+    });
+
+    it('should export NDJSON with one object per line', async () => {
+      await seed();
+
+      const response = await request(app)
+          .get('/settings/export?format=ndjson')
+          .expect('Content-Type', /application\/x-ndjson/)
+          .expect(200);
+
+      const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(2);
+
+      await request(app).get('/settings/export?format=xml').expect(400);
+    });
+
+    it('should export an empty store as an empty array', async () => {
+      const response = await request(app).get('/settings/export').expect(200);
+      expect(response.body).toEqual([]);
+    });
+
+    it('should round-trip an export into an empty store', async () => {
+      await seed();
+      const exported = await request(app).get('/settings/export?format=ndjson');
+
+      storage.clear();
+
+      const response = await request(app)
+          .post('/settings/import')
+          .set('Content-Type', 'application/x-ndjson')
+          .send(exported.text)
+          .expect(200);
+
+      expect(response.body.summary).toEqual({ created: 2, updated: 0, skipped: 0, unchanged: 0 });
+
+      const again = await request(app).get('/settings/export?format=ndjson');
+      expect(again.text).toBe(exported.text);
+    });
+
+    it('should skip, overwrite or fail on ID conflicts', async () => {
+      await request(app)
+          .post('/settings/import')
+          .send([{ id: idA, data: { v: 1 } }])
+          .expect(200);
+
+      const records = [{ id: idA, name: 'imported', data: { v: 2 } }, { id: idB, data: { v: 1 } }];
+
+      const failed = await request(app)
+          .post('/settings/import?mode=fail')
+          .send(records)
+          .expect(409);
+
+      expect(failed.body.conflicts).toEqual([idA]);
+      await request(app).get(`/settings/${idB}`).expect(404);
+
+      const skipped = await request(app)
+          .post('/settings/import?mode=skip')
+          .send(records)
+          .expect(200);
+
+      expect(skipped.body.results.map(result => result.action)).toEqual(['skipped', 'created']);
+
+      const overwritten = await request(app)
+          .post('/settings/import?mode=overwrite')
+          .send(records)
+          .expect(200);
+
+      expect(overwritten.body.results.map(result => result.action)).toEqual(['updated', 'unchanged']);
+
+      const current = await request(app).get(`/settings/${idA}`).expect(200);
+      expect(current.body.name).toBe('imported');
+      expect(current.body.data).toEqual({ v: 2 });
+      expect(current.body.revision).toBe(2);
+    });
+
+    it('should round-trip overrides, parents and the schema', async () => {
+      const schema = await request(app)
+          .post('/schemas')
+          .send({ name: 'limits', schema: { type: 'object', properties: { max: { type: 'number' } } } })
+          .expect(201);
+      // Created before its parent, so the export lists it first
+      const child = await request(app).post('/settings?name=team/child').send({ max: 1 }).expect(201);
+      const base = await request(app).post('/settings?name=team/base').send({ max: 5, min: 0 }).expect(201);
+      const id = child.body.id;
+      await request(app).put(`/settings/${id}/parents`).send({ parents: [base.body.id] }).expect(200);
+      await request(app).put(`/settings/${id}/environments/prod`).send({ max: 2 }).expect(200);
+      await request(app).put(`/settings/${id}/schema`).send({ schemaId: schema.body.id }).expect(200);
+
+      const exported = await request(app).get('/settings/export').expect(200);
+      expect(exported.body.map(record => record.id)).toEqual([id, base.body.id]);
+      expect(exported.body[0]).toMatchObject({
+        overrides: { prod: { max: 2 } },
+        parents: [base.body.id],
+        schema: { id: schema.body.id, version: null }
+      });
+
+      await request(app).delete(`/settings/${id}`).expect(204);
+      await request(app).delete(`/settings/${base.body.id}`).expect(204);
+
+      const imported = await request(app).post('/settings/import').send(exported.body).expect(200);
+      expect(imported.body.results.map(result => [result.id, result.action]))
+          .toEqual([[id, 'created'], [base.body.id, 'created']]);
+
+      const resolved = await request(app).get(`/settings/${id}?env=prod&resolved=true`).expect(200);
+      expect(resolved.body.resolved.data).toEqual({ max: 2, min: 0 });
+      expect(resolved.body.schema).toEqual({ id: schema.body.id, version: null });
+
+      const again = await request(app).get('/settings/export').expect(200);
+      expect(again.body).toEqual(exported.body);
+
+      await request(app)
+          .post('/settings/import?mode=overwrite')
+          .send([{ ...exported.body[0], overrides: { prod: { max: 'many' } } }])
+          .expect(422);
+    });
+
+    it('should replace overrides, parents and the schema when overwriting', async () => {
+      const schema = await request(app).post('/schemas').send({ name: 'any', schema: { type: 'object' } }).expect(201);
+      await request(app)
+          .post('/settings/import')
+          .send([
+                  { id: idB, data: { v: 0 } },
+                  {
+                    id: idA,
+                    data: { v: 1 },
+                    overrides: { prod: { v: 2 }, staging: { v: 3 } },
+                    parents: [idB],
+                    schema: { id: schema.body.id, version: 1 }
+                  }
+                ])
+          .expect(200);
+
+      const overwritten = await request(app)
+          .post('/settings/import?mode=overwrite')
+          .send([{ id: idA, data: { v: 1 }, overrides: { prod: { v: 2 } } }])
+          .expect(200);
+      expect(overwritten.body.results[0].action).toBe('updated');
+
+      const current = await request(app).get(`/settings/${idA}`).expect(200);
+      expect(current.body).toMatchObject({ overrides: { prod: { v: 2 } }, parents: [], schema: null, revision: 2 });
+
+      await request(app)
+          .post('/settings/import?mode=overwrite')
+          .send([{ id: idA, data: { v: 1 }, overrides: { 'bad env': {} } }])
+          .expect(400);
+      await request(app)
+          .post('/settings/import?mode=overwrite')
+          .send([{ id: idA, data: {}, parents: [idB] }, { id: idB, data: {}, parents: [idA] }])
+          .expect(400);
+      await request(app)
+          .post('/settings/import?mode=overwrite')
+          .send([{ id: idA, data: {}, schema: { id: 'missing' } }])
+          .expect(400);
+    });
+
+    it('should report without saving on a dry run', async () => {
+      await request(app)
+          .post('/settings/import')
+          .send([{ id: idA, data: { v: 1 } }]);
+
+      const response = await request(app)
+          .post('/settings/import?mode=overwrite&dryRun=true')
+          .send([{ id: idA, data: { v: 2 } }, { id: idB, data: {} }])
+          .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary).toEqual({ created: 1, updated: 1, skipped: 0, unchanged: 0 });
+
+      const current = await request(app).get(`/settings/${idA}`).expect(200);
+      expect(current.body.data).toEqual({ v: 1 });
+      await request(app).get(`/settings/${idB}`).expect(404);
+    });
+
+    it('should reject invalid imports without saving anything', async () => {
+      await request(app).post('/settings/import').send({ id: idA }).expect(400);
+      await request(app).post('/settings/import?mode=merge').send([]).expect(400);
+
+      const badRecord = await request(app)
+          .post('/settings/import')
+          .send([{ id: idA, data: {} }, { id: 'not-a-uuid', data: {} }])
+          .expect(400);
+
+      expect(badRecord.body.error).toMatch(/Record 1/);
+
+      const badLine = await request(app)
+          .post('/settings/import')
+          .set('Content-Type', 'application/x-ndjson')
+          .send(`{"id":"${idA}","data":{}}\n{oops`)
+          .expect(400);
+
+      expect(badLine.body.error).toMatch(/Line 2/);
+      await request(app).get(`/settings/${idA}`).expect(404);
+    });
+  });
+
+  describe('Content Negotiation', () => {
+    it('should create from YAML and read back as YAML, TOML and dotenv', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .set('Content-Type', 'application/yaml')
+          .send('database:\n  host: db\n  pool:\n    max: 10\nport: "8080"\n')
+          .expect(201);
+
+      expect(createResponse.body.data).toEqual({ database: { host: 'db', pool: { max: 10 } }, port: '8080' });
+      expect(createResponse.headers.location).toBe(`/settings/${createResponse.body.id}`);
+      const id = createResponse.body.id;
+
+      const yaml = await request(app)
+          .get(`/settings/${id}`)
+          .set('Accept', 'application/yaml')
+          .expect('Content-Type', /application\/yaml/)
+          .expect(200);
+
+      expect(yaml.text).toBe('database:\n  host: db\n  pool:\n    max: 10\nport: "8080"\n');
+      expect(yaml.headers.etag).not.toBe(createResponse.headers.etag);
+      expect(yaml.headers.vary).toMatch(/Accept/);
+
+      const toml = await request(app)
+          .get(`/settings/${id}`)
+          .set('Accept', 'application/toml')
+          .expect(200);
+
+      expect(toml.text).toMatch(/\[database\.pool\]\nmax = 10/);
+
+      const dotenv = await request(app)
+          .get(`/settings/${id}`)
+          .set('Accept', 'text/plain')
+          .expect(200);
+
+      expect(dotenv.text).toBe('database__host="db"\ndatabase__pool__max=10\nport="8080"\n');
+    });
+
+    it('should update from dotenv and answer in the requested format', async () => {
+      const createResponse = await request(app).post('/settings').send({ old: true });
+
+      const response = await request(app)
+          .put(`/settings/${createResponse.body.id}`)
+          .set('Content-Type', 'text/plain')
+          .set('Accept', 'application/toml')
+          .send('DB__HOST=prod-db\nDB__PORT=5432\n')
+          .expect(200);
+
+      expect(response.text).toBe('[DB]\nHOST = "prod-db"\nPORT = 5432\n');
+
+      const current = await request(app).get(`/settings/${createResponse.body.id}`).expect(200);
+      expect(current.body.data).toEqual({ DB: { HOST: 'prod-db', PORT: 5432 } });
+      expect(current.body.revision).toBe(2);
+    });
+
+    it('should serve the effective environment config as text', async () => {
+      const createResponse = await request(app).post('/settings').send({ host: 'localhost' });
+      await request(app)
+          .put(`/settings/${createResponse.body.id}/environments/prod`)
+          .send({ host: 'prod-db' });
+
+      const response = await request(app)
+          .get(`/settings/${createResponse.body.id}?env=prod`)
+          .set('Accept', 'application/yaml')
+          .expect(200);
+
+      expect(response.text).toBe('host: prod-db\n');
+    });
+
+    it('should return 406 naming a value the format cannot represent', async () => {
+      const createResponse = await request(app).post('/settings').send({ servers: ['a', 'b'], tls: null });
+
+      const dotenv = await request(app)
+          .get(`/settings/${createResponse.body.id}`)
+          .set('Accept', 'text/plain')
+          .expect(406);
+
+      expect(dotenv.body.path).toBe('/servers');
+      expect(dotenv.body.error).toMatch(/dotenv has no arrays/);
+
+      const toml = await request(app)
+          .get(`/settings/${createResponse.body.id}`)
+          .set('Accept', 'application/toml')
+          .expect(406);
+
+      expect(toml.body.path).toBe('/tls');
+
+      await request(app)
+          .get(`/settings/${createResponse.body.id}`)
+          .set('Accept', 'text/html')
+          .expect(406);
+    });
+
+    it('should not save when the requested response format cannot hold the data', async () => {
+      const createResponse = await request(app).post('/settings').send({ v: 1 });
+
+      await request(app)
+          .put(`/settings/${createResponse.body.id}`)
+          .set('Accept', 'text/plain')
+          .send({ list: [1, 2] })
+          .expect(406);
+
+      const current = await request(app).get(`/settings/${createResponse.body.id}`).expect(200);
+      expect(current.body.revision).toBe(1);
+    });
+
+    it('should return 415 for values with no JSON equivalent and unknown types', async () => {
+      const toml = await request(app)
+          .post('/settings')
+          .set('Content-Type', 'application/toml')
+          .send('[release]\ndate = 2024-01-01\n')
+          .expect(415);
+
+      expect(toml.body.path).toBe('/release/date');
+
+      await request(app)
+          .post('/settings')
+          .set('Content-Type', 'application/xml')
+          .send('<a/>')
+          .expect(415);
+
+      const list = await request(app).get('/settings').expect(200);
+      expect(list.body.pagination.total).toBe(0);
+    });
+
+    it('should return 400 for malformed YAML', async () => {
+      await request(app)
+          .post('/settings')
+          .set('Content-Type', 'application/yaml')
+          .send('a: [1, 2')
+          .expect(400);
+    });
+  });
+
+  describe('Sub-document Access', () => {
+    const createNested = async () => {
+      const response = await request(app)
+          .post('/settings')
+          .send({ database: { pool: { max: 10, min: 1 }, host: 'db' }, tags: ['a', 'b'] });
+      return response.body.id;
+    };
+
+    it('should read a single nested value', async () => {
+      const id = await createNested();
+
+      const response = await request(app)
+          .get(`/settings/${id}/data/database/pool/max`)
+          .expect(200);
+
+      expect(response.body).toBe(10);
+      expect(response.headers.etag).toBeDefined();
+
+      const element = await request(app)
+          .get(`/settings/${id}/data/tags/1`)
+          .expect(200);
+
+      expect(element.body).toBe('b');
+    });
+
+    it('should set a nested value without touching its siblings', async () => {
+      const id = await createNested();
+
+      const response = await request(app)
+          .put(`/settings/${id}/data/database/pool/max`)
+          .set('Content-Type', 'application/json')
+          .send('25')
+          .expect(200);
+
+      expect(response.body.data).toEqual({
+                                           database: { pool: { max: 25, min: 1 }, host: 'db' },
+                                           tags: ['a', 'b']
+                                         });
+      expect(response.body.revision).toBe(2);
+
+      // New keys can be added under an existing parent, and arrays appended to
+      await request(app)
+          .put(`/settings/${id}/data/database/user`)
+          .send({ name: 'app' })
+          .expect(200);
+
+      const appended = await request(app)
+          .put(`/settings/${id}/data/tags/-`)
+          .set('Content-Type', 'application/json')
+          .send('"c"')
+          .expect(200);
+
+      expect(appended.body.data.database.user).toEqual({ name: 'app' });
+      expect(appended.body.data.tags).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should remove a nested value', async () => {
+      const id = await createNested();
+
+      await request(app)
+          .delete(`/settings/${id}/data/database/pool/min`)
+          .expect(204);
+
+      const response = await request(app)
+          .get(`/settings/${id}`)
+          .expect(200);
+
+      expect(response.body.data.database).toEqual({ pool: { max: 10 }, host: 'db' });
+      expect(response.body.revision).toBe(2);
+    });
+
+    it('should return 404 with the deepest resolvable prefix for missing paths', async () => {
+      const id = await createNested();
+
+      const read = await request(app)
+          .get(`/settings/${id}/data/database/pool/idle/timeout`)
+          .expect(404);
+
+      expect(read.body).toEqual({
+                                  error: 'Path not found',
+                                  path: '/database/pool/idle/timeout',
+                                  resolved: '/database/pool'
+                                });
+
+      const write = await request(app)
+          .put(`/settings/${id}/data/cache/ttl`)
+          .send({ seconds: 60 })
+          .expect(404);
+
+      expect(write.body.resolved).toBe('');
+
+      const remove = await request(app)
+          .delete(`/settings/${id}/data/tags/5`)
+          .expect(404);
+
+      expect(remove.body.resolved).toBe('/tags');
+
+      // Failed writes leave the document untouched
+      const current = await request(app)
+          .get(`/settings/${id}`)
+          .expect(200);
+
+      expect(current.body.revision).toBe(1);
+    });
+
+    it('should handle escaped pointer tokens', async () => {
+      const createResponse = await request(app)
+          .post('/settings')
+          .send({ 'a/b': { 'm~n': 1 } });
+
+      const response = await request(app)
+          .get(`/settings/${createResponse.body.id}/data/a~1b/m~0n`)
+          .expect(200);
+
+      expect(response.body).toBe(1);
+
+      await request(app)
+          .get(`/settings/${createResponse.body.id}/data/a~2b`)
+          .expect(400);
+    });
+
+    it('should return 409 when setting a value inside a non-container', async () => {
+      const id = await createNested();
+
+      await request(app)
+          .put(`/settings/${id}/data/database/host/port`)
+          .send({ value: 1 })
+          .expect(409);
+    });
+
+    it('should honour If-Match on writes', async () => {
+      const id = await createNested();
+
+      await request(app)
+          .put(`/settings/${id}/data/database/host`)
+          .set('If-Match', '"stale"')
+          .send({ name: 'x' })
+          .expect(412);
+    });
+
+    it('should return 404 for unknown settings', async () => {
+      const missing = '00000000-0000-4000-8000-000000000000';
+
+      const response = await request(app)
+          .get(`/settings/${missing}/data/a`)
+          .expect(404);
+
+      expect(response.body.error).toBe('Settings not found');
+
+      await request(app)
+          .put(`/settings/${missing}/data/a`)
+          .send({ b: 1 })
+          .expect(404);
+    });
+  });
+
+  describe('API Keys', () => {
+    const issueKey = async (scopes, admin) => {
+      const req = request(app).post('/admin/api-keys');
+      if (admin) req.set('Authorization', `Bearer ${admin}`);
+      const response = await req.send({ name: scopes.join('+'), scopes }).expect(201);
+      return response.body;
+    };
+
+    it('should leave the API open until the first key is issued', async () => {
+      await request(app).get('/settings').expect(200);
+
+      const adminKey = await issueKey(['admin']);
+      expect(adminKey.key).toMatch(/^sk_/);
+      expect(adminKey.prefix).toBe(adminKey.key.slice(0, 8));
+
+      const response = await request(app).get('/settings').expect(401);
+      expect(response.body.error).toBe('API key required');
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should enforce scopes on every route', async () => {
+      const admin = (await issueKey(['admin'])).key;
+      const reader = (await issueKey(['settings:read'], admin)).key;
+      const writer = (await issueKey(['settings:write'], admin)).key;
+
+      const created = await request(app)
+          .post('/settings')
+          .set('Authorization', `Bearer ${writer}`)
+          .send({ a: 1 })
+          .expect(201);
+
+      // settings:write includes settings:read
+      await request(app)
+          .get(`/settings/${created.body.id}`)
+          .set('Authorization', `Bearer ${writer}`)
+          .expect(200);
+
+      await request(app)
+          .get(`/settings/${created.body.id}`)
+          .set('X-API-Key', reader)
+          .expect(200);
+
+      const forbidden = await request(app)
+          .delete(`/settings/${created.body.id}`)
+          .set('X-API-Key', reader)
+          .expect(403);
+
+      expect(forbidden.body.required).toBe('settings:write');
+
+      await request(app)
+          .get('/admin/api-keys')
+          .set('Authorization', `Bearer ${writer}`)
+          .expect(403);
+
+      await request(app)
+          .put(`/settings/${created.body.id}`)
+          .set('Authorization', `Bearer ${admin}`)
+          .send({ a: 2 })
+          .expect(200);
+
+      // Health checks stay open for load balancers
+      await request(app).get('/health').expect(200);
+    });
+
+    it('should store only a hash and never list the keys themselves', async () => {
+      const admin = await issueKey(['admin']);
+
+      const response = await request(app)
+          .get('/admin/api-keys')
+          .set('Authorization', `Bearer ${admin.key}`)
+          .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(JSON.stringify(response.body)).not.toContain(admin.key);
+      expect(response.body.data[0]).toEqual({
+                                              id: admin.id,
+                                              name: 'admin',
+                                              prefix: admin.prefix,
+                                              scopes: ['admin'],
+                                              roles: [],
+                                              createdAt: admin.createdAt,
+                                              revokedAt: null
+                                            });
+    });
+
+    it('should reject invalid and revoked keys with 401', async () => {
+      const admin = (await issueKey(['admin'])).key;
+      const reader = await issueKey(['settings:read'], admin);
+
+      const invalid = await request(app)
+          .get('/settings')
+          .set('Authorization', 'Bearer sk_not-a-real-key')
+          .expect(401);
+
+      expect(invalid.body.error).toBe('Invalid or revoked API key');
+
+      await request(app)
+          .delete(`/admin/api-keys/${reader.id}`)
+          .set('Authorization', `Bearer ${admin}`)
+          .expect(204);
+
+      await request(app)
+          .get('/settings')
+          .set('Authorization', `Bearer ${reader.key}`)
+          .expect(401);
+    });
+
+    it('should keep the API closed after every key is revoked', async () => {
+      const admin = await issueKey(['admin']);
+
+      await request(app)
+          .delete(`/admin/api-keys/${admin.id}`)
+          .set('Authorization', `Bearer ${admin.key}`)
+          .expect(204);
+
+      await request(app).get('/settings').expect(401);
+      await request(app).post('/admin/api-keys').send({ name: 'x', scopes: ['admin'] }).expect(401);
+    });
+
+    it('should validate new keys', async () => {
+      await request(app).post('/admin/api-keys').send({ scopes: ['admin'] }).expect(400);
+      await request(app).post('/admin/api-keys').send({ name: 'x', scopes: ['root'] }).expect(400);
+      await request(app).post('/admin/api-keys').send({ name: 'x', scopes: [] }).expect(400);
+    });
+  });
+
+  describe('Access Control', () => {
+    let admin;
+
+    const asAdmin = (req) => req.set('Authorization', `Bearer ${admin}`);
+
+    const createNamed = async (name, data = {}) => {
+      const response = await asAdmin(request(app).post(`/settings?name=${name}`)).send(data).expect(201);
+      return response.body.id;
+    };
+
+    const createRole = async (name, grants) => {
+      const response = await asAdmin(request(app).post('/admin/roles')).send({ name, grants }).expect(201);
+      return response.body.id;
+    };
+
+    // Issues a settings:write key holding the given roles
+    const keyWithRoles = async (roles) => {
+      const issued = await asAdmin(request(app).post('/admin/api-keys'))
+          .send({ name: 'team', scopes: ['settings:write'] })
+          .expect(201);
+      await asAdmin(request(app).put(`/admin/api-keys/${issued.body.id}/roles`))
+          .send({ roles })
+          .expect(200);
+      return issued.body.key;
+    };
+
+    let ids;
+    let payments;
+    const as = (req) => req.set('Authorization', `Bearer ${payments}`);
+
+    beforeEach(async () => {
+      const issued = await request(app)
+          .post('/admin/api-keys')
+          .send({ name: 'root', scopes: ['admin'] });
+      admin = issued.body.key;
+
+      ids = {
+        api: await createNamed('payments/api', { retries: 3 }),
+        web: await createNamed('payments/web'),
+        db: await createNamed('shared/db', { host: 'db' }),
+        other: await createNamed('search/index')
+      };
+      const role = await createRole('payments', [
+        { permission: 'write', prefix: 'payments' },
+        { permission: 'read', prefix: 'shared' }
+      ]);
+      payments = await keyWithRoles([role]);
+    });
+
+    it('should filter lists and their totals to readable objects', async () => {
+      const offset = await as(request(app).get('/settings')).expect(200);
+
+      expect(offset.body.data.map(item => item.name).sort())
+          .toEqual(['payments/api', 'payments/web', 'shared/db']);
+      expect(offset.body.pagination.total).toBe(3);
+
+      const cursor = await as(request(app).get('/settings?cursor=&limit=2&total=true')).expect(200);
+      expect(cursor.body.pagination.total).toBe(3);
+
+      const all = await asAdmin(request(app).get('/settings')).expect(200);
+      expect(all.body.pagination.total).toBe(4);
+    });
+
+    it('should allow writes in its own namespace and only reads on shared ones', async () => {
+      await as(request(app).put(`/settings/${ids.api}`)).send({ retries: 5 }).expect(200);
+      await as(request(app).get(`/settings/${ids.db}`)).expect(200);
+      await as(request(app).get('/settings/by-name/shared/db')).expect(200);
+
+      const denied = await as(request(app).put(`/settings/${ids.db}`)).send({}).expect(403);
+      expect(denied.body.error).toBe('No write access to shared/db');
+
+      await as(request(app).patch(`/settings/${ids.db}`))
+          .set('Content-Type', 'application/merge-patch+json')
+          .send({ host: 'x' })
+          .expect(403);
+      await as(request(app).delete(`/settings/${ids.db}`)).expect(403);
+      await as(request(app).get(`/settings/${ids.other}`)).expect(403);
+      await as(request(app).get(`/settings/${ids.other}/versions`)).expect(403);
+      await as(request(app).get(`/settings/${ids.other}/data/x`)).expect(403);
+      await as(request(app).get('/settings/by-name/search/index')).expect(403);
+    });
+
+    it('should only create named objects inside writable namespaces', async () => {
+      await as(request(app).post('/settings?name=payments/new')).send({}).expect(201);
+      await as(request(app).post('/settings?name=shared/new')).send({}).expect(403);
+      await as(request(app).post('/settings')).send({}).expect(403);
+    });
+
+    it('should guard renames, parents and resolved views', async () => {
+      // Renaming and re-parenting need admin, which this role lacks
+      await as(request(app).put(`/settings/${ids.api}/name`)).send({ name: 'payments/api2' }).expect(403);
+
+      const owner = await createRole('payments-admin', [{ permission: 'admin', prefix: 'payments' }]);
+      const ownerKey = await keyWithRoles([owner]);
+      const asOwner = (req) => req.set('Authorization', `Bearer ${ownerKey}`);
+
+      await asOwner(request(app).put(`/settings/${ids.api}/name`)).send({ name: 'payments/api2' }).expect(200);
+      await asOwner(request(app).put(`/settings/${ids.api}/name`)).send({ name: 'search/api' }).expect(403);
+      await asOwner(request(app).put(`/settings/${ids.api}/parents`)).send({ parents: [ids.other] }).expect(403);
+
+      // Inheriting from an unreadable object would leak it through ?resolved=true
+      await asAdmin(request(app).put(`/settings/${ids.web}/parents`)).send({ parents: [ids.other] }).expect(200);
+      await as(request(app).get(`/settings/${ids.web}`)).expect(200);
+      await as(request(app).get(`/settings/${ids.web}?resolved=true`)).expect(403);
+    });
+
+    it('should inherit grants down prefixes, up the permission ladder and across roles', async () => {
+      const reader = await createRole('reader', [{ permission: 'read', prefix: 'search' }]);
+      const single = await createRole('single', [{ permission: 'write', id: ids.db }]);
+      const key = await keyWithRoles([reader, single]);
+      const asKey = (req) => req.set('Authorization', `Bearer ${key}`);
+
+      const nested = await createNamed('search/index/eu');
+      await asKey(request(app).get(`/settings/${nested}`)).expect(200);
+      await asKey(request(app).put(`/settings/${nested}`)).send({}).expect(403);
+
+      // The ID grant gives write, and write includes read
+      await asKey(request(app).put(`/settings/${ids.db}`)).send({ host: 'new' }).expect(200);
+      await asKey(request(app).get(`/settings/${ids.db}`)).expect(200);
+      await asKey(request(app).get(`/settings/${ids.api}`)).expect(403);
+
+      const list = await asKey(request(app).get('/settings')).expect(200);
+      expect(list.body.data.map(item => item.name).sort()).toEqual(['search/index', 'search/index/eu', 'shared/db']);
+    });
+
+    it('should filter search, export and batch operations', async () => {
+      const search = await as(request(app).get('/settings/search?q=db')).expect(200);
+      expect(search.body.data.map(hit => hit.name)).toEqual(['shared/db']);
+
+      const exported = await as(request(app).get('/settings/export')).expect(200);
+      expect(exported.body).toHaveLength(3);
+
+      const batch = await as(request(app).post('/settings/batch'))
+          .send({
+                  continueOnError: true,
+                  operations: [
+                    { op: 'update', id: ids.api, data: { a: 1 } },
+                    { op: 'update', id: ids.db, data: { a: 1 } },
+                    { op: 'create', name: 'search/new', data: {} }
+                  ]
+                })
+          .expect(200);
+
+      expect(batch.body.results.map(result => result.status)).toEqual([200, 403, 403]);
+      expect(batch.body.results[1].body.error).toBe('No write access to shared/db');
+    });
+
+    it('should not name or describe objects the caller cannot read', async () => {
+      const batch = await as(request(app).post('/settings/batch'))
+          .send({ continueOnError: true, operations: [{ op: 'delete', id: ids.other }] })
+          .expect(200);
+      expect(batch.body.results[0].body.error).toBe('No write access to these settings');
+
+      for (const mode of ['skip', 'overwrite', 'fail']) {
+        const denied = await as(request(app).post(`/settings/import?mode=${mode}`))
+            .send([{ id: ids.other, data: {} }])
+            .expect(403);
+        expect(denied.body).toEqual({ error: 'No read access to these settings' });
+      }
+
+      // Importing over a trashed object would purge it
+      await asAdmin(request(app).delete(`/settings/${ids.other}`)).expect(204);
+      await as(request(app).post('/settings/import'))
+          .send([{ id: ids.other, name: 'payments/taken', data: {} }])
+          .expect(403);
+      const trash = await asAdmin(request(app).get('/settings/trash')).expect(200);
+      expect(trash.body.data.map(item => item.id)).toEqual([ids.other]);
+    });
+
+    it('should only let keys without roles change the schema registry', async () => {
+      const schema = await asAdmin(request(app).post('/schemas'))
+          .send({ name: 'limits', schema: { type: 'object' } })
+          .expect(201);
+
+      const denied = await as(request(app).post('/schemas')).send({ name: 'mine', schema: {} }).expect(403);
+      expect(denied.body).toEqual({ error: 'Changing schemas needs a key without roles' });
+      await as(request(app).put(`/schemas/${schema.body.id}`)).send({ schema: { type: 'object' } }).expect(403);
+      await as(request(app).delete(`/schemas/${schema.body.id}`)).expect(403);
+      await as(request(app).get(`/schemas/${schema.body.id}`)).expect(200);
+
+      // A settings:write key without roles is unrestricted
+      const issued = await asAdmin(request(app).post('/admin/api-keys'))
+          .send({ name: 'writer', scopes: ['settings:write'] })
+          .expect(201);
+      const asWriter = (req) => req.set('Authorization', `Bearer ${issued.body.key}`);
+      await asWriter(request(app).put(`/schemas/${schema.body.id}`)).send({ schema: { type: 'object' } }).expect(200);
+      await asWriter(request(app).delete(`/schemas/${schema.body.id}`)).expect(204);
+    });
+
+    it('should filter the trash and guard restores', async () => {
+      await asAdmin(request(app).delete(`/settings/${ids.web}`)).expect(204);
+      await asAdmin(request(app).delete(`/settings/${ids.other}`)).expect(204);
+
+      const trash = await as(request(app).get('/settings/trash')).expect(200);
+      expect(trash.body.data.map(item => item.name)).toEqual(['payments/web']);
+      expect(trash.body.pagination.total).toBe(1);
+
+      await as(request(app).post(`/settings/${ids.other}/restore`)).expect(403);
+      await as(request(app).post(`/settings/${ids.web}/restore`)).expect(200);
+    });
+
+    it('should only diff readable objects', async () => {
+      await as(request(app).get(`/settings/diff?a=${ids.api}&b=shared/db`)).expect(200);
+      await as(request(app).get(`/settings/${ids.api}/diff?from=1`)).expect(200);
+
+      const denied = await as(request(app).get(`/settings/diff?a=${ids.api}&b=search/index`)).expect(403);
+      expect(denied.body.error).toBe('No read access to these settings');
+      await as(request(app).get(`/settings/${ids.other}/diff?from=1`)).expect(403);
+    });
+
+    it('should only evaluate readable flags', async () => {
+      const flag = { variants: { on: true, off: false }, defaultVariant: 'on' };
+      await asAdmin(request(app).post('/settings?name=payments/new-checkout&kind=flag')).send(flag).expect(201);
+      await asAdmin(request(app).post('/settings?name=search/fuzzy&kind=flag')).send(flag).expect(201);
+
+      const all = await as(request(app).post('/flags/evaluate')).send({ context: {} }).expect(200);
+      expect(all.body.flags.map(result => result.name)).toEqual(['payments/new-checkout']);
+
+      const denied = await as(request(app).post('/flags/evaluate'))
+          .send({ context: {}, flags: ['search/fuzzy'] })
+          .expect(403);
+      expect(denied.body.error).toBe('No read access to these settings');
+    });
+
+    it('should apply role changes immediately and protect assigned roles', async () => {
+      const roles = await asAdmin(request(app).get('/admin/roles')).expect(200);
+      const role = roles.body.data.find(r => r.name === 'payments');
+
+      await asAdmin(request(app).put(`/admin/roles/${role.id}`))
+          .send({ grants: [{ permission: 'read', prefix: 'payments' }] })
+          .expect(200);
+
+      await as(request(app).put(`/settings/${ids.api}`)).send({}).expect(403);
+
+      await asAdmin(request(app).delete(`/admin/roles/${role.id}`)).expect(409);
+    });
+
+    it('should validate roles and assignments', async () => {
+      await asAdmin(request(app).post('/admin/roles'))
+          .send({ name: 'bad', grants: [{ permission: 'owner', prefix: 'a' }] })
+          .expect(400);
+      await asAdmin(request(app).post('/admin/roles'))
+          .send({ name: 'bad', grants: [{ permission: 'read', prefix: 'a', id: ids.db }] })
+          .expect(400);
+      await asAdmin(request(app).post('/admin/roles')).send({ name: 'payments', grants: [] }).expect(409);
+
+      const keys = await asAdmin(request(app).get('/admin/api-keys')).expect(200);
+      await asAdmin(request(app).put(`/admin/api-keys/${keys.body.data[0].id}/roles`))
+          .send({ roles: ['00000000-0000-4000-8000-000000000000'] })
+          .expect(400);
+
+      // Only admins manage roles
+      await as(request(app).get('/admin/roles')).expect(403);
+    });
+  });
+
+  describe('Audit Log', () => {
+    const audit = async (query = '') => (await request(app).get(`/audit${query}`).expect(200)).body;
+
+    it('should record each change with before and after', async () => {
+      const created = await request(app)
+          .post('/settings')
+          .set('X-Request-Id', 'req-create-1')
+          .send({ theme: 'dark' })
+          .expect(201);
+      const id = created.body.id;
+
+      await request(app).put(`/settings/${id}`).send({ theme: 'light' }).expect(200);
+      await request(app).delete(`/settings/${id}`).expect(204);
+
+      const { data } = await audit();
+
+      expect(data.map(entry => entry.action)).toEqual(['settings.delete', 'settings.update', 'settings.create']);
+      const [deleted, updated, create] = data;
+
+      expect(create).toMatchObject({ settingsId: id, before: null, requestId: 'req-create-1', actor: null });
+      expect(create.after.data).toEqual({ theme: 'dark' });
+      expect(create.ip).toEqual(expect.any(String));
+
+      expect(updated.before.data).toEqual({ theme: 'dark' });
+      expect(updated.after.data).toEqual({ theme: 'light' });
+      expect(updated.after.revision).toBe(2);
+
+      expect(deleted.before.data).toEqual({ theme: 'light' });
+      expect(deleted.after).toBeNull();
+    });
+
+    it('should echo or generate a request ID', async () => {
+      const given = await request(app).get('/health').set('X-Request-Id', 'abc-123').expect(200);
+      expect(given.headers['x-request-id']).toBe('abc-123');
+
+      const generated = await request(app).get('/health').set('X-Request-Id', 'not valid!').expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should record metadata changes and sub-document writes', async () => {
+      const created = await request(app).post('/settings').send({ db: { host: 'a' } }).expect(201);
+      const id = created.body.id;
+
+      await request(app).put(`/settings/${id}/name`).send({ name: 'app/db' }).expect(200);
+      await request(app).put(`/settings/${id}/data/db/host`).send('"b"').set('Content-Type', 'application/json').expect(200);
+      await request(app).put(`/settings/${id}/environments/prod`).send({ db: { host: 'p' } }).expect(200);
+
+      const { data } = await audit(`?settingsId=${id}`);
+
+      expect(data.map(entry => entry.action))
+          .toEqual(['settings.set-override', 'settings.set-value', 'settings.rename', 'settings.create']);
+      expect(data[2].before.name).toBeNull();
+      expect(data[2].after.name).toBe('app/db');
+      expect(data[1].after.data).toEqual({ db: { host: 'b' } });
+    });
+
+    it('should not record changes that fail or do nothing', async () => {
+      const created = await request(app).post('/settings').send({ a: 1 }).expect(201);
+      const id = created.body.id;
+
+      await request(app).put(`/settings/${id}`).set('If-Match', '"stale"').send({ a: 2 }).expect(412);
+      await request(app).put('/settings/00000000-0000-4000-8000-000000000000').send({}).expect(404);
+      await request(app).delete('/settings/00000000-0000-4000-8000-000000000000').expect(204);
+      await request(app).delete(`/settings/${id}/environments/prod`).expect(204);
+
+      // A failed all-or-nothing batch and a dry-run import leave no trace either
+      await request(app)
+          .post('/settings/batch')
+          .send({ operations: [{ op: 'update', id, data: { a: 3 } }, { op: 'delete' }] })
+          .expect(400);
+      await request(app)
+          .post('/settings/batch')
+          .send({
+                  operations: [
+                    { op: 'update', id, data: { a: 3 } },
+                    { op: 'update', id: '00000000-0000-4000-8000-000000000000', data: {} }
+                  ]
+                })
+          .expect(409);
+      await request(app)
+          .post('/settings/import?dryRun=true')
+          .send([{ id: '11111111-1111-4111-8111-111111111111', data: {} }])
+          .expect(200);
+
+      const { data } = await audit();
+      expect(data.map(entry => entry.action)).toEqual(['settings.create']);
+    });
+
+    it('should record each operation of a batch and import', async () => {
+      const created = await request(app).post('/settings').send({ a: 1 }).expect(201);
+
+      const batch = await request(app)
+          .post('/settings/batch')
+          .set('X-Request-Id', 'batch-1')
+          .send({
+                  operations: [
+                    { op: 'create', data: { b: 1 } },
+                    { op: 'patch', id: created.body.id, patch: { a: 2 } }
+                  ]
+                })
+          .expect(200);
+
+      await request(app)
+          .post('/settings/import')
+          .send([{ id: '11111111-1111-4111-8111-111111111111', data: { c: 1 } }])
+          .expect(200);
+
+      const batchEntries = await audit('?action=settings.create');
+      expect(batchEntries.data.map(entry => entry.settingsId))
+          .toEqual([batch.body.results[0].body.id, created.body.id]);
+
+      const patched = await audit('?action=settings.patch');
+      expect(patched.data[0]).toMatchObject({ requestId: 'batch-1', settingsId: created.body.id });
+
+      const imported = await audit('?action=settings.import');
+      expect(imported.data[0].settingsId).toBe('11111111-1111-4111-8111-111111111111');
+    });
+
+    it('should record the actor and filter by it, requiring admin to read', async () => {
+      const admin = await request(app)
+          .post('/admin/api-keys')
+          .send({ name: 'root', scopes: ['admin'] })
+          .expect(201);
+      const writer = await request(app)
+          .post('/admin/api-keys')
+          .set('Authorization', `Bearer ${admin.body.key}`)
+          .send({ name: 'deploy-bot', scopes: ['settings:write'] })
+          .expect(201);
+
+      await request(app)
+          .post('/settings')
+          .set('Authorization', `Bearer ${writer.body.key}`)
+          .send({ a: 1 })
+          .expect(201);
+
+      await request(app).get('/audit').set('Authorization', `Bearer ${writer.body.key}`).expect(403);
+
+      const byName = await request(app)
+          .get('/audit?actor=deploy-bot')
+          .set('Authorization', `Bearer ${admin.body.key}`)
+          .expect(200);
+      expect(byName.body.data).toHaveLength(1);
+      expect(byName.body.data[0].actor).toEqual({ id: writer.body.id, name: 'deploy-bot' });
+
+      // Issuing keys is itself audited, by whoever issued them
+      const byAdmin = await request(app)
+          .get(`/audit?actor=${admin.body.id}`)
+          .set('Authorization', `Bearer ${admin.body.key}`)
+          .expect(200);
+      expect(byAdmin.body.data.map(entry => entry.action)).toEqual(['api-key.create']);
+      expect(byAdmin.body.data[0].after).not.toHaveProperty('key');
+    });
+
+    it('should filter by time range and page with a cursor', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/settings').send({ i }).expect(201);
+      }
+
+      const all = await audit();
+      const middle = all.data[1].at;
+
+      expect((await audit(`?since=${middle}`)).data.length).toBeGreaterThanOrEqual(2);
+      expect((await audit('?until=2000-01-01T00:00:00Z')).data).toEqual([]);
+      expect((await audit('?since=2000-01-01')).data).toHaveLength(3);
+
+      const first = await audit('?limit=2');
+      expect(first.data).toHaveLength(2);
+      const second = await audit(`?limit=2&cursor=${first.pagination.next}`);
+      expect(second.data.map(entry => entry.id)).toEqual([all.data[2].id]);
+      expect(second.pagination.next).toBeNull();
+
+      await request(app).get('/audit?since=yesterday').expect(400);
+      await request(app).get('/audit?cursor=abc').expect(400);
+    });
+  });
+
+  describe('Change Events', () => {
+    /**
+     * Opens GET path as an event stream on a real port. Resolves once the
+     * headers arrive with the parsed events so far and waitFor(n), which
+     * resolves once n events have arrived.
+     */
+    const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+      const server = app.listen(0, () => {
+        const events = [];
+        let onEvent = () => {};
+        let pending = '';
+
+        const req = http.get({ port: server.address().port, path, headers }, (res) => {
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            pending += chunk;
+            let end;
+            while ((end = pending.indexOf('\n\n')) !== -1) {
+              const event = {};
+              for (const line of pending.slice(0, end).split('\n')) {
+                const [, field, value] = /^(id|event|data): ?(.*)$/.exec(line) ?? [];
+                if (field === 'id') event.id = Number(value);
+                if (field === 'event') event.type = value;
+                if (field === 'data') event.data = JSON.parse(value);
+              }
+              pending = pending.slice(end + 2);
+              if (event.type) events.push(event);
+              onEvent();
+            }
+          });
+
+          resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    events,
+                    waitFor: (n) => new Promise((done) => {
+                      onEvent = () => events.length >= n && done(events.slice(0, n));
+                      onEvent();
+                    }),
+                    close: () => {
+                      req.destroy();
+                      server.close();
+                    }
+                  });
+        });
+        req.on('error', reject);
+      });
+    });
+
+    it('should stream created, updated and deleted events with revisions', async () => {
+      const stream = await openStream('/settings/events');
+      try {
+        expect(stream.status).toBe(200);
+        expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+
+        const created = await request(app).post('/settings?name=app/web').send({ a: 1 }).expect(201);
+        const id = created.body.id;
+        await request(app).put(`/settings/${id}`).send({ a: 2 }).expect(200);
+        await request(app).delete(`/settings/${id}`).expect(204);
+
+        const events = await stream.waitFor(3);
+
+        expect(events.map(event => event.type)).toEqual(['created', 'updated', 'deleted']);
+        expect(events[0].data).toMatchObject({ id, name: 'app/web', revision: 1, previousRevision: null });
+        expect(events[1].data).toMatchObject({ id, revision: 2, previousRevision: 1, action: 'settings.update' });
+        expect(events[2].data).toMatchObject({ id, revision: null, previousRevision: 2 });
+        expect(events[1].id).toBeGreaterThan(events[0].id);
+      } finally {
+        stream.close();
+      }
+    });
+
+    it('should filter by ID and by namespace', async () => {
+      const first = await request(app).post('/settings?name=payments/api').send({}).expect(201);
+      const other = await request(app).post('/settings?name=search/index').send({}).expect(201);
+
+      const byId = await openStream(`/settings/events?id=${first.body.id}`);
+      const byNamespace = await openStream('/settings/events?namespace=search');
+      try {
+        await request(app).put(`/settings/${other.body.id}`).send({ b: 1 }).expect(200);
+        await request(app).put(`/settings/${first.body.id}`).send({ b: 1 }).expect(200);
+        // Renaming into the namespace is seen there
+        await request(app).put(`/settings/${first.body.id}/name`).send({ name: 'search/api' }).expect(200);
+
+        const idEvents = await byId.waitFor(2);
+        expect(idEvents.map(event => event.data.action)).toEqual(['settings.update', 'settings.rename']);
+
+        const namespaceEvents = await byNamespace.waitFor(2);
+        expect(namespaceEvents.map(event => event.data.id)).toEqual([other.body.id, first.body.id]);
+        expect(namespaceEvents[1].data.name).toBe('search/api');
+      } finally {
+        byId.close();
+        byNamespace.close();
+      }
+    });
+
+    it('should replay events after Last-Event-ID', async () => {
+      const live = await openStream('/settings/events');
+      let replay;
+      try {
+        for (let i = 1; i <= 3; i++) {
+          await request(app).post('/settings').send({ i }).expect(201);
+        }
+        const events = await live.waitFor(3);
+
+        replay = await openStream('/settings/events', { 'Last-Event-ID': String(events[0].id) });
+        const replayed = await replay.waitFor(2);
+        expect(replayed).toEqual(events.slice(1));
+      } finally {
+        live.close();
+        replay?.close();
+      }
+
+      await request(app).get('/settings/events').set('Last-Event-ID', 'abc').expect(400);
+    });
+
+    it('should not announce rolled-back changes', async () => {
+      const existing = await request(app).post('/settings').send({ a: 1 }).expect(201);
+      const stream = await openStream('/settings/events');
+      try {
+        await request(app)
+            .post('/settings/batch')
+            .send({
+                    operations: [
+                      { op: 'update', id: existing.body.id, data: { a: 2 } },
+                      { op: 'update', id: '00000000-0000-4000-8000-000000000000', data: {} }
+                    ]
+                  })
+            .expect(409);
+        await request(app).delete(`/settings/${existing.body.id}`).expect(204);
+
+        const [event] = await stream.waitFor(1);
+        expect(event.type).toBe('deleted');
+        expect(event.data.previousRevision).toBe(1);
+      } finally {
+        stream.close();
+      }
+    });
+
+    it('should only send events about readable settings', async () => {
+      const admin = await request(app).post('/admin/api-keys').send({ name: 'root', scopes: ['admin'] });
+      const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.body.key}`);
+
+      const role = await asAdmin(request(app).post('/admin/roles'))
+          .send({ name: 'payments', grants: [{ permission: 'read', prefix: 'payments' }] })
+          .expect(201);
+      const reader = await asAdmin(request(app).post('/admin/api-keys'))
+          .send({ name: 'reader', scopes: ['settings:read'] })
+          .expect(201);
+      await asAdmin(request(app).put(`/admin/api-keys/${reader.body.id}/roles`))
+          .send({ roles: [role.body.id] })
+          .expect(200);
+
+      const denied = await openStream('/settings/events');
+      denied.close();
+      expect(denied.status).toBe(401);
+
+      const stream = await openStream('/settings/events', { Authorization: `Bearer ${reader.body.key}` });
+      try {
+        await asAdmin(request(app).post('/settings?name=search/index')).send({}).expect(201);
+        await asAdmin(request(app).post('/settings?name=payments/api')).send({}).expect(201);
+
+        const [event] = await stream.waitFor(1);
+        expect(event.data.name).toBe('payments/api');
+      } finally {
+        stream.close();
+      }
+    });
+  });
+
+  describe('Webhooks', () => {
+    const SECRET = 'test-secret-0123456789';
+
+    /**
+     * Starts a local HTTP receiver that records every request and answers
+     * with receiver.statuses in turn (the last one repeats).
+     */
+    const startReceiver = (statuses = [200]) => new Promise((resolve) => {
+      const receiver = { statuses, requests: [] };
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          receiver.requests.push({ headers: req.headers, body });
+          const { statuses: answers } = receiver;
+          res.statusCode = answers[Math.min(receiver.requests.length - 1, answers.length - 1)];
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+        receiver.close = () => server.close();
+        resolve(receiver);
+      });
+    });
+
+    // Polls until check() returns something truthy (or the test times out)
+    const eventually = async (check) => {
+      for (;;) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    const deliveries = async (webhookId) =>
+        (await request(app).get(`/webhooks/${webhookId}/deliveries`).expect(200)).body.data;
+
+    let receiver;
+    beforeEach(async () => {
+      receiver = await startReceiver();
+      return () => receiver.close();
+    });
+
+    it('should register webhooks and only return the secret once', async () => {
+      await request(app).post('/webhooks').send({ url: 'ftp://example.com' }).expect(400);
+      await request(app).post('/webhooks').send({ url: receiver.url, events: ['renamed'] }).expect(400);
+      await request(app).post('/webhooks').send({ url: receiver.url, secret: 'short' }).expect(400);
+
+      const created = await request(app).post('/webhooks').send({ url: receiver.url }).expect(201);
+
+      expect(created.body).toMatchObject({
+                                           url: receiver.url,
+                                           events: ['created', 'updated', 'deleted'],
+                                           namespace: null,
+                                           active: true
+                                         });
+      expect(created.body.secret).toMatch(/^whsec_/);
+
+      const list = await request(app).get('/webhooks').expect(200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0]).not.toHaveProperty('secret');
+
+      await request(app).put(`/webhooks/${created.body.id}`).send({ url: receiver.url, active: false }).expect(200);
+      await request(app).delete(`/webhooks/${created.body.id}`).expect(204);
+      await request(app).get(`/webhooks/${created.body.id}`).expect(404);
+    });
+
+    it('should send a signed delivery after each change', async () => {
+      const webhook = await request(app).post('/webhooks').send({ url: receiver.url, secret: SECRET }).expect(201);
+      const settings = await request(app).post('/settings?name=app/web').send({ a: 1 }).expect(201);
+
+      const [delivery] = await eventually(() => receiver.requests.length === 1 && receiver.requests);
+      const { headers, body } = delivery;
+
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-webhook-event']).toBe('created');
+      expect(verifySignature(SECRET, headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(true);
+      expect(verifySignature('another-secret-012345', headers['x-webhook-timestamp'], body,
+                             headers['x-webhook-signature'])).toBe(false);
+      expect(JSON.parse(body)).toMatchObject({
+                                               event: 'created',
+                                               webhookId: webhook.body.id,
+                                               data: { id: settings.body.id, name: 'app/web', revision: 1 }
+                                             });
+
+      const [logged] = await eventually(async () => {
+        const log = await deliveries(webhook.body.id);
+        return log[0]?.status === 'succeeded' && log;
+      });
+      expect(logged).toMatchObject({ id: headers['x-webhook-delivery'], attempts: 1, responseStatus: 200, error: null });
+    });
+
+    it('should only deliver events matching its filters', async () => {
+      await request(app)
+          .post('/webhooks')
+          .send({ url: receiver.url, events: ['deleted'], namespace: 'payments' })
+          .expect(201);
+
+      const inside = await request(app).post('/settings?name=payments/api').send({}).expect(201);
+      const outside = await request(app).post('/settings?name=search/index').send({}).expect(201);
+      await request(app).delete(`/settings/${outside.body.id}`).expect(204);
+      await request(app).delete(`/settings/${inside.body.id}`).expect(204);
+
+      await eventually(() => receiver.requests.length === 1);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(receiver.requests).toHaveLength(1);
+      expect(JSON.parse(receiver.requests[0].body).data).toMatchObject({ id: inside.body.id, name: 'payments/api' });
+    });
+
+    it('should retry with backoff until the receiver accepts', async () => {
+      receiver.statuses = [500, 503, 200];
+      const webhook = await request(app).post('/webhooks').send({ url: receiver.url }).expect(201);
+      await request(app).post('/settings').send({}).expect(201);
+
+      const [delivery] = await eventually(async () => {
+        const log = await deliveries(webhook.body.id);
+        return log[0]?.status === 'succeeded' && log;
+      });
+
+      expect(delivery.attempts).toBe(3);
+      expect(receiver.requests).toHaveLength(3);
+      expect(new Set(receiver.requests.map(r => r.headers['x-webhook-delivery']))).toEqual(new Set([delivery.id]));
+    });
+
+    it('should give up after the last attempt and allow a manual redelivery', async () => {
+      receiver.statuses = [500];
+      const webhook = await request(app).post('/webhooks').send({ url: receiver.url }).expect(201);
+      await request(app).post('/settings').send({}).expect(201);
+
+      const [failed] = await eventually(async () => {
+        const log = await deliveries(webhook.body.id);
+        return log[0]?.status === 'failed' && log;
+      });
+      expect(failed).toMatchObject({ attempts: 3, responseStatus: 500, error: 'Receiver answered 500' });
+
+      receiver.statuses = [200];
+      const redelivery = await request(app)
+          .post(`/webhooks/${webhook.body.id}/deliveries/${failed.id}/redeliver`)
+          .expect(202);
+      expect(redelivery.body).toMatchObject({ status: 'pending', redeliveryOf: failed.id, payload: failed.payload });
+
+      await eventually(async () => {
+        const log = await deliveries(webhook.body.id);
+        return log.find(d => d.id === redelivery.body.id)?.status === 'succeeded';
+      });
+
+      await request(app).post(`/webhooks/${webhook.body.id}/deliveries/unknown/redeliver`).expect(404);
+    });
+  });
+
+  describe('Trash', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const trash = async (query = '') => (await request(app).get(`/settings/trash${query}`).expect(200)).body;
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should move deleted settings to the trash and hide them', async () => {
+      const created = await request(app).post('/settings?name=app/theme').send({ theme: 'dark' }).expect(201);
+      const { id } = created.body;
+
+      await request(app).delete(`/settings/${id}`).expect(204);
+      await request(app).delete(`/settings/${id}`).expect(204);
+
+      await request(app).get(`/settings/${id}`).expect(404);
+      await request(app).get('/settings/by-name/app/theme').expect(404);
+      const list = await request(app).get('/settings').expect(200);
+      expect(list.body.pagination.total).toBe(0);
+
+      const { data, pagination } = await trash();
+      expect(pagination.total).toBe(1);
+      expect(data[0]).toMatchObject({ id, name: 'app/theme', data: { theme: 'dark' }, revision: 1 });
+      expect(Date.parse(data[0].purgeAt) - Date.parse(data[0].deletedAt)).toBe(30 * DAY);
+    });
+
+    it('should restore settings with their history, index and ETag', async () => {
+      const created = await request(app).post('/settings?name=app/theme').send({ theme: 'dark' }).expect(201);
+      const { id } = created.body;
+      const updated = await request(app).put(`/settings/${id}`).send({ theme: 'light' }).expect(200);
+
+      await request(app).delete(`/settings/${id}`).expect(204);
+      await request(app).get(`/settings/${id}/versions/1`).expect(404);
+
+      const restored = await request(app).post(`/settings/${id}/restore`).expect(200);
+      expect(restored.body).toMatchObject({ id, name: 'app/theme', data: { theme: 'light' }, revision: 2 });
+      expect(restored.headers.etag).toBe(updated.headers.etag);
+
+      const versions = await request(app).get(`/settings/${id}/versions`).expect(200);
+      expect(versions.body.data.map(version => version.revision)).toEqual([2, 1]);
+      const search = await request(app).get('/settings/search?q=light').expect(200);
+      expect(search.body.total).toBe(1);
+      expect((await trash()).data).toEqual([]);
+
+      const audit = await request(app).get('/audit?action=settings.restore').expect(200);
+      expect(audit.body.data[0]).toMatchObject({ settingsId: id, before: null });
+
+      await request(app).post(`/settings/${id}/restore`).expect(404);
+    });
+
+    it('should free the name of deleted settings and refuse restores that clash', async () => {
+      const first = await request(app).post('/settings?name=app/theme').send({ v: 1 }).expect(201);
+      await request(app).delete(`/settings/${first.body.id}`).expect(204);
+
+      await request(app).post('/settings?name=app/theme').send({ v: 2 }).expect(201);
+
+      const clash = await request(app).post(`/settings/${first.body.id}/restore`).expect(409);
+      expect(clash.body.error).toBe('Name "app/theme" is already in use');
+      expect((await trash()).pagination.total).toBe(1);
+    });
+
+    it('should replace a trashed copy when its ID is imported again', async () => {
+      const created = await request(app).post('/settings').send({ v: 1 }).expect(201);
+      const { id } = created.body;
+      await request(app).delete(`/settings/${id}`).expect(204);
+
+      await request(app).post('/settings/import').send([{ id, data: { v: 2 } }]).expect(200);
+
+      const versions = await request(app).get(`/settings/${id}/versions`).expect(200);
+      expect(versions.body.data).toHaveLength(1);
+      expect((await trash()).data).toEqual([]);
+    });
+
+    it('should purge trashed settings after the retention period', async () => {
+      const created = await request(app).post('/settings').send({ v: 1 }).expect(201);
+      const { id } = created.body;
+      await request(app).delete(`/settings/${id}`).expect(204);
+
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(Date.now() + 29 * DAY);
+      expect((await trash()).pagination.total).toBe(1);
+
+      vi.setSystemTime(Date.now() + 2 * DAY);
+      expect((await trash()).pagination.total).toBe(0);
+      await request(app).post(`/settings/${id}/restore`).expect(404);
+
+      const audit = await request(app).get('/audit?action=settings.purge').expect(200);
+      expect(audit.body.data[0]).toMatchObject({ settingsId: id, actor: null, after: null });
+    });
+  });
+
+  describe('Secret Values', () => {
+    const createWithSecret = async () => {
+      const response = await request(app)
+          .post('/settings?name=app/db&secrets=/db/password')
+          .send({ db: { host: 'db.internal', password: 'hunter2' } })
+          .expect(201);
+      return response.body;
+    };
+
+    const exported = async (id) =>
+        (await request(app).get('/settings/export').expect(200)).body.find(record => record.id === id);
+
+    it('should encrypt secret values at rest and redact them on read', async () => {
+      const created = await createWithSecret();
+      expect(created.secrets).toEqual(['/db/password']);
+      expect(created.data).toEqual({ db: { host: 'db.internal', password: REDACTED } });
+
+      const list = await request(app).get('/settings').expect(200);
+      expect(list.body.data[0].data.db.password).toBe(REDACTED);
+      await request(app).get(`/settings/${created.id}/data/db/password`).expect(200, JSON.stringify(REDACTED));
+      const history = await request(app).get(`/settings/${created.id}/versions`).expect(200);
+      expect(history.body.data[0].data.db.password).toBe(REDACTED);
+
+      const record = await exported(created.id);
+      expect(record.secrets).toEqual(['/db/password']);
+      expect(isSealed(record.data.db.password)).toBe(true);
+      expect(JSON.stringify(record)).not.toContain('hunter2');
+
+      const search = await request(app).get('/settings/search?q=hunter2').expect(200);
+      expect(search.body.total).toBe(0);
+
+      const revealed = await request(app).get(`/settings/${created.id}?reveal=true`).expect(200);
+      expect(revealed.body.data.db.password).toBe('hunter2');
+    });
+
+    it('should keep a secret sent back redacted and encrypt a new one', async () => {
+      const created = await createWithSecret();
+
+      await request(app).put(`/settings/${created.id}`).send(created.data).expect(200);
+      let revealed = await request(app).get(`/settings/${created.id}?reveal=true`).expect(200);
+      expect(revealed.body.data.db.password).toBe('hunter2');
+
+      await request(app)
+          .patch(`/settings/${created.id}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ db: { password: 'correct-horse' } }))
+          .expect(200);
+      revealed = await request(app).get(`/settings/${created.id}?reveal=true`).expect(200);
+      expect(revealed.body.data.db.password).toBe('correct-horse');
+      expect(JSON.stringify(await exported(created.id))).not.toContain('correct-horse');
+
+      const unknown = await request(app).post('/settings?secrets=/token').send({ token: REDACTED }).expect(400);
+      expect(unknown.body.error).toBe('No stored secret to keep at /token');
+    });
+
+    it('should redact secrets in environments and inherited values', async () => {
+      const parent = await createWithSecret();
+      await request(app).put(`/settings/${parent.id}/environments/prod`)
+          .send({ db: { password: 'prod-pass' } })
+          .expect(200);
+      const child = await request(app).post(`/settings?parents=${parent.id}`).send({ extra: 1 }).expect(201);
+
+      const override = await request(app).get(`/settings/${parent.id}/environments/prod`).expect(200);
+      expect(override.body).toEqual({ db: { password: REDACTED } });
+
+      const resolved = await request(app).get(`/settings/${child.body.id}?resolved=true&env=prod`).expect(200);
+      expect(resolved.body.resolved.data.db.password).toBe(REDACTED);
+
+      const revealed = await request(app).get(`/settings/${child.body.id}?resolved=true&env=prod&reveal=true`);
+      expect(revealed.body.resolved.data.db.password).toBe('prod-pass');
+    });
+
+    it('should reveal only to keys with the secrets:reveal scope', async () => {
+      const created = await createWithSecret();
+      const issue = async (scopes, admin) => {
+        const req = request(app).post('/admin/api-keys');
+        if (admin) req.set('Authorization', `Bearer ${admin}`);
+        return (await req.send({ name: scopes.join('+'), scopes }).expect(201)).body.key;
+      };
+      const admin = await issue(['admin']);
+      const revealer = await issue(['settings:read', 'secrets:reveal'], admin);
+
+      const denied = await request(app)
+          .get(`/settings/${created.id}?reveal=true`)
+          .set('Authorization', `Bearer ${admin}`)
+          .expect(403);
+      expect(denied.body.error).toBe('Revealing secrets needs the secrets:reveal scope');
+      await request(app)
+          .get(`/settings/${created.id}`)
+          .set('Authorization', `Bearer ${admin}`)
+          .expect(200);
+
+      const revealed = await request(app)
+          .get(`/settings/${created.id}/versions/1?reveal=true`)
+          .set('Authorization', `Bearer ${revealer}`)
+          .expect(200);
+      expect(revealed.body.data.db.password).toBe('hunter2');
+    });
+
+    it('should encrypt existing values and history when a path becomes secret', async () => {
+      const created = await request(app).post('/settings').send({ token: 'abc', other: 1 }).expect(201);
+      const { id } = created.body;
+      await request(app).put(`/settings/${id}`).send({ token: 'def', other: 1 }).expect(200);
+
+      const marked = await request(app).put(`/settings/${id}/secrets`).send({ secrets: ['/token'] }).expect(200);
+      expect(marked.body).toMatchObject({ secrets: ['/token'], data: { token: REDACTED }, revision: 2 });
+
+      const history = await request(app).get(`/settings/${id}/versions`).expect(200);
+      expect(history.body.data.map(revision => revision.data.token)).toEqual([REDACTED, REDACTED]);
+      const old = await request(app).get(`/settings/${id}/versions/1?reveal=true`).expect(200);
+      expect(old.body.data.token).toBe('abc');
+
+      const unmarked = await request(app).put(`/settings/${id}/secrets`).send({ secrets: [] }).expect(200);
+      expect(unmarked.body.data.token).toBe('def');
+
+      await request(app).put(`/settings/${id}/secrets`).send({ secrets: ['token'] }).expect(400);
+      await request(app).put('/settings/00000000-0000-4000-8000-000000000000/secrets')
+          .send({ secrets: [] })
+          .expect(404);
+    });
+
+    it('should treat only values at secret paths as secrets', async () => {
+      const refused = await request(app).post('/settings').send({ note: 'enc:v1:literal text' }).expect(400);
+      expect(refused.body.error).toMatch(/^The value at \/note looks encrypted/);
+
+      // As stored by a release that did not refuse it
+      const created = await request(app).post('/settings').send({ note: 'plain' }).expect(201);
+      storage.settings.update(created.body.id, { data: JSON.stringify({ note: 'enc:v1:literal text' }) });
+
+      const read = await request(app).get(`/settings/${created.body.id}`).expect(200);
+      expect(read.body.data.note).toBe('enc:v1:literal text');
+      const revealed = await request(app).get(`/settings/${created.body.id}?reveal=true`).expect(200);
+      expect(revealed.body.data.note).toBe('enc:v1:literal text');
+      await request(app).put(`/settings/${created.body.id}`).send({ note: 'enc:v1:literal text', more: 1 }).expect(200);
+
+      const schema = await request(app).post('/schemas').send({ name: 'any', schema: { type: 'object' } }).expect(201);
+      await request(app).put(`/settings/${created.body.id}/schema`).send({ schemaId: schema.body.id }).expect(200);
+    });
+
+    it('should apply patches to the real secret values', async () => {
+      const created = await createWithSecret();
+      const patch = (operations) => request(app)
+          .patch(`/settings/${created.id}`)
+          .set('Content-Type', 'application/json-patch+json')
+          .send(JSON.stringify(operations));
+
+      await patch([{ op: 'test', path: '/db/password', value: 'wrong' }]).expect(409);
+      await patch([{ op: 'test', path: '/db/password', value: 'hunter2' }]).expect(200);
+
+      const copied = await patch([{ op: 'copy', from: '/db/password', path: '/backup' }]).expect(200);
+      expect(copied.body.data).toEqual({ db: { host: 'db.internal', password: REDACTED }, backup: 'hunter2' });
+      await request(app).put(`/settings/${created.id}`).send(copied.body.data).expect(200);
+
+      const revealed = await request(app).get(`/settings/${created.id}?reveal=true`).expect(200);
+      expect(revealed.body.data).toEqual({ db: { host: 'db.internal', password: 'hunter2' }, backup: 'hunter2' });
+    });
+
+    it('should keep secrets sealed the same way while they do not change', async () => {
+      const created = await createWithSecret();
+      const sealedPassword = async () => (await exported(created.id)).data.db.password;
+      const before = await sealedPassword();
+
+      await request(app).put(`/settings/${created.id}/data/db/host`).send('db2.internal').expect(200);
+      expect(await sealedPassword()).toBe(before);
+
+      const diff = await request(app).get(`/settings/${created.id}/diff?from=1`).expect(200);
+      expect(diff.body.changed.map(change => change.path)).toEqual(['/db/host']);
+    });
+
+    it('should roll back to the real value of a path that is no longer secret', async () => {
+      const created = await createWithSecret();
+      await request(app).put(`/settings/${created.id}/data/db/password`).send('rotated').expect(200);
+      await request(app).put(`/settings/${created.id}/secrets`).send({ secrets: [] }).expect(200);
+
+      const history = await request(app).get(`/settings/${created.id}/versions`).expect(200);
+      expect(history.body.data.map(revision => [revision.data.db.password, revision.secrets])).toEqual([
+        [REDACTED, ['/db/password']],
+        [REDACTED, ['/db/password']]
+      ]);
+
+      const rolledBack = await request(app).post(`/settings/${created.id}/versions/1/rollback`).expect(200);
+      expect(rolledBack.body.data.db.password).toBe('hunter2');
+      const latest = await request(app).get(`/settings/${created.id}/versions/3`).expect(200);
+      expect(latest.body).toMatchObject({ data: { db: { password: 'hunter2' } }, secrets: [] });
+    });
+
+    it('should refuse encrypted values copied from another object', async () => {
+      const created = await createWithSecret();
+      const record = await exported(created.id);
+      const otherId = '0f8d5a9e-7c1b-4d2e-8f3a-6b5c4d3e2f10';
+
+      const copy = await request(app)
+          .post('/settings/import')
+          .send([{ ...record, id: otherId, name: 'app/copy' }])
+          .expect(400);
+      expect(copy.body.error).toMatch(/Invalid encrypted value at \/db\/password/);
+
+      await request(app)
+          .put(`/settings/${created.id}`)
+          .send({ db: { host: 'db.internal', password: record.data.db.password } })
+          .expect(200);
+      const plain = await request(app).post('/settings').send({ stolen: record.data.db.password }).expect(400);
+      expect(plain.body.error).toMatch(/^The value at \/stolen looks encrypted/);
+    });
+
+    it('should validate schemas against decrypted values', async () => {
+      const schema = await request(app)
+          .post('/schemas')
+          .send({ name: 'pin', schema: { type: 'object', properties: { pin: { type: 'integer' } } } })
+          .expect(201);
+
+      await request(app)
+          .post(`/settings?secrets=/pin&schemaId=${schema.body.id}`)
+          .send({ pin: 1234 })
+          .expect(201);
+      await request(app)
+          .post(`/settings?secrets=/pin&schemaId=${schema.body.id}`)
+          .send({ pin: 'x' })
+          .expect(422);
+    });
+
+    it('should re-encrypt secrets under older keys on rotation', async () => {
+      const previous = createKeyring(process.env.SECRETS_PREVIOUS_KEYS);
+      const id = '6b1c0e7a-3f57-4c2a-9e0b-9d4c1f2a7b10';
+      const token = seal('old-token', previous, secretBinding(id, ['token']));
+      await request(app)
+          .post('/settings/import')
+          .send([{ id, data: { token }, secrets: ['/token'] }])
+          .expect(200);
+
+      const rotation = await request(app).post('/admin/secrets/rotate').expect(200);
+      // The current data and its first revision
+      expect(rotation.body).toEqual({ keyId: expect.any(String), rotated: 2 });
+
+      const record = await exported(id);
+      expect(sealedKeyId(record.data.token)).toBe(rotation.body.keyId);
+      const revealed = await request(app).get(`/settings/${id}?reveal=true`).expect(200);
+      expect(revealed.body.data.token).toBe('old-token');
+
+      expect((await request(app).post('/admin/secrets/rotate').expect(200)).body.rotated).toBe(0);
+    });
+  });
+
+  describe('Feature Flags', () => {
+    const checkout = {
+      variants: { new: 'v2', old: 'v1' },
+      defaultVariant: 'old',
+      rules: [
+        { conditions: [{ attribute: 'userId', operator: 'in', values: ['qa-1'] }], variant: 'old' },
+        { conditions: [{ attribute: 'country', operator: 'in', values: ['DE', 'AT'] }], variant: 'new' },
+        { conditions: [{ attribute: 'plan', operator: 'in', values: ['pro'] }], rollout: { new: 50, old: 50 } }
+      ]
+    };
+
+    const createFlag = async (name, data) => {
+      const response = await request(app).post(`/settings?name=${name}&kind=flag`).send(data).expect(201);
+      return response.body;
+    };
+
+    const evaluate = async (body) =>
+        (await request(app).post('/flags/evaluate').send(body).expect(200)).body.flags;
+
+    it('should create flags and reject invalid definitions', async () => {
+      const created = await createFlag('checkout/new-flow', checkout);
+      expect(created.kind).toBe('flag');
+
+      const invalid = await request(app)
+          .post('/settings?kind=flag')
+          .send({ variants: { on: true }, defaultVariant: 'off', rollout: { on: 60 } })
+          .expect(422);
+      expect(invalid.body.violations).toEqual([
+        { path: '/defaultVariant', message: 'must name one of the variants' },
+        { path: '/rollout', message: 'percentages must add up to 100' }
+      ]);
+
+      // Every later write is checked too, per environment
+      await request(app).patch(`/settings/${created.id}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ defaultVariant: 'missing' }))
+          .expect(422);
+      const env = await request(app)
+          .put(`/settings/${created.id}/environments/prod`)
+          .send({ rules: [{ conditions: [], variant: 'beta' }] })
+          .expect(422);
+      expect(env.body.violations[0]).toMatchObject({ path: '/rules/0/variant', environment: 'prod' });
+
+      await request(app).post('/settings?kind=toggle').send({}).expect(400);
+    });
+
+    it('should serve the first matching rule, in order', async () => {
+      const created = await createFlag('checkout/new-flow', checkout);
+
+      const results = await Promise.all([
+        evaluate({ context: { userId: 'qa-1', country: 'DE' } }),
+        evaluate({ context: { userId: 'u-7', country: 'AT', plan: 'pro' } }),
+        evaluate({ context: { userId: 'u-7', country: 'US' } })
+      ]);
+
+      expect(results.map(flags => flags[0])).toEqual([
+        { id: created.id, name: 'checkout/new-flow', variant: 'old', value: 'v1', reason: 'rule', ruleIndex: 0 },
+        { id: created.id, name: 'checkout/new-flow', variant: 'new', value: 'v2', reason: 'rule', ruleIndex: 1 },
+        { id: created.id, name: 'checkout/new-flow', variant: 'old', value: 'v1', reason: 'default' }
+      ]);
+    });
+
+    it('should bucket the same user into the same variant every time', async () => {
+      const created = await createFlag('checkout/new-flow', { ...checkout, rollout: { new: 30, old: 70 } });
+
+      const variants = [];
+      for (let i = 0; i < 50; i++) {
+        const context = { userId: `user-${i}`, country: 'US' };
+        const [first] = await evaluate({ context });
+        const [again] = await evaluate({ context, flags: [created.id] });
+        expect(again).toEqual(first);
+        expect(first.reason).toBe('rollout');
+        variants.push(first.variant);
+      }
+      // Both sides of the split are served
+      expect(new Set(variants)).toEqual(new Set(['new', 'old']));
+
+      // Without the bucketing attribute there is no rollout
+      const [anonymous] = await evaluate({ context: { country: 'US' } });
+      expect(anonymous.reason).toBe('default');
+    });
+
+    it('should evaluate per environment and only flags', async () => {
+      const created = await createFlag('checkout/new-flow', checkout);
+      await request(app).post('/settings?name=checkout/limits').send({ max: 3 }).expect(201);
+      await request(app).put(`/settings/${created.id}/environments/prod`).send({ enabled: false }).expect(200);
+
+      const context = { userId: 'u-7', country: 'DE' };
+      expect((await evaluate({ context, flags: ['checkout/new-flow'] }))[0].reason).toBe('rule');
+      const [prod] = await evaluate({ context, environment: 'prod' });
+      expect(prod).toMatchObject({ variant: 'old', reason: 'disabled' });
+
+      const missing = await request(app)
+          .post('/flags/evaluate')
+          .send({ context, flags: ['checkout/limits'] })
+          .expect(404);
+      expect(missing.body.error).toBe('Flag not found: checkout/limits');
+
+      await request(app).post('/flags/evaluate').send({ context: 'u-7' }).expect(400);
+      await request(app).post('/flags/evaluate').send({ flags: 'checkout/new-flow' }).expect(400);
+
+      const list = await request(app).get('/settings?kind=flag').expect(200);
+      expect(list.body.data.map(item => item.name)).toEqual(['checkout/new-flow']);
+    });
+
+    it('should export and import the kind', async () => {
+      const created = await createFlag('checkout/new-flow', checkout);
+      const exported = await request(app).get('/settings/export').expect(200);
+      expect(exported.body[0].kind).toBe('flag');
+
+      storage.clear();
+      await request(app).post('/settings/import').send(exported.body).expect(200);
+      const imported = await request(app).get(`/settings/${created.id}`).expect(200);
+      expect(imported.body.kind).toBe('flag');
+
+      const invalid = [{ ...exported.body[0], data: { variants: {} } }];
+      await request(app).post('/settings/import?mode=overwrite').send(invalid).expect(422);
+    });
+  });
+
   describe('Parameter Validation', () => {
     it('should handle empty body in POST request', async () => {
       const response = await request(app)
@@ -0,0 +1,62 @@
+/**
+ * auth.js - API Key Helpers
+ *
+ * Pure helpers for API key authentication:
+ *   - generateApiKey / hashApiKey: keys are random and only their
+ *     SHA-256 hash is stored, so a database leak does not leak keys
+ *   - readApiKey: finds the key in the request headers
+ *   - hasScope: checks a key's scopes against what a route requires
+ *
+ * Scopes form a ladder: admin includes settings:write, which includes
+ * settings:read. secrets:reveal stands apart: no other scope includes it.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+
+export const SCOPES = ['settings:read', 'settings:write', 'admin'];
+
+// Lets a key read secret values decrypted (GET ...?reveal=true)
+export const REVEAL_SCOPE = 'secrets:reveal';
+
+// Keys look like "sk_<43 url-safe characters>"; the prefix helps spot them
+const KEY_PREFIX = 'sk_';
+
+/**
+ * Creates a new random API key (256 bits).
+ *
+ * @returns {string}
+ */
+export const generateApiKey = () => KEY_PREFIX + randomBytes(32).toString('base64url');
+
+/**
+ * Hashes an API key for storage and lookup.
+ *
+ * @param {string} key
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * Reads the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const readApiKey = (req) => {
+  const authorization = req.get('Authorization');
+  if (authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+    return match ? match[1] : null;
+  }
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Checks whether a set of granted scopes covers a required scope.
+ *
+ * @param {string[]} granted - Scopes of the key
+ * @param {string} required - Scope the route needs
+ * @returns {boolean}
+ */
+export const hasScope = (granted, required) =>
+    granted.some(scope => SCOPES.indexOf(scope) >= SCOPES.indexOf(required));
@@ -0,0 +1,91 @@
+/**
+ * cursor.js - Keyset (Cursor) Pagination
+ *
+ * Builds the page queries for GET /settings?cursor=&limit= and encodes the
+ * opaque cursors it returns. Rows are ordered by a timestamp column with the ID
+ * as tie-breaker, so the order is total and stable: rows inserted between
+ * page loads never cause duplicates or skips.
+ *
+ * A cursor is base64url-encoded JSON holding the sort it was made for,
+ * the sort key and ID of the boundary row, and the direction to page in.
+ */
+
+import { HttpError } from './errors.js';
+
+// Sorts usable with cursors: a non-null column plus the ID tie-breaker
+const KEYSET_COLUMNS = { createdAt: 'created_at', updatedAt: 'updated_at' };
+
+/**
+ * Parses the sort parameter for cursor mode (default: newest first).
+ *
+ * @param {*} sort - req.query.sort
+ * @returns {{sort: string, column: string, field: string, descending: boolean}}
+ */
+export const parseKeysetSort = (sort = '-createdAt') => {
+  const value = sort === '' ? '-createdAt' : sort;
+  const descending = typeof value === 'string' && value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+
+  if (!Object.hasOwn(KEYSET_COLUMNS, field)) {
+    throw new HttpError(400, 'Cursor pagination supports sort=createdAt, -createdAt, ' +
+                             'updatedAt or -updatedAt');
+  }
+  return { sort: value, column: KEYSET_COLUMNS[field], field, descending };
+};
+
+/**
+ * Encodes a cursor pointing just past (next) or just before (prev) a row.
+ */
+export const encodeCursor = (keyset, row, direction) =>
+    Buffer.from(JSON.stringify({
+                                 s: keyset.sort,
+                                 k: row[keyset.column],
+                                 id: row.id,
+                                 d: direction
+                               })).toString('base64url');
+
+/**
+ * Decodes a cursor. An empty cursor means "first page".
+ * Throws 400 if it is malformed or was issued for a different sort.
+ *
+ * @returns {{key: string, id: string, direction: string}|null}
+ */
+export const decodeCursor = (cursor, keyset) => {
+  if (cursor === '') return null;
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (!decoded || typeof decoded.k !== 'string' || typeof decoded.id !== 'string' ||
+      !['next', 'prev'].includes(decoded.d)) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (decoded.s !== keyset.sort) {
+    throw new HttpError(400, `Cursor was issued for sort=${decoded.s}, not sort=${keyset.sort}`);
+  }
+  return { key: decoded.k, id: decoded.id, direction: decoded.d };
+};
+
+/**
+ * Builds the sort and boundary for one page, as list query fields (see
+ * storage.js): rows in `sort` order, after the row whose sort keys are
+ * `after` (null on the first page).
+ * Paging backwards queries in reverse order; the caller must reverse the
+ * rows back (reverse: true) before returning them.
+ *
+ * @returns {{sort: Array, after: Array|null, reverse: boolean}}
+ */
+export const buildKeyset = (keyset, cursor) => {
+  const backwards = cursor?.direction === 'prev';
+  // Walking the list's own order when paging forward, its reverse otherwise
+  const descending = keyset.descending !== backwards;
+  const sort = [{ column: keyset.column, descending }, { column: 'id', descending }];
+
+  if (!cursor) {
+    return { sort, after: null, reverse: false };
+  }
+  return { sort, after: [cursor.key, cursor.id], reverse: backwards };
+};
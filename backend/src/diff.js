@@ -0,0 +1,192 @@
+/**
+ * diff.js - Structural Diff of JSON Documents
+ *
+ * Compares two JSON values path by path and reports what was added,
+ * removed and changed, keyed by JSON Pointer, or the same differences as
+ * an RFC 6902 JSON Patch that turns the old document into the new one.
+ *
+ * Arrays are compared element by element: elements present on both sides
+ * are matched up (longest common subsequence), so inserting one item at
+ * the front of a list reports one addition instead of changing every index.
+ */
+
+import { formatPointer, deepEqual } from './patch.js';
+
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Above this many element pairs the middles of two arrays are matched by
+// position instead, keeping the quadratic matching cheap
+const MAX_MATCH_CELLS = 250000;
+
+/**
+ * Splits two arrays into hunks: runs of removed and added elements between
+ * elements both sides share. Indices are into a and b respectively.
+ *
+ * @returns {Array<{aStart: number, aEnd: number, bStart: number, bEnd: number}>}
+ */
+const arrayHunks = (a, b) => {
+  // Common prefix and suffix need no matching
+  let start = 0;
+  while (start < a.length && start < b.length && deepEqual(a[start], b[start])) start++;
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && deepEqual(a[aEnd - 1], b[bEnd - 1])) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const n = aEnd - start;
+  const m = bEnd - start;
+  if (n === 0 && m === 0) return [];
+  if (n === 0 || m === 0 || n * m > MAX_MATCH_CELLS) {
+    return [{ aStart: start, aEnd, bStart: start, bEnd }];
+  }
+
+  // lengths[i][j]: longest common subsequence of a[start + i..] and b[start + j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = deepEqual(a[start + i], b[start + j])
+                      ? lengths[i + 1][j + 1] + 1
+                      : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && deepEqual(a[start + i], b[start + j])) {
+      hunk = null;
+      i++;
+      j++;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { aStart: start + i, aEnd: start + i, bStart: start + j, bEnd: start + j };
+      hunks.push(hunk);
+    }
+    if (j === m || (i < n && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      hunk.aEnd = start + ++i;
+    } else {
+      hunk.bEnd = start + ++j;
+    }
+  }
+  return hunks;
+};
+
+/**
+ * Walks two documents and lists every difference in the order a JSON Patch
+ * must apply them. Each entry has the reported path and, for removals from
+ * arrays, patchPath: where the element sits once the earlier edits are applied.
+ */
+const compare = (before, after) => {
+  const entries = [];
+
+  const walk = (a, b, tokens) => {
+    if (isObject(a) && isObject(b)) {
+      for (const key of Object.keys(a)) {
+        if (!Object.hasOwn(b, key)) {
+          entries.push({ type: 'removed', path: formatPointer([...tokens, key]), value: a[key] });
+        } else {
+          walk(a[key], b[key], [...tokens, key]);
+        }
+      }
+      for (const key of Object.keys(b)) {
+        if (!Object.hasOwn(a, key)) {
+          entries.push({ type: 'added', path: formatPointer([...tokens, key]), value: b[key] });
+        }
+      }
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      // Before each hunk the patched array matches b up to bStart, so paths
+      // of kept and added elements are their index in b
+      for (const hunk of arrayHunks(a, b)) {
+        const pairs = Math.min(hunk.aEnd - hunk.aStart, hunk.bEnd - hunk.bStart);
+        for (let k = 0; k < pairs; k++) {
+          walk(a[hunk.aStart + k], b[hunk.bStart + k], [...tokens, String(hunk.bStart + k)]);
+        }
+        for (let index = hunk.aStart + pairs; index < hunk.aEnd; index++) {
+          entries.push({
+            type: 'removed',
+            path: formatPointer([...tokens, String(index)]),
+            patchPath: formatPointer([...tokens, String(hunk.bStart + pairs)]),
+            value: a[index]
+          });
+        }
+        for (let index = hunk.bStart + pairs; index < hunk.bEnd; index++) {
+          entries.push({ type: 'added', path: formatPointer([...tokens, String(index)]), value: b[index] });
+        }
+      }
+    } else if (!deepEqual(a, b)) {
+      entries.push({ type: 'changed', path: formatPointer(tokens), oldValue: a, newValue: b });
+    }
+  };
+
+  walk(before, after, []);
+  return entries;
+};
+
+/**
+ * Diffs two JSON documents. Objects are compared key by key and arrays
+ * element by element, recursively; any other value is compared as a whole.
+ *
+ * Paths point into `after`, except for removed values, which point into
+ * `before`. An array element present on both sides (possibly modified) is
+ * addressed by its index in `after`.
+ *
+ * @param {*} before - Old document
+ * @param {*} after - New document
+ * @returns {{
+ *   added: Array<{path: string, value: *}>,
+ *   removed: Array<{path: string, value: *}>,
+ *   changed: Array<{path: string, oldValue: *, newValue: *}>
+ * }}
+ */
+export const diffDocuments = (before, after) => {
+  const result = { added: [], removed: [], changed: [] };
+  for (const { type, patchPath, ...entry } of compare(before, after)) {
+    result[type].push(entry);
+  }
+  return result;
+};
+
+/**
+ * Renders the diff of two JSON documents as an RFC 6902 JSON Patch:
+ * applying it to before (in order) yields after.
+ *
+ * @param {*} before - Old document
+ * @param {*} after - New document
+ * @returns {Array<{op: string, path: string, value?: *}>}
+ */
+export const diffToJsonPatch = (before, after) => compare(before, after).map((entry) => {
+  switch (entry.type) {
+    case 'added':
+      return { op: 'add', path: entry.path, value: entry.value };
+    case 'removed':
+      return { op: 'remove', path: entry.patchPath ?? entry.path };
+    default:
+      return { op: 'replace', path: entry.path, value: entry.newValue };
+  }
+});
+
+// Fields of diff entries and patch operations that hold document values
+const VALUE_FIELDS = ['value', 'oldValue', 'newValue'];
+
+/**
+ * Applies fn to every value carried by a diff or JSON Patch (e.g. to redact
+ * secrets), leaving paths alone.
+ *
+ * @param {Object|Array} diff - Result of diffDocuments or diffToJsonPatch
+ * @param {function} fn - Maps one value
+ * @returns {Object|Array}
+ */
+export const mapDiffValues = (diff, fn) => {
+  const mapEntry = (entry) => Object.fromEntries(Object.entries(entry).map(([key, value]) =>
+      [key, VALUE_FIELDS.includes(key) ? fn(value) : value]));
+
+  return Array.isArray(diff)
+         ? diff.map(mapEntry)
+         : Object.fromEntries(Object.entries(diff).map(([key, entries]) => [key, entries.map(mapEntry)]));
+};
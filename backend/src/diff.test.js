@@ -0,0 +1,105 @@
+/**
+ * diff.test.js - Structural Diff Tests
+ *
+ * Unit tests for path-level diffs and their JSON Patch form in diff.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffDocuments, diffToJsonPatch, mapDiffValues } from './diff.js';
+import { applyJsonPatch } from './patch.js';
+
+describe('diffDocuments', () => {
+  it('should report added, removed and changed paths in objects', () => {
+    expect(diffDocuments(
+        { a: 1, b: { c: true, d: 'x' }, 'e/f': 1 },
+        { a: 2, b: { c: true, g: null } }
+    )).toEqual({
+      added: [{ path: '/b/g', value: null }],
+      removed: [{ path: '/b/d', value: 'x' }, { path: '/e~1f', value: 1 }],
+      changed: [{ path: '/a', oldValue: 1, newValue: 2 }]
+    });
+    expect(diffDocuments({ a: [1] }, { a: [1] })).toEqual({ added: [], removed: [], changed: [] });
+  });
+
+  it('should diff arrays element by element', () => {
+    // One insertion at the front, not a change at every index
+    expect(diffDocuments({ hosts: ['b', 'c'] }, { hosts: ['a', 'b', 'c'] })).toEqual({
+      added: [{ path: '/hosts/0', value: 'a' }],
+      removed: [],
+      changed: []
+    });
+
+    expect(diffDocuments(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e'])).toEqual({
+      added: [{ path: '/3', value: 'e' }],
+      removed: [{ path: '/1', value: 'b' }],
+      changed: []
+    });
+  });
+
+  it('should descend into array elements that were modified', () => {
+    const before = { servers: [{ host: 'a', port: 80 }, { host: 'b', port: 80 }] };
+    const after = { servers: [{ host: 'z' }, { host: 'a', port: 80 }, { host: 'b', port: 8080 }] };
+
+    expect(diffDocuments(before, after)).toEqual({
+      added: [{ path: '/servers/0', value: { host: 'z' } }],
+      removed: [],
+      changed: [{ path: '/servers/2/port', oldValue: 80, newValue: 8080 }]
+    });
+  });
+
+  it('should compare values of different types as a whole', () => {
+    expect(diffDocuments({ a: [1, 2] }, { a: { 0: 1 } }).changed)
+        .toEqual([{ path: '/a', oldValue: [1, 2], newValue: { 0: 1 } }]);
+    expect(diffDocuments(1, 'x').changed).toEqual([{ path: '', oldValue: 1, newValue: 'x' }]);
+  });
+});
+
+describe('diffToJsonPatch', () => {
+  const cases = [
+    [{ a: 1, b: { c: true, d: 'x' } }, { a: 2, b: { c: true, e: [1] } }],
+    [['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']],
+    [{ list: [1, 2, 3, 4, 5] }, { list: [5, 3, 1] }],
+    [{ list: [{ id: 1, tags: ['x', 'y'] }, { id: 2 }] }, { list: [{ id: 2 }, { id: 1, tags: ['y'] }, 'new'] }],
+    [{ list: ['a', 'b'] }, { list: [] }],
+    [{ a: 1 }, ['root', 'replaced']]
+  ];
+
+  it('should turn before into after when applied', () => {
+    for (const [before, after] of cases) {
+      expect(applyJsonPatch(before, diffToJsonPatch(before, after))).toEqual(after);
+    }
+  });
+
+  it('should remove array elements at their shifted positions', () => {
+    expect(diffToJsonPatch({ list: ['a', 'b', 'c', 'd'] }, { list: ['d'] })).toEqual([
+      { op: 'remove', path: '/list/0' },
+      { op: 'remove', path: '/list/0' },
+      { op: 'remove', path: '/list/0' }
+    ]);
+    expect(diffToJsonPatch({ a: 1 }, { a: 2, b: 3 })).toEqual([
+      { op: 'replace', path: '/a', value: 2 },
+      { op: 'add', path: '/b', value: 3 }
+    ]);
+  });
+
+  it('should fall back to positions for very long arrays', () => {
+    const before = Array.from({ length: 600 }, (_, i) => i);
+    const after = Array.from({ length: 600 }, (_, i) => (i % 2 === 0 ? i : -i));
+
+    expect(applyJsonPatch(before, diffToJsonPatch(before, after))).toEqual(after);
+  });
+});
+
+describe('mapDiffValues', () => {
+  it('should map values and keep paths', () => {
+    const hide = () => '***';
+
+    expect(mapDiffValues(diffDocuments({ a: 1, b: 2 }, { a: 3, c: 4 }), hide)).toEqual({
+      added: [{ path: '/c', value: '***' }],
+      removed: [{ path: '/b', value: '***' }],
+      changed: [{ path: '/a', oldValue: '***', newValue: '***' }]
+    });
+    expect(mapDiffValues([{ op: 'remove', path: '/b' }, { op: 'add', path: '/c', value: 4 }], hide))
+        .toEqual([{ op: 'remove', path: '/b' }, { op: 'add', path: '/c', value: '***' }]);
+  });
+});
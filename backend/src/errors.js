@@ -0,0 +1,37 @@
+/**
+ * errors.js - HTTP Error Types
+ *
+ * Errors thrown from inside helpers and transactions that should reach
+ * the client with a specific status code instead of the generic 500.
+ */
+
+/**
+ * An error that maps directly onto an HTTP response.
+ *
+ * @param {number} status - HTTP status code to respond with
+ * @param {string} message - Human-readable message, sent as `error`
+ * @param {Object} [details] - Extra fields merged into the response body
+ */
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Sends an HttpError as JSON, or a 500 with the fallback message for
+ * anything else (unexpected errors are not leaked to the client).
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - The caught error
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ */
+export const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
@@ -0,0 +1,98 @@
+/**
+ * events.js - Settings Change Events
+ *
+ * Pure helpers behind GET /settings/events (Server-Sent Events):
+ *   - toChangeEvent:     turns an audit log entry into a created / updated /
+ *                        deleted event, using the entry's ID as the event ID
+ *   - matchesFilter:     the ?id= and ?namespace= filters of a subscriber
+ *   - formatEvent:       the text/event-stream encoding of one event
+ *   - createEventBuffer: the bounded buffer Last-Event-ID replays from
+ */
+
+import { underPrefix } from './access.js';
+
+/**
+ * Builds the change event for an audit entry about a settings object.
+ * Event data: { id, name, revision, previousRevision, action, at, requestId }.
+ * revision is null for deletes, previousRevision null for creates.
+ *
+ * @param {Object} entry - Audit entry in its API shape (settingsId set)
+ * @returns {{id: number, type: string, data: Object, names: Array}}
+ */
+export const toChangeEvent = (entry) => {
+  const { before, after } = entry;
+  const type = before === null ? 'created' : after === null ? 'deleted' : 'updated';
+  const current = after ?? before;
+
+  return {
+    id: entry.id,
+    type,
+    data: {
+      id: entry.settingsId,
+      name: current.name,
+      revision: after?.revision ?? null,
+      previousRevision: before?.revision ?? null,
+      action: entry.action,
+      at: entry.at,
+      requestId: entry.requestId
+    },
+    // Names before and after, so a rename out of a namespace is still seen there
+    names: [...new Set([before?.name, after?.name])].filter(name => typeof name === 'string')
+  };
+};
+
+/**
+ * Checks an event against a subscriber's filters. Without filters every
+ * event matches.
+ *
+ * @param {Object} event - From toChangeEvent
+ * @param {{ids: string[]|null, namespace: string|null}} filter
+ * @returns {boolean}
+ */
+export const matchesFilter = (event, { ids, namespace }) =>
+    (ids === null || ids.includes(event.data.id)) &&
+    (namespace === null || event.names.some(name => underPrefix(name, namespace)));
+
+/**
+ * Encodes an event for a text/event-stream response.
+ *
+ * @param {{id: number, type: string, data: Object}} event
+ * @returns {string}
+ */
+export const formatEvent = ({ id, type, data }) =>
+    `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Creates a buffer holding the last `size` events for Last-Event-ID replay.
+ * Events must be pushed in ascending ID order.
+ *
+ * @param {number} size - Most events kept
+ * @param {number} [evictedUpTo=0] - Events up to this ID are already unavailable
+ *   (e.g. everything before the server started)
+ */
+export const createEventBuffer = (size, evictedUpTo = 0) => {
+  let events = [];
+  let horizon = evictedUpTo;
+
+  return {
+    push(event) {
+      events.push(event);
+      if (events.length > size) {
+        horizon = events.shift().id;
+      }
+    },
+
+    /**
+     * Events after lastEventId, or null if some of them were already evicted
+     * (the client has to reload instead of replaying).
+     */
+    since(lastEventId) {
+      if (lastEventId < horizon) return null;
+      return events.filter(event => event.id > lastEventId);
+    },
+
+    clear() {
+      events = [];
+    }
+  };
+};
@@ -0,0 +1,80 @@
+/**
+ * events.test.js - Change Event Tests
+ *
+ * Unit tests for the event helpers in events.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { toChangeEvent, matchesFilter, formatEvent, createEventBuffer } from './events.js';
+
+const entry = (id, before, after) => ({
+  id,
+  at: '2024-01-01T00:00:00.000Z',
+  action: 'settings.update',
+  settingsId: 'abc',
+  before,
+  after,
+  requestId: 'req-1'
+});
+
+describe('toChangeEvent', () => {
+  it('should classify entries by what existed before and after', () => {
+    expect(toChangeEvent(entry(1, null, { name: null, revision: 1 })).type).toBe('created');
+    expect(toChangeEvent(entry(2, { name: null, revision: 1 }, null)).type).toBe('deleted');
+    expect(toChangeEvent(entry(3, { name: 'a', revision: 1 }, { name: 'b', revision: 1 })).type).toBe('updated');
+  });
+
+  it('should carry revisions and both names of a rename', () => {
+    const event = toChangeEvent(entry(7, { name: 'a/x', revision: 2 }, { name: 'b/x', revision: 3 }));
+
+    expect(event.id).toBe(7);
+    expect(event.data).toEqual({
+                                 id: 'abc',
+                                 name: 'b/x',
+                                 revision: 3,
+                                 previousRevision: 2,
+                                 action: 'settings.update',
+                                 at: '2024-01-01T00:00:00.000Z',
+                                 requestId: 'req-1'
+                               });
+    expect(matchesFilter(event, { ids: null, namespace: 'a' })).toBe(true);
+    expect(matchesFilter(event, { ids: null, namespace: 'b' })).toBe(true);
+    expect(matchesFilter(event, { ids: null, namespace: 'c' })).toBe(false);
+    expect(matchesFilter(event, { ids: ['abc'], namespace: null })).toBe(true);
+    expect(matchesFilter(event, { ids: ['def'], namespace: null })).toBe(false);
+  });
+});
+
+describe('formatEvent', () => {
+  it('should write id, event and data lines', () => {
+    expect(formatEvent({ id: 3, type: 'created', data: { id: 'abc' } }))
+        .toBe('id: 3\nevent: created\ndata: {"id":"abc"}\n\n');
+  });
+});
+
+describe('createEventBuffer', () => {
+  const event = (id) => ({ id, type: 'updated', data: {} });
+
+  it('should replay the events after an ID', () => {
+    const buffer = createEventBuffer(10);
+    [1, 2, 5].forEach(id => buffer.push(event(id)));
+
+    expect(buffer.since(1).map(e => e.id)).toEqual([2, 5]);
+    expect(buffer.since(5)).toEqual([]);
+  });
+
+  it('should report a gap once needed events were evicted', () => {
+    const buffer = createEventBuffer(2);
+    [1, 2, 3].forEach(id => buffer.push(event(id)));
+
+    expect(buffer.since(0)).toBeNull();
+    expect(buffer.since(1).map(e => e.id)).toEqual([2, 3]);
+  });
+
+  it('should treat events before it started as evicted', () => {
+    const buffer = createEventBuffer(5, 40);
+
+    expect(buffer.since(39)).toBeNull();
+    expect(buffer.since(40)).toEqual([]);
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * filters.js - List Filtering and Sorting
+ *
+ * Parses the GET /settings query parameters into storage-neutral filters
+ * and sort terms, and applies them two ways with the same meaning:
+ *   - as SQL over the `data` column using SQLite's JSON functions (paths
+ *     and values are always bound as parameters, never spliced into the SQL)
+ *   - in JavaScript over rows held in memory, comparing values the way
+ *     SQLite does (see compareValues)
+ *
+ * Filters (all must match):
+ *   filter[data.theme]=dark                 equality (shorthand for [eq])
+ *   filter[data.limits.max][gte]=10         eq, ne, gt, gte, lt, lte
+ *   filter[data.beta][exists]=true          key present (true) or absent (false)
+ *   filter[data.region][in]=eu,us           one of a comma-separated list
+ *
+ * Sorting:
+ *   sort=updatedAt                          createdAt, updatedAt, name or data.<path>
+ *   sort=-data.limits.max,name              "-" for descending; comma-separated keys
+ */
+
+import { HttpError } from './errors.js';
+
+const COMPARISONS = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const OPERATORS = [...Object.keys(COMPARISONS), 'exists', 'in'];
+
+const SORT_COLUMNS = { createdAt: 'created_at', updatedAt: 'updated_at', name: 'name' };
+
+// Path segments: identifiers (object keys) or non-negative integers (array indexes)
+const SEGMENT_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$-]*$|^(0|[1-9][0-9]*)$/;
+
+/**
+ * Parses "data.limits.max" / "data.items.0" into the path below data:
+ * ['limits', 'max'] / ['items', 0]. Numbers index arrays. Throws 400 for
+ * anything else.
+ */
+export const parsePath = (path) => {
+  const segments = path.split('.');
+  if (segments[0] !== 'data' || segments.length < 2 ||
+      !segments.slice(1).every(segment => SEGMENT_PATTERN.test(segment))) {
+    throw new HttpError(400, `Invalid path "${path}". Use data.<key>[.<key>...], e.g. data.theme`);
+  }
+  return segments.slice(1).map(segment => /^[0-9]+$/.test(segment) ? Number(segment) : segment);
+};
+
+/**
+ * Converts a parsed path to the SQLite JSON path "$.limits.max" / "$.items[0]".
+ */
+export const toJsonPath = (path) =>
+    '$' + path.map(segment => typeof segment === 'number' ? `[${segment}]` : `.${segment}`).join('');
+
+/**
+ * Parses a query-string value as JSON when possible ("10" -> 10,
+ * "true" -> true, "\"10\"" -> "10"), otherwise keeps it as a string.
+ */
+const parseValue = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+};
+
+const assertScalar = (value, field, operator) => {
+  if (value !== null && typeof value === 'object') {
+    throw new HttpError(400, `Filter "${field}" [${operator}] needs a string, number or boolean value`);
+  }
+  return value;
+};
+
+const parseCondition = (field, operator, raw) => {
+  if (!OPERATORS.includes(operator)) {
+    throw new HttpError(400, `Unknown filter operator "${operator}" on "${field}". ` +
+                             `Use one of: ${OPERATORS.join(', ')}`);
+  }
+  if (typeof raw !== 'string') {
+    throw new HttpError(400, `Filter "${field}" [${operator}] must have a single value`);
+  }
+
+  const path = parsePath(field);
+
+  if (operator === 'exists') {
+    if (raw !== 'true' && raw !== 'false') {
+      throw new HttpError(400, `Filter "${field}" [exists] must be true or false`);
+    }
+    return { path, operator, value: raw === 'true' };
+  }
+
+  if (operator === 'in') {
+    const values = raw.split(',').filter(Boolean).map(v => assertScalar(parseValue(v), field, operator));
+    if (values.length === 0) {
+      throw new HttpError(400, `Filter "${field}" [in] needs at least one value`);
+    }
+    return { path, operator, value: values };
+  }
+
+  const value = assertScalar(parseValue(raw), field, operator);
+  if (value === null && operator !== 'eq' && operator !== 'ne') {
+    throw new HttpError(400, `Filter "${field}" [${operator}] cannot compare against null`);
+  }
+  return { path, operator, value };
+};
+
+/**
+ * Parses the `filter` query parameter.
+ *
+ * @param {*} filter - Parsed req.query.filter (undefined if absent)
+ * @returns {Array<{path: Array, operator: string, value: *}>} value is an
+ *          array for "in", a boolean for "exists", a scalar (or null for
+ *          eq / ne) otherwise
+ */
+export const parseFilters = (filter) => {
+  if (filter === undefined) return [];
+
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new HttpError(400, 'Filters must look like filter[data.<path>]=<value> ' +
+                             'or filter[data.<path>][<operator>]=<value>');
+  }
+
+  const filters = [];
+  for (const [field, spec] of Object.entries(filter)) {
+    const operations = typeof spec === 'object' && !Array.isArray(spec) ? spec : { eq: spec };
+    for (const [operator, raw] of Object.entries(operations)) {
+      filters.push(parseCondition(field, operator, raw));
+    }
+  }
+  return filters;
+};
+
+/**
+ * Parses the `sort` query parameter into sort terms, each on a column or
+ * on a path of data. Falls back to newest first when no sort is given.
+ * Every order ends with the ID, so rows with equal sort keys always come
+ * back in the same order.
+ *
+ * @param {*} sort - Parsed req.query.sort (undefined if absent)
+ * @returns {Array<{column?: string, path?: Array, descending: boolean}>}
+ */
+export const parseSort = (sort) => {
+  if (sort === undefined || sort === '') {
+    return [{ column: 'created_at', descending: true }, { column: 'id', descending: true }];
+  }
+  if (typeof sort !== 'string') {
+    throw new HttpError(400, 'sort must be a comma-separated list such as "-updatedAt,name"');
+  }
+
+  const terms = sort.split(',').map((key) => {
+    const descending = key.startsWith('-');
+    const field = descending ? key.slice(1) : key;
+
+    if (Object.hasOwn(SORT_COLUMNS, field)) {
+      return { column: SORT_COLUMNS[field], descending };
+    }
+    if (field.startsWith('data.')) {
+      return { path: parsePath(field), descending };
+    }
+    throw new HttpError(400, `Cannot sort by "${field}". ` +
+                             'Use createdAt, updatedAt, name or data.<path>');
+  });
+  return [...terms, { column: 'id', descending: false }];
+};
+
+// SQL
+
+/**
+ * Converts a JS value to what json_extract() returns for it, so the two
+ * compare equal in SQL. Booleans come back from SQLite as 1 / 0.
+ */
+const toSqlValue = (value) => typeof value === 'boolean' ? (value ? 1 : 0) : value;
+
+const conditionSql = ({ path, operator, value }) => {
+  const jsonPath = toJsonPath(path);
+
+  if (operator === 'exists') {
+    return { sql: `json_type(data, ?) IS ${value ? 'NOT NULL' : 'NULL'}`, params: [jsonPath] };
+  }
+  if (operator === 'in') {
+    return {
+      sql: `json_extract(data, ?) IN (${value.map(() => '?').join(', ')})`,
+      params: [jsonPath, ...value.map(toSqlValue)]
+    };
+  }
+  if (value === null) {
+    return { sql: `json_type(data, ?) ${operator === 'eq' ? '=' : 'IS NOT'} 'null'`, params: [jsonPath] };
+  }
+  return { sql: `json_extract(data, ?) ${COMPARISONS[operator]} ?`, params: [jsonPath, toSqlValue(value)] };
+};
+
+/**
+ * Builds the WHERE conditions for parsed filters.
+ *
+ * @returns {{conditions: string[], params: Array}}
+ */
+export const filterSql = (filters) => {
+  const conditions = [];
+  const params = [];
+  for (const filter of filters) {
+    const condition = conditionSql(filter);
+    conditions.push(condition.sql);
+    params.push(...condition.params);
+  }
+  return { conditions, params };
+};
+
+// A sort term as an SQL expression; columns are checked by the caller
+const termSql = (term) => term.column !== undefined
+                          ? { sql: term.column, params: [] }
+                          : { sql: 'json_extract(data, ?)', params: [toJsonPath(term.path)] };
+
+/**
+ * Builds the ORDER BY clause for sort terms.
+ *
+ * @returns {{sql: string, params: Array}}
+ */
+export const orderBySql = (sort) => {
+  const params = [];
+  const terms = sort.map((term) => {
+    const expression = termSql(term);
+    params.push(...expression.params);
+    return `${expression.sql} ${term.descending ? 'DESC' : 'ASC'}`;
+  });
+  return { sql: `ORDER BY ${terms.join(', ')}`, params };
+};
+
+/**
+ * Builds the condition "comes after a row whose sort keys are values" for
+ * keyset pagination: greater on the first term, or equal on it and after
+ * on the rest. Sort keys must not be null.
+ *
+ * @returns {{sql: string, params: Array}}
+ */
+export const afterSql = (sort, values) => {
+  const [term, ...rest] = sort;
+  const expression = termSql(term);
+  const beyond = `${expression.sql} ${term.descending ? '<' : '>'} ?`;
+  if (rest.length === 0) {
+    return { sql: beyond, params: [...expression.params, values[0]] };
+  }
+
+  const next = afterSql(rest, values.slice(1));
+  return {
+    sql: `(${beyond} OR (${expression.sql} = ? AND ${next.sql}))`,
+    params: [...expression.params, values[0], ...expression.params, values[0], ...next.params]
+  };
+};
+
+// In memory
+
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads a parsed path from a document the way json_extract() does:
+ * undefined when missing, numbers only index arrays.
+ */
+const extract = (doc, path) => {
+  let current = doc;
+  for (const segment of path) {
+    const container = typeof segment === 'number' ? Array.isArray(current) : isObject(current);
+    if (!container || !Object.hasOwn(current, segment)) return undefined;
+    current = current[segment];
+  }
+  return current;
+};
+
+/**
+ * A JSON value as SQLite sees it in comparisons: missing and null are
+ * NULL, booleans 1 / 0, objects and arrays their JSON text.
+ */
+const toStoredValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// SQLite orders NULL first, then numbers, then text (as UTF-8 bytes)
+const typeRank = (value) => value === null ? 0 : typeof value === 'number' ? 1 : 2;
+
+/**
+ * Compares two stored values the way SQLite's ORDER BY does.
+ *
+ * @returns {number} Negative, zero or positive
+ */
+export const compareValues = (a, b) => {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0 || a === null) return rank;
+  if (typeof a === 'number') return a - b;
+  return Buffer.compare(Buffer.from(a), Buffer.from(b));
+};
+
+// Compares the way SQL does: NULL never matches, numbers and text are
+// never equal but still order
+const holds = (actual, operator, expected) => {
+  if (actual === null) return false;
+  const order = compareValues(actual, expected);
+  switch (operator) {
+    case 'eq':
+      return order === 0;
+    case 'ne':
+      return order !== 0;
+    case 'gt':
+      return order > 0;
+    case 'gte':
+      return order >= 0;
+    case 'lt':
+      return order < 0;
+    default:
+      return order <= 0;
+  }
+};
+
+/**
+ * Checks parsed filters against a settings document, with the same
+ * results as filterSql.
+ *
+ * @param {*} data - Parsed data of a row
+ * @param {Array} filters - Result of parseFilters
+ * @returns {boolean}
+ */
+export const matchesFilters = (data, filters) => filters.every(({ path, operator, value }) => {
+  const found = extract(data, path);
+
+  if (operator === 'exists') return (found !== undefined) === value;
+  if (value === null) return (found === null) === (operator === 'eq');
+
+  const actual = toStoredValue(found);
+  if (operator === 'in') return value.some(candidate => holds(actual, 'eq', toSqlValue(candidate)));
+  return holds(actual, operator, toSqlValue(value));
+});
+
+/**
+ * The sort keys of a row for sort terms, comparable with compareKeys.
+ *
+ * @param {Array} sort - Sort terms (see parseSort)
+ * @param {Object} row - Row with a JSON text `data` column
+ * @returns {Array}
+ */
+export const sortKeys = (sort, row) => {
+  let data;
+  return sort.map((term) => {
+    if (term.column !== undefined) return row[term.column] ?? null;
+    data ??= JSON.parse(row.data);
+    return toStoredValue(extract(data, term.path));
+  });
+};
+
+/**
+ * Compares two rows' sort keys in the order of the sort terms.
+ *
+ * @returns {number} Negative if a comes first
+ */
+export const compareKeys = (sort, a, b) => {
+  for (let i = 0; i < sort.length; i++) {
+    const order = compareValues(a[i], b[i]);
+    if (order !== 0) return sort[i].descending ? -order : order;
+  }
+  return 0;
+};
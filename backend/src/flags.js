@@ -0,0 +1,256 @@
+/**
+ * flags.js - Feature Flag Evaluation
+ *
+ * Pure helpers for settings objects of kind "flag". A flag's data defines:
+ *   - variants:       variant name -> served value, e.g. { "on": true, "off": false }
+ *   - defaultVariant: served when the flag is disabled or nothing else matches
+ *   - enabled:        optional, false serves defaultVariant to everyone
+ *   - rules:          optional, checked in order; the first rule whose
+ *                     conditions all hold serves its variant or rollout
+ *   - rollout:        optional, percentages for contexts no rule matched
+ *   - bucketBy:       optional context attribute rollouts hash (default "userId")
+ *
+ * A rollout such as { "on": 20, "off": 80 } splits 0-100 into ranges in the
+ * order the variants are listed. Each context lands at a fixed point that
+ * depends only on the flag and its bucketBy value, so the same user always
+ * gets the same variant and raising "on" from 20 to 30 keeps the first 20%.
+ */
+
+import { createHash } from 'node:crypto';
+import { HttpError } from './errors.js';
+import { formatPointer } from './patch.js';
+import { deepMerge } from './inheritance.js';
+
+// Operators a rule condition can use on a context attribute
+export const FLAG_OPERATORS = ['in', 'notIn', 'startsWith', 'endsWith', 'gt', 'gte', 'lt', 'lte'];
+
+const DEFAULT_BUCKET_BY = 'userId';
+
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks a rollout: variant name -> percentage, each one a known variant,
+ * adding up to 100.
+ */
+const findRolloutViolations = (rollout, variants, tokens) => {
+  if (!isObject(rollout) || Object.keys(rollout).length === 0) {
+    return [{ path: formatPointer(tokens), message: 'must map variant names to percentages' }];
+  }
+
+  const violations = [];
+  let total = 0;
+  for (const [variant, percentage] of Object.entries(rollout)) {
+    if (!Object.hasOwn(variants, variant)) {
+      violations.push({ path: formatPointer([...tokens, variant]), message: 'is not a variant' });
+    }
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+      violations.push({ path: formatPointer([...tokens, variant]), message: 'must be a number from 0 to 100' });
+    } else {
+      total += percentage;
+    }
+  }
+  // Allow for rounding in fractional percentages such as 33.33
+  if (violations.length === 0 && Math.abs(total - 100) > 1e-9) {
+    violations.push({ path: formatPointer(tokens), message: 'percentages must add up to 100' });
+  }
+  return violations;
+};
+
+const findConditionViolations = (condition, tokens) => {
+  const path = formatPointer(tokens);
+  if (!isObject(condition)) {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  const violations = [];
+  if (typeof condition.attribute !== 'string' || condition.attribute === '') {
+    violations.push({ path: `${path}/attribute`, message: 'must be a non-empty string' });
+  }
+  if (!FLAG_OPERATORS.includes(condition.operator)) {
+    violations.push({ path: `${path}/operator`, message: `must be one of ${FLAG_OPERATORS.join(', ')}` });
+  }
+  if (!Array.isArray(condition.values) || condition.values.length === 0) {
+    violations.push({ path: `${path}/values`, message: 'must be a non-empty array' });
+  }
+  return violations;
+};
+
+/**
+ * Validates a flag definition.
+ *
+ * @param {*} flag - Flag data
+ * @returns {Array<{path: string, message: string}>} Violations (empty if valid)
+ */
+export const findFlagViolations = (flag) => {
+  if (!isObject(flag)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const violations = [];
+  const { variants, rules = [] } = flag;
+  if (!isObject(variants) || Object.keys(variants).length === 0) {
+    return [{ path: '/variants', message: 'must map variant names to values' }];
+  }
+  if (!Object.hasOwn(variants, flag.defaultVariant)) {
+    violations.push({ path: '/defaultVariant', message: 'must name one of the variants' });
+  }
+  if (flag.enabled !== undefined && typeof flag.enabled !== 'boolean') {
+    violations.push({ path: '/enabled', message: 'must be true or false' });
+  }
+  if (flag.bucketBy !== undefined && (typeof flag.bucketBy !== 'string' || flag.bucketBy === '')) {
+    violations.push({ path: '/bucketBy', message: 'must be a non-empty string' });
+  }
+  if (flag.rollout !== undefined) {
+    violations.push(...findRolloutViolations(flag.rollout, variants, ['rollout']));
+  }
+
+  if (!Array.isArray(rules)) {
+    violations.push({ path: '/rules', message: 'must be an array' });
+    return violations;
+  }
+  rules.forEach((rule, i) => {
+    const tokens = ['rules', String(i)];
+    if (!isObject(rule)) {
+      violations.push({ path: formatPointer(tokens), message: 'must be an object' });
+      return;
+    }
+    if (!Array.isArray(rule.conditions)) {
+      violations.push({ path: formatPointer([...tokens, 'conditions']), message: 'must be an array' });
+    } else {
+      rule.conditions.forEach((condition, j) =>
+          violations.push(...findConditionViolations(condition, [...tokens, 'conditions', String(j)])));
+    }
+
+    // Each rule serves exactly one of: a fixed variant, or a rollout
+    if ((rule.variant === undefined) === (rule.rollout === undefined)) {
+      violations.push({ path: formatPointer(tokens), message: 'must have either variant or rollout' });
+    } else if (rule.variant !== undefined && !Object.hasOwn(variants, rule.variant)) {
+      violations.push({ path: formatPointer([...tokens, 'variant']), message: 'must name one of the variants' });
+    } else if (rule.rollout !== undefined) {
+      violations.push(...findRolloutViolations(rule.rollout, variants, [...tokens, 'rollout']));
+    }
+  });
+  return violations;
+};
+
+/**
+ * Throws a 422 HttpError listing every violation if the flag's defaults, or
+ * its effective data in any environment, are not a valid flag definition.
+ * Violations found in an environment carry an `environment` field naming it.
+ *
+ * @param {*} data - Default data
+ * @param {Object} [overrides] - Environment name -> override document
+ */
+export const assertValidFlag = (data, overrides = {}) => {
+  const violations = [
+    ...findFlagViolations(data),
+    ...Object.entries(overrides).flatMap(([environment, override]) =>
+        findFlagViolations(deepMerge(data, override)).map(violation => ({ ...violation, environment })))
+  ];
+  if (violations.length > 0) {
+    throw new HttpError(422, 'Invalid feature flag', { violations });
+  }
+};
+
+/**
+ * Places a context on the 0-100 scale of a flag's rollouts: the first 32
+ * bits of SHA-256 over "<seed>:<value>". Stable across processes and restarts.
+ *
+ * @param {string} seed - Identifies the flag (its ID), so flags split independently
+ * @param {*} value - The context's bucketBy attribute
+ * @returns {number} A point in [0, 100)
+ */
+export const bucketFor = (seed, value) => {
+  const digest = createHash('sha256').update(`${seed}:${value}`).digest();
+  return digest.readUInt32BE(0) / 2 ** 32 * 100;
+};
+
+/**
+ * The variant of a rollout a bucket falls into.
+ */
+const pickVariant = (rollout, bucket) => {
+  let upTo = 0;
+  const entries = Object.entries(rollout);
+  for (const [variant, percentage] of entries) {
+    upTo += percentage;
+    if (bucket < upTo) return variant;
+  }
+  // Rounding can leave a sliver below 100 uncovered; it goes to the last variant
+  return entries[entries.length - 1][0];
+};
+
+/**
+ * Checks one rule condition against a context. A context without the
+ * attribute fails every condition, notIn included.
+ */
+const conditionHolds = ({ attribute, operator, values }, context) => {
+  if (!Object.hasOwn(context, attribute)) return false;
+  const actual = context[attribute];
+
+  switch (operator) {
+    case 'in':
+      return values.includes(actual);
+    case 'notIn':
+      return !values.includes(actual);
+    case 'startsWith':
+      return typeof actual === 'string' && values.some(value => actual.startsWith(value));
+    case 'endsWith':
+      return typeof actual === 'string' && values.some(value => actual.endsWith(value));
+    case 'gt':
+      return typeof actual === 'number' && actual > values[0];
+    case 'gte':
+      return typeof actual === 'number' && actual >= values[0];
+    case 'lt':
+      return typeof actual === 'number' && actual < values[0];
+    case 'lte':
+      return typeof actual === 'number' && actual <= values[0];
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluates a valid flag for a context. reason is one of:
+ *   - "disabled": enabled is false
+ *   - "rule":     rules[ruleIndex] matched (its variant, or its rollout)
+ *   - "rollout":  no rule matched and the flag's rollout picked the variant
+ *   - "default":  nothing matched
+ * Rollouts only apply to contexts that have the bucketBy attribute; a rule
+ * with a rollout does not match the others.
+ *
+ * @param {Object} flag - Flag data (see findFlagViolations)
+ * @param {Object} context - Attributes such as { userId, country, plan }
+ * @param {string} seed - The flag's ID (see bucketFor)
+ * @returns {{variant: string, value: *, reason: string, ruleIndex?: number}}
+ */
+export const evaluateFlag = (flag, context, seed) => {
+  const serve = (variant, reason, extra = {}) =>
+      ({ variant, value: flag.variants[variant], reason, ...extra });
+
+  if (flag.enabled === false) {
+    return serve(flag.defaultVariant, 'disabled');
+  }
+
+  const bucketBy = flag.bucketBy ?? DEFAULT_BUCKET_BY;
+  const hasKey = Object.hasOwn(context, bucketBy) && context[bucketBy] !== null;
+  const bucket = hasKey ? bucketFor(seed, context[bucketBy]) : undefined;
+
+  const rules = flag.rules ?? [];
+  for (let ruleIndex = 0; ruleIndex < rules.length; ruleIndex++) {
+    const rule = rules[ruleIndex];
+    if (!rule.conditions.every(condition => conditionHolds(condition, context))) continue;
+
+    if (rule.variant !== undefined) {
+      return serve(rule.variant, 'rule', { ruleIndex });
+    }
+    if (hasKey) {
+      return serve(pickVariant(rule.rollout, bucket), 'rule', { ruleIndex });
+    }
+  }
+
+  if (flag.rollout && hasKey) {
+    return serve(pickVariant(flag.rollout, bucket), 'rollout');
+  }
+  return serve(flag.defaultVariant, 'default');
+};
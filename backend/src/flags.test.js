@@ -0,0 +1,144 @@
+/**
+ * flags.test.js - Feature Flag Tests
+ *
+ * Unit tests for flag validation, rule ordering and bucketing in flags.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { assertValidFlag, bucketFor, evaluateFlag, findFlagViolations } from './flags.js';
+
+const flag = {
+  variants: { on: true, off: false },
+  defaultVariant: 'off',
+  rules: [
+    { conditions: [{ attribute: 'plan', operator: 'in', values: ['free'] }], variant: 'off' },
+    { conditions: [{ attribute: 'country', operator: 'in', values: ['DE'] }], variant: 'on' },
+    {
+      conditions: [
+        { attribute: 'plan', operator: 'in', values: ['pro'] },
+        { attribute: 'seats', operator: 'gte', values: [10] }
+      ],
+      variant: 'on'
+    }
+  ]
+};
+
+describe('findFlagViolations', () => {
+  it('should accept a valid flag', () => {
+    expect(findFlagViolations(flag)).toEqual([]);
+    expect(findFlagViolations({ ...flag, rollout: { on: 33.3, off: 66.7 }, bucketBy: 'orgId' })).toEqual([]);
+  });
+
+  it('should report each problem by path', () => {
+    expect(findFlagViolations({
+      variants: { on: true },
+      defaultVariant: 'on',
+      enabled: 'yes',
+      rules: [
+        { conditions: [{ attribute: '', operator: 'matches', values: [] }], variant: 'on' },
+        { conditions: [], variant: 'on', rollout: { on: 100 } },
+        { conditions: [], rollout: { on: 50, off: 50 } }
+      ]
+    })).toEqual([
+      { path: '/enabled', message: 'must be true or false' },
+      { path: '/rules/0/conditions/0/attribute', message: 'must be a non-empty string' },
+      { path: '/rules/0/conditions/0/operator', message: expect.stringMatching(/^must be one of in, notIn/) },
+      { path: '/rules/0/conditions/0/values', message: 'must be a non-empty array' },
+      { path: '/rules/1', message: 'must have either variant or rollout' },
+      { path: '/rules/2/rollout/off', message: 'is not a variant' }
+    ]);
+    expect(findFlagViolations([])).toEqual([{ path: '', message: 'must be an object' }]);
+  });
+
+  it('should check every environment', () => {
+    expect(() => assertValidFlag(flag, { prod: { enabled: false } })).not.toThrow();
+
+    try {
+      assertValidFlag(flag, { prod: { defaultVariant: 'beta' } });
+      expect.unreachable();
+    } catch (error) {
+      expect(error.status).toBe(422);
+      expect(error.details.violations).toEqual([
+        { path: '/defaultVariant', message: 'must name one of the variants', environment: 'prod' }
+      ]);
+    }
+  });
+});
+
+describe('evaluateFlag', () => {
+  it('should serve the first rule whose conditions all hold', () => {
+    expect(evaluateFlag(flag, { plan: 'free', country: 'DE' }, 'f'))
+        .toEqual({ variant: 'off', value: false, reason: 'rule', ruleIndex: 0 });
+    expect(evaluateFlag(flag, { plan: 'pro', country: 'DE', seats: 20 }, 'f'))
+        .toEqual({ variant: 'on', value: true, reason: 'rule', ruleIndex: 1 });
+    expect(evaluateFlag(flag, { plan: 'pro', seats: 20 }, 'f'))
+        .toEqual({ variant: 'on', value: true, reason: 'rule', ruleIndex: 2 });
+    expect(evaluateFlag(flag, { plan: 'pro', seats: 5 }, 'f'))
+        .toEqual({ variant: 'off', value: false, reason: 'default' });
+  });
+
+  it('should apply each operator, failing on missing attributes', () => {
+    const check = (operator, values, context) => evaluateFlag({
+      ...flag,
+      rules: [{ conditions: [{ attribute: 'email', operator, values }], variant: 'on' }]
+    }, context, 'f').variant;
+
+    expect(check('notIn', ['a@x.io'], { email: 'b@x.io' })).toBe('on');
+    expect(check('notIn', ['a@x.io'], {})).toBe('off');
+    expect(check('startsWith', ['admin@'], { email: 'admin@x.io' })).toBe('on');
+    expect(check('endsWith', ['@x.io', '@y.io'], { email: 'b@y.io' })).toBe('on');
+    expect(check('endsWith', ['@x.io'], { email: 42 })).toBe('off');
+    expect(check('lt', [3], { email: 2 })).toBe('on');
+    expect(check('gt', [3], { email: '5' })).toBe('off');
+  });
+
+  it('should serve the default variant while disabled', () => {
+    expect(evaluateFlag({ ...flag, enabled: false }, { country: 'DE' }, 'f'))
+        .toEqual({ variant: 'off', value: false, reason: 'disabled' });
+  });
+});
+
+describe('rollouts', () => {
+  const rollout = { ...flag, rules: [], rollout: { on: 25, off: 75 } };
+  const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+
+  it('should bucket deterministically, per flag', () => {
+    expect(bucketFor('flag-a', 'user-1')).toBe(bucketFor('flag-a', 'user-1'));
+    expect(bucketFor('flag-a', 'user-1')).not.toBe(bucketFor('flag-b', 'user-1'));
+
+    for (const userId of users.slice(0, 100)) {
+      const bucket = bucketFor('flag-a', userId);
+      expect(bucket).toBeGreaterThanOrEqual(0);
+      expect(bucket).toBeLessThan(100);
+    }
+  });
+
+  it('should split contexts close to the percentages', () => {
+    const on = users.filter(userId => evaluateFlag(rollout, { userId }, 'flag-a').variant === 'on');
+    expect(on.length / users.length).toBeGreaterThan(0.22);
+    expect(on.length / users.length).toBeLessThan(0.28);
+  });
+
+  it('should keep users in their variant as the rollout grows', () => {
+    const wider = { ...rollout, rollout: { on: 50, off: 50 } };
+    for (const userId of users.slice(0, 200)) {
+      if (evaluateFlag(rollout, { userId }, 'flag-a').variant === 'on') {
+        expect(evaluateFlag(wider, { userId }, 'flag-a').variant).toBe('on');
+      }
+    }
+  });
+
+  it('should hash the bucketBy attribute and skip rollouts without it', () => {
+    const byOrg = { ...rollout, bucketBy: 'orgId' };
+    const first = evaluateFlag(byOrg, { orgId: 'acme', userId: 'a' }, 'flag-a');
+    expect(evaluateFlag(byOrg, { orgId: 'acme', userId: 'b' }, 'flag-a')).toEqual(first);
+    expect(first.reason).toBe('rollout');
+
+    expect(evaluateFlag(byOrg, { userId: 'a' }, 'flag-a').reason).toBe('default');
+
+    // A rule with a rollout does not match contexts that cannot be bucketed
+    const ruled = { ...flag, rules: [{ conditions: [], rollout: { on: 100, off: 0 } }] };
+    expect(evaluateFlag(ruled, { userId: 'a' }, 'f')).toMatchObject({ variant: 'on', ruleIndex: 0 });
+    expect(evaluateFlag(ruled, {}, 'f').reason).toBe('default');
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * formats.js - YAML, TOML and dotenv Representations
+ *
+ * Converts settings data to and from the text formats offered through
+ * content negotiation on GET/POST/PUT /settings/:id:
+ *   - application/yaml
+ *   - application/toml
+ *   - text/plain: dotenv, nested keys flattened as A__B__C
+ *
+ * Settings are stored as JSON, so a value that cannot be written in the
+ * requested format is a 406, and a value in a request body that has no
+ * JSON equivalent is a 415. Both name the offending path (JSON Pointer).
+ * Plain syntax errors are a 400.
+ */
+
+import YAML from 'yaml';
+import { parse as parseToml, stringify as stringifyToml, TomlError } from 'smol-toml';
+import { HttpError } from './errors.js';
+import { formatPointer } from './patch.js';
+
+export const YAML_TYPE = 'application/yaml';
+export const TOML_TYPE = 'application/toml';
+export const DOTENV_TYPE = 'text/plain';
+
+// Media types that are parsed as text and converted by this module
+export const TEXT_FORMATS = [YAML_TYPE, TOML_TYPE, DOTENV_TYPE];
+
+const FORMAT_NAMES = { [YAML_TYPE]: 'YAML', [TOML_TYPE]: 'TOML', [DOTENV_TYPE]: 'dotenv' };
+
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const cannotWrite = (type, tokens, reason) =>
+    new HttpError(406, `Cannot represent ${formatPointer(tokens) || 'the document'} ` +
+                       `in ${FORMAT_NAMES[type]}: ${reason}`, { path: formatPointer(tokens) });
+
+const cannotRead = (type, tokens, reason) =>
+    new HttpError(415, `Cannot store ${formatPointer(tokens) || 'the document'} ` +
+                       `from ${FORMAT_NAMES[type]}: ${reason}`, { path: formatPointer(tokens) });
+
+// Serialization
+/**
+ * TOML has no null, and its top level must be a table.
+ */
+const assertTomlWritable = (value, tokens = []) => {
+  if (tokens.length === 0 && !isObject(value)) {
+    throw cannotWrite(TOML_TYPE, tokens, 'the top level must be an object');
+  }
+  if (value === null) {
+    throw cannotWrite(TOML_TYPE, tokens, 'TOML has no null');
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+    for (const [key, child] of entries) {
+      assertTomlWritable(child, [...tokens, key]);
+    }
+  }
+};
+
+// A dotenv key segment: letters and digits, single underscores in between
+const DOTENV_SEGMENT = /^[A-Za-z][A-Za-z0-9]*(_[A-Za-z0-9]+)*$/;
+
+/**
+ * Flattens an object into dotenv lines. Strings are always double-quoted
+ * so "10" and 10 (or "true" and true) stay distinct when read back.
+ */
+const toDotenv = (data) => {
+  if (!isObject(data)) {
+    throw cannotWrite(DOTENV_TYPE, [], 'the top level must be an object');
+  }
+
+  const lines = [];
+  const walk = (value, tokens) => {
+    for (const [key, child] of Object.entries(value)) {
+      const path = [...tokens, key];
+      if (!DOTENV_SEGMENT.test(key)) {
+        throw cannotWrite(DOTENV_TYPE, path,
+                          `key "${key}" must be letters, digits and single underscores, starting with a letter`);
+      }
+      if (Array.isArray(child)) {
+        throw cannotWrite(DOTENV_TYPE, path, 'dotenv has no arrays');
+      }
+      if (isObject(child)) {
+        if (Object.keys(child).length === 0) {
+          throw cannotWrite(DOTENV_TYPE, path, 'an empty object has no dotenv keys');
+        }
+        walk(child, path);
+      } else {
+        lines.push(`${path.join('__')}=${JSON.stringify(child)}`);
+      }
+    }
+  };
+
+  walk(data, []);
+  return lines.map(line => line + '\n').join('');
+};
+
+/**
+ * Serializes settings data in one of the text formats.
+ * Throws 406 naming the first value the format cannot represent.
+ *
+ * @param {string} type - YAML_TYPE, TOML_TYPE or DOTENV_TYPE
+ * @param {*} data - Settings data
+ * @returns {string}
+ */
+export const serialize = (type, data) => {
+  switch (type) {
+    case YAML_TYPE:
+      return YAML.stringify(data);
+    case TOML_TYPE:
+      assertTomlWritable(data);
+      return stringifyToml(data);
+    case DOTENV_TYPE:
+      return toDotenv(data);
+  }
+};
+
+// Parsing
+/**
+ * Converts a parsed document to plain JSON, rejecting values JSON lacks:
+ * non-finite numbers, dates, binary data and non-scalar map keys.
+ */
+const toJsonValue = (type, value, tokens = []) => {
+  if (value instanceof Map) {
+    const result = {};
+    for (const [key, child] of value) {
+      if (key !== null && typeof key === 'object') {
+        throw cannotRead(type, tokens, 'JSON object keys must be strings, not collections');
+      }
+      result[String(key)] = toJsonValue(type, child, [...tokens, String(key)]);
+    }
+    return result;
+  }
+  if (Array.isArray(value)) {
+    return value.map((child, i) => toJsonValue(type, child, [...tokens, i]));
+  }
+  if (value instanceof Date) {
+    throw cannotRead(type, tokens, 'dates and times have no JSON equivalent; quote them as strings');
+  }
+  if (typeof value === 'bigint') {
+    throw cannotRead(type, tokens, 'integer is too large to store exactly');
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw cannotRead(type, tokens, `${value} has no JSON equivalent`);
+  }
+  if (value !== null && typeof value === 'object') {
+    if (ArrayBuffer.isView(value)) {
+      throw cannotRead(type, tokens, 'binary and other typed values have no JSON equivalent');
+    }
+    return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, toJsonValue(type, child, [...tokens, key])])
+    );
+  }
+  return value;
+};
+
+/**
+ * Reads one dotenv value: "double-quoted" is a JSON string, 'single-quoted'
+ * is literal, and unquoted text is a number, boolean or null if it looks
+ * like one, otherwise a string.
+ */
+const parseDotenvValue = (raw, number) => {
+  if (raw.startsWith('"')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new HttpError(400, `Line ${number}: invalid double-quoted value`);
+    }
+  }
+  if (raw.startsWith("'") && raw.endsWith("'") && raw.length >= 2) {
+    return raw.slice(1, -1);
+  }
+  if (/^(true|false|null|-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?)$/.test(raw)) {
+    return JSON.parse(raw);
+  }
+  return raw;
+};
+
+const parseDotenv = (text) => {
+  const result = {};
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const match = /^(?:export\s+)?([A-Za-z0-9_]+)\s*=\s*(.*)$/.exec(trimmed);
+    if (!match) {
+      throw new HttpError(400, `Line ${i + 1}: expected KEY=value`);
+    }
+
+    const tokens = match[1].split('__');
+    if (!tokens.every(token => DOTENV_SEGMENT.test(token))) {
+      throw new HttpError(400, `Line ${i + 1}: invalid key "${match[1]}"`);
+    }
+
+    let parent = result;
+    tokens.slice(0, -1).forEach((token, depth) => {
+      if (!Object.hasOwn(parent, token)) parent[token] = {};
+      if (!isObject(parent[token])) {
+        throw new HttpError(400, `Line ${i + 1}: ${tokens.slice(0, depth + 1).join('__')} is both a value and a section`);
+      }
+      parent = parent[token];
+    });
+
+    const key = tokens[tokens.length - 1];
+    if (Object.hasOwn(parent, key)) {
+      throw new HttpError(400, `Line ${i + 1}: ${match[1]} is set more than once`);
+    }
+    parent[key] = parseDotenvValue(match[2], i + 1);
+  });
+  return result;
+};
+
+/**
+ * Parses a request body in one of the text formats into settings data.
+ * Throws 400 for syntax errors and 415 naming the first value that has
+ * no JSON equivalent.
+ *
+ * @param {string} type - YAML_TYPE, TOML_TYPE or DOTENV_TYPE
+ * @param {string} text - Request body
+ * @returns {Object|Array}
+ */
+export const parse = (type, text) => {
+  let value;
+  switch (type) {
+    case YAML_TYPE: {
+      const doc = YAML.parseDocument(text);
+      if (doc.errors.length > 0) {
+        throw new HttpError(400, `Invalid YAML: ${doc.errors[0].message.split('\n')[0]}`);
+      }
+      value = toJsonValue(type, doc.toJS({ mapAsMap: true }));
+      if (value === null || typeof value !== 'object') {
+        throw new HttpError(400, 'YAML document must be a mapping or a sequence');
+      }
+      return value;
+    }
+    case TOML_TYPE:
+      try {
+        value = parseToml(text, { integersAsBigInt: 'asNeeded' });
+      } catch (error) {
+        if (error instanceof TomlError) {
+          throw new HttpError(400, `Invalid TOML: ${error.message.split('\n')[0]}`);
+        }
+        throw error;
+      }
+      return toJsonValue(type, value);
+    case DOTENV_TYPE:
+      return parseDotenv(text);
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * formats.test.js - Text Format Tests
+ *
+ * Unit tests for the YAML, TOML and dotenv conversions in formats.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { YAML_TYPE, TOML_TYPE, DOTENV_TYPE, serialize, parse } from './formats.js';
+
+const sample = {
+  database: { host: 'db', pool: { max: 10, min: 1.5 } },
+  debug: false,
+  port: '8080',
+  note: 'multi\nline "quoted"'
+};
+
+describe('round trips', () => {
+  it.each([YAML_TYPE, TOML_TYPE, DOTENV_TYPE])('should round-trip losslessly through %s', (type) => {
+    expect(parse(type, serialize(type, sample))).toEqual(sample);
+  });
+
+  it('should round-trip arrays and null through YAML', () => {
+    const data = { tags: ['a', 1, { b: null }], empty: {}, list: [] };
+    expect(parse(YAML_TYPE, serialize(YAML_TYPE, data))).toEqual(data);
+  });
+});
+
+describe('dotenv', () => {
+  it('should flatten nested keys with double underscores', () => {
+    expect(serialize(DOTENV_TYPE, { db: { pool_size: 5 }, name: 'x' }))
+        .toBe('db__pool_size=5\nname="x"\n');
+  });
+
+  it('should read unquoted, single-quoted and commented input', () => {
+    const text = '# comment\nexport A__B=10\nC=hello world\nD=\'raw "text"\'\n\nE=true\n';
+    expect(parse(DOTENV_TYPE, text)).toEqual({ A: { B: 10 }, C: 'hello world', D: 'raw "text"', E: true });
+  });
+
+  it('should reject values dotenv cannot represent with 406', () => {
+    expect(() => serialize(DOTENV_TYPE, { a: { list: [1] } }))
+        .toThrow(expect.objectContaining({ status: 406, details: { path: '/a/list' } }));
+    expect(() => serialize(DOTENV_TYPE, { 'bad-key': 1 }))
+        .toThrow(expect.objectContaining({ status: 406, details: { path: '/bad-key' } }));
+    expect(() => serialize(DOTENV_TYPE, [1])).toThrow(expect.objectContaining({ status: 406 }));
+  });
+
+  it('should reject conflicting and malformed lines with 400', () => {
+    expect(() => parse(DOTENV_TYPE, 'A=1\nA__B=2')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parse(DOTENV_TYPE, 'not a pair')).toThrow(/Line 1/);
+  });
+});
+
+describe('TOML', () => {
+  it('should reject null with 406', () => {
+    expect(() => serialize(TOML_TYPE, { a: { b: null } }))
+        .toThrow(expect.objectContaining({ status: 406, details: { path: '/a/b' } }));
+  });
+
+  it('should reject dates and oversized integers with 415', () => {
+    expect(() => parse(TOML_TYPE, 'released = 1979-05-27'))
+        .toThrow(expect.objectContaining({ status: 415, details: { path: '/released' } }));
+    expect(() => parse(TOML_TYPE, 'big = 9007199254740993'))
+        .toThrow(expect.objectContaining({ status: 415, details: { path: '/big' } }));
+  });
+
+  it('should report syntax errors with 400', () => {
+    expect(() => parse(TOML_TYPE, 'a =')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('YAML', () => {
+  it('should reject values with no JSON equivalent with 415', () => {
+    expect(() => parse(YAML_TYPE, 'limit: .inf'))
+        .toThrow(expect.objectContaining({ status: 415, details: { path: '/limit' } }));
+    expect(() => parse(YAML_TYPE, 'key: !!binary aGVsbG8='))
+        .toThrow(expect.objectContaining({ status: 415, details: { path: '/key' } }));
+    expect(() => parse(YAML_TYPE, '? [1, 2]\n: x'))
+        .toThrow(expect.objectContaining({ status: 415 }));
+  });
+
+  it('should reject scalar documents and syntax errors with 400', () => {
+    expect(() => parse(YAML_TYPE, 'just text')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parse(YAML_TYPE, 'a: [1')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -1,14 +1,18 @@
 /**
  * index.js - Server Startup
  *
- * Imports the Express app from app.js and starts the HTTP server.
- * This separation allows tests to import the app without starting the server.
+ * Opens the configured storage (see storage.js), builds the Express app
+ * from app.js on it and starts the HTTP server.
+ * This separation allows tests to build apps without starting the server.
  */
 
-import app from './app.js';
+import { createApp } from './app.js';
+import { createStorage, storageConfig } from './storage.js';
 
 const PORT = process.env.PORT || 3001;
 
+const app = createApp(createStorage(storageConfig(process.env)));
+
 app.listen(PORT, () => {
   console.log(`API server running on port ${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * inheritance.js - Layered Settings Resolution
+ *
+ * Pure helpers that deep-merge an ordered list of settings layers
+ * (parents first, the object itself last) and record which layer
+ * supplied each value.
+ *
+ * Merge rules:
+ *   - Objects merge key by key, recursively
+ *   - Everything else (strings, numbers, booleans, null, arrays)
+ *     is replaced by the later layer
+ */
+
+import { formatPointer } from './patch.js';
+
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep-merges two JSON values. Neither input is mutated.
+ *
+ * @param {*} base - Lower-priority value
+ * @param {*} over - Higher-priority value
+ * @returns {*} Merged value
+ */
+export const deepMerge = (base, over) => {
+  if (!isObject(base) || !isObject(over)) return over;
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    result[key] = Object.hasOwn(result, key) ? deepMerge(result[key], value) : value;
+  }
+  return result;
+};
+
+/**
+ * Builds a tree with the same object shape as data, with every leaf
+ * replaced by the layer ID. Merging these trees with deepMerge yields
+ * the provenance of each merged leaf.
+ */
+const tagLeaves = (data, id) => {
+  if (!isObject(data)) return id;
+  return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, tagLeaves(value, id)])
+  );
+};
+
+/**
+ * Flattens a tagged tree into { "<json-pointer>": "<layer id>" }.
+ */
+const flattenTags = (tree, tokens = [], out = {}) => {
+  if (!isObject(tree)) {
+    out[formatPointer(tokens)] = tree;
+    return out;
+  }
+  for (const [key, value] of Object.entries(tree)) {
+    flattenTags(value, [...tokens, key], out);
+  }
+  return out;
+};
+
+/**
+ * Resolves an ordered list of layers into one document.
+ *
+ * @param {Array<{id: string, data: *}>} layers - Lowest priority first
+ * @returns {{data: *, provenance: Object<string, string>}}
+ *          provenance maps the JSON Pointer of each leaf value to the ID
+ *          of the layer it came from
+ */
+export const resolveLayers = (layers) => {
+  let data = {};
+  let tags = {};
+  for (const layer of layers) {
+    data = deepMerge(data, layer.data);
+    tags = deepMerge(tags, tagLeaves(layer.data, layer.id));
+  }
+  return { data, provenance: flattenTags(tags) };
+};
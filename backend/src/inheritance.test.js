@@ -0,0 +1,49 @@
+/**
+ * inheritance.test.js - Layered Resolution Tests
+ *
+ * Unit tests for the merge and provenance helpers in inheritance.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deepMerge, resolveLayers } from './inheritance.js';
+
+describe('deepMerge', () => {
+  it('should merge objects recursively and replace everything else', () => {
+    const base = { db: { host: 'a', pool: { max: 5 } }, tags: ['x'], debug: true };
+    const over = { db: { pool: { max: 10 } }, tags: ['y'], debug: null };
+
+    expect(deepMerge(base, over)).toEqual({
+                                             db: { host: 'a', pool: { max: 10 } },
+                                             tags: ['y'],
+                                             debug: null
+                                           });
+    expect(base.db.pool.max).toBe(5);
+  });
+});
+
+describe('resolveLayers', () => {
+  it('should let later layers win and record provenance per leaf', () => {
+    const result = resolveLayers([
+                                   { id: 'base', data: { theme: 'dark', db: { host: 'a', port: 1 } } },
+                                   { id: 'region', data: { db: { host: 'b' } } },
+                                   { id: 'self', data: { theme: 'light' } }
+                                 ]);
+
+    expect(result.data).toEqual({ theme: 'light', db: { host: 'b', port: 1 } });
+    expect(result.provenance).toEqual({
+                                        '/theme': 'self',
+                                        '/db/host': 'region',
+                                        '/db/port': 'base'
+                                      });
+  });
+
+  it('should attribute a replaced subtree entirely to the overriding layer', () => {
+    const result = resolveLayers([
+                                   { id: 'base', data: { db: { host: 'a' } } },
+                                   { id: 'self', data: { db: 'sqlite://local' } }
+                                 ]);
+
+    expect(result.data).toEqual({ db: 'sqlite://local' });
+    expect(result.provenance).toEqual({ '/db': 'self' });
+  });
+});
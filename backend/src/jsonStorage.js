@@ -0,0 +1,389 @@
+/**
+ * jsonStorage.js - JSON File Storage Adapter
+ *
+ * Implements the storage interface (see storage.js) on plain objects held
+ * in memory, for development, tests and small installs without SQLite.
+ * With a path, everything is loaded from that JSON file on start and
+ * written back (to a temporary file, then renamed over it) after every
+ * committed change. Without one nothing is saved.
+ *
+ * Each table is a Map of frozen rows in insertion order. A transaction
+ * copies a table the first time it changes it and puts the copy back if it
+ * rolls back. Filters, sorts, grants and search are evaluated in JavaScript
+ * with the same results as the SQLite adapter (see filters.js, access.js
+ * and search.js).
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { TABLES } from './tables.js';
+import { matchesFilters, sortKeys, compareKeys, compareValues } from './filters.js';
+import { allows, underPrefix } from './access.js';
+import { searchLeaves } from './search.js';
+
+// Version of the file layout
+const FILE_VERSION = 1;
+
+// Columns identifying a row of each table
+const KEYS = {
+  settings: ['id'],
+  settings_revisions: ['settings_id', 'revision'],
+  settings_trash: ['id'],
+  settings_fts: ['settings_id', 'path'],
+  schemas: ['id'],
+  schema_versions: ['schema_id', 'version'],
+  api_keys: ['id'],
+  roles: ['id'],
+  api_key_roles: ['api_key_id', 'role_id'],
+  audit_log: ['id'],
+  webhooks: ['id'],
+  webhook_deliveries: ['id']
+};
+
+// Other columns no two rows may share (nulls aside)
+const UNIQUE = {
+  settings: ['name'],
+  schemas: ['name'],
+  api_keys: ['key_hash'],
+  roles: ['name']
+};
+
+const keyOf = (table, row) => JSON.stringify(KEYS[table].map(column => row[column]));
+
+// A row with exactly the table's columns, in order; missing ones are null
+const toRow = (table, values) =>
+    Object.freeze(Object.fromEntries(TABLES[table].map(column => [column, values[column] ?? null])));
+
+const emptyTables = () => Object.fromEntries(Object.keys(TABLES).map(table => [table, new Map()]));
+
+/**
+ * Opens a JSON storage, loading the file if it exists.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.path] - JSON file to keep the data in; null (the default) keeps it in memory only
+ * @returns {Object} Storage adapter
+ */
+export const createJsonStorage = ({ path = null } = {}) => {
+  let tables = emptyTables();
+  // Last audit entry ID handed out. Like SQLite's AUTOINCREMENT it is rolled
+  // back with its transaction, but not reset by clear()
+  let auditSequence = 0;
+
+  if (path !== null && existsSync(path)) {
+    const saved = JSON.parse(readFileSync(path, 'utf8'));
+    if (saved.version !== FILE_VERSION) {
+      throw new Error(`${path} has file version ${saved.version}, expected ${FILE_VERSION}`);
+    }
+    for (const [table, rows] of Object.entries(saved.tables)) {
+      if (!Object.hasOwn(TABLES, table)) continue;
+      tables[table] = new Map(rows.map(row => [keyOf(table, row), toRow(table, row)]));
+    }
+    auditSequence = saved.auditSequence;
+  }
+
+  let closed = false;
+  let dirty = false;
+  // Open transactions, outermost first: the tables (and sequence) as they were
+  const levels = [];
+
+  const save = () => {
+    dirty = false;
+    if (path === null) return;
+
+    const data = {
+      version: FILE_VERSION,
+      auditSequence,
+      tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, [...rows.values()]]))
+    };
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(`${path}.tmp`, JSON.stringify(data));
+    renameSync(`${path}.tmp`, path);
+  };
+
+  const assertOpen = () => {
+    if (closed) throw new Error('The storage is closed');
+  };
+
+  const read = (table) => {
+    assertOpen();
+    return tables[table];
+  };
+
+  /**
+   * Changes a table: keeps a copy for every open transaction that has not
+   * changed it yet, and saves right away outside transactions.
+   */
+  const write = (table, change) => {
+    const rows = read(table);
+    for (const level of levels) {
+      if (!level.tables.has(table)) level.tables.set(table, new Map(rows));
+    }
+    const result = change(rows);
+    dirty = true;
+    if (levels.length === 0) save();
+    return result;
+  };
+
+  const assertUnique = (table, row, key) => {
+    for (const column of UNIQUE[table] ?? []) {
+      if (row[column] === null) continue;
+      for (const [otherKey, other] of read(table)) {
+        if (otherKey !== key && other[column] === row[column]) {
+          throw new Error(`UNIQUE constraint failed: ${table}.${column}`);
+        }
+      }
+    }
+  };
+
+  const insert = (table, values) => {
+    const row = toRow(table, values);
+    const key = keyOf(table, row);
+    if (read(table).has(key)) {
+      throw new Error(`UNIQUE constraint failed: ${table}.${KEYS[table].join(', ')}`);
+    }
+    assertUnique(table, row, key);
+    write(table, rows => rows.set(key, row));
+  };
+
+  // Updates the columns in changes of the row with the given key columns
+  const update = (table, keyValues, changes) => {
+    for (const column of Object.keys(changes)) {
+      if (!TABLES[table].includes(column)) {
+        throw new Error(`Unknown column ${table}.${column}`);
+      }
+    }
+    const key = keyOf(table, keyValues);
+    const existing = read(table).get(key);
+    if (!existing) return;
+
+    const row = toRow(table, { ...existing, ...changes });
+    assertUnique(table, row, key);
+    write(table, rows => rows.set(key, row));
+  };
+
+  const remove = (table, keyValues) => {
+    const key = keyOf(table, keyValues);
+    if (!read(table).has(key)) return false;
+    return write(table, rows => rows.delete(key));
+  };
+
+  const rowsOf = (table) => [...read(table).values()];
+  const find = (table, predicate) => rowsOf(table).find(predicate);
+  const filter = (table, predicate) => rowsOf(table).filter(predicate);
+  const removeWhere = (table, predicate) => {
+    const keys = [...read(table)].filter(([, row]) => predicate(row)).map(([key]) => key);
+    if (keys.length > 0) write(table, rows => keys.forEach(key => rows.delete(key)));
+  };
+
+  // Sorts rows by columns, like ORDER BY a DESC, b ...
+  const sortBy = (rows, ...terms) => {
+    const sort = terms.map(term => ({ column: term.replace(/^-/, ''), descending: term.startsWith('-') }));
+    return rows
+        .map(row => ({ row, keys: sortKeys(sort, row) }))
+        .sort((a, b) => compareKeys(sort, a.keys, b.keys))
+        .map(({ row }) => row);
+  };
+
+  /**
+   * Runs a settings or trash list query (see storage.js), without its
+   * limit and offset.
+   */
+  const query = (table, { filters = [], grants = null, namespace, kind, sort, after } = {}) => {
+    let rows = filter(table, row =>
+        (namespace === undefined || underPrefix(row.name, namespace)) &&
+        (kind === undefined || row.kind === kind) &&
+        allows(grants, row, 'read') &&
+        (filters.length === 0 || matchesFilters(JSON.parse(row.data), filters)));
+
+    if (sort) {
+      const keyed = rows.map(row => ({ row, keys: sortKeys(sort, row) }));
+      const kept = after ? keyed.filter(({ keys }) => compareKeys(sort, keys, after) > 0) : keyed;
+      rows = kept.sort((a, b) => compareKeys(sort, a.keys, b.keys)).map(({ row }) => row);
+    }
+    return rows;
+  };
+
+  const page = (rows, { limit, offset = 0 } = {}) =>
+      rows.slice(offset, limit === undefined ? undefined : offset + limit);
+
+  const settings = {
+    get: (id) => read('settings').get(keyOf('settings', { id })),
+    getByName: (name) => find('settings', row => row.name === name),
+    find: (ref) => settings.get(ref) ?? settings.getByName(ref),
+    list: (listQuery) => page(query('settings', listQuery), listQuery),
+    count: (listQuery) => query('settings', listQuery).length,
+    bySchema: (schemaId) => filter('settings', row => row.schema_id === schemaId),
+    insert: (row) => insert('settings', row),
+    update: (id, changes) => update('settings', { id }, changes),
+    remove: (id) => {
+      remove('settings', { id });
+    }
+  };
+
+  const trash = {
+    get: (id) => read('settings_trash').get(keyOf('settings_trash', { id })),
+    list: (listQuery) => page(query('settings_trash', listQuery), listQuery),
+    count: (listQuery) => query('settings_trash', listQuery).length,
+    deletedBefore: (time) => filter('settings_trash', row => row.deleted_at <= time),
+    insert: (row) => insert('settings_trash', row),
+    update: (id, changes) => update('settings_trash', { id }, changes),
+    remove: (id) => remove('settings_trash', { id })
+  };
+
+  const revisions = {
+    get: (settingsId, revision) =>
+        read('settings_revisions').get(keyOf('settings_revisions', { settings_id: settingsId, revision })),
+    list: (settingsId) =>
+        sortBy(filter('settings_revisions', row => row.settings_id === settingsId), '-revision'),
+    insert: (row) => insert('settings_revisions', row),
+    update: (settingsId, revision, changes) =>
+        update('settings_revisions', { settings_id: settingsId, revision }, changes),
+    removeAll: (settingsId) => removeWhere('settings_revisions', row => row.settings_id === settingsId)
+  };
+
+  const search = {
+    replace: (settingsId, leaves) => {
+      removeWhere('settings_fts', row => row.settings_id === settingsId);
+      leaves.forEach(leaf => insert('settings_fts', { settings_id: settingsId, ...leaf }));
+    },
+    query: (terms, markers) => searchLeaves(rowsOf('settings_fts'), terms, markers)
+  };
+
+  // A schema with its latest version's text, as SQL's join returns it
+  const withLatest = (row) => row && {
+    ...row,
+    schema: schemas.getVersion(row.id, row.version).schema
+  };
+
+  const schemas = {
+    get: (id) => withLatest(read('schemas').get(keyOf('schemas', { id }))),
+    getByName: (name) => withLatest(find('schemas', row => row.name === name)),
+    list: () => sortBy(rowsOf('schemas'), 'name').map(withLatest),
+    getVersion: (schemaId, version) =>
+        read('schema_versions').get(keyOf('schema_versions', { schema_id: schemaId, version })),
+    insert: (row) => insert('schemas', row),
+    insertVersion: (row) => insert('schema_versions', row),
+    update: (id, changes) => update('schemas', { id }, changes),
+    remove: (id) => {
+      remove('schemas', { id });
+      removeWhere('schema_versions', row => row.schema_id === id);
+    }
+  };
+
+  const apiKeys = {
+    get: (id) => read('api_keys').get(keyOf('api_keys', { id })),
+    getByHash: (keyHash) => find('api_keys', row => row.key_hash === keyHash),
+    any: () => read('api_keys').size > 0,
+    list: () => sortBy(rowsOf('api_keys'), '-created_at', '-id'),
+    insert: (row) => insert('api_keys', row),
+    update: (id, changes) => update('api_keys', { id }, changes),
+    roleIds: (apiKeyId) => filter('api_key_roles', row => row.api_key_id === apiKeyId).map(row => row.role_id),
+    setRoles: (apiKeyId, roleIds) => {
+      removeWhere('api_key_roles', row => row.api_key_id === apiKeyId);
+      new Set(roleIds).forEach(roleId => insert('api_key_roles', { api_key_id: apiKeyId, role_id: roleId }));
+    }
+  };
+
+  const roles = {
+    get: (id) => read('roles').get(keyOf('roles', { id })),
+    getByName: (name) => find('roles', row => row.name === name),
+    list: () => sortBy(rowsOf('roles'), 'name'),
+    forApiKey: (apiKeyId) => apiKeys.roleIds(apiKeyId).map(roles.get).filter(Boolean),
+    assignedCount: (roleId) => filter('api_key_roles', row => row.role_id === roleId).length,
+    insert: (row) => insert('roles', row),
+    update: (id, changes) => update('roles', { id }, changes),
+    remove: (id) => {
+      remove('roles', { id });
+    }
+  };
+
+  const audit = {
+    append: (entry) => {
+      // Numbered first: outside a transaction the insert saves the file
+      auditSequence += 1;
+      insert('audit_log', { ...entry, id: auditSequence });
+      return auditSequence;
+    },
+    list: ({ settingsId, actor, action, since, until, before, limit } = {}) => page(
+        rowsOf('audit_log')
+            .filter(row =>
+                (settingsId === undefined || row.settings_id === settingsId) &&
+                (actor === undefined || row.actor_id === actor || row.actor_name === actor) &&
+                (action === undefined || row.action === action) &&
+                (since === undefined || row.at >= since) &&
+                (until === undefined || row.at < until) &&
+                (before === undefined || row.id < before))
+            .sort((a, b) => b.id - a.id),
+        { limit }
+    ),
+    after: (id) => filter('audit_log', row => row.id > id).sort((a, b) => a.id - b.id),
+    lastId: () => rowsOf('audit_log').reduce((last, row) => Math.max(last, row.id), 0)
+  };
+
+  const webhooks = {
+    get: (id) => read('webhooks').get(keyOf('webhooks', { id })),
+    list: () => sortBy(rowsOf('webhooks'), '-created_at', '-id'),
+    active: () => filter('webhooks', row => row.active === 1),
+    insert: (row) => insert('webhooks', row),
+    update: (id, changes) => update('webhooks', { id }, changes),
+    remove: (id) => {
+      remove('webhooks', { id });
+      removeWhere('webhook_deliveries', row => row.webhook_id === id);
+    }
+  };
+
+  const deliveries = {
+    get: (id) => read('webhook_deliveries').get(keyOf('webhook_deliveries', { id })),
+    // Newest first; deliveries created in the same millisecond latest-inserted first
+    list: (webhookId, { status = null, limit } = {}) => page(
+        filter('webhook_deliveries', row => row.webhook_id === webhookId && (status === null || row.status === status))
+            .reverse()
+            .sort((a, b) => compareValues(b.created_at, a.created_at)),
+        { limit }
+    ),
+    pending: () => filter('webhook_deliveries', row => row.status === 'pending'),
+    insert: (row) => insert('webhook_deliveries', row),
+    update: (id, changes) => update('webhook_deliveries', { id }, changes)
+  };
+
+  return {
+    transaction: (fn) => (...args) => {
+      assertOpen();
+      const level = { tables: new Map(), auditSequence };
+      levels.push(level);
+      try {
+        const result = fn(...args);
+        levels.pop();
+        if (levels.length === 0 && dirty) save();
+        return result;
+      } catch (error) {
+        levels.pop();
+        for (const [table, rows] of level.tables) {
+          tables[table] = rows;
+        }
+        auditSequence = level.auditSequence;
+        throw error;
+      }
+    },
+    clear: () => {
+      for (const table of Object.keys(tables)) {
+        write(table, rows => rows.clear());
+      }
+    },
+    close: () => {
+      if (closed) return;
+      if (dirty) save();
+      closed = true;
+    },
+    settings,
+    trash,
+    revisions,
+    search,
+    schemas,
+    apiKeys,
+    roles,
+    audit,
+    webhooks,
+    deliveries
+  };
+};
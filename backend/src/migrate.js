@@ -0,0 +1,76 @@
+/**
+ * migrate.js - Migration Command
+ *
+ *   npm run migrate                  applies the pending migrations
+ *   npm run migrate -- --dry-run     runs them and rolls them back
+ *   npm run migrate -- status        shows the version and each migration
+ *
+ * Works on the database the server would open (DB_PATH, see storage.js).
+ * The server also migrates on start; this checks or upgrades a database
+ * ahead of a release.
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { storageConfig } from './storage.js';
+import { migrate, migrationStatus } from './migrations.js';
+
+const USAGE = 'Usage: npm run migrate [-- status | --dry-run]';
+
+const formatMigration = ({ version, description }) => `${String(version).padStart(3, '0')}  ${description}`;
+
+const main = (args) => {
+  const config = storageConfig(process.env);
+  if (config.adapter !== 'sqlite') {
+    console.log(`STORAGE_ADAPTER is ${config.adapter}: there is no schema to migrate`);
+    return;
+  }
+
+  const command = args.find(arg => !arg.startsWith('--')) ?? 'up';
+  const dryRun = args.includes('--dry-run');
+  if (!['up', 'status'].includes(command) || args.some(arg => arg.startsWith('--') && arg !== '--dry-run')) {
+    throw new Error(USAGE);
+  }
+
+  // Looking must not create the database: a missing one is an empty one
+  const exists = config.path === ':memory:' || existsSync(config.path);
+  if (!exists && command === 'up' && !dryRun) {
+    mkdirSync(dirname(config.path), { recursive: true });
+  }
+  const db = new Database(exists || (command === 'up' && !dryRun) ? config.path : ':memory:',
+                          { timeout: config.busyTimeout });
+
+  try {
+    console.log(`Database: ${config.path}${exists ? '' : ' (not created yet)'}`);
+
+    if (command === 'status') {
+      const status = migrationStatus(db);
+      console.log(`Schema version ${status.version} of ${status.latest}`);
+      for (const migration of status.migrations) {
+        console.log(`  ${formatMigration(migration)}  [${migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending'}]`);
+      }
+      if (status.version > status.latest) {
+        console.log(`  The database is newer than this release: it was migrated to version ${status.version}`);
+      }
+      return;
+    }
+
+    const applied = migrate(db, { dryRun });
+    if (applied.length === 0) {
+      console.log('Up to date: no pending migrations');
+      return;
+    }
+    console.log(dryRun ? 'Would apply (dry run, nothing changed):' : 'Applied:');
+    applied.forEach(migration => console.log(`  ${formatMigration(migration)}`));
+  } finally {
+    db.close();
+  }
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * migrations.js - Database Schema Migrations
+ *
+ * The SQLite schema is built by numbered migrations (see migrations/),
+ * applied in order when the database is opened and by `npm run migrate`.
+ * The schema_migrations table in the database records which have been
+ * applied, so its version is the highest one listed there. Databases from
+ * before migrations were tracked have no such table and count as
+ * version 0.
+ *
+ * A database newer than the code (migrated by a later release) is refused
+ * rather than used with a schema this code does not know.
+ *
+ * A migration module exports:
+ *   version      1, 2, 3, ... in order, without gaps
+ *   description  one line, shown by `npm run migrate status`
+ *   up(db)       the change, on a better-sqlite3 connection
+ */
+
+import { MIGRATIONS } from './migrations/index.js';
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    description TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )
+`;
+
+// Thrown to roll back a dry run once every migration has run
+const DRY_RUN = Symbol('dry run');
+
+const appliedMigrations = (db) => {
+  const table = db.prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  ).get();
+  return table ? db.prepare('SELECT * FROM schema_migrations ORDER BY version').all() : [];
+};
+
+const assertNumbered = (migrations) => {
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migration ${i + 1} is numbered ${migration.version}; they must be numbered 1, 2, 3, ...`);
+    }
+  });
+};
+
+const assertNotNewer = (version, migrations) => {
+  if (version > migrations.length) {
+    throw new Error(`The database schema is at version ${version}, newer than this release supports ` +
+                    `(${migrations.length}). Run the release that migrated it, or a later one.`);
+  }
+};
+
+/**
+ * The schema version of a database: the last migration applied, 0 for none.
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {number}
+ */
+export const schemaVersion = (db) => appliedMigrations(db).at(-1)?.version ?? 0;
+
+/**
+ * Reports where a database stands, without changing it.
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Array} [migrations] - Defaults to every known migration
+ * @returns {{version: number, latest: number, migrations: Array<{version, description, appliedAt}>}}
+ *          appliedAt is null while a migration is pending
+ */
+export const migrationStatus = (db, migrations = MIGRATIONS) => {
+  const applied = new Map(appliedMigrations(db).map(row => [row.version, row.applied_at]));
+  return {
+    version: schemaVersion(db),
+    latest: migrations.length,
+    migrations: migrations.map(({ version, description }) => ({
+      version,
+      description,
+      appliedAt: applied.get(version) ?? null
+    }))
+  };
+};
+
+/**
+ * Applies the pending migrations in order. They run in one transaction,
+ * together with the schema_migrations rows recording them: if one fails,
+ * the database is left as it was. The transaction takes the write lock
+ * first, so a second process starting at the same time waits and then
+ * finds nothing left to do.
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Run the migrations, then roll them back
+ * @param {Array} [options.migrations] - Defaults to every known migration
+ * @returns {Array<{version: number, description: string}>} The migrations
+ *          applied (or, in a dry run, that would be)
+ */
+export const migrate = (db, { dryRun = false, migrations = MIGRATIONS } = {}) => {
+  assertNumbered(migrations);
+
+  let pending = [];
+  const run = db.transaction(() => {
+    db.exec(CREATE_MIGRATIONS_TABLE);
+    const version = schemaVersion(db);
+    assertNotNewer(version, migrations);
+
+    pending = migrations.slice(version);
+    const record = db.prepare(
+        'INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)'
+    );
+    for (const migration of pending) {
+      try {
+        migration.up(db);
+      } catch (error) {
+        throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`,
+                        { cause: error });
+      }
+      record.run(migration.version, migration.description, new Date().toISOString());
+    }
+    if (dryRun) throw DRY_RUN;
+  });
+
+  try {
+    run.immediate();
+  } catch (error) {
+    if (error !== DRY_RUN) throw error;
+  }
+  return pending.map(({ version, description }) => ({ version, description }));
+};
\ No newline at end of file
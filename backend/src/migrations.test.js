@@ -0,0 +1,247 @@
+/**
+ * migrations.test.js - Schema Migration Tests
+ *
+ * Upgrades database files created by earlier schemas (the original
+ * settings table, and a later unversioned release) and checks the runner
+ * itself: ordering, rollback on failure, dry runs and refusing a database
+ * newer than the code.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Database from 'better-sqlite3';
+import request from 'supertest';
+import { createApp } from './app.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+import { migrate, migrationStatus, schemaVersion } from './migrations.js';
+import { MIGRATIONS } from './migrations/index.js';
+
+// The schema every database started from, before migrations were tracked
+const ORIGINAL_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS settings (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// The trash as first released, before secrets and kinds
+const ORIGINAL_TRASH = `
+  CREATE TABLE IF NOT EXISTS settings_trash (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    data TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    parents TEXT NOT NULL,
+    overrides TEXT NOT NULL,
+    schema_id TEXT,
+    schema_version INTEGER,
+    created_at TEXT,
+    updated_at TEXT,
+    deleted_at TEXT NOT NULL
+  )
+`;
+
+const schemaOf = (db) => db.prepare(
+    "SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name"
+).all();
+
+let dir;
+let path;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'settings-migrations-'));
+  path = join(dir, 'settings.db');
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Creates a database file with the given DDL and rows, as an old release would have
+const createDatabase = (ddl, fill = () => {}) => {
+  const db = new Database(path);
+  db.exec(ddl);
+  fill(db);
+  db.close();
+};
+
+describe('upgrading an existing database', () => {
+  let app;
+
+  afterEach(() => {
+    app?.close();
+    app = undefined;
+  });
+
+  it('should upgrade a database created by the original schema and keep its settings', async () => {
+    createDatabase(ORIGINAL_SCHEMA, (db) => {
+      db.prepare('INSERT INTO settings (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)').run(
+          'a1b2c3d4-0000-4000-8000-000000000001', JSON.stringify({ theme: 'dark', font: { size: 14 } }),
+          '2024-01-01 10:00:00', '2024-01-02 10:00:00'
+      );
+    });
+
+    app = createApp(createSqliteStorage({ path }));
+    const id = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+    const existing = await request(app).get(`/settings/${id}`).expect(200);
+    expect(existing.body).toMatchObject({ id, data: { theme: 'dark', font: { size: 14 } }, revision: 1 });
+
+    const history = await request(app).get(`/settings/${id}/versions`).expect(200);
+    expect(history.body.data.map(revision => revision.revision)).toEqual([1]);
+
+    const found = await request(app).get('/settings/search?q=dark').expect(200);
+    expect(found.body.data.map(hit => hit.id)).toEqual([id]);
+
+    await request(app).put(`/settings/${id}`).send({ theme: 'light' }).expect(200);
+    const updated = await request(app).get(`/settings/${id}`).expect(200);
+    expect(updated.body).toMatchObject({ data: { theme: 'light' }, revision: 2 });
+  });
+
+  it('should record every migration as applied', () => {
+    createDatabase(ORIGINAL_SCHEMA);
+    createSqliteStorage({ path }).close();
+
+    const db = new Database(path);
+    const status = migrationStatus(db);
+    db.close();
+    expect(status.version).toBe(MIGRATIONS.length);
+    expect(status.migrations.every(migration => migration.appliedAt)).toBe(true);
+  });
+
+  it('should leave an upgraded database with the schema of a new one', () => {
+    createDatabase(ORIGINAL_SCHEMA);
+    createSqliteStorage({ path }).close();
+
+    const upgraded = new Database(path);
+    const fresh = new Database(':memory:');
+    migrate(fresh);
+    expect(schemaOf(upgraded)).toEqual(schemaOf(fresh));
+    upgraded.close();
+    fresh.close();
+  });
+
+  it('should add the newer columns to tables created by a later unversioned release', async () => {
+    const id = 'a1b2c3d4-0000-4000-8000-000000000002';
+    createDatabase(ORIGINAL_SCHEMA + ';' + ORIGINAL_TRASH, (db) => {
+      db.prepare(
+          `INSERT INTO settings_trash (id, name, data, revision, parents, overrides, created_at, updated_at, deleted_at)
+           VALUES (?, 'app/theme', ?, 3, '[]', '{}', '2024-01-01', '2024-01-03', ?)`
+      ).run(id, JSON.stringify({ theme: 'dark' }), new Date().toISOString());
+    });
+
+    app = createApp(createSqliteStorage({ path }));
+
+    const trash = await request(app).get('/settings/trash').expect(200);
+    expect(trash.body.data.map(item => item.id)).toEqual([id]);
+
+    const restored = await request(app).post(`/settings/${id}/restore`).expect(200);
+    expect(restored.body).toMatchObject({
+      id, name: 'app/theme', data: { theme: 'dark' }, revision: 3, secrets: [], kind: 'settings'
+    });
+  });
+
+  it('should apply nothing when reopened', () => {
+    createDatabase(ORIGINAL_SCHEMA);
+    createSqliteStorage({ path }).close();
+
+    const db = new Database(path);
+    const before = schemaOf(db);
+    expect(migrate(db)).toEqual([]);
+    expect(schemaOf(db)).toEqual(before);
+    db.close();
+  });
+});
+
+describe('migrate', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(path);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const migration = (version, up = () => {}) => ({ version, description: `Migration ${version}`, up });
+
+  it('should apply pending migrations in order and report them', () => {
+    const order = [];
+    const migrations = [1, 2, 3].map(version => migration(version, () => order.push(version)));
+
+    expect(migrate(db, { migrations: migrations.slice(0, 1) })).toEqual([{ version: 1, description: 'Migration 1' }]);
+    expect(migrate(db, { migrations })).toEqual([
+      { version: 2, description: 'Migration 2' },
+      { version: 3, description: 'Migration 3' }
+    ]);
+    expect(order).toEqual([1, 2, 3]);
+    expect(schemaVersion(db)).toBe(3);
+  });
+
+  it('should count a database without recorded migrations as version 0', () => {
+    expect(schemaVersion(db)).toBe(0);
+    expect(migrationStatus(db, [migration(1)])).toEqual({
+      version: 0,
+      latest: 1,
+      migrations: [{ version: 1, description: 'Migration 1', appliedAt: null }]
+    });
+  });
+
+  it('should roll back every migration of the run when one fails', () => {
+    db.exec(ORIGINAL_SCHEMA);
+    const migrations = [
+      migration(1),
+      migration(2, () => db.exec('ALTER TABLE settings ADD COLUMN name TEXT')),
+      migration(3, () => db.exec('SELECT * FROM missing_table'))
+    ];
+
+    expect(() => migrate(db, { migrations })).toThrow(/Migration 3 \(Migration 3\) failed: no such table/);
+    expect(schemaVersion(db)).toBe(0);
+    expect(db.prepare('SELECT name FROM pragma_table_info(?)').all('settings').map(column => column.name))
+        .not.toContain('name');
+  });
+
+  it('should run a dry run without changing anything', () => {
+    createDatabase(ORIGINAL_SCHEMA);
+    const before = schemaOf(db);
+
+    expect(migrate(db, { dryRun: true }).map(applied => applied.version))
+        .toEqual(MIGRATIONS.map(known => known.version));
+    expect(schemaOf(db)).toEqual(before);
+    expect(schemaVersion(db)).toBe(0);
+  });
+
+  it('should refuse a database newer than the code', () => {
+    migrate(db, { migrations: [migration(1), migration(2)] });
+
+    expect(() => migrate(db, { migrations: [migration(1)] })).toThrow(/version 2, newer than this release supports \(1\)/);
+    expect(schemaVersion(db)).toBe(2);
+  });
+
+  it('should refuse to open a database newer than the code', () => {
+    migrate(db);
+    db.prepare('INSERT INTO schema_migrations VALUES (?, ?, ?)')
+        .run(MIGRATIONS.length + 1, 'From a later release', new Date().toISOString());
+
+    expect(() => createSqliteStorage({ path })).toThrow(/newer than this release supports/);
+  });
+
+  it('should reject migrations that are not numbered in sequence', () => {
+    expect(() => migrate(db, { migrations: [migration(1), migration(3)] }))
+        .toThrow('Migration 2 is numbered 3; they must be numbered 1, 2, 3, ...');
+    expect(schemaVersion(db)).toBe(0);
+  });
+
+  it('should number the known migrations in sequence', () => {
+    MIGRATIONS.forEach((known, i) => {
+      expect(known.version).toBe(i + 1);
+      expect(known.description).toEqual(expect.any(String));
+      expect(known.up).toEqual(expect.any(Function));
+    });
+  });
+});
\ No newline at end of file
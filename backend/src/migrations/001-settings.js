@@ -0,0 +1,20 @@
+/**
+ * 001-settings.js - Settings Table
+ *
+ * The first release's schema: one table of JSON documents. Databases that
+ * release created already have it.
+ */
+
+export const version = 1;
+export const description = 'Settings table';
+
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
@@ -0,0 +1,225 @@
+/**
+ * 002-unversioned-changes.js - Schema Before Versioned Migrations
+ *
+ * Everything releases added to the schema before migrations were tracked:
+ * revisions, schemas, names, inheritance, environment overrides, search,
+ * API keys, roles, the audit log, webhooks, the trash, secrets and flags.
+ * None of those changes shipped with a migration of its own; this one
+ * stands in for all of them. Every later change is a numbered migration.
+ *
+ * Those releases only ran CREATE TABLE IF NOT EXISTS, so a database from
+ * one of them can hold a table in that release's older layout (the
+ * settings table of the first release has four columns). A table whose
+ * stored definition differs from the one below is rebuilt: its rows are
+ * copied over and new columns take their defaults. Data that later
+ * releases derive from settings (revision 1, the search index) is filled
+ * in where it is missing.
+ */
+
+import { parsePointer } from '../patch.js';
+import { flattenLeaves } from '../search.js';
+import { redactSecrets } from '../secrets.js';
+
+export const version = 2;
+export const description = 'Revisions, schemas, names, search, access control, audit log, webhooks, trash, secrets and flags';
+
+// Table name and column definitions, in creation order
+const TABLE_DEFINITIONS = [
+  ['settings', `
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE,
+    data TEXT NOT NULL,
+    revision INTEGER NOT NULL DEFAULT 1,
+    parents TEXT NOT NULL DEFAULT '[]',
+    overrides TEXT NOT NULL DEFAULT '{}',
+    secrets TEXT NOT NULL DEFAULT '[]',
+    kind TEXT NOT NULL DEFAULT 'settings',
+    schema_id TEXT,
+    schema_version INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  `],
+  // Immutable history: one row per create/update, never modified
+  ['settings_revisions', `
+    settings_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    overrides TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    secrets TEXT NOT NULL DEFAULT '[]',
+    PRIMARY KEY (settings_id, revision)
+  `],
+  // Schema registry: each PUT to a schema adds a new version
+  ['schemas', `
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  `],
+  // Trash: deleted settings objects, kept with their revisions until
+  // restored or purged once the retention period is over
+  ['settings_trash', `
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    data TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    parents TEXT NOT NULL,
+    overrides TEXT NOT NULL,
+    secrets TEXT NOT NULL DEFAULT '[]',
+    kind TEXT NOT NULL DEFAULT 'settings',
+    schema_id TEXT,
+    schema_version INTEGER,
+    created_at TEXT,
+    updated_at TEXT,
+    deleted_at TEXT NOT NULL
+  `],
+  ['schema_versions', `
+    schema_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    schema TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (schema_id, version)
+  `],
+  // API keys: only the SHA-256 hash is stored; revoked keys are kept
+  ['api_keys', `
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TEXT
+  `],
+  // Roles: named lists of grants ({ permission, prefix } or { permission, id })
+  ['roles', `
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    grants TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  `],
+  // Roles held by each principal (API key)
+  ['api_key_roles', `
+    api_key_id TEXT NOT NULL,
+    role_id TEXT NOT NULL,
+    PRIMARY KEY (api_key_id, role_id)
+  `],
+  // Audit log: one row per change, written in the change's own transaction.
+  // before/after are the API shapes (JSON), null when created / deleted.
+  ['audit_log', `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    actor_id TEXT,
+    actor_name TEXT,
+    action TEXT NOT NULL,
+    settings_id TEXT,
+    before TEXT,
+    after TEXT,
+    ip TEXT,
+    request_id TEXT
+  `],
+  // Outgoing webhooks; the secret is kept (not hashed) to sign deliveries
+  ['webhooks', `
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    events TEXT NOT NULL,
+    namespace TEXT,
+    secret TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  `],
+  // Delivery log: one row per event sent (or still being retried) to a webhook
+  ['webhook_deliveries', `
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    event_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at TEXT,
+    redelivery_of TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  `]
+];
+
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS settings_trash_deleted_at ON settings_trash (deleted_at);
+  CREATE INDEX IF NOT EXISTS audit_log_settings_id ON audit_log (settings_id, id);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, created_at);
+`;
+
+// Full-text index: one row per leaf value of each settings object's data
+const SEARCH_INDEX = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS settings_fts USING fts5(
+    settings_id UNINDEXED,
+    path UNINDEXED,
+    key,
+    value
+  )
+`;
+
+// The audit log is append-only: the database itself rejects edits
+const AUDIT_TRIGGERS = `
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`;
+
+/**
+ * Creates a table, or rebuilds one stored with another definition. SQLite
+ * keeps the CREATE TABLE text (without IF NOT EXISTS), so comparing it
+ * tells an up-to-date table from an older layout.
+ */
+const createTable = (db, name, columns) => {
+  const definition = `CREATE TABLE ${name} (${columns})`;
+  const existing = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+  if (existing?.sql === definition) return;
+  if (!existing) {
+    db.exec(definition);
+    return;
+  }
+
+  const oldColumns = db.pragma(`table_info(${name})`).map(column => column.name);
+  db.exec(`ALTER TABLE ${name} RENAME TO ${name}_old`);
+  db.exec(definition);
+  const kept = db.pragma(`table_info(${name})`)
+      .map(column => column.name)
+      .filter(column => oldColumns.includes(column))
+      .join(', ');
+  db.exec(`INSERT INTO ${name} (${kept}) SELECT ${kept} FROM ${name}_old`);
+  db.exec(`DROP TABLE ${name}_old`);
+};
+
+export const up = (db) => {
+  for (const [name, columns] of TABLE_DEFINITIONS) {
+    createTable(db, name, columns);
+  }
+  db.exec(INDEXES);
+  db.exec(SEARCH_INDEX);
+  db.exec(AUDIT_TRIGGERS);
+
+  // Settings from before revisions were kept: their data becomes revision 1
+  db.exec(`
+    INSERT OR IGNORE INTO settings_revisions (settings_id, revision, data, overrides, created_at, secrets)
+    SELECT id, revision, data, overrides, updated_at, secrets FROM settings
+  `);
+
+  // Settings from before search: index them as the app does
+  const unindexed = db.prepare(
+      'SELECT id, data, secrets FROM settings WHERE id NOT IN (SELECT settings_id FROM settings_fts)'
+  ).all();
+  const insert = db.prepare('INSERT INTO settings_fts (settings_id, path, key, value) VALUES (?, ?, ?, ?)');
+  for (const row of unindexed) {
+    const redacted = redactSecrets(JSON.parse(row.data), { paths: JSON.parse(row.secrets).map(parsePointer) });
+    for (const leaf of flattenLeaves(redacted)) {
+      insert.run(row.id, leaf.path, leaf.key, leaf.value);
+    }
+  }
+};
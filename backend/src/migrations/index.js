@@ -0,0 +1,14 @@
+/**
+ * migrations/index.js - Migration List
+ *
+ * Every migration, in order (see migrations.js). A schema change is a new
+ * file here, numbered one past the last; applied migrations never change.
+ */
+
+import * as settings from './001-settings.js';
+import * as unversionedChanges from './002-unversioned-changes.js';
+
+export const MIGRATIONS = [
+  settings,
+  unversionedChanges
+];
@@ -0,0 +1,263 @@
+/**
+ * patch.js - JSON Merge Patch and JSON Patch
+ *
+ * Pure helpers used by PATCH /settings/:id:
+ *   - applyMergePatch: RFC 7396 (application/merge-patch+json)
+ *   - applyJsonPatch:  RFC 6902 (application/json-patch+json)
+ *
+ * Neither function mutates its input. Problems are reported as a
+ * PatchError carrying the HTTP status the route should answer with.
+ */
+
+import { HttpError } from './errors.js';
+
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+/**
+ * Error raised for invalid or inapplicable patches.
+ * status 400: the patch document itself is malformed
+ * status 409: the patch is valid but conflicts with the current data
+ */
+export class PatchError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'PatchError';
+  }
+}
+
+// Helper Functions
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// A patch cannot set this key: assigning it would replace the object's
+// prototype instead of storing a value, so the patch would silently do nothing
+export const RESERVED_KEY = '__proto__';
+
+/**
+ * Structural equality for JSON values (used by the "test" op).
+ * Object key order is ignored, array order is not.
+ */
+export const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) &&
+           a.length === b.length &&
+           a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+           keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped reference tokens.
+ * Returns null if the string is not a valid pointer.
+ *
+ * @param {string} pointer - e.g. "/database/pool/max"
+ * @returns {string[]|null} e.g. ["database", "pool", "max"]
+ */
+export const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) return null;
+  if (/~[^01]|~$/.test(pointer)) return null;
+  return pointer
+      .slice(1)
+      .split('/')
+      .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Builds a JSON Pointer from reference tokens (inverse of parsePointer).
+ *
+ * @param {Array<string|number>} tokens
+ * @returns {string}
+ */
+export const formatPointer = (tokens) =>
+    tokens
+        .map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1'))
+        .join('');
+
+const arrayIndex = (token, length, allowEnd) => {
+  if (allowEnd && token === '-') return length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) return -1;
+  const index = Number(token);
+  return index < length + (allowEnd ? 1 : 0) ? index : -1;
+};
+
+// Merge Patch (RFC 7396)
+/**
+ * Applies a JSON Merge Patch. Objects are merged recursively, null
+ * removes a key, and any non-object patch replaces the target outright.
+ *
+ * @param {*} target - Current document
+ * @param {*} patch - Merge patch document
+ * @returns {*} Patched document
+ */
+export const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return clone(patch);
+
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === RESERVED_KEY) {
+      throw new PatchError(400, `Merge patch cannot set a "${RESERVED_KEY}" key`);
+    }
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+// JSON Patch (RFC 6902)
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Validates the shape of a JSON Patch document before anything is applied,
+ * so a bad op late in the list cannot leave earlier ops half-applied.
+ */
+const validateOperations = (operations) => {
+  if (!Array.isArray(operations)) {
+    throw new PatchError(400, 'JSON Patch document must be an array of operations');
+  }
+
+  operations.forEach((operation, i) => {
+    if (!isObject(operation) || !OPERATIONS.includes(operation.op)) {
+      throw new PatchError(400, `Operation ${i}: "op" must be one of ${OPERATIONS.join(', ')}`);
+    }
+    if (parsePointer(operation.path) === null) {
+      throw new PatchError(400, `Operation ${i}: "path" must be a JSON Pointer`);
+    }
+    if (['move', 'copy'].includes(operation.op) && parsePointer(operation.from) === null) {
+      throw new PatchError(400, `Operation ${i}: "from" must be a JSON Pointer`);
+    }
+    if (parsePointer(operation.path).includes(RESERVED_KEY)) {
+      throw new PatchError(400, `Operation ${i}: "path" cannot contain a "${RESERVED_KEY}" key`);
+    }
+    if (['add', 'replace', 'test'].includes(operation.op) && !Object.hasOwn(operation, 'value')) {
+      throw new PatchError(400, `Operation ${i}: "${operation.op}" requires a "value"`);
+    }
+  });
+};
+
+/**
+ * Resolves a pointer to its parent container and final token.
+ * Throws a 409 PatchError if any intermediate location is missing.
+ */
+const locate = (doc, pointer, i) => {
+  const tokens = parsePointer(pointer);
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    const next = Array.isArray(parent)
+                 ? parent[arrayIndex(token, parent.length, false)]
+                 : isObject(parent) && Object.hasOwn(parent, token) ? parent[token] : undefined;
+    if (next === undefined) {
+      throw new PatchError(409, `Operation ${i}: path "${pointer}" does not exist`);
+    }
+    parent = next;
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const getValue = (doc, pointer, i) => {
+  if (pointer === '') return doc;
+  const { parent, key } = locate(doc, pointer, i);
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(key, parent.length, false);
+    if (index !== -1) return parent[index];
+  } else if (isObject(parent) && Object.hasOwn(parent, key)) {
+    return parent[key];
+  }
+  throw new PatchError(409, `Operation ${i}: path "${pointer}" does not exist`);
+};
+
+const addValue = (doc, pointer, value, i) => {
+  if (pointer === '') return value;
+  const { parent, key } = locate(doc, pointer, i);
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(key, parent.length, true);
+    if (index === -1) {
+      throw new PatchError(409, `Operation ${i}: array index "${key}" is out of bounds`);
+    }
+    parent.splice(index, 0, value);
+  } else if (isObject(parent)) {
+    parent[key] = value;
+  } else {
+    throw new PatchError(409, `Operation ${i}: cannot add to a non-container at "${pointer}"`);
+  }
+  return doc;
+};
+
+const removeValue = (doc, pointer, i) => {
+  if (pointer === '') {
+    throw new PatchError(409, `Operation ${i}: cannot remove the document root`);
+  }
+  getValue(doc, pointer, i);
+  const { parent, key } = locate(doc, pointer, i);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(key, parent.length, false), 1);
+  } else {
+    delete parent[key];
+  }
+  return doc;
+};
+
+/**
+ * Applies a JSON Patch. Operations run in order against a copy of the
+ * document, so a failure at any step leaves the original untouched.
+ *
+ * @param {*} target - Current document
+ * @param {Array} operations - JSON Patch operations
+ * @returns {*} Patched document
+ */
+export const applyJsonPatch = (target, operations) => {
+  validateOperations(operations);
+
+  let doc = clone(target);
+  operations.forEach((operation, i) => {
+    const { op, path, from } = operation;
+    switch (op) {
+      case 'add':
+        doc = addValue(doc, path, clone(operation.value), i);
+        break;
+      case 'remove':
+        doc = removeValue(doc, path, i);
+        break;
+      case 'replace':
+        getValue(doc, path, i);
+        if (path === '') {
+          doc = clone(operation.value);
+        } else {
+          doc = removeValue(doc, path, i);
+          doc = addValue(doc, path, clone(operation.value), i);
+        }
+        break;
+      case 'move': {
+        if (path !== from && path.startsWith(from + '/')) {
+          throw new PatchError(409, `Operation ${i}: cannot move "${from}" into its own child`);
+        }
+        const value = getValue(doc, from, i);
+        doc = removeValue(doc, from, i);
+        doc = addValue(doc, path, value, i);
+        break;
+      }
+      case 'copy':
+        doc = addValue(doc, path, clone(getValue(doc, from, i)), i);
+        break;
+      case 'test':
+        if (!deepEqual(getValue(doc, path, i), operation.value)) {
+          throw new PatchError(409, `Operation ${i}: test failed at "${path}"`);
+        }
+        break;
+    }
+  });
+  return doc;
+};
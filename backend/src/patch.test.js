@@ -0,0 +1,95 @@
+/**
+ * patch.test.js - JSON Merge Patch and JSON Patch Tests
+ *
+ * Unit tests for the pure patch helpers in patch.js,
+ * using examples from RFC 7396 and RFC 6902.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch,
+  parsePointer,
+  formatPointer
+} from './patch.js';
+
+describe('applyMergePatch', () => {
+  it('should merge nested objects and remove null keys', () => {
+    const target = { a: 'b', c: { d: 'e', f: 'g' } };
+    const patch = { a: 'z', c: { f: null } };
+
+    expect(applyMergePatch(target, patch)).toEqual({ a: 'z', c: { d: 'e' } });
+  });
+
+  it('should replace arrays and non-object targets wholesale', () => {
+    expect(applyMergePatch({ a: [1, 2] }, { a: [3] })).toEqual({ a: [3] });
+    expect(applyMergePatch('text', { a: 1 })).toEqual({ a: 1 });
+    expect(applyMergePatch({ a: 1 }, ['x'])).toEqual(['x']);
+  });
+
+  it('should not mutate the target', () => {
+    const target = { a: { b: 1 } };
+    applyMergePatch(target, { a: { b: 2 } });
+
+    expect(target).toEqual({ a: { b: 1 } });
+  });
+
+  it('should reject a "__proto__" key at any depth', () => {
+    expect(() => applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": 1}}')))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => applyMergePatch({ a: {} }, JSON.parse('{"a": {"__proto__": {"polluted": 1}}}')))
+        .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('applyJsonPatch', () => {
+  it('should support add, remove, replace, move and copy', () => {
+    const result = applyJsonPatch(
+        { foo: { bar: 'baz', waldo: 'fred' }, qux: { corge: 'grault' }, list: [1, 3] },
+        [
+          { op: 'add', path: '/list/1', value: 2 },
+          { op: 'remove', path: '/foo/bar' },
+          { op: 'replace', path: '/qux/corge', value: 'new' },
+          { op: 'move', from: '/foo/waldo', path: '/qux/thud' },
+          { op: 'copy', from: '/qux/thud', path: '/copied' }
+        ]
+    );
+
+    expect(result).toEqual({
+                             foo: {},
+                             qux: { corge: 'new', thud: 'fred' },
+                             list: [1, 2, 3],
+                             copied: 'fred'
+                           });
+  });
+
+  it('should compare test values structurally', () => {
+    const doc = { a: { x: 1, y: [1, 2] } };
+
+    expect(applyJsonPatch(doc, [{ op: 'test', path: '/a', value: { y: [1, 2], x: 1 } }]))
+        .toEqual(doc);
+    expect(() => applyJsonPatch(doc, [{ op: 'test', path: '/a/y', value: [2, 1] }]))
+        .toThrow(PatchError);
+  });
+
+  it('should report 409 for missing paths and 400 for malformed operations', () => {
+    const missing = () => applyJsonPatch({}, [{ op: 'remove', path: '/nope' }]);
+    const malformed = () => applyJsonPatch({}, [{ op: 'add', path: 'no-slash', value: 1 }]);
+
+    expect(missing).toThrow(expect.objectContaining({ status: 409 }));
+    expect(malformed).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => applyJsonPatch({}, { op: 'add' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => applyJsonPatch({}, [{ op: 'add', path: '/__proto__', value: { polluted: 1 } }]))
+        .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should handle escaped pointer tokens', () => {
+    const result = applyJsonPatch({ 'a/b': {} }, [{ op: 'add', path: '/a~1b/c~0d', value: 1 }]);
+
+    expect(result).toEqual({ 'a/b': { 'c~d': 1 } });
+    expect(parsePointer('/a~1b/c~0d')).toEqual(['a/b', 'c~d']);
+    expect(formatPointer(['a/b', 'c~d'])).toBe('/a~1b/c~0d');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * pointer.js - Sub-document Access by JSON Pointer
+ *
+ * Pure helpers behind /settings/:id/data/<json-pointer>:
+ *   - getAtPointer:    reads one nested value
+ *   - setAtPointer:    sets one nested value, leaving its siblings alone
+ *   - removeAtPointer: removes one nested value
+ *
+ * None of them mutate their input. A path that does not exist is reported
+ * as a 404 HttpError whose body names the deepest prefix that does.
+ */
+
+import { HttpError } from './errors.js';
+import { formatPointer, RESERVED_KEY } from './patch.js';
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Array index tokens: "0", "1", ... (no leading zeros) within bounds
+const indexOf = (array, token) =>
+    /^(0|[1-9][0-9]*)$/.test(token) && Number(token) < array.length ? Number(token) : -1;
+
+const child = (value, token) => {
+  if (Array.isArray(value)) {
+    const index = indexOf(value, token);
+    return index === -1 ? undefined : value[index];
+  }
+  return isContainer(value) && Object.hasOwn(value, token) ? value[token] : undefined;
+};
+
+const notFound = (tokens, depth) =>
+    new HttpError(404, 'Path not found', {
+      path: formatPointer(tokens),
+      resolved: formatPointer(tokens.slice(0, depth))
+    });
+
+/**
+ * Walks tokens down from doc, returning the value at the end.
+ * Throws 404 with the deepest resolvable prefix if any step is missing.
+ */
+const walk = (doc, tokens) => {
+  let value = doc;
+  for (let depth = 0; depth < tokens.length; depth++) {
+    const next = child(value, tokens[depth]);
+    if (next === undefined) throw notFound(tokens, depth);
+    value = next;
+  }
+  return value;
+};
+
+/**
+ * Reads the value at a pointer.
+ *
+ * @param {*} doc - Settings document
+ * @param {string[]} tokens - Parsed JSON Pointer (see parsePointer)
+ * @returns {*} The value at that path
+ */
+export const getAtPointer = (doc, tokens) => walk(doc, tokens);
+
+/**
+ * Returns a copy of doc with the value at a pointer set. The parent must
+ * already exist (404 otherwise) and be an object or array (409 otherwise).
+ * On arrays, an existing index is replaced and "-" or the length appends.
+ * A "__proto__" key cannot be set (400).
+ *
+ * @param {*} doc - Settings document
+ * @param {string[]} tokens - Parsed JSON Pointer, at least one token
+ * @param {*} value - New value
+ * @returns {*} Updated document
+ */
+export const setAtPointer = (doc, tokens, value) => {
+  const result = clone(doc);
+  const parent = walk(result, tokens.slice(0, -1));
+  const key = tokens[tokens.length - 1];
+
+  if (key === RESERVED_KEY) {
+    throw new HttpError(400, `Cannot set a "${RESERVED_KEY}" key`);
+  }
+  if (Array.isArray(parent)) {
+    const index = key === '-' || key === String(parent.length) ? parent.length : indexOf(parent, key);
+    if (index === -1) throw notFound(tokens, tokens.length - 1);
+    parent[index] = value;
+  } else if (isContainer(parent)) {
+    parent[key] = value;
+  } else {
+    throw new HttpError(409, `Cannot set a value inside the non-container at "${formatPointer(tokens.slice(0, -1))}"`);
+  }
+  return result;
+};
+
+/**
+ * Returns a copy of doc with the value at a pointer removed.
+ * Array elements after the removed one shift down.
+ *
+ * @param {*} doc - Settings document
+ * @param {string[]} tokens - Parsed JSON Pointer, at least one token
+ * @returns {*} Updated document
+ */
+export const removeAtPointer = (doc, tokens) => {
+  const result = clone(doc);
+  walk(result, tokens);
+  const parent = walk(result, tokens.slice(0, -1));
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(indexOf(parent, key), 1);
+  } else {
+    delete parent[key];
+  }
+  return result;
+};
@@ -0,0 +1,57 @@
+/**
+ * pointer.test.js - Sub-document Access Tests
+ *
+ * Unit tests for the JSON Pointer helpers in pointer.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getAtPointer, setAtPointer, removeAtPointer } from './pointer.js';
+
+const doc = { a: { b: [1, { c: true }] } };
+
+describe('getAtPointer', () => {
+  it('should walk objects and arrays', () => {
+    expect(getAtPointer(doc, ['a', 'b', '1', 'c'])).toBe(true);
+    expect(getAtPointer(doc, [])).toEqual(doc);
+  });
+
+  it('should report the deepest resolvable prefix', () => {
+    expect(() => getAtPointer(doc, ['a', 'b', '01'])).toThrow(
+        expect.objectContaining({ status: 404, details: { path: '/a/b/01', resolved: '/a/b' } })
+    );
+    expect(() => getAtPointer(doc, ['a', 'b', '0', 'x'])).toThrow(
+        expect.objectContaining({ details: { path: '/a/b/0/x', resolved: '/a/b/0' } })
+    );
+  });
+});
+
+describe('setAtPointer', () => {
+  it('should replace, add and append without mutating the input', () => {
+    expect(setAtPointer(doc, ['a', 'b', '0'], 2).a.b).toEqual([2, { c: true }]);
+    expect(setAtPointer(doc, ['a', 'b', '-'], 3).a.b).toEqual([1, { c: true }, 3]);
+    expect(setAtPointer(doc, ['a', 'd'], null).a).toEqual({ b: [1, { c: true }], d: null });
+    expect(doc).toEqual({ a: { b: [1, { c: true }] } });
+  });
+
+  it('should reject missing parents and scalar parents', () => {
+    expect(() => setAtPointer(doc, ['x', 'y'], 1)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => setAtPointer(doc, ['a', 'b', '5'], 1)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => setAtPointer(doc, ['a', 'b', '0', 'x'], 1)).toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should reject a "__proto__" key', () => {
+    expect(() => setAtPointer(doc, ['a', '__proto__'], { polluted: 1 })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('removeAtPointer', () => {
+  it('should remove object keys and array elements', () => {
+    expect(removeAtPointer(doc, ['a', 'b', '0']).a.b).toEqual([{ c: true }]);
+    expect(removeAtPointer(doc, ['a', 'b', '1', 'c']).a.b).toEqual([1, {}]);
+    expect(doc.a.b).toHaveLength(2);
+  });
+
+  it('should reject missing paths', () => {
+    expect(() => removeAtPointer(doc, ['a', 'z'])).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
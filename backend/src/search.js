@@ -0,0 +1,167 @@
+/**
+ * search.js - Full-Text Search Helpers
+ *
+ * Pure helpers for the index behind GET /settings/search:
+ *   - flattenLeaves: turns a settings document into one indexable row per value
+ *   - searchTerms:   splits free text into search terms
+ *   - toMatchQuery:  turns search terms into a safe FTS5 MATCH expression
+ *   - searchLeaves:  the same search over leaves held in memory, tokenized,
+ *                    ranked (BM25) and highlighted the way FTS5 does it
+ */
+
+import { formatPointer } from './patch.js';
+
+// Markers wrapped around matched text by highlight()
+export const HIGHLIGHT_OPEN = '<mark>';
+export const HIGHLIGHT_CLOSE = '</mark>';
+
+/**
+ * Flattens a JSON document into its leaf values.
+ * Objects and arrays are walked; every other value becomes one entry.
+ *
+ * @param {*} data - Settings document
+ * @returns {Array<{path: string, key: string, value: string}>}
+ *          path is the JSON Pointer, key the last path segment, and
+ *          value the text to index (strings as-is, others as JSON)
+ */
+export const flattenLeaves = (data) => {
+  const leaves = [];
+
+  const walk = (value, tokens) => {
+    if (value !== null && typeof value === 'object') {
+      const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+      for (const [key, child] of entries) {
+        walk(child, [...tokens, key]);
+      }
+      return;
+    }
+    leaves.push({
+                  path: formatPointer(tokens),
+                  key: tokens.length > 0 ? String(tokens[tokens.length - 1]) : '',
+                  value: typeof value === 'string' ? value : JSON.stringify(value)
+                });
+  };
+
+  walk(data, []);
+  return leaves;
+};
+
+/**
+ * Splits free text into search terms at whitespace.
+ *
+ * @param {string} text - User search text
+ * @returns {string[]} Terms (empty if there are none)
+ */
+export const searchTerms = (text) => String(text).trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Builds an FTS5 MATCH expression from search terms. Each term is quoted
+ * (so FTS operators in user input are treated as text) and prefix-matched;
+ * all terms must occur in the same key/value pair.
+ *
+ * @param {string[]} terms - Result of searchTerms (at least one)
+ * @returns {string} MATCH expression
+ */
+export const toMatchQuery = (terms) => terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+
+// Like FTS5's default unicode61 tokenizer: runs of letters and digits,
+// compared without case or diacritics
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{Co}]+/gu;
+
+const fold = (token) => token.normalize('NFD').replace(/\p{Mn}/gu, '').toLowerCase();
+
+const tokenize = (text) => [...text.matchAll(TOKEN_PATTERN)].map(match => ({
+  text: fold(match[0]),
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// BM25 parameters FTS5 uses
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Where a phrase occurs in a token list: its tokens in a row, the last one
+ * matching as a prefix. Returns the text spans [start, end) it covers.
+ */
+const findPhrase = (tokens, phrase) => {
+  const spans = [];
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    const matches = phrase.every((token, j) => j === phrase.length - 1
+                                               ? tokens[i + j].text.startsWith(token)
+                                               : tokens[i + j].text === token);
+    if (matches) spans.push([tokens[i].start, tokens[i + phrase.length - 1].end]);
+  }
+  return spans;
+};
+
+// Wraps the spans of text in markers, merging spans that overlap
+const highlight = (text, spans, open, close) => {
+  const merged = [];
+  for (const [start, end] of [...spans].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  let result = '';
+  let at = 0;
+  for (const [start, end] of merged) {
+    result += text.slice(at, start) + open + text.slice(start, end) + close;
+    at = end;
+  }
+  return result + text.slice(at);
+};
+
+/**
+ * Searches leaves in memory with the same matches, scores and highlights
+ * as the FTS5 query built by toMatchQuery: every term must occur in the
+ * key or value of a leaf, and scores are BM25 over all leaves (higher is
+ * better).
+ *
+ * @param {Array<{settings_id: string, path: string, key: string, value: string}>} leaves - Every indexed leaf
+ * @param {string[]} terms - Result of searchTerms
+ * @param {{open: string, close: string}} markers - Wrapped around matched text
+ * @returns {Array<{settings_id: string, path: string, key: string, value: string, score: number}>}
+ *          Matching leaves, best first
+ */
+export const searchLeaves = (leaves, terms, { open, close }) => {
+  const phrases = terms.map(term => tokenize(term).map(token => token.text)).filter(phrase => phrase.length > 0);
+  if (phrases.length === 0) return [];
+
+  const indexed = leaves.map(leaf => ({ leaf, key: tokenize(leaf.key), value: tokenize(leaf.value) }));
+  const averageLength = indexed.reduce((sum, entry) => sum + entry.key.length + entry.value.length, 0) /
+                        (indexed.length || 1);
+
+  const found = indexed.map(entry => ({
+    ...entry,
+    hits: phrases.map(phrase => ({ key: findPhrase(entry.key, phrase), value: findPhrase(entry.value, phrase) }))
+  }));
+  // Inverse document frequency of each phrase; FTS5 floors it just above zero
+  const idf = phrases.map((phrase, i) => {
+    const containing = found.filter(entry => entry.hits[i].key.length + entry.hits[i].value.length > 0).length;
+    return Math.max(Math.log((found.length - containing + 0.5) / (containing + 0.5)), 1e-6);
+  });
+
+  return found
+      .filter(entry => entry.hits.every(hit => hit.key.length + hit.value.length > 0))
+      .map((entry) => {
+        const length = entry.key.length + entry.value.length;
+        const score = entry.hits.reduce((sum, hit, i) => {
+          const frequency = hit.key.length + hit.value.length;
+          return sum + idf[i] * frequency * (K1 + 1) /
+                       (frequency + K1 * (1 - B + B * length / averageLength));
+        }, 0);
+        return {
+          settings_id: entry.leaf.settings_id,
+          path: entry.leaf.path,
+          key: highlight(entry.leaf.key, entry.hits.flatMap(hit => hit.key), open, close),
+          value: highlight(entry.leaf.value, entry.hits.flatMap(hit => hit.value), open, close),
+          score
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+};
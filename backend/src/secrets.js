@@ -0,0 +1,319 @@
+/**
+ * secrets.js - Encrypted Secret Values
+ *
+ * Pure helpers for settings values marked secret (by JSON Pointer):
+ *   - createKeyring:  the master key from the environment, plus previous
+ *                     keys that can still decrypt during a rotation
+ *   - seal / unseal:  AES-256-GCM encryption of one JSON value into a
+ *                     self-describing string "enc:v1:<key id>:<iv>:<data>:<tag>"
+ *   - sealSecrets:    encrypts the values at the secret paths of a document
+ *   - openPlainValues: decrypts sealed values found outside the secret paths
+ *   - redactSecrets / revealSecrets / rotateSecrets: replace the values at
+ *                     the secret paths of a stored document (revealSecrets
+ *                     also decrypts paths that stop being secret)
+ *
+ * Only the values at a document's secret paths are ever treated as sealed;
+ * anywhere else a string is just a string. Sealed values carry the ID of
+ * their key, so values sealed under an older key still decrypt. They are
+ * also bound (as GCM additional data) to the settings ID and path they were
+ * sealed for, so one copied to another object or path does not decrypt.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+import { HttpError } from './errors.js';
+import { deepEqual, formatPointer } from './patch.js';
+import { getAtPointer, setAtPointer } from './pointer.js';
+
+// What callers without the reveal permission see instead of a secret.
+// Sending it back in a write keeps the stored secret.
+export const REDACTED = '********';
+
+// Sealed values: key ID, IV, ciphertext and tag
+const SEALED_PATTERN = /^enc:v1:([0-9a-f]{8}):([\w-]+):([\w-]*):([\w-]+)$/;
+// Plain strings may not look like sealed values, so none is ever mistaken for one
+const RESERVED_PATTERN = /^enc:v\d+:/;
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Decodes a 256-bit master key given as 64 hex digits or base64.
+ * Throws if it is anything else, so a bad key stops the server at startup.
+ *
+ * @param {string} text
+ * @returns {Buffer}
+ */
+export const parseMasterKey = (text) => {
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Secret master keys must be 32 bytes, hex or base64 encoded');
+  }
+  return key;
+};
+
+/**
+ * Builds the keyring: values are sealed with the current key and unsealed
+ * with whichever key sealed them.
+ *
+ * @param {string} current - Master key (SECRETS_MASTER_KEY)
+ * @param {string[]} [previous=[]] - Older keys still needed to decrypt
+ * @returns {{currentId: string, keys: Map<string, Buffer>}}
+ */
+export const createKeyring = (current, previous = []) => {
+  const keys = new Map();
+  for (const text of [current, ...previous]) {
+    const key = parseMasterKey(text);
+    // A short digest names the key inside sealed values without revealing it
+    keys.set(createHash('sha256').update(key).digest('hex').slice(0, 8), key);
+  }
+  return { currentId: keys.keys().next().value, keys };
+};
+
+/**
+ * Returns the keyring, or throws 503 if no master key is configured.
+ *
+ * @param {Object|null} keyring
+ * @returns {Object}
+ */
+export const requireKeyring = (keyring) => {
+  if (!keyring) {
+    throw new HttpError(503, 'Secret values need SECRETS_MASTER_KEY to be set');
+  }
+  return keyring;
+};
+
+/**
+ * Checks whether a value is a sealed secret.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isSealed = (value) => typeof value === 'string' && SEALED_PATTERN.test(value);
+
+/**
+ * ID of the key a sealed value was encrypted with.
+ *
+ * @param {string} sealed
+ * @returns {string}
+ */
+export const sealedKeyId = (sealed) => SEALED_PATTERN.exec(sealed)[1];
+
+/**
+ * What a sealed value is bound to: the settings object and the path it is
+ * stored at. A value sealed for one binding only unseals with the same one.
+ *
+ * @param {string} id - Settings ID
+ * @param {string[]} tokens - Parsed path of the value
+ * @returns {string}
+ */
+export const secretBinding = (id, tokens) => JSON.stringify([id, formatPointer(tokens)]);
+
+/**
+ * Encrypts a JSON value with the current key.
+ *
+ * @param {*} value - Any JSON value
+ * @param {Object|null} keyring - From createKeyring (503 if null)
+ * @param {string} binding - From secretBinding
+ * @returns {string} Sealed value
+ */
+export const seal = (value, keyring, binding) => {
+  const { currentId, keys } = requireKeyring(keyring);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', keys.get(currentId), iv);
+  cipher.setAAD(Buffer.from(binding, 'utf8'));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return 'enc:v1:' + [currentId, iv, data, cipher.getAuthTag()]
+      .map(part => typeof part === 'string' ? part : part.toString('base64url'))
+      .join(':');
+};
+
+/**
+ * Decrypts a sealed value. Throws 500 if its key is not in the keyring or
+ * the value has been tampered with or was sealed for another binding.
+ *
+ * @param {string} sealed
+ * @param {Object|null} keyring - From createKeyring (503 if null)
+ * @param {string} binding - From secretBinding
+ * @returns {*} The original JSON value
+ */
+export const unseal = (sealed, keyring, binding) => {
+  const { keys } = requireKeyring(keyring);
+  const [, keyId, iv, data, tag] = SEALED_PATTERN.exec(sealed);
+  if (!keys.has(keyId)) {
+    throw new HttpError(500, `Secret was encrypted with unknown key ${keyId}`);
+  }
+
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', keys.get(keyId), Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(binding, 'utf8'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+    return JSON.parse(text.toString('utf8'));
+  } catch {
+    throw new HttpError(500, 'Secret could not be decrypted');
+  }
+};
+
+// The value at a path, or undefined if the path does not exist
+const valueAt = (doc, tokens) => {
+  try {
+    return getAtPointer(doc, tokens);
+  } catch {
+    return undefined;
+  }
+};
+
+// The value sealed could be unsealed to, or undefined if it cannot
+const tryUnseal = (sealed, keyring, binding) => {
+  try {
+    return unseal(sealed, keyring, binding);
+  } catch {
+    return undefined;
+  }
+};
+
+// Copies doc with replace(value, tokens, binding) at each secret path holding a value
+const mapSecrets = (doc, { id, paths }, replace) => {
+  let result = doc;
+  for (const tokens of paths) {
+    const value = valueAt(result, tokens);
+    if (value !== undefined) {
+      result = setAtPointer(result, tokens, replace(value, tokens, secretBinding(id, tokens)));
+    }
+  }
+  return result;
+};
+
+/**
+ * Seals the values at the secret paths of a document before it is stored.
+ * At each path present in doc:
+ *   - REDACTED keeps the value stored there before (400 if there is none)
+ *   - a sealed value is kept if it is the one stored before, or if it was
+ *     sealed for this object and path (400 otherwise)
+ *   - the value stored before, decrypted, keeps its sealed form
+ *   - anything else is encrypted
+ * Paths missing from doc are skipped.
+ *
+ * @param {*} doc - Document being written
+ * @param {{id: string, paths: string[][]}} target - Settings ID and parsed secret paths
+ * @param {*} previous - The stored document it replaces (undefined if new)
+ * @param {Object|null} keyring
+ * @returns {*} Document to store
+ */
+export const sealSecrets = (doc, target, previous, keyring) => mapSecrets(doc, target, (value, tokens, binding) => {
+  const before = valueAt(previous, tokens);
+  if (value === REDACTED) {
+    if (!isSealed(before)) {
+      throw new HttpError(400, `No stored secret to keep at ${formatPointer(tokens)}`);
+    }
+    return before;
+  }
+  if (isSealed(value)) {
+    if (value === before) return value;
+    requireKeyring(keyring);
+    if (tryUnseal(value, keyring, binding) === undefined) {
+      throw new HttpError(400, `Invalid encrypted value at ${formatPointer(tokens)}`);
+    }
+    return value;
+  }
+  if (isSealed(before) && deepEqual(tryUnseal(before, keyring, binding), value)) {
+    return before;
+  }
+  return seal(value, keyring, binding);
+});
+
+/**
+ * Checks the values outside the secret paths of a document being written.
+ * A sealed value that belongs there (sealed for this object and path, e.g.
+ * from a revision when the path was still secret) is decrypted; any other
+ * string that looks sealed is refused with 400, so no plain value is ever
+ * mistaken for a secret. Values unchanged from previous are kept as they are.
+ *
+ * @param {*} doc - Document being written
+ * @param {{id: string, paths: string[][]}} target - Settings ID and parsed secret paths
+ * @param {*} previous - The stored document it replaces (undefined if new)
+ * @param {Object|null} keyring
+ * @returns {*}
+ */
+export const openPlainValues = (doc, { id, paths }, previous, keyring) => {
+  const isSecret = (tokens) =>
+      paths.some(path => path.length === tokens.length && path.every((token, i) => token === tokens[i]));
+
+  const open = (value, tokens) => {
+    if (isSecret(tokens)) return value;
+    if (Array.isArray(value)) return value.map((item, i) => open(item, [...tokens, String(i)]));
+    if (isContainer(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, open(item, [...tokens, key])]));
+    }
+    if (typeof value !== 'string' || !RESERVED_PATTERN.test(value) || value === valueAt(previous, tokens)) {
+      return value;
+    }
+
+    const opened = keyring && isSealed(value)
+                   ? tryUnseal(value, keyring, secretBinding(id, tokens))
+                   : undefined;
+    if (opened === undefined) {
+      throw new HttpError(400, `The value at ${formatPointer(tokens)} looks encrypted. ` +
+                               'Strings starting with "enc:v<n>:" are reserved for secret values');
+    }
+    return opened;
+  };
+  return open(doc, []);
+};
+
+/**
+ * The sealed values at the secret paths of a stored document.
+ *
+ * @param {*} doc
+ * @param {{paths: string[][]}} target - Parsed secret paths
+ * @returns {string[]}
+ */
+export const sealedValues = (doc, target) => {
+  const found = [];
+  mapSecrets(doc, target, (value) => {
+    if (isSealed(value)) found.push(value);
+    return value;
+  });
+  return found;
+};
+
+/**
+ * Replaces the values at the secret paths of a stored document with REDACTED.
+ *
+ * @param {*} doc
+ * @param {{paths: string[][]}} target - Parsed secret paths
+ * @returns {*}
+ */
+export const redactSecrets = (doc, target) => mapSecrets(doc, target, () => REDACTED);
+
+/**
+ * Decrypts the values at the secret paths of a stored document (or at
+ * paths about to stop being secret).
+ *
+ * @param {*} doc
+ * @param {{id: string, paths: string[][]}} target - Settings ID and parsed secret paths
+ * @param {Object|null} keyring
+ * @returns {*}
+ */
+export const revealSecrets = (doc, target, keyring) => mapSecrets(doc, target, (value, tokens, binding) =>
+    isSealed(value) ? unseal(value, keyring, binding) : value);
+
+/**
+ * Re-encrypts the sealed values at the secret paths of a stored document
+ * that are not under the current key.
+ *
+ * @param {*} doc
+ * @param {{id: string, paths: string[][]}} target - Settings ID and parsed secret paths
+ * @param {Object} keyring
+ * @returns {{doc: *, rotated: number}} The new document and how many values changed
+ */
+export const rotateSecrets = (doc, target, keyring) => {
+  const { currentId } = requireKeyring(keyring);
+  let rotated = 0;
+  const result = mapSecrets(doc, target, (value, tokens, binding) => {
+    if (!isSealed(value) || sealedKeyId(value) === currentId) return value;
+    rotated++;
+    return seal(unseal(value, keyring, binding), keyring, binding);
+  });
+  return { doc: result, rotated };
+};
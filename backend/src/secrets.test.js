@@ -0,0 +1,191 @@
+/**
+ * secrets.test.js - Secret Value Tests
+ *
+ * Unit tests for encryption, redaction and key rotation in secrets.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  REDACTED,
+  createKeyring,
+  isSealed,
+  sealedKeyId,
+  secretBinding,
+  seal,
+  unseal,
+  sealSecrets,
+  openPlainValues,
+  redactSecrets,
+  revealSecrets,
+  rotateSecrets,
+  sealedValues
+} from './secrets.js';
+
+const OLD_KEY = '2'.repeat(64);
+const NEW_KEY = Buffer.alloc(32, 7).toString('base64');
+
+const oldRing = createKeyring(OLD_KEY);
+const ring = createKeyring(NEW_KEY, [OLD_KEY]);
+
+const ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const bound = (tokens) => secretBinding(ID, tokens);
+
+describe('seal and unseal', () => {
+  it('should round-trip any JSON value', () => {
+    for (const value of ['hunter2', 42, true, null, { user: 'app', pass: 'x' }, [1, 2]]) {
+      const sealed = seal(value, ring, bound(['a']));
+      expect(isSealed(sealed)).toBe(true);
+      expect(unseal(sealed, ring, bound(['a']))).toEqual(value);
+    }
+  });
+
+  it('should hide the value and use a fresh IV every time', () => {
+    expect(seal('hunter2', ring, bound(['a']))).not.toContain('hunter2');
+    expect(seal('same', ring, bound(['a']))).not.toBe(seal('same', ring, bound(['a'])));
+  });
+
+  it('should reject tampered values and unknown keys', () => {
+    const sealed = seal('hunter2', ring, bound(['a']));
+    const parts = sealed.split(':');
+    parts[4] = Buffer.from('tampered').toString('base64url');
+
+    expect(() => unseal(parts.join(':'), ring, bound(['a']))).toThrow('Secret could not be decrypted');
+    expect(() => unseal(sealed, oldRing, bound(['a']))).toThrow(/unknown key/);
+  });
+
+  it('should only unseal for the object and path a value was sealed for', () => {
+    const sealed = seal('hunter2', ring, bound(['a']));
+
+    expect(() => unseal(sealed, ring, bound(['b']))).toThrow('Secret could not be decrypted');
+    expect(() => unseal(sealed, ring, secretBinding('another-id', ['a']))).toThrow('Secret could not be decrypted');
+  });
+
+  it('should only take well-formed values as sealed', () => {
+    expect(isSealed('enc:v1:literal text')).toBe(false);
+    expect(isSealed(`enc:v1:${ring.currentId}:${'a'.repeat(16)}:${'b'.repeat(8)}:${'c'.repeat(22)}`)).toBe(true);
+    expect(isSealed(42)).toBe(false);
+  });
+
+  it('should need a master key', () => {
+    expect(() => seal('x', null, bound(['a']))).toThrow(expect.objectContaining({ status: 503 }));
+    expect(() => createKeyring('too short')).toThrow(/32 bytes/);
+  });
+});
+
+describe('sealSecrets', () => {
+  const target = { id: ID, paths: [['db', 'password'], ['token']] };
+
+  it('should encrypt values at the secret paths only', () => {
+    const stored = sealSecrets({ db: { host: 'h', password: 'p' } }, target, undefined, ring);
+
+    expect(stored.db.host).toBe('h');
+    expect(isSealed(stored.db.password)).toBe(true);
+    expect(stored).not.toHaveProperty('token');
+    expect(revealSecrets(stored, target, ring)).toEqual({ db: { host: 'h', password: 'p' } });
+  });
+
+  it('should keep the stored secret for REDACTED and refuse it without one', () => {
+    const previous = sealSecrets({ token: 't' }, target, undefined, ring);
+
+    expect(sealSecrets({ token: REDACTED }, target, previous, ring)).toEqual(previous);
+    expect(() => sealSecrets({ token: REDACTED }, target, undefined, ring))
+        .toThrow('No stored secret to keep at /token');
+  });
+
+  it('should keep the stored secret when given its value again', () => {
+    const previous = sealSecrets({ token: 't' }, target, undefined, ring);
+
+    expect(sealSecrets({ token: 't' }, target, previous, ring)).toEqual(previous);
+    expect(sealSecrets({ token: 'u' }, target, previous, ring).token).not.toBe(previous.token);
+  });
+
+  it('should accept values sealed for this object and path and reject others', () => {
+    const sealed = seal('t', oldRing, bound(['token']));
+    expect(sealSecrets({ token: sealed }, target, undefined, ring)).toEqual({ token: sealed });
+
+    for (const other of [
+      seal('t', createKeyring('3'.repeat(64)), bound(['token'])),
+      seal('t', ring, bound(['db', 'password'])),
+      seal('t', ring, secretBinding('another-id', ['token']))
+    ]) {
+      expect(() => sealSecrets({ token: other }, target, undefined, ring))
+          .toThrow('Invalid encrypted value at /token');
+    }
+  });
+});
+
+describe('openPlainValues', () => {
+  const target = { id: ID, paths: [['token']] };
+
+  it('should decrypt values sealed for this object outside the secret paths', () => {
+    const doc = { token: seal('t', ring, bound(['token'])), note: seal('n', ring, bound(['note'])) };
+
+    expect(openPlainValues(doc, target, undefined, ring)).toEqual({ token: doc.token, note: 'n' });
+  });
+
+  it('should refuse other strings that look sealed', () => {
+    for (const note of ['enc:v1:literal text', seal('n', ring, secretBinding('another-id', ['note']))]) {
+      expect(() => openPlainValues({ list: [note] }, target, undefined, ring))
+          .toThrow('The value at /list/0 looks encrypted');
+    }
+    expect(openPlainValues({ note: 'enc: plain' }, target, undefined, ring)).toEqual({ note: 'enc: plain' });
+  });
+
+  it('should keep values unchanged from the stored document', () => {
+    const previous = { note: 'enc:v1:literal text' };
+    expect(openPlainValues({ note: 'enc:v1:literal text' }, target, previous, ring)).toEqual(previous);
+  });
+});
+
+describe('redactSecrets and revealSecrets', () => {
+  const target = { id: ID, paths: [['a'], ['list', '0'], ['nested', 'b'], ['missing']] };
+  const stored = {
+    a: seal(1, ring, bound(['a'])),
+    list: [seal('x', ring, bound(['list', '0'])), 'plain'],
+    nested: { b: seal({ c: 2 }, ring, bound(['nested', 'b'])) },
+    other: 'enc:v1:literal text'
+  };
+
+  it('should replace the values at the secret paths only', () => {
+    expect(redactSecrets(stored, target)).toEqual({
+      a: REDACTED,
+      list: [REDACTED, 'plain'],
+      nested: { b: REDACTED },
+      other: 'enc:v1:literal text'
+    });
+    expect(revealSecrets(stored, target, ring)).toEqual({
+      a: 1,
+      list: ['x', 'plain'],
+      nested: { b: { c: 2 } },
+      other: 'enc:v1:literal text'
+    });
+  });
+
+  it('should leave sealed values outside the secret paths alone', () => {
+    const opened = revealSecrets(stored, { id: ID, paths: [['a']] }, ring);
+
+    expect(opened.a).toBe(1);
+    expect(opened.nested.b).toBe(stored.nested.b);
+    expect(redactSecrets(stored, { paths: [] })).toEqual(stored);
+  });
+
+  it('should list the sealed values at the secret paths', () => {
+    expect(sealedValues(stored, target)).toEqual([stored.a, stored.list[0], stored.nested.b]);
+  });
+});
+
+describe('rotateSecrets', () => {
+  it('should re-encrypt values sealed with older keys', () => {
+    const target = { id: ID, paths: [['old'], ['current']] };
+    const stored = {
+      old: seal('o', oldRing, bound(['old'])),
+      current: seal('c', ring, bound(['current']))
+    };
+    const { doc, rotated } = rotateSecrets(stored, target, ring);
+
+    expect(rotated).toBe(1);
+    expect(doc.current).toBe(stored.current);
+    expect(sealedKeyId(doc.old)).toBe(ring.currentId);
+    expect(revealSecrets(doc, target, createKeyring(NEW_KEY))).toEqual({ old: 'o', current: 'c' });
+  });
+});
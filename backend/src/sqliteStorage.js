@@ -0,0 +1,336 @@
+/**
+ * sqliteStorage.js - SQLite Storage Adapter
+ *
+ * Implements the storage interface (see storage.js) on SQLite through
+ * better-sqlite3, in a database file or in memory. The schema comes from
+ * the migrations (see migrations.js), applied on open. Full-text search
+ * uses an FTS5 table; list filters, sorts and grants become SQL (see
+ * filters.js and access.js).
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { TABLES } from './tables.js';
+import { filterSql, orderBySql, afterSql } from './filters.js';
+import { grantCondition } from './access.js';
+import { toMatchQuery } from './search.js';
+import { migrate } from './migrations.js';
+
+// Latest version of every schema, joined with its document
+const SELECT_SCHEMAS = `
+  SELECT s.*, sv.schema FROM schemas s
+  JOIN schema_versions sv ON sv.schema_id = s.id AND sv.version = s.version`;
+
+// Column names are spliced into SQL, so they must be real columns
+const assertColumns = (table, columns) => {
+  for (const column of columns) {
+    if (!TABLES[table].includes(column)) {
+      throw new Error(`Unknown column ${table}.${column}`);
+    }
+  }
+};
+
+const whereClause = (conditions) =>
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+/**
+ * Opens a SQLite database and applies any pending migrations. Throws if the
+ * database is newer than the code or a migration fails.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Database file, or ':memory:' (the default)
+ * @param {boolean} [options.wal] - Use the write-ahead log (files only)
+ * @param {number} [options.busyTimeout] - Milliseconds to wait for a locked database
+ * @returns {Object} Storage adapter
+ */
+export const createSqliteStorage = ({ path = ':memory:', wal = false, busyTimeout = 5000 } = {}) => {
+  if (path !== ':memory:') {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  const db = new Database(path, { timeout: busyTimeout });
+  if (wal) {
+    db.pragma('journal_mode = WAL');
+  }
+  try {
+    migrate(db);
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+
+  const get = (sql, ...params) => db.prepare(sql).get(...params);
+  const all = (sql, ...params) => db.prepare(sql).all(...params);
+  const run = (sql, ...params) => db.prepare(sql).run(...params);
+
+  const insert = (table, row) => {
+    const columns = TABLES[table].filter(column => Object.hasOwn(row, column));
+    return run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+               ...columns.map(column => row[column]));
+  };
+
+  // Updates the columns in changes of the rows matching key (column -> value)
+  const update = (table, key, changes) => {
+    const columns = Object.keys(changes);
+    assertColumns(table, [...columns, ...Object.keys(key)]);
+    if (columns.length === 0) return;
+    run(`UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}
+         WHERE ${Object.keys(key).map(column => `${column} = ?`).join(' AND ')}`,
+        ...Object.values(changes), ...Object.values(key));
+  };
+
+  /**
+   * Builds the WHERE clause of a settings or trash list query (see storage.js).
+   */
+  const listConditions = (table, query) => {
+    const { conditions, params } = filterSql(query.filters ?? []);
+
+    const readable = grantCondition(query.grants ?? null, 'read');
+    if (readable) {
+      conditions.push(readable.sql);
+      params.push(...readable.params);
+    }
+    // Namespace filter: exact name, or anything under "<namespace>/"
+    if (query.namespace !== undefined) {
+      conditions.push('(name = ? OR substr(name, 1, ?) = ?)');
+      params.push(query.namespace, query.namespace.length + 1, `${query.namespace}/`);
+    }
+    if (query.kind !== undefined) {
+      conditions.push('kind = ?');
+      params.push(query.kind);
+    }
+    if (query.after) {
+      assertColumns(table, query.sort.flatMap(term => term.column ?? []));
+      const after = afterSql(query.sort, query.after);
+      conditions.push(after.sql);
+      params.push(...after.params);
+    }
+    return { where: whereClause(conditions), params };
+  };
+
+  const listRows = (table, query = {}) => {
+    const { where, params } = listConditions(table, query);
+    let order = { sql: '', params: [] };
+    if (query.sort) {
+      assertColumns(table, query.sort.flatMap(term => term.column ?? []));
+      order = orderBySql(query.sort);
+    }
+    return all(`SELECT * FROM ${table} ${where} ${order.sql} LIMIT ? OFFSET ?`,
+               ...params, ...order.params, query.limit ?? -1, query.offset ?? 0);
+  };
+
+  const countRows = (table, query = {}) => {
+    const { where, params } = listConditions(table, query);
+    return get(`SELECT COUNT(*) as total FROM ${table} ${where}`, ...params).total;
+  };
+
+  const settings = {
+    get: (id) => get('SELECT * FROM settings WHERE id = ?', id),
+    getByName: (name) => get('SELECT * FROM settings WHERE name = ?', name),
+    find: (ref) => settings.get(ref) ?? settings.getByName(ref),
+    list: (query) => listRows('settings', query),
+    count: (query) => countRows('settings', query),
+    bySchema: (schemaId) => all('SELECT * FROM settings WHERE schema_id = ?', schemaId),
+    insert: (row) => {
+      insert('settings', row);
+    },
+    update: (id, changes) => update('settings', { id }, changes),
+    remove: (id) => {
+      run('DELETE FROM settings WHERE id = ?', id);
+    }
+  };
+
+  const trash = {
+    get: (id) => get('SELECT * FROM settings_trash WHERE id = ?', id),
+    list: (query) => listRows('settings_trash', query),
+    count: (query) => countRows('settings_trash', query),
+    deletedBefore: (time) => all('SELECT * FROM settings_trash WHERE deleted_at <= ?', time),
+    insert: (row) => {
+      insert('settings_trash', row);
+    },
+    update: (id, changes) => update('settings_trash', { id }, changes),
+    remove: (id) => run('DELETE FROM settings_trash WHERE id = ?', id).changes > 0
+  };
+
+  const revisions = {
+    get: (settingsId, revision) =>
+        get('SELECT * FROM settings_revisions WHERE settings_id = ? AND revision = ?', settingsId, revision),
+    list: (settingsId) =>
+        all('SELECT * FROM settings_revisions WHERE settings_id = ? ORDER BY revision DESC', settingsId),
+    insert: (row) => {
+      insert('settings_revisions', row);
+    },
+    update: (settingsId, revision, changes) =>
+        update('settings_revisions', { settings_id: settingsId, revision }, changes),
+    removeAll: (settingsId) => {
+      run('DELETE FROM settings_revisions WHERE settings_id = ?', settingsId);
+    }
+  };
+
+  const search = {
+    replace: (settingsId, leaves) => {
+      run('DELETE FROM settings_fts WHERE settings_id = ?', settingsId);
+      for (const leaf of leaves) {
+        insert('settings_fts', { settings_id: settingsId, ...leaf });
+      }
+    },
+    // bm25() is lower for better matches; negate so higher scores rank first
+    query: (terms, { open, close }) => all(
+        `SELECT settings_id, path,
+                highlight(settings_fts, 2, ?, ?) AS key,
+                highlight(settings_fts, 3, ?, ?) AS value,
+                -bm25(settings_fts) AS score
+         FROM settings_fts
+         WHERE settings_fts MATCH ?
+         ORDER BY score DESC`,
+        open, close, open, close, toMatchQuery(terms)
+    )
+  };
+
+  const schemas = {
+    get: (id) => get(`${SELECT_SCHEMAS} WHERE s.id = ?`, id),
+    getByName: (name) => get(`${SELECT_SCHEMAS} WHERE s.name = ?`, name),
+    list: () => all(`${SELECT_SCHEMAS} ORDER BY s.name`),
+    getVersion: (schemaId, version) =>
+        get('SELECT * FROM schema_versions WHERE schema_id = ? AND version = ?', schemaId, version),
+    insert: (row) => {
+      insert('schemas', row);
+    },
+    insertVersion: (row) => {
+      insert('schema_versions', row);
+    },
+    update: (id, changes) => update('schemas', { id }, changes),
+    remove: (id) => {
+      run('DELETE FROM schemas WHERE id = ?', id);
+      run('DELETE FROM schema_versions WHERE schema_id = ?', id);
+    }
+  };
+
+  const apiKeys = {
+    get: (id) => get('SELECT * FROM api_keys WHERE id = ?', id),
+    getByHash: (keyHash) => get('SELECT * FROM api_keys WHERE key_hash = ?', keyHash),
+    any: () => get('SELECT 1 FROM api_keys LIMIT 1') !== undefined,
+    list: () => all('SELECT * FROM api_keys ORDER BY created_at DESC, id DESC'),
+    insert: (row) => {
+      insert('api_keys', row);
+    },
+    update: (id, changes) => update('api_keys', { id }, changes),
+    roleIds: (apiKeyId) =>
+        all('SELECT role_id FROM api_key_roles WHERE api_key_id = ?', apiKeyId).map(({ role_id }) => role_id),
+    setRoles: (apiKeyId, roleIds) => {
+      run('DELETE FROM api_key_roles WHERE api_key_id = ?', apiKeyId);
+      new Set(roleIds).forEach(roleId => insert('api_key_roles', { api_key_id: apiKeyId, role_id: roleId }));
+    }
+  };
+
+  const roles = {
+    get: (id) => get('SELECT * FROM roles WHERE id = ?', id),
+    getByName: (name) => get('SELECT * FROM roles WHERE name = ?', name),
+    list: () => all('SELECT * FROM roles ORDER BY name'),
+    forApiKey: (apiKeyId) => all(
+        `SELECT roles.* FROM roles
+         JOIN api_key_roles ON api_key_roles.role_id = roles.id
+         WHERE api_key_roles.api_key_id = ?`,
+        apiKeyId
+    ),
+    assignedCount: (roleId) =>
+        get('SELECT COUNT(*) as count FROM api_key_roles WHERE role_id = ?', roleId).count,
+    insert: (row) => {
+      insert('roles', row);
+    },
+    update: (id, changes) => update('roles', { id }, changes),
+    remove: (id) => {
+      run('DELETE FROM roles WHERE id = ?', id);
+    }
+  };
+
+  const audit = {
+    append: (entry) => Number(insert('audit_log', entry).lastInsertRowid),
+    list: ({ settingsId, actor, action, since, until, before, limit } = {}) => {
+      const conditions = [];
+      const params = [];
+      if (settingsId !== undefined) {
+        conditions.push('settings_id = ?');
+        params.push(settingsId);
+      }
+      if (actor !== undefined) {
+        conditions.push('(actor_id = ? OR actor_name = ?)');
+        params.push(actor, actor);
+      }
+      if (action !== undefined) {
+        conditions.push('action = ?');
+        params.push(action);
+      }
+      if (since !== undefined) {
+        conditions.push('at >= ?');
+        params.push(since);
+      }
+      if (until !== undefined) {
+        conditions.push('at < ?');
+        params.push(until);
+      }
+      if (before !== undefined) {
+        conditions.push('id < ?');
+        params.push(before);
+      }
+      return all(`SELECT * FROM audit_log ${whereClause(conditions)} ORDER BY id DESC LIMIT ?`,
+                 ...params, limit ?? -1);
+    },
+    after: (id) => all('SELECT * FROM audit_log WHERE id > ? ORDER BY id', id),
+    lastId: () => get('SELECT COALESCE(MAX(id), 0) as id FROM audit_log').id
+  };
+
+  const webhooks = {
+    get: (id) => get('SELECT * FROM webhooks WHERE id = ?', id),
+    list: () => all('SELECT * FROM webhooks ORDER BY created_at DESC, id DESC'),
+    active: () => all('SELECT * FROM webhooks WHERE active = 1'),
+    insert: (row) => {
+      insert('webhooks', row);
+    },
+    update: (id, changes) => update('webhooks', { id }, changes),
+    remove: (id) => {
+      run('DELETE FROM webhooks WHERE id = ?', id);
+      run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', id);
+    }
+  };
+
+  const deliveries = {
+    get: (id) => get('SELECT * FROM webhook_deliveries WHERE id = ?', id),
+    list: (webhookId, { status = null, limit = -1 } = {}) => all(
+        `SELECT * FROM webhook_deliveries
+         WHERE webhook_id = ? AND (? IS NULL OR status = ?)
+         ORDER BY created_at DESC, rowid DESC LIMIT ?`,
+        webhookId, status, status, limit
+    ),
+    pending: () => all("SELECT * FROM webhook_deliveries WHERE status = 'pending'"),
+    insert: (row) => {
+      insert('webhook_deliveries', row);
+    },
+    update: (id, changes) => update('webhook_deliveries', { id }, changes)
+  };
+
+  return {
+    transaction: (fn) => db.transaction(fn),
+    // Keeps the schema and its recorded migrations
+    clear: () => {
+      // The audit log refuses deletes, so its trigger is lifted meanwhile
+      const { sql } = get("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'audit_log_no_delete'");
+      db.exec('DROP TRIGGER audit_log_no_delete');
+      for (const table of Object.keys(TABLES)) {
+        db.exec(`DELETE FROM ${table}`);
+      }
+      db.exec(sql);
+    },
+    close: () => db.close(),
+    settings,
+    trash,
+    revisions,
+    search,
+    schemas,
+    apiKeys,
+    roles,
+    audit,
+    webhooks,
+    deliveries
+  };
+};
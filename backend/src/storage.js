@@ -0,0 +1,101 @@
+/**
+ * storage.js - Storage Adapters
+ *
+ * The app reads and writes through a storage adapter (see createApp), never
+ * SQL of its own. Two adapters implement the same interface:
+ *   - sqliteStorage.js: SQLite through better-sqlite3, on a file or in memory
+ *   - jsonStorage.js:   plain objects in memory, optionally saved to a JSON file
+ * Both pass the conformance suite in storage.test.js.
+ *
+ * Rows are plain objects with snake_case columns, JSON documents as JSON
+ * text, exactly as the SQLite tables hold them (see tables.js). Callers must
+ * not modify rows they are given.
+ *
+ * An adapter is an object with:
+ *   transaction(fn)  returns a function running fn in a transaction: its
+ *                    writes are kept if fn returns and undone if it throws.
+ *                    Transactions nest (the inner one rolls back alone).
+ *   clear()          deletes everything
+ *   close()          releases the file or connection
+ * and one repository per table group:
+ *   settings   get(id), getByName(name), find(idOrName), list(query),
+ *              count(query), bySchema(schemaId), insert(row),
+ *              update(id, changes), remove(id)
+ *   trash      get(id), list(query), count(query), deletedBefore(time),
+ *              insert(row), update(id, changes), remove(id) -> removed?
+ *   revisions  get(settingsId, revision), list(settingsId) newest first,
+ *              insert(row), update(settingsId, revision, changes),
+ *              removeAll(settingsId)
+ *   search     replace(settingsId, leaves) ([] removes), query(terms, markers)
+ *              -> matching leaves with highlighted key and value and a
+ *              score, best first (see search.js)
+ *   schemas    get(id) and getByName(name) with the latest version's text as
+ *              `schema`, list() by name, getVersion(schemaId, version),
+ *              insert(row), insertVersion(row), update(id, changes),
+ *              remove(id) (with its versions)
+ *   apiKeys    get(id), getByHash(keyHash), any(), list() newest first,
+ *              insert(row), update(id, changes), roleIds(apiKeyId),
+ *              setRoles(apiKeyId, roleIds)
+ *   roles      get(id), getByName(name), list() by name, forApiKey(apiKeyId),
+ *              assignedCount(roleId), insert(row), update(id, changes), remove(id)
+ *   audit      append(entry) -> new ID, list(query) newest first,
+ *              after(id) oldest first, lastId() (0 when empty); entries are
+ *              never changed or removed (clear() aside)
+ *   webhooks   get(id), list() newest first, active(), insert(row),
+ *              update(id, changes), remove(id) (with its deliveries)
+ *   deliveries get(id), list(webhookId, { status, limit }) newest first,
+ *              pending(), insert(row), update(id, changes)
+ *
+ * list(query) and count(query) of settings and trash take, all optional:
+ *   filters    data filters (see parseFilters in filters.js)
+ *   grants     only rows these grants may read (see access.js); null for all
+ *   namespace  only this name and names below it
+ *   kind       only this kind
+ *   sort       sort terms (see parseSort in filters.js), on columns or data
+ *   after      sort keys of a boundary row: only rows after it (keyset paging)
+ *   limit, offset
+ *
+ * audit.list(query) takes settingsId, actor (ID or name), action, since
+ * (inclusive), until (exclusive), before (only IDs below it) and limit.
+ */
+
+import { createSqliteStorage } from './sqliteStorage.js';
+import { createJsonStorage } from './jsonStorage.js';
+
+export const STORAGE_ADAPTERS = ['sqlite', 'json'];
+
+const DEFAULT_PATHS = { sqlite: './data/settings.db', json: './data/settings.json' };
+
+/**
+ * Reads the storage configuration from environment variables:
+ *   STORAGE_ADAPTER     sqlite (default) or json
+ *   DB_PATH             file to use, or :memory: (the default under NODE_ENV=test);
+ *                       defaults to ./data/settings.db / ./data/settings.json
+ *   DB_WAL              true for SQLite's write-ahead log
+ *   DB_BUSY_TIMEOUT_MS  how long SQLite waits for a lock (default 5000)
+ *
+ * @param {Object} env - e.g. process.env
+ * @returns {{adapter: string, path: string, wal: boolean, busyTimeout: number}}
+ */
+export const storageConfig = (env) => {
+  const adapter = env.STORAGE_ADAPTER || 'sqlite';
+  if (!STORAGE_ADAPTERS.includes(adapter)) {
+    throw new Error(`STORAGE_ADAPTER must be one of ${STORAGE_ADAPTERS.join(', ')}`);
+  }
+  return {
+    adapter,
+    path: env.DB_PATH || (env.NODE_ENV === 'test' ? ':memory:' : DEFAULT_PATHS[adapter]),
+    wal: env.DB_WAL === 'true',
+    busyTimeout: parseInt(env.DB_BUSY_TIMEOUT_MS) || 5000
+  };
+};
+
+/**
+ * Opens the storage adapter a configuration names.
+ *
+ * @param {Object} config - Result of storageConfig
+ */
+export const createStorage = ({ adapter, ...options }) =>
+    adapter === 'json'
+    ? createJsonStorage({ path: options.path === ':memory:' ? null : options.path })
+    : createSqliteStorage(options);
@@ -0,0 +1,560 @@
+/**
+ * storage.test.js - Storage Adapter Conformance Tests
+ *
+ * One suite, run against every adapter in memory and on a file: whatever
+ * the app relies on (see the interface in storage.js) must behave the same
+ * on each of them.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSqliteStorage } from './sqliteStorage.js';
+import { createJsonStorage } from './jsonStorage.js';
+import { createStorage, storageConfig } from './storage.js';
+import { TABLES } from './tables.js';
+import { parseFilters, parseSort } from './filters.js';
+import { flattenLeaves } from './search.js';
+
+const ADAPTERS = [
+  { name: 'sqlite in memory', open: () => createSqliteStorage() },
+  { name: 'sqlite file', file: 'settings.db', open: (path) => createSqliteStorage({ path }) },
+  { name: 'json in memory', open: () => createJsonStorage() },
+  { name: 'json file', file: 'settings.json', open: (path) => createJsonStorage({ path }) }
+];
+
+const MARKERS = { open: '<mark>', close: '</mark>' };
+
+const settingsRow = (id, fields = {}) => ({
+  id,
+  name: null,
+  data: '{}',
+  revision: 1,
+  parents: '[]',
+  overrides: '{}',
+  secrets: '[]',
+  kind: 'settings',
+  schema_id: null,
+  schema_version: null,
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...fields
+});
+
+const auditEntry = (fields = {}) => ({
+  at: '2024-01-01T00:00:00.000Z',
+  actor_id: null,
+  actor_name: null,
+  action: 'settings.create',
+  settings_id: null,
+  before: null,
+  after: null,
+  ip: null,
+  request_id: 'request',
+  ...fields
+});
+
+const delivery = (id, fields = {}) => ({
+  id,
+  webhook_id: 'hook',
+  event_id: 1,
+  event: 'created',
+  payload: '{}',
+  status: 'pending',
+  attempts: 0,
+  response_status: null,
+  error: null,
+  next_attempt_at: null,
+  redelivery_of: null,
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...fields
+});
+
+const ids = (rows) => rows.map(row => row.id);
+
+describe.each(ADAPTERS)('$name storage', ({ file, open }) => {
+  let dir;
+  let path;
+  let storage;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'settings-storage-'));
+    path = file ? join(dir, file) : undefined;
+    storage = open(path);
+  });
+
+  afterEach(() => {
+    storage.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const reopen = () => {
+    storage.close();
+    storage = open(path);
+  };
+
+  describe('settings', () => {
+    it('should insert, read, update and remove rows with exactly the table columns', () => {
+      storage.settings.insert(settingsRow('a', { name: 'payments/prod', data: '{"theme":"dark"}' }));
+
+      const row = storage.settings.get('a');
+      expect(Object.keys(row)).toEqual(TABLES.settings);
+      expect(row).toEqual(settingsRow('a', { name: 'payments/prod', data: '{"theme":"dark"}' }));
+      expect(storage.settings.getByName('payments/prod')).toEqual(row);
+      expect(storage.settings.find('a')).toEqual(row);
+      expect(storage.settings.find('payments/prod')).toEqual(row);
+
+      storage.settings.update('a', { data: '{"theme":"light"}', revision: 2 });
+      expect(storage.settings.get('a')).toMatchObject({ data: '{"theme":"light"}', revision: 2 });
+
+      storage.settings.remove('a');
+      expect(storage.settings.get('a')).toBeUndefined();
+      expect(storage.settings.find('payments/prod')).toBeUndefined();
+    });
+
+    it('should refuse a name that is already taken', () => {
+      storage.settings.insert(settingsRow('a', { name: 'payments' }));
+
+      expect(() => storage.settings.insert(settingsRow('b', { name: 'payments' }))).toThrow();
+      storage.settings.insert(settingsRow('c'));
+      storage.settings.insert(settingsRow('d'));
+      expect(storage.settings.get('b')).toBeUndefined();
+    });
+
+    it('should find the rows attached to a schema', () => {
+      storage.settings.insert(settingsRow('a', { schema_id: 's' }));
+      storage.settings.insert(settingsRow('b', { schema_id: 's', schema_version: 1 }));
+      storage.settings.insert(settingsRow('c'));
+
+      expect(ids(storage.settings.bySchema('s')).sort()).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('settings list and count', () => {
+    beforeEach(() => {
+      storage.settings.insert(settingsRow('a', {
+        name: 'payments/prod',
+        data: JSON.stringify({ region: 'eu', max: 10, beta: true }),
+        created_at: '2024-01-01T00:00:00.000Z'
+      }));
+      storage.settings.insert(settingsRow('b', {
+        name: 'payments/dev',
+        data: JSON.stringify({ region: 'us', max: 5 }),
+        created_at: '2024-01-02T00:00:00.000Z'
+      }));
+      storage.settings.insert(settingsRow('c', {
+        name: 'paymentsx',
+        data: JSON.stringify({ region: 'eu', max: 20, beta: false }),
+        created_at: '2024-01-03T00:00:00.000Z'
+      }));
+      storage.settings.insert(settingsRow('d', {
+        kind: 'flag',
+        data: JSON.stringify({ region: 'eu', tags: ['x'] }),
+        created_at: '2024-01-04T00:00:00.000Z'
+      }));
+    });
+
+    const list = (query, sort = 'name') => ids(storage.settings.list({ ...query, sort: parseSort(sort) }));
+
+    it('should sort on columns and data, nulls first', () => {
+      expect(list({})).toEqual(['d', 'b', 'a', 'c']);
+      expect(list({}, '-data.max')).toEqual(['c', 'a', 'b', 'd']);
+      expect(list({}, 'data.region,-createdAt')).toEqual(['d', 'c', 'a', 'b']);
+      expect(ids(storage.settings.list({ sort: parseSort(undefined) }))).toEqual(['d', 'c', 'b', 'a']);
+    });
+
+    it('should apply data filters', () => {
+      expect(list({ filters: parseFilters({ 'data.region': 'eu' }) })).toEqual(['d', 'a', 'c']);
+      expect(list({ filters: parseFilters({ 'data.max': { gte: '10' } }) })).toEqual(['a', 'c']);
+      expect(list({ filters: parseFilters({ 'data.max': { ne: '10' } }) })).toEqual(['b', 'c']);
+      expect(list({ filters: parseFilters({ 'data.region': { in: 'us,uk' } }) })).toEqual(['b']);
+      expect(list({ filters: parseFilters({ 'data.beta': 'true' }) })).toEqual(['a']);
+      expect(list({ filters: parseFilters({ 'data.beta': { exists: 'false' } }) })).toEqual(['d', 'b']);
+      expect(list({ filters: parseFilters({ 'data.tags.0': 'x' }) })).toEqual(['d']);
+      expect(list({
+        filters: parseFilters({ 'data.region': 'eu', 'data.max': { lt: '20' } })
+      })).toEqual(['a']);
+    });
+
+    it('should narrow by namespace, kind and grants', () => {
+      expect(list({ namespace: 'payments' })).toEqual(['b', 'a']);
+      expect(list({ namespace: 'payments/prod' })).toEqual(['a']);
+      expect(list({ kind: 'flag' })).toEqual(['d']);
+      expect(list({ grants: [{ permission: 'read', prefix: 'payments' }] })).toEqual(['b', 'a']);
+      expect(list({ grants: [{ permission: 'read', id: 'c' }] })).toEqual(['c']);
+      expect(list({ grants: [] })).toEqual([]);
+      expect(list({ grants: null })).toEqual(['d', 'b', 'a', 'c']);
+    });
+
+    it('should page with limit and offset, and count the whole match', () => {
+      expect(ids(storage.settings.list({ sort: parseSort('name'), limit: 2, offset: 1 }))).toEqual(['b', 'a']);
+      expect(ids(storage.settings.list({ sort: parseSort('name'), offset: 3 }))).toEqual(['c']);
+
+      expect(storage.settings.count()).toBe(4);
+      expect(storage.settings.count({ filters: parseFilters({ 'data.region': 'eu' }), namespace: 'payments' }))
+          .toBe(1);
+    });
+
+    it('should list the rows after a boundary row', () => {
+      const sort = [{ column: 'created_at', descending: false }, { column: 'id', descending: false }];
+      expect(ids(storage.settings.list({ sort, after: ['2024-01-02T00:00:00.000Z', 'b'] }))).toEqual(['c', 'd']);
+
+      const descending = [{ column: 'created_at', descending: true }, { column: 'id', descending: true }];
+      expect(ids(storage.settings.list({ sort: descending, after: ['2024-01-02T00:00:00.000Z', 'b'], limit: 5 })))
+          .toEqual(['a']);
+    });
+  });
+
+  describe('trash', () => {
+    it('should keep deleted rows until they are removed', () => {
+      storage.trash.insert({ ...settingsRow('a', { name: 'old' }), deleted_at: '2024-02-01T00:00:00.000Z' });
+      storage.trash.insert({ ...settingsRow('b'), deleted_at: '2024-03-01T00:00:00.000Z' });
+
+      expect(Object.keys(storage.trash.get('a'))).toEqual(TABLES.settings_trash);
+      const sort = [{ column: 'deleted_at', descending: true }, { column: 'id', descending: false }];
+      expect(ids(storage.trash.list({ sort }))).toEqual(['b', 'a']);
+      expect(ids(storage.trash.list({ sort, namespace: 'old' }))).toEqual(['a']);
+      expect(storage.trash.count()).toBe(2);
+      expect(ids(storage.trash.deletedBefore('2024-02-01T00:00:00.000Z'))).toEqual(['a']);
+
+      storage.trash.update('a', { data: '{"x":1}' });
+      expect(storage.trash.get('a').data).toBe('{"x":1}');
+
+      expect(storage.trash.remove('a')).toBe(true);
+      expect(storage.trash.remove('a')).toBe(false);
+      expect(ids(storage.trash.list())).toEqual(['b']);
+    });
+  });
+
+  describe('revisions', () => {
+    it('should list revisions newest first and update them in place', () => {
+      const revision = (n, settingsId = 'a') =>
+          ({
+            settings_id: settingsId,
+            revision: n,
+            data: `{"n":${n}}`,
+            overrides: '{}',
+            created_at: `2024-01-0${n}`,
+            secrets: '[]'
+          });
+      storage.revisions.insert(revision(1));
+      storage.revisions.insert(revision(2));
+      storage.revisions.insert(revision(1, 'b'));
+
+      expect(storage.revisions.list('a').map(row => row.revision)).toEqual([2, 1]);
+      expect(storage.revisions.get('a', 1)).toEqual(revision(1));
+      expect(storage.revisions.get('a', 3)).toBeUndefined();
+      expect(() => storage.revisions.insert(revision(2))).toThrow();
+
+      storage.revisions.update('a', 1, { data: '{"n":"one"}' });
+      expect(storage.revisions.get('a', 1).data).toBe('{"n":"one"}');
+
+      storage.revisions.removeAll('a');
+      expect(storage.revisions.list('a')).toEqual([]);
+      expect(storage.revisions.list('b')).toHaveLength(1);
+    });
+  });
+
+  describe('transactions', () => {
+    it('should keep the writes of a transaction that returns', () => {
+      const create = storage.transaction((id, name) => {
+        storage.settings.insert(settingsRow(id, { name }));
+        return storage.settings.get(id);
+      });
+
+      expect(create('a', 'payments').name).toBe('payments');
+      expect(storage.settings.get('a')).toBeDefined();
+    });
+
+    it('should undo every write of a transaction that throws', () => {
+      storage.settings.insert(settingsRow('a', { data: '{"v":1}' }));
+      const lastId = storage.audit.append(auditEntry());
+
+      expect(() => storage.transaction(() => {
+        storage.settings.update('a', { data: '{"v":2}' });
+        storage.settings.insert(settingsRow('b'));
+        storage.audit.append(auditEntry());
+        throw new Error('rolled back');
+      })()).toThrow('rolled back');
+
+      expect(storage.settings.get('a').data).toBe('{"v":1}');
+      expect(storage.settings.get('b')).toBeUndefined();
+      expect(storage.audit.lastId()).toBe(lastId);
+      expect(storage.audit.append(auditEntry())).toBe(lastId + 1);
+    });
+
+    it('should roll back an inner transaction alone', () => {
+      storage.transaction(() => {
+        storage.settings.insert(settingsRow('a'));
+        try {
+          storage.transaction(() => {
+            storage.settings.insert(settingsRow('b'));
+            throw new Error('inner');
+          })();
+        } catch {
+          // the outer transaction goes on
+        }
+        storage.settings.insert(settingsRow('c'));
+      })();
+
+      expect(ids(storage.settings.list({ sort: parseSort('createdAt') })).sort()).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('search', () => {
+    it('should rank matching leaves and highlight the matched words', () => {
+      storage.search.replace('a', flattenLeaves({ database: { host: 'db.example.com' }, theme: 'dark' }));
+      storage.search.replace('b', flattenLeaves({ notes: 'Dark mode for the café, dark everywhere' }));
+
+      const matches = storage.search.query(['dark'], MARKERS);
+      expect(matches.map(m => [m.settings_id, m.path, m.key, m.value])).toEqual([
+        ['a', '/theme', 'theme', '<mark>dark</mark>'],
+        ['b', '/notes', 'notes', '<mark>Dark</mark> mode for the café, <mark>dark</mark> everywhere']
+      ]);
+      expect(matches[0].score).toBeGreaterThan(matches[1].score);
+
+      // Prefixes, diacritics and case are ignored; every term must match
+      expect(storage.search.query(['CAFE', 'mod'], MARKERS).map(m => m.value))
+          .toEqual(['Dark <mark>mode</mark> for the <mark>café</mark>, dark everywhere']);
+      expect(storage.search.query(['example.com'], MARKERS).map(m => [m.key, m.value]))
+          .toEqual([['host', 'db.<mark>example.com</mark>']]);
+      expect(storage.search.query(['dark', 'nothing'], MARKERS)).toEqual([]);
+    });
+
+    it('should replace and remove the leaves of a settings object', () => {
+      storage.search.replace('a', flattenLeaves({ theme: 'dark' }));
+      storage.search.replace('a', flattenLeaves({ theme: 'light' }));
+      expect(storage.search.query(['dark'], MARKERS)).toEqual([]);
+      expect(storage.search.query(['light'], MARKERS)).toHaveLength(1);
+
+      storage.search.replace('a', []);
+      expect(storage.search.query(['light'], MARKERS)).toEqual([]);
+    });
+  });
+
+  describe('schemas', () => {
+    it('should keep every version and read the latest with its schema', () => {
+      storage.schemas.insert({ id: 's', name: 'limits', version: 1, created_at: 't1', updated_at: 't1' });
+      storage.schemas.insertVersion({ schema_id: 's', version: 1, schema: '{"type":"object"}', created_at: 't1' });
+      storage.schemas.update('s', { version: 2, updated_at: 't2' });
+      storage.schemas.insertVersion({ schema_id: 's', version: 2, schema: '{"type":"array"}', created_at: 't2' });
+      storage.schemas.insert({ id: 'r', name: 'app', version: 1, created_at: 't1', updated_at: 't1' });
+      storage.schemas.insertVersion({ schema_id: 'r', version: 1, schema: '{}', created_at: 't1' });
+
+      expect(storage.schemas.get('s')).toEqual({
+        id: 's', name: 'limits', version: 2, created_at: 't1', updated_at: 't2', schema: '{"type":"array"}'
+      });
+      expect(storage.schemas.getByName('limits').id).toBe('s');
+      expect(storage.schemas.getVersion('s', 1).schema).toBe('{"type":"object"}');
+      expect(ids(storage.schemas.list())).toEqual(['r', 's']);
+
+      storage.schemas.remove('s');
+      expect(storage.schemas.get('s')).toBeUndefined();
+      expect(storage.schemas.getVersion('s', 1)).toBeUndefined();
+    });
+  });
+
+  describe('API keys and roles', () => {
+    const apiKey = (id, fields = {}) => ({
+      id, name: id, prefix: 'prefix', key_hash: `hash-${id}`, scopes: '["admin"]', created_at: 't1', revoked_at: null,
+      ...fields
+    });
+    const role = (id, name) => ({ id, name, grants: '[]', created_at: 't1', updated_at: 't1' });
+
+    it('should look keys up by hash and list them newest first', () => {
+      expect(storage.apiKeys.any()).toBe(false);
+      storage.apiKeys.insert(apiKey('a'));
+      storage.apiKeys.insert(apiKey('b', { created_at: 't2' }));
+
+      expect(storage.apiKeys.any()).toBe(true);
+      expect(storage.apiKeys.getByHash('hash-a')).toEqual(apiKey('a'));
+      expect(ids(storage.apiKeys.list())).toEqual(['b', 'a']);
+
+      storage.apiKeys.update('a', { revoked_at: 't3' });
+      expect(storage.apiKeys.get('a').revoked_at).toBe('t3');
+    });
+
+    it('should assign roles to keys', () => {
+      storage.apiKeys.insert(apiKey('a'));
+      storage.roles.insert(role('r1', 'writers'));
+      storage.roles.insert(role('r2', 'readers'));
+
+      storage.apiKeys.setRoles('a', ['r1', 'r2', 'r1']);
+      expect(storage.apiKeys.roleIds('a').sort()).toEqual(['r1', 'r2']);
+      expect(ids(storage.roles.forApiKey('a')).sort()).toEqual(['r1', 'r2']);
+      expect(storage.roles.assignedCount('r1')).toBe(1);
+      expect(ids(storage.roles.list())).toEqual(['r2', 'r1']);
+      expect(storage.roles.getByName('readers').id).toBe('r2');
+
+      storage.apiKeys.setRoles('a', ['r2']);
+      expect(storage.apiKeys.roleIds('a')).toEqual(['r2']);
+      expect(storage.roles.assignedCount('r1')).toBe(0);
+
+      storage.roles.update('r1', { grants: '[{"permission":"read","prefix":"a"}]' });
+      expect(storage.roles.get('r1').grants).toBe('[{"permission":"read","prefix":"a"}]');
+      storage.roles.remove('r1');
+      expect(storage.roles.get('r1')).toBeUndefined();
+    });
+  });
+
+  describe('audit log', () => {
+    it('should number entries and list them newest first', () => {
+      expect(storage.audit.lastId()).toBe(0);
+      const first = storage.audit.append(auditEntry({ actor_id: 'k1', actor_name: 'ci', at: '2024-01-01' }));
+      const second = storage.audit.append(auditEntry({ settings_id: 'a', action: 'settings.update', at: '2024-01-02' }));
+      const third = storage.audit.append(auditEntry({ settings_id: 'a', at: '2024-01-03' }));
+
+      expect(second).toBe(first + 1);
+      expect(third).toBe(first + 2);
+      expect(storage.audit.lastId()).toBe(third);
+      expect(Object.keys(storage.audit.list()[0])).toEqual(TABLES.audit_log);
+
+      expect(ids(storage.audit.list())).toEqual([third, second, first]);
+      expect(ids(storage.audit.list({ settingsId: 'a' }))).toEqual([third, second]);
+      expect(ids(storage.audit.list({ actor: 'ci' }))).toEqual([first]);
+      expect(ids(storage.audit.list({ actor: 'k1' }))).toEqual([first]);
+      expect(ids(storage.audit.list({ action: 'settings.update' }))).toEqual([second]);
+      expect(ids(storage.audit.list({ since: '2024-01-02', until: '2024-01-03' }))).toEqual([second]);
+      expect(ids(storage.audit.list({ before: third, limit: 1 }))).toEqual([second]);
+      expect(ids(storage.audit.after(first))).toEqual([second, third]);
+    });
+  });
+
+  describe('webhooks and deliveries', () => {
+    const webhook = (id, active = 1) => ({
+      id, url: 'https://example.com', events: '["created"]', namespace: null, secret: 'secret',
+      active, created_at: 't1', updated_at: 't1'
+    });
+
+    it('should list deliveries newest first, latest inserted first on ties', () => {
+      storage.webhooks.insert(webhook('hook'));
+      storage.webhooks.insert(webhook('off', 0));
+      storage.deliveries.insert(delivery('d1'));
+      storage.deliveries.insert(delivery('d2'));
+      storage.deliveries.insert(delivery('d3', { created_at: '2023-12-31T00:00:00.000Z', status: 'failed' }));
+      storage.deliveries.insert(delivery('d4', { webhook_id: 'off' }));
+
+      expect(ids(storage.webhooks.active())).toEqual(['hook']);
+      expect(ids(storage.deliveries.list('hook'))).toEqual(['d2', 'd1', 'd3']);
+      expect(ids(storage.deliveries.list('hook', { status: 'failed' }))).toEqual(['d3']);
+      expect(ids(storage.deliveries.list('hook', { limit: 1 }))).toEqual(['d2']);
+      expect(ids(storage.deliveries.pending()).sort()).toEqual(['d1', 'd2', 'd4']);
+
+      storage.deliveries.update('d1', { status: 'succeeded', attempts: 1 });
+      expect(storage.deliveries.get('d1')).toMatchObject({ status: 'succeeded', attempts: 1 });
+
+      storage.webhooks.remove('hook');
+      expect(storage.webhooks.get('hook')).toBeUndefined();
+      expect(storage.deliveries.get('d2')).toBeUndefined();
+      expect(storage.deliveries.get('d4')).toBeDefined();
+    });
+  });
+
+  describe('clear', () => {
+    it('should delete everything but keep numbering audit entries upwards', () => {
+      storage.settings.insert(settingsRow('a', { name: 'payments' }));
+      storage.search.replace('a', flattenLeaves({ theme: 'dark' }));
+      storage.apiKeys.insert({
+        id: 'k', name: 'k', prefix: 'p', key_hash: 'h', scopes: '[]', created_at: 't1', revoked_at: null
+      });
+      const lastId = storage.audit.append(auditEntry());
+
+      storage.clear();
+
+      expect(storage.settings.count()).toBe(0);
+      expect(storage.search.query(['dark'], MARKERS)).toEqual([]);
+      expect(storage.apiKeys.any()).toBe(false);
+      expect(storage.audit.lastId()).toBe(0);
+      expect(storage.audit.append(auditEntry())).toBeGreaterThan(lastId);
+      storage.settings.insert(settingsRow('b', { name: 'payments' }));
+    });
+  });
+
+  it.runIf(file)('should keep committed changes in the file across restarts', () => {
+    storage.settings.insert(settingsRow('a', { name: 'payments' }));
+    storage.search.replace('a', flattenLeaves({ theme: 'dark' }));
+    storage.transaction(() => storage.settings.update('a', { revision: 2 }))();
+    try {
+      storage.transaction(() => {
+        storage.settings.insert(settingsRow('b'));
+        throw new Error('rolled back');
+      })();
+    } catch {
+      // not saved
+    }
+    const lastId = storage.audit.append(auditEntry());
+
+    reopen();
+
+    expect(storage.settings.get('a')).toEqual(settingsRow('a', { name: 'payments', revision: 2 }));
+    expect(storage.settings.get('b')).toBeUndefined();
+    expect(storage.search.query(['dark'], MARKERS)).toHaveLength(1);
+    expect(storage.audit.lastId()).toBe(lastId);
+    expect(storage.audit.append(auditEntry())).toBe(lastId + 1);
+  });
+});
+
+describe('storage adapters', () => {
+  it('should compute the same search scores', () => {
+    const scores = [createSqliteStorage(), createJsonStorage()].map((storage) => {
+      storage.search.replace('a', flattenLeaves({ theme: 'dark', notes: 'a dark and darker theme' }));
+      storage.search.replace('b', flattenLeaves({ title: 'Dark mode', description: 'dark dark dark' }));
+      storage.search.replace('c', flattenLeaves({ theme: 'light' }));
+      const matches = storage.search.query(['dark', 'the'], MARKERS);
+      storage.close();
+      return matches;
+    });
+
+    expect(scores[1].map(m => [m.settings_id, m.path, m.value]))
+        .toEqual(scores[0].map(m => [m.settings_id, m.path, m.value]));
+    scores[1].forEach((match, i) => expect(match.score).toBeCloseTo(scores[0][i].score, 10));
+  });
+});
+
+describe('storageConfig', () => {
+  it('should default to SQLite in ./data, or in memory under test', () => {
+    expect(storageConfig({})).toEqual({ adapter: 'sqlite', path: './data/settings.db', wal: false, busyTimeout: 5000 });
+    expect(storageConfig({ NODE_ENV: 'test' }).path).toBe(':memory:');
+    expect(storageConfig({ STORAGE_ADAPTER: 'json' }).path).toBe('./data/settings.json');
+  });
+
+  it('should read the path, WAL mode and busy timeout', () => {
+    expect(storageConfig({ DB_PATH: '/var/lib/settings.db', DB_WAL: 'true', DB_BUSY_TIMEOUT_MS: '250' }))
+        .toEqual({ adapter: 'sqlite', path: '/var/lib/settings.db', wal: true, busyTimeout: 250 });
+  });
+
+  it('should reject an unknown adapter', () => {
+    expect(() => storageConfig({ STORAGE_ADAPTER: 'postgres' })).toThrow('STORAGE_ADAPTER must be one of');
+  });
+});
+
+describe('createStorage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'settings-storage-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should open SQLite with write-ahead logging when asked', () => {
+    const storage = createStorage({ adapter: 'sqlite', path: join(dir, 'nested', 'settings.db'), wal: true });
+    storage.settings.insert(settingsRow('a'));
+    storage.close();
+
+    const reopened = createStorage({ adapter: 'sqlite', path: join(dir, 'nested', 'settings.db') });
+    expect(reopened.settings.get('a')).toBeDefined();
+    reopened.close();
+  });
+
+  it('should open the JSON adapter in memory for :memory:', () => {
+    const storage = createStorage({ adapter: 'json', path: ':memory:' });
+    storage.settings.insert(settingsRow('a'));
+    expect(storage.settings.get('a')).toBeDefined();
+    storage.close();
+  });
+});
\ No newline at end of file
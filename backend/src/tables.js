@@ -0,0 +1,35 @@
+/**
+ * tables.js - Stored Tables
+ *
+ * The columns of every table the storage adapters keep, in order. Rows
+ * passed to and returned by an adapter have exactly these fields.
+ *
+ * A change here ships with the migration that makes it (see migrations/)
+ * and, for the JSON adapter, a file upgrade (see jsonStorage.js).
+ */
+
+export const TABLES = {
+  settings: [
+    'id', 'name', 'data', 'revision', 'parents', 'overrides', 'secrets', 'kind',
+    'schema_id', 'schema_version', 'created_at', 'updated_at'
+  ],
+  settings_revisions: ['settings_id', 'revision', 'data', 'overrides', 'created_at', 'secrets'],
+  settings_trash: [
+    'id', 'name', 'data', 'revision', 'parents', 'overrides', 'secrets', 'kind',
+    'schema_id', 'schema_version', 'created_at', 'updated_at', 'deleted_at'
+  ],
+  settings_fts: ['settings_id', 'path', 'key', 'value'],
+  schemas: ['id', 'name', 'version', 'created_at', 'updated_at'],
+  schema_versions: ['schema_id', 'version', 'schema', 'created_at'],
+  api_keys: ['id', 'name', 'prefix', 'key_hash', 'scopes', 'created_at', 'revoked_at'],
+  roles: ['id', 'name', 'grants', 'created_at', 'updated_at'],
+  api_key_roles: ['api_key_id', 'role_id'],
+  audit_log: [
+    'id', 'at', 'actor_id', 'actor_name', 'action', 'settings_id', 'before', 'after', 'ip', 'request_id'
+  ],
+  webhooks: ['id', 'url', 'events', 'namespace', 'secret', 'active', 'created_at', 'updated_at'],
+  webhook_deliveries: [
+    'id', 'webhook_id', 'event_id', 'event', 'payload', 'status', 'attempts', 'response_status',
+    'error', 'next_attempt_at', 'redelivery_of', 'created_at', 'updated_at'
+  ]
+};
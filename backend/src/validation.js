@@ -0,0 +1,104 @@
+/**
+ * validation.js - JSON Schema Validation
+ *
+ * Wraps Ajv so routes can validate settings data against a registered
+ * schema and report every violation by JSON Pointer path.
+ */
+
+import Ajv from 'ajv';
+import { HttpError } from './errors.js';
+import { formatPointer } from './patch.js';
+import { deepMerge } from './inheritance.js';
+
+// Compiled validators keyed by schema text, least recently used first, so
+// each version compiles once while it is in use
+const MAX_CACHED_SCHEMAS = 200;
+const cache = new Map();
+
+const compile = (schemaText) => {
+  let validate = cache.get(schemaText);
+  if (validate) {
+    cache.delete(schemaText);
+  } else {
+    // A fresh Ajv per schema: Ajv registers every "$id" it compiles, so a
+    // shared instance would refuse the next version of a schema with an "$id".
+    // allErrors: report every violation, not just the first
+    // strict: false: tolerate unknown keywords (e.g. "$comment"-style annotations)
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    validate = ajv.compile(JSON.parse(schemaText));
+    if (cache.size >= MAX_CACHED_SCHEMAS) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  cache.set(schemaText, validate);
+  return validate;
+};
+
+/**
+ * Checks that a schema document is a usable JSON Schema.
+ * Throws a 400 HttpError describing the problem if it is not.
+ *
+ * @param {*} schema - Candidate schema document
+ */
+export const assertValidSchema = (schema) => {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new HttpError(400, 'Schema must be a JSON object');
+  }
+  try {
+    compile(JSON.stringify(schema));
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON Schema: ${error.message}`);
+  }
+};
+
+/**
+ * Validates data against a stored schema.
+ *
+ * @param {string} schemaText - Schema as stored (JSON text)
+ * @param {*} data - Data to validate
+ * @returns {Array<{path: string, message: string}>} Violations (empty if valid)
+ */
+export const findViolations = (schemaText, data) => {
+  const validate = compile(schemaText);
+  if (validate(data)) return [];
+
+  return validate.errors.map((error) => {
+    // "required" errors point at the parent object; point at the missing key instead
+    const path = error.keyword === 'required'
+                 ? error.instancePath + formatPointer([error.params.missingProperty])
+                 : error.instancePath;
+    return { path, message: error.message };
+  });
+};
+
+/**
+ * Validates a settings object's defaults and the effective data of each of
+ * its environment overrides. Violations found in an environment carry an
+ * `environment` field naming it.
+ *
+ * @param {string} schemaText - Schema as stored (JSON text)
+ * @param {*} data - Default data
+ * @param {Object} [overrides] - Environment name -> override document
+ * @returns {Array<{path: string, message: string, environment?: string}>}
+ */
+export const findSettingsViolations = (schemaText, data, overrides = {}) => [
+  ...findViolations(schemaText, data),
+  ...Object.entries(overrides).flatMap(([environment, override]) =>
+      findViolations(schemaText, deepMerge(data, override))
+          .map(violation => ({ ...violation, environment })))
+];
+
+/**
+ * Throws a 422 HttpError listing every violation if the data, or the data
+ * of any environment override, does not conform.
+ *
+ * @param {string} schemaText - Schema as stored (JSON text)
+ * @param {*} data - Default data
+ * @param {Object} [overrides] - Environment name -> override document
+ */
+export const assertConforms = (schemaText, data, overrides) => {
+  const violations = findSettingsViolations(schemaText, data, overrides);
+  if (violations.length > 0) {
+    throw new HttpError(422, 'Settings data does not match schema', { violations });
+  }
+};
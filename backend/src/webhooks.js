@@ -0,0 +1,59 @@
+/**
+ * webhooks.js - Outgoing Webhook Helpers
+ *
+ * Pure helpers for /webhooks deliveries:
+ *   - signPayload / verifySignature: HMAC-SHA256 over "<timestamp>.<body>"
+ *     with the webhook's shared secret, sent as X-Webhook-Signature
+ *   - retryDelay: exponential backoff between delivery attempts
+ *
+ * Signing the timestamp with the body lets receivers reject replayed
+ * deliveries as well as forged ones.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// Change events a webhook can subscribe to
+export const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+
+/**
+ * Creates a random shared secret (256 bits) for a webhook.
+ *
+ * @returns {string}
+ */
+export const generateSecret = () => 'whsec_' + randomBytes(32).toString('base64url');
+
+/**
+ * Signs a delivery.
+ *
+ * @param {string} secret - The webhook's shared secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - The exact JSON text sent
+ * @returns {string} "sha256=<hex digest>"
+ */
+export const signPayload = (secret, timestamp, body) =>
+    'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Checks a signature the way a receiver should, in constant time.
+ *
+ * @param {string} secret - The webhook's shared secret
+ * @param {string|number} timestamp - X-Webhook-Timestamp
+ * @param {string} body - The raw request body
+ * @param {string} signature - X-Webhook-Signature
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+/**
+ * Delay before the next attempt after `attempts` failed ones:
+ * base, 2 x base, 4 x base, ...
+ *
+ * @param {number} attempts - Failed attempts so far (at least 1)
+ * @param {number} baseMs - Delay after the first failure
+ * @returns {number} Milliseconds
+ */
+export const retryDelay = (attempts, baseMs) => baseMs * 2 ** (attempts - 1);
@@ -0,0 +1,45 @@
+/**
+ * webhooks.test.js - Webhook Helper Tests
+ *
+ * Unit tests for delivery signing and backoff in webhooks.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { generateSecret, signPayload, verifySignature, retryDelay } from './webhooks.js';
+
+describe('signPayload', () => {
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signPayload('secret', 1700000000, '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+});
+
+describe('verifySignature', () => {
+  const signature = signPayload('secret', 1700000000, '{"a":1}');
+
+  it('should accept the matching signature', () => {
+    expect(verifySignature('secret', '1700000000', '{"a":1}', signature)).toBe(true);
+  });
+
+  it('should reject a changed body, timestamp or secret', () => {
+    expect(verifySignature('secret', 1700000000, '{"a":2}', signature)).toBe(false);
+    expect(verifySignature('secret', 1700000001, '{"a":1}', signature)).toBe(false);
+    expect(verifySignature('other', 1700000000, '{"a":1}', signature)).toBe(false);
+    expect(verifySignature('secret', 1700000000, '{"a":1}', 'sha256=short')).toBe(false);
+  });
+});
+
+describe('retryDelay', () => {
+  it('should double after each failed attempt', () => {
+    expect([1, 2, 3, 4].map(attempts => retryDelay(attempts, 1000))).toEqual([1000, 2000, 4000, 8000]);
+  });
+});
+
+describe('generateSecret', () => {
+  it('should create distinct secrets', () => {
+    expect(generateSecret()).toMatch(/^whsec_[A-Za-z0-9_-]{43}$/);
+    expect(generateSecret()).not.toBe(generateSecret());
+  });
+});
@@ -8,7 +8,13 @@ export default defineConfig({
                               test: {
                                 environment: 'node',
                                 env: {
-                                  NODE_ENV: 'test'
+                                  NODE_ENV: 'test',
+                                  // Fast webhook retries so backoff can be tested
+                                  WEBHOOK_RETRY_BASE_MS: '10',
+                                  WEBHOOK_MAX_ATTEMPTS: '3',
+                                  // Test-only keys; the previous one exercises key rotation
+                                  SECRETS_MASTER_KEY: '1111111111111111111111111111111111111111111111111111111111111111',
+                                  SECRETS_PREVIOUS_KEYS: '2222222222222222222222222222222222222222222222222222222222222222'
                                 },
                                 testTimeout: 10000
                               }
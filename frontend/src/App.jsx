@@ -3,31 +3,76 @@
  *
  * The root component for the Settings Management System UI.
  * Provides functionality to:
- *   - Search for settings by ID
+ *   - Search for settings by ID or name, or by free text
  *   - Create new settings (Visual or Raw JSON editor)
- *   - View all settings with pagination
- *   - Edit and delete existing settings
+ *   - View all settings with cursor-based pagination
+ *   - Edit and delete existing settings, per environment
+ *   - Mask secret values in the editor, revealing them on request
+ *   - Restore deleted settings from the trash
+ *   - Export all settings to a file and import them back
+ *   - Send an API key with every request
+ *   - Show recent changes from the audit log (Activity)
+ *   - Follow changes made elsewhere live, warning when the item being edited changes
  *   - Display HTTP error codes (404, etc.) to users
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import JsonBuilder from './JsonBuilder';
+import { subscribeToChanges } from './changeEvents';
 import './App.css';
 
 // API base URL - proxied through Vite to backend
 const API_URL = '/settings';
 
+/**
+ * Renders text highlighted by the search API (<mark>...</mark>) as React
+ * elements, without injecting HTML.
+ *
+ * @param {string} text - Text with <mark> markers
+ */
+const renderHighlighted = (text) =>
+    text.split(/<mark>(.*?)<\/mark>/).map((part, i) =>
+        i % 2 === 1 ? <mark key={i}>{part}</mark> : part
+    );
+
+// localStorage key holding the API key between visits
+const API_KEY_STORAGE = 'settings-api-key';
+
+// Settings shown per page in the list
+const PAGE_SIZE = 5;
+
+// Audit entries loaded at a time in the Activity panel
+const ACTIVITY_PAGE_SIZE = 10;
+
+// Deleted settings loaded at a time in the Trash panel
+const TRASH_PAGE_SIZE = 10;
+
+// Environments always offered in the editor (others appear once they exist)
+const DEFAULT_ENVIRONMENTS = ['dev', 'staging', 'prod'];
+
 function App() {
   // State Management
   // Settings list and pagination
   const [settings, setSettings] = useState([]);
-  const [pagination, setPagination] = useState({ page: 1, totalPages: 1 });
+  // cursor: the cursor this page was loaded with ('' = first page)
+  // next / prev: cursors returned by the API (null when there is no such page)
+  const [pagination, setPagination] = useState({
+    page: 1, totalPages: 1, cursor: '', next: null, prev: null
+  });
 
   // Editor state
   const [jsonInput, setJsonInput] = useState('{\n  "key": "value"\n}');
   const [editingId, setEditingId] = useState(null);
+  const [editingEtag, setEditingEtag] = useState(null);
+  const [editingItem, setEditingItem] = useState(null);
+  const [editingEnv, setEditingEnv] = useState('');   // '' = defaults
+  const [nameInput, setNameInput] = useState('');
   const [editorMode, setEditorMode] = useState('visual');
   const [isJsonValid, setIsJsonValid] = useState(true);
+  // Change to the item being edited made elsewhere: null, or { type, revision, reloaded }
+  const [remoteChange, setRemoteChange] = useState(null);
+  // True while this tab's own update is in flight, so its own change event is not a warning
+  const savingRef = useRef(false);
 
   // Messages and loading
   const [error, setError] = useState('');
@@ -38,6 +83,26 @@ function App() {
   const [searchId, setSearchId] = useState('');
   const [searchResult, setSearchResult] = useState(null);
   const [searchError, setSearchError] = useState('');
+  const [searchMode, setSearchMode] = useState('id');   // 'id' or 'text'
+  const [textHits, setTextHits] = useState(null);
+
+  // API key sent with every request ('' = none)
+  const [apiKey, setApiKey] = useState(() => localStorage.getItem(API_KEY_STORAGE) || '');
+  const [apiKeyInput, setApiKeyInput] = useState(apiKey);
+
+  // Export / import
+  const [importMode, setImportMode] = useState('skip');   // 'skip', 'overwrite' or 'fail'
+
+  // Activity (audit log)
+  const [activity, setActivity] = useState([]);
+  const [activityNext, setActivityNext] = useState(null);   // cursor of the next page
+  const [activityError, setActivityError] = useState('');
+  const [activityOnlyEditing, setActivityOnlyEditing] = useState(false);
+
+  // Trash (deleted settings, until they are purged)
+  const [trash, setTrash] = useState([]);
+  const [trashPagination, setTrashPagination] = useState({ page: 1, total: 0, totalPages: 1 });
+  const [trashError, setTrashError] = useState('');
 
   // Effects
   /**
@@ -51,26 +116,77 @@ function App() {
   }, [success]);
 
   /**
-   * Fetch settings on component mount
+   * Fetch settings on component mount, and again when the API key changes
    */
   useEffect(() => {
     fetchSettings();
-  }, []);
+    fetchTrash();
+  }, [apiKey]);
+
+  /**
+   * Follow changes made elsewhere while the page is open.
+   * The handler is read through a ref so it always sees the current state.
+   */
+  const changeHandler = useRef(null);
+  changeHandler.current = (event) => handleRemoteChange(event);
+  useEffect(() => subscribeToChanges(
+      `${API_URL}/events`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      (event) => changeHandler.current(event)
+  ), [apiKey]);
+
+  /**
+   * Reload the activity when the API key or its filter changes
+   */
+  useEffect(() => {
+    fetchActivity();
+  }, [apiKey, activityOnlyEditing, editingId]);
 
   // API Functions
   /**
-   * Fetches paginated settings from the API
-   * GET /settings?page={page}&limit=5
+   * fetch() with the API key attached as a Bearer token (when one is set)
    *
-   * @param {number} page - Page number to fetch (default: 1)
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
    */
-  const fetchSettings = async (page = 1) => {
-    setLoading(true);
+  const apiFetch = (url, options = {}) =>
+      fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...(apiKey && { Authorization: `Bearer ${apiKey}` }) }
+      });
+
+  /**
+   * Fetches one page of settings from the API
+   * GET /settings?cursor={cursor}&limit=5&total=true
+   *
+   * Cursors keep paging stable while other users add or remove settings.
+   *
+   * @param {string} cursor - Cursor from a previous response ('' = first page)
+   * @param {number} page - Page number to display for this page (default: 1)
+   * @param {boolean} quiet - Keep showing the current list while loading
+   */
+  const fetchSettings = async (cursor = '', page = 1, quiet = false) => {
+    if (!quiet) setLoading(true);
     try {
-      const res = await fetch(`${API_URL}?page=${page}&limit=5`);
+      const res = await apiFetch(
+          `${API_URL}?cursor=${encodeURIComponent(cursor)}&limit=${PAGE_SIZE}&total=true`
+      );
       const data = await res.json();
+
+      if (!res.ok) {
+        setError(`Error ${res.status}: ${data.error}`);
+        setSettings([]);
+        return;
+      }
+
+      setError('');
       setSettings(data.data);
-      setPagination(data.pagination);
+      setPagination({
+                      ...data.pagination,
+                      cursor,
+                      page,
+                      totalPages: Math.ceil(data.pagination.total / PAGE_SIZE) || 1
+                    });
     } catch (err) {
       setError('Failed to fetch settings');
     } finally {
@@ -78,6 +194,70 @@ function App() {
     }
   };
 
+  /**
+   * Reloads the current page (e.g. after a create, update or delete)
+   */
+  const refreshSettings = () => fetchSettings(pagination.cursor, pagination.page);
+
+  /**
+   * Fetches recent changes from the audit log, newest first
+   * GET /audit?limit=10&settingsId={editingId}&cursor={cursor}
+   *
+   * The audit log needs an admin API key (or no keys issued yet).
+   *
+   * @param {string} cursor - Cursor of the next page, or '' to start over
+   */
+  const fetchActivity = async (cursor = '') => {
+    const params = new URLSearchParams({ limit: ACTIVITY_PAGE_SIZE });
+    if (activityOnlyEditing && editingId) params.set('settingsId', editingId);
+    if (cursor) params.set('cursor', cursor);
+
+    try {
+      const res = await apiFetch(`/audit?${params}`);
+      const data = await res.json();
+
+      if (!res.ok) {
+        setActivityError(res.status === 401 || res.status === 403
+                         ? 'Activity needs an admin API key.'
+                         : `Error ${res.status}: ${data.error}`);
+        setActivity([]);
+        setActivityNext(null);
+        return;
+      }
+
+      setActivityError('');
+      setActivity(entries => cursor ? [...entries, ...data.data] : data.data);
+      setActivityNext(data.pagination.next);
+    } catch (err) {
+      setActivityError('Failed to fetch activity');
+    }
+  };
+
+  /**
+   * Fetches deleted settings, most recently deleted first
+   * GET /settings/trash?page={page}&limit=10
+   *
+   * @param {number} page - Page to load; pages after the first are appended
+   */
+  const fetchTrash = async (page = 1) => {
+    try {
+      const res = await apiFetch(`${API_URL}/trash?page=${page}&limit=${TRASH_PAGE_SIZE}`);
+      const data = await res.json();
+
+      if (!res.ok) {
+        setTrashError(`Error ${res.status}: ${data.error}`);
+        setTrash([]);
+        return;
+      }
+
+      setTrashError('');
+      setTrash(items => page > 1 ? [...items, ...data.data] : data.data);
+      setTrashPagination(data.pagination);
+    } catch (err) {
+      setTrashError('Failed to fetch trash');
+    }
+  };
+
   /**
    * Validates if a string is valid JSON
    *
@@ -94,8 +274,8 @@ function App() {
   };
 
   /**
-   * Searches for a settings object by ID
-   * GET /settings/{uid}
+   * Searches for a settings object by ID or name
+   * GET /settings/{uid} or GET /settings/by-name/{name}
    *
    * Displays HTTP 404 error if not found.
    * Validates input to prevent invalid API calls with special characters.
@@ -105,27 +285,36 @@ function App() {
 
     // Validate input
     if (!trimmedId) {
-      setSearchError('Please enter an ID');
+      setSearchError('Please enter an ID or name');
       return;
     }
 
-    // Validate UUID format - reject special characters that would break the URL
     // UUID format: 8-4-4-4-12 hexadecimal characters with hyphens
+    // Name format: path-like segments, e.g. payments/prod/limits
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(trimmedId)) {
-      setSearchError('Invalid ID format. Please enter a valid UUID (e.g., 3bd79...)');
+    const nameRegex = /^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)*$/;
+    const isUuid = uuidRegex.test(trimmedId);
+
+    // Reject special characters that would break the URL
+    if (!isUuid && !nameRegex.test(trimmedId)) {
+      setSearchError('Invalid format. Please enter a UUID (e.g., 3bd79...) ' +
+                     'or a name (e.g., payments/prod/limits)');
       return;
     }
 
     setSearchError('');
     setSearchResult(null);
 
+    const url = isUuid
+                ? `${API_URL}/${encodeURIComponent(trimmedId)}`
+                : `${API_URL}/by-name/${trimmedId.split('/').map(encodeURIComponent).join('/')}`;
+
     try {
-      const res = await fetch(`${API_URL}/${encodeURIComponent(trimmedId)}`);
+      const res = await apiFetch(url);
 
       // Handle 404 Not Found - display to user
       if (res.status === 404) {
-        setSearchError(`Error 404: Settings with ID "${trimmedId}" not found`);
+        setSearchError(`Error 404: Settings with ${isUuid ? 'ID' : 'name'} "${trimmedId}" not found`);
         return;
       }
 
@@ -143,9 +332,53 @@ function App() {
     }
   };
 
+  /**
+   * Full-text search across setting keys and values
+   * GET /settings/search?q={text}
+   *
+   * Displays ranked hits with the matching paths highlighted.
+   */
+  const handleTextSearch = async () => {
+    const text = searchId.trim();
+
+    if (!text) {
+      setSearchError('Please enter some text to search for');
+      return;
+    }
+
+    setSearchError('');
+    setTextHits(null);
+
+    try {
+      const res = await apiFetch(`${API_URL}/search?q=${encodeURIComponent(text)}`);
+
+      if (!res.ok) {
+        setSearchError(`Error ${res.status}: Failed to search settings`);
+        return;
+      }
+
+      const data = await res.json();
+      setTextHits(data.data);
+    } catch (err) {
+      setSearchError('Network error: Failed to connect to server');
+    }
+  };
+
+  /**
+   * Clears the search box and any search results
+   */
+  const clearSearch = () => {
+    setSearchResult(null);
+    setTextHits(null);
+    setSearchId('');
+    setSearchError('');
+  };
+
   /**
    * Creates a new settings object
-   * POST /settings
+   * POST /settings?name={name}
+   *
+   * The name is optional; a 400/409 (bad or taken name) is shown to the user.
    */
   const handleCreate = async () => {
     // Validate JSON before sending
@@ -156,8 +389,13 @@ function App() {
 
     setError('');
 
+    const trimmedName = nameInput.trim();
+    const url = trimmedName
+                ? `${API_URL}?name=${encodeURIComponent(trimmedName)}`
+                : API_URL;
+
     try {
-      const res = await fetch(API_URL, {
+      const res = await apiFetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: jsonInput
@@ -166,8 +404,12 @@ function App() {
       if (res.ok) {
         const data = await res.json();
         setJsonInput('{\n  "key": "value"\n}');  // Reset editor
+        setNameInput('');
         setSuccess(`Created successfully! ID: ${data.id}`);
-        fetchSettings(pagination.page);          // Refresh list
+        refreshSettings();          // Refresh list
+      } else {
+        const body = await res.json();
+        setError(`Error ${res.status}: ${body.error}`);
       }
     } catch (err) {
       setError('Failed to create settings');
@@ -176,8 +418,11 @@ function App() {
 
   /**
    * Updates an existing settings object
-   * PUT /settings/{uid}
+   * PUT /settings/{uid}, or PUT /settings/{uid}/environments/{env}
+   * when an environment is selected (only that override is replaced)
    *
+   * Sends the ETag loaded by handleEdit as If-Match, so changes made by
+   * someone else in the meantime are reported (412) instead of overwritten.
    * Displays HTTP 404 error if the item was deleted
    */
   const handleUpdate = async () => {
@@ -190,19 +435,38 @@ function App() {
     setError('');
 
     try {
-      const res = await fetch(`${API_URL}/${editingId}`, {
+      const headers = { 'Content-Type': 'application/json' };
+      if (editingEtag) {
+        headers['If-Match'] = editingEtag;
+      }
+
+      const url = editingEnv
+                  ? `${API_URL}/${editingId}/environments/${encodeURIComponent(editingEnv)}`
+                  : `${API_URL}/${editingId}`;
+
+      savingRef.current = true;
+      const res = await apiFetch(url, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body: jsonInput
-      });
+      }).finally(() => { savingRef.current = false; });
+
+      // Handle 412 - someone else changed it since we loaded it.
+      // Keep the editor contents so the user can copy their changes.
+      if (res.status === 412) {
+        setError(`Error 412: Settings with ID "${editingId}" were changed by someone else
+                        since you started editing. Cancel and edit again to load the latest version.`);
+        return;
+      }
 
       // Handle 404 - item may have been deleted
       if (res.status === 404) {
         setError(`Error 404: Settings with ID "${editingId}" not found. 
                         It may have been deleted.`);
         setEditingId(null);
+        setEditingEtag(null);
         setJsonInput('{\n  "key": "value"\n}');
-        fetchSettings(pagination.page);
+        refreshSettings();
         return;
       }
 
@@ -214,9 +478,13 @@ function App() {
 
       // Success - reset editor and refresh
       setEditingId(null);
+      setEditingEtag(null);
+      setEditingItem(null);
+      setEditingEnv('');
+      setRemoteChange(null);
       setJsonInput('{\n  "key": "value"\n}');
-      setSuccess('Updated successfully!');
-      fetchSettings(pagination.page);
+      setSuccess(editingEnv ? `Updated ${editingEnv} successfully!` : 'Updated successfully!');
+      refreshSettings();
     } catch (err) {
       setError('Network error: Failed to update settings');
     }
@@ -235,20 +503,22 @@ function App() {
    */
   const handleDelete = async (id) => {
     // Confirm before deleting
-    if (!confirm('Are you sure you want to delete this?')) return;
+    if (!confirm('Move these settings to the trash?')) return;
 
     try {
-      const res = await fetch(`${API_URL}/${id}`, { method: 'DELETE' });
+      const res = await apiFetch(`${API_URL}/${id}`, { method: 'DELETE' });
 
       if (res.status === 204) {
-        setSuccess('Deleted successfully!');
+        setSuccess('Moved to trash.');
       }
+      fetchTrash();
 
       // Clear search result if we deleted the searched item
       if (searchResult && searchResult.id === id) {
         setSearchResult(null);
         setSearchId('');
       }
+      setTextHits(hits => hits && hits.filter(hit => hit.id !== id));
 
       // Handle pagination edge case:
       // If on page > 1 and this is the only item on the current page,
@@ -257,26 +527,254 @@ function App() {
       const isNotFirstPage = pagination.page > 1;
 
       if (isLastItemOnPage && isNotFirstPage) {
-        fetchSettings(pagination.page - 1);
+        fetchSettings(pagination.prev, pagination.page - 1);
       } else {
-        fetchSettings(pagination.page);
+        refreshSettings();
       }
     } catch (err) {
       setError('Failed to delete settings');
     }
   };
 
+  /**
+   * Restores deleted settings from the trash
+   * POST /settings/{uid}/restore
+   *
+   * Fails with 409 if another object has taken the name in the meantime.
+   *
+   * @param {Object} item - Trashed settings object
+   */
+  const handleRestore = async (item) => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_URL}/${item.id}/restore`, { method: 'POST' });
+
+      if (!res.ok) {
+        const data = await res.json();
+        setError(`Error ${res.status}: ${data.error}`);
+        return;
+      }
+
+      setSuccess('Restored successfully!');
+      fetchTrash();
+      refreshSettings();
+    } catch (err) {
+      setError('Failed to restore settings');
+    }
+  };
+
+  /**
+   * Downloads every settings object as a JSON file
+   * GET /settings/export
+   */
+  const handleExport = async () => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_URL}/export`);
+
+      if (!res.ok) {
+        setError(`Error ${res.status}: Failed to export settings`);
+        return;
+      }
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'settings-export.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export settings');
+    }
+  };
+
+  /**
+   * Imports a file produced by the export (.json or .ndjson)
+   * POST /settings/import?mode={importMode}&dryRun=true, then without dryRun
+   *
+   * Runs a dry run first and asks for confirmation with its summary.
+   *
+   * @param {Event} e - Change event of the file input
+   */
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';   // allow picking the same file again
+    if (!file) return;
+
+    setError('');
+    const contentType = file.name.endsWith('.ndjson') ? 'application/x-ndjson' : 'application/json';
+    const upload = (dryRun) => apiFetch(`${API_URL}/import?mode=${importMode}&dryRun=${dryRun}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: file
+    });
+
+    try {
+      const preview = await upload(true);
+      const report = await preview.json();
+
+      if (!preview.ok) {
+        const conflicts = report.conflicts ? ` (${report.conflicts.length} existing IDs)` : '';
+        setError(`Error ${preview.status}: ${report.error}${conflicts}`);
+        return;
+      }
+
+      const { created, updated, skipped, unchanged } = report.summary;
+      if (!confirm(`Import will create ${created}, update ${updated}, skip ${skipped} ` +
+                   `and leave ${unchanged} unchanged. Continue?`)) return;
+
+      const res = await upload(false);
+      const result = await res.json();
+
+      if (!res.ok) {
+        setError(`Error ${res.status}: ${result.error}`);
+        return;
+      }
+
+      setSuccess(`Imported ${result.summary.created + result.summary.updated} settings`);
+      fetchSettings();
+    } catch (err) {
+      setError('Failed to import settings');
+    }
+  };
+
+  /**
+   * Saves the API key for this and future visits (an empty key clears it)
+   */
+  const handleSaveApiKey = () => {
+    const key = apiKeyInput.trim();
+    if (key) {
+      localStorage.setItem(API_KEY_STORAGE, key);
+    } else {
+      localStorage.removeItem(API_KEY_STORAGE);
+    }
+    setApiKey(key);
+    setApiKeyInput(key);
+    setSuccess(key ? 'API key saved' : 'API key cleared');
+  };
+
+  /**
+   * Checks whether the editor still holds what was loaded for editing
+   *
+   * @returns {boolean} True if the user has not changed anything yet
+   */
+  const isEditorUnchanged = () => {
+    const loaded = editingEnv ? editingItem.overrides[editingEnv] ?? {} : editingItem.data;
+    try {
+      return JSON.stringify(JSON.parse(jsonInput)) === JSON.stringify(loaded);
+    } catch {
+      return false;
+    }
+  };
+
+  /**
+   * Handles a change event from GET /settings/events
+   *
+   * Refreshes the list. If the item being edited changed, reloads the
+   * editor when it has no unsaved edits, and warns either way.
+   *
+   * @param {Object} event - { type: 'created' | 'updated' | 'deleted' | 'reset', data }
+   */
+  const handleRemoteChange = (event) => {
+    fetchSettings(pagination.cursor, pagination.page, true);
+    if (event.type !== 'updated') fetchTrash();
+    if (event.type === 'reset' || !editingItem || event.data.id !== editingId || savingRef.current) {
+      return;
+    }
+
+    if (event.type === 'deleted') {
+      setRemoteChange({ type: 'deleted' });
+    } else if (isEditorUnchanged()) {
+      handleEdit(editingItem, editingEnv).then(() =>
+          setRemoteChange({ type: 'updated', revision: event.data.revision, reloaded: true }));
+    } else {
+      setRemoteChange({ type: 'updated', revision: event.data.revision, reloaded: false });
+    }
+  };
+
   // UI Action Handlers
   /**
    * Enters edit mode for a settings object
-   * Populates the editor with the item's data
+   * GET /settings/{uid}
+   *
+   * Loads the latest version and its ETag, then populates the editor.
+   * Falls back to the item as displayed if it cannot be loaded.
    *
    * @param {Object} item - Settings object to edit
+   * @param {string} env - Environment to open ('' = defaults)
+   */
+  const handleEdit = async (item, env = '') => {
+    setError('');
+
+    try {
+      const res = await apiFetch(`${API_URL}/${item.id}`);
+
+      // Handle 404 - item was deleted since the list was loaded
+      if (res.status === 404) {
+        setError(`Error 404: Settings with ID "${item.id}" not found.
+                        It may have been deleted.`);
+        refreshSettings();
+        return;
+      }
+
+      if (!res.ok) {
+        setError(`Error ${res.status}: Failed to load settings for editing`);
+        return;
+      }
+
+      const latest = await res.json();
+      setEditingId(latest.id);
+      setEditingEtag(res.headers.get('ETag'));
+      setEditingItem(latest);
+      setEditingEnv(env);
+      setJsonInput(JSON.stringify(env ? latest.overrides[env] ?? {} : latest.data, null, 2));
+      setRemoteChange(null);
+    } catch (err) {
+      setError('Network error: Failed to load settings for editing');
+    }
+  };
+
+  /**
+   * Switches the editor between the defaults and one environment's override.
+   * Unsaved changes in the editor are discarded.
+   *
+   * @param {string} env - Environment name, or '' for the defaults
+   */
+  const handleEnvChange = (env) => {
+    setEditingEnv(env);
+    const content = env ? editingItem.overrides[env] ?? {} : editingItem.data;
+    setJsonInput(JSON.stringify(content, null, 2));
+    setError('');
+  };
+
+  /**
+   * Loads the real value of a secret field in the editor
+   * GET /settings/{uid}?reveal=true
+   *
+   * Needs the secrets:reveal scope once API keys are in use.
+   *
+   * @param {string} path - JSON Pointer of the secret value
+   * @returns {Promise<*>} The value, or undefined if it could not be loaded
    */
-  const handleEdit = (item) => {
-    setEditingId(item.id);
-    setJsonInput(JSON.stringify(item.data, null, 2));
+  const handleRevealSecret = async (path) => {
     setError('');
+
+    try {
+      const res = await apiFetch(`${API_URL}/${editingId}?reveal=true`);
+      const body = await res.json();
+
+      if (!res.ok) {
+        setError(`Error ${res.status}: ${body.error}`);
+        return undefined;
+      }
+      const doc = editingEnv ? body.overrides[editingEnv] : body.data;
+      return path.split('/').slice(1)
+          .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+          .reduce((value, token) => value?.[token], doc);
+    } catch (err) {
+      setError('Network error: Failed to reveal secret');
+      return undefined;
+    }
   };
 
   /**
@@ -284,6 +782,10 @@ function App() {
    */
   const handleCancel = () => {
     setEditingId(null);
+    setEditingEtag(null);
+    setEditingItem(null);
+    setEditingEnv('');
+    setRemoteChange(null);
     setJsonInput('{\n  "key": "value"\n}');
     setError('');
   };
@@ -293,26 +795,63 @@ function App() {
       <div className="container">
         <h1>Settings Management</h1>
 
+        {/* API Key */}
+        <div className="api-key-bar">
+          <label htmlFor="api-key">API key</label>
+          <input
+              id="api-key"
+              type="password"
+              value={apiKeyInput}
+              onChange={(e) => setApiKeyInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSaveApiKey()}
+              placeholder="sk_... (not needed until the first key is issued)"
+          />
+          <button onClick={handleSaveApiKey} className="btn-secondary">
+            {apiKeyInput.trim() ? 'Save' : 'Clear'}
+          </button>
+        </div>
+
         {/* Search Section */}
         <div className="search-section">
-          <h2>Search by ID</h2>
+          <div className="editor-header">
+            <h2>{searchMode === 'id' ? 'Search by ID or Name' : 'Full-Text Search'}</h2>
+
+            {/* Toggle between exact lookup and free-text search */}
+            <div className="editor-mode-toggle">
+              <button
+                  className={searchMode === 'id' ? 'active' : ''}
+                  onClick={() => { setSearchMode('id'); clearSearch(); }}
+              >
+                ID / Name
+              </button>
+              <button
+                  className={searchMode === 'text' ? 'active' : ''}
+                  onClick={() => { setSearchMode('text'); clearSearch(); }}
+              >
+                Free Text
+              </button>
+            </div>
+          </div>
           <div className="search-box">
             <input
                 type="text"
                 value={searchId}
                 onChange={(e) => setSearchId(e.target.value)}
-                placeholder="Enter settings ID (e.g., 3bd7923c-...)"
-                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder={searchMode === 'id'
+                             ? 'Enter settings ID (e.g., 3bd7923c-...) or name (e.g., payments/prod/limits)'
+                             : 'Search keys and values (e.g., db.prod.example.com)'}
+                onKeyDown={(e) => e.key === 'Enter' &&
+                                  (searchMode === 'id' ? handleSearch() : handleTextSearch())}
             />
-            <button onClick={handleSearch} className="btn-primary">
+            <button
+                onClick={searchMode === 'id' ? handleSearch : handleTextSearch}
+                className="btn-primary"
+            >
               Search
             </button>
             {/* Show Clear button only when there's a result */}
-            {searchResult && (
-                <button
-                    onClick={() => { setSearchResult(null); setSearchId(''); }}
-                    className="btn-secondary"
-                >
+            {(searchResult || textHits) && (
+                <button onClick={clearSearch} className="btn-secondary">
                   Clear
                 </button>
             )}
@@ -332,6 +871,10 @@ function App() {
                 <div className="result-card">
                   <div className="item-header">
                     <span className="item-id">ID: {searchResult.id}</span>
+                    {searchResult.name && (
+                        <span className="item-name">{searchResult.name}</span>
+                    )}
+                    <span className="item-revision">Rev {searchResult.revision}</span>
                     <span className="item-date">
                   Created: {new Date(searchResult.createdAt).toLocaleString()}
                 </span>
@@ -351,6 +894,33 @@ function App() {
                 </div>
               </div>
           )}
+
+          {/* Full-text search hits */}
+          {textHits && (
+              <div className="search-result">
+                <h3>{textHits.length === 0 ? 'No matches found' : 'Matches:'}</h3>
+                {textHits.map((hit) => (
+                    <div key={hit.id} className="result-card">
+                      <div className="item-header">
+                        <span className="item-id">ID: {hit.id}</span>
+                        {hit.name && <span className="item-name">{hit.name}</span>}
+                      </div>
+                      <ul className="search-matches">
+                        {hit.matches.map((match) => (
+                            <li key={match.path}>
+                              <code>{match.path}</code>: {renderHighlighted(match.value)}
+                            </li>
+                        ))}
+                      </ul>
+                      <div className="item-actions">
+                        <button onClick={() => handleEdit(hit)} className="btn-edit">
+                          Edit
+                        </button>
+                      </div>
+                    </div>
+                ))}
+              </div>
+          )}
         </div>
 
         {/* Editor Section */}
@@ -380,12 +950,74 @@ function App() {
           {error && <div className="error"><strong> {error}</strong></div>}
           {success && <div className="success"><strong>✓ {success}</strong></div>}
 
+          {/* Someone else changed the item being edited */}
+          {remoteChange && (
+              <div className="remote-change">
+                {remoteChange.type === 'deleted' ? (
+                    <span>This settings object was deleted by someone else. Saving will fail.</span>
+                ) : remoteChange.reloaded ? (
+                    <span>
+                      Someone else changed this settings object. The editor now shows revision {remoteChange.revision}.
+                    </span>
+                ) : (
+                        <>
+                          <span>
+                            Someone else changed this settings object (now revision {remoteChange.revision}).
+                            Saving will be rejected until you load the latest version, which discards your edits.
+                          </span>
+                          <button onClick={() => handleEdit(editingItem, editingEnv)} className="btn-secondary">
+                            Load latest
+                          </button>
+                        </>
+                    )}
+              </div>
+          )}
+
+          {/* Environment selector, only when editing */}
+          {editingItem && (
+              <div className="env-selector">
+                <label htmlFor="env-select">Environment:</label>
+                <select
+                    id="env-select"
+                    value={editingEnv}
+                    onChange={(e) => handleEnvChange(e.target.value)}
+                >
+                  <option value="">Defaults</option>
+                  {[...new Set([...DEFAULT_ENVIRONMENTS,
+                                ...Object.keys(editingItem.overrides)])].map((env) => (
+                      <option key={env} value={env}>
+                        {env}{editingItem.overrides[env] ? ' (override)' : ''}
+                      </option>
+                  ))}
+                </select>
+                {editingEnv && (
+                    <span className="env-hint">
+                      Editing the {editingEnv} override, merged on top of the defaults
+                    </span>
+                )}
+              </div>
+          )}
+
+          {/* Optional name, only settable on create */}
+          {!editingId && (
+              <input
+                  type="text"
+                  className="name-input"
+                  value={nameInput}
+                  onChange={(e) => setNameInput(e.target.value)}
+                  placeholder="Optional name (e.g., payments/prod/limits)"
+              />
+          )}
+
           {/* Conditional rendering: Visual editor or Raw textarea */}
           {editorMode === 'visual' ? (
               <JsonBuilder
+                  key={`${editingId}-${editingEnv}-${editingEtag}`}
                   value={jsonInput}
                   onChange={setJsonInput}
                   onValidationChange={setIsJsonValid}
+                  secretPaths={editingItem?.secrets}
+                  onReveal={handleRevealSecret}
               />
           ) : (
                <textarea
@@ -433,7 +1065,27 @@ function App() {
 
         {/*  Settings List Section */}
         <div className="list-section">
-          <h2>All Settings (Page {pagination.page} of {pagination.totalPages})</h2>
+          <div className="list-header">
+            <h2>All Settings (Page {pagination.page} of {pagination.totalPages})</h2>
+            <div className="transfer-actions">
+              <button onClick={handleExport} className="btn-secondary">
+                Export
+              </button>
+              <select
+                  value={importMode}
+                  onChange={(e) => setImportMode(e.target.value)}
+                  title="What to do with IDs that already exist"
+              >
+                <option value="skip">Skip existing</option>
+                <option value="overwrite">Overwrite existing</option>
+                <option value="fail">Fail on existing</option>
+              </select>
+              <label className="btn-secondary import-button">
+                Import
+                <input type="file" accept=".json,.ndjson" onChange={handleImport} hidden />
+              </label>
+            </div>
+          </div>
           <p className="total-count">Total: {pagination.total || 0} items</p>
 
           {loading ? (
@@ -450,6 +1102,10 @@ function App() {
                           <li key={item.id} className={editingId === item.id ? 'editing' : ''}>
                             <div className="item-header">
                               <span className="item-id">ID: {item.id}</span>
+                              {item.name && (
+                                  <span className="item-name">{item.name}</span>
+                              )}
+                              <span className="item-revision">Rev {item.revision}</span>
                               <span className="item-date">
                       {new Date(item.createdAt).toLocaleDateString()}
                     </span>
@@ -473,8 +1129,8 @@ function App() {
                     {/* Pagination controls */}
                     <div className="pagination">
                       <button
-                          onClick={() => fetchSettings(pagination.page - 1)}
-                          disabled={pagination.page <= 1}
+                          onClick={() => fetchSettings(pagination.prev, pagination.page - 1)}
+                          disabled={!pagination.prev}
                       >
                         Previous
                       </button>
@@ -482,8 +1138,8 @@ function App() {
                 Page {pagination.page} of {pagination.totalPages}
               </span>
                       <button
-                          onClick={() => fetchSettings(pagination.page + 1)}
-                          disabled={pagination.page >= pagination.totalPages}
+                          onClick={() => fetchSettings(pagination.next, pagination.page + 1)}
+                          disabled={!pagination.next}
                       >
                         Next
                       </button>
@@ -491,6 +1147,117 @@ function App() {
                   </>
               )}
         </div>
+
+        {/* Trash (deleted settings) */}
+        <div className="list-section trash-section">
+          <div className="list-header">
+            <h2>Trash</h2>
+            <div className="transfer-actions">
+              <button onClick={() => fetchTrash()} className="btn-secondary">
+                Refresh
+              </button>
+            </div>
+          </div>
+          <p className="total-count">Total: {trashPagination.total} items</p>
+
+          {trashError ? (
+              <p className="empty">{trashError}</p>
+          ) : trash.length === 0 ? (
+              <p className="empty">The trash is empty.</p>
+          ) : (
+                  <>
+                    <ul className="settings-list">
+                      {trash.map((item) => (
+                          <li key={item.id}>
+                            <div className="item-header">
+                              <span className="item-id">ID: {item.id}</span>
+                              {item.name && (
+                                  <span className="item-name">{item.name}</span>
+                              )}
+                              <span className="item-revision">Rev {item.revision}</span>
+                              <span className="item-date">
+                                Deleted {new Date(item.deletedAt).toLocaleString()}
+                              </span>
+                            </div>
+                            <pre className="item-data">{JSON.stringify(item.data, null, 2)}</pre>
+                            <div className="item-actions">
+                              <span className="trash-purge">
+                                Purged {new Date(item.purgeAt).toLocaleDateString()}
+                              </span>
+                              <button onClick={() => handleRestore(item)} className="btn-edit">
+                                Restore
+                              </button>
+                            </div>
+                          </li>
+                      ))}
+                    </ul>
+                    {trashPagination.page < trashPagination.totalPages && (
+                        <div className="pagination">
+                          <button onClick={() => fetchTrash(trashPagination.page + 1)}>Load more</button>
+                        </div>
+                    )}
+                  </>
+              )}
+        </div>
+
+        {/* Activity (audit log) */}
+        <div className="list-section activity-section">
+          <div className="list-header">
+            <h2>Activity</h2>
+            <div className="transfer-actions">
+              {editingId && (
+                  <label className="activity-filter">
+                    <input
+                        type="checkbox"
+                        checked={activityOnlyEditing}
+                        onChange={(e) => setActivityOnlyEditing(e.target.checked)}
+                    />
+                    Only the settings being edited
+                  </label>
+              )}
+              <button onClick={() => fetchActivity()} className="btn-secondary">
+                Refresh
+              </button>
+            </div>
+          </div>
+
+          {activityError ? (
+              <p className="empty">{activityError}</p>
+          ) : activity.length === 0 ? (
+              <p className="empty">No changes recorded yet.</p>
+          ) : (
+                  <>
+                    <ul className="activity-list">
+                      {activity.map((entry) => (
+                          <li key={entry.id}>
+                            <div className="item-header">
+                              <span className="activity-action">{entry.action}</span>
+                              <span className="item-name">
+                                {entry.actor ? entry.actor.name : 'anonymous'}
+                              </span>
+                              <span className="item-date">{new Date(entry.at).toLocaleString()}</span>
+                            </div>
+                            {entry.settingsId && (
+                                <span className="item-id">ID: {entry.settingsId}</span>
+                            )}
+                            <details>
+                              <summary>Before / after (request {entry.requestId})</summary>
+                              <div className="activity-diff">
+                                <pre className="item-data">{JSON.stringify(entry.before, null, 2)}</pre>
+                                <pre className="item-data">{JSON.stringify(entry.after, null, 2)}</pre>
+                              </div>
+                            </details>
+                          </li>
+                      ))}
+                    </ul>
+                    {activityNext && (
+                        <div className="pagination">
+                          <button onClick={() => fetchActivity(activityNext)}>Load more</button>
+                        </div>
+                    )}
+                  </>
+              )}
+        </div>
       </div>
   );
 }
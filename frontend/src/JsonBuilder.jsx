@@ -9,17 +9,64 @@
  *   - Type selector: text, number, true/false, JSON (nested objects)
  *   - Real-time validation with error messages
  *   - Prevents invalid data from being created
+ *   - Secret fields are masked, with a Show/Hide toggle
  *
  * Props:
  *   @param {string} value - Initial JSON string to parse
  *   @param {function} onChange - Callback when valid JSON is produced
  *   @param {function} onValidationChange - Callback with validation status (true/false)
+ *   @param {string[]} secretPaths - JSON Pointers of the secret values (optional).
+ *                                   A field holding one, at any depth, is masked
+ *   @param {function} onReveal - Called with the pointer of a redacted secret when its
+ *                                field is shown; resolves to its real value (optional)
  */
 
 import { useState } from 'react';
 import './JsonBuilder.css';
 
-function JsonBuilder({ value, onChange, onValidationChange }) {
+// What the API shows instead of a secret value
+const REDACTED = '********';
+
+/**
+ * Splits a JSON Pointer ("/database/password") into its unescaped tokens.
+ *
+ * @param {string} pointer - JSON Pointer
+ * @returns {string[]} Tokens
+ */
+const parsePointer = (pointer) =>
+    pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+/**
+ * Returns a copy of a JSON value with the value at a path replaced.
+ * Paths that do not exist are left alone.
+ *
+ * @param {*} doc - JSON value
+ * @param {string[]} tokens - Path below doc
+ * @param {*} value - New value
+ * @returns {*} The updated copy
+ */
+const replaceAt = (doc, [token, ...rest], value) => {
+  if (token === undefined) return value;
+  if (doc === null || typeof doc !== 'object' || !Object.hasOwn(doc, token)) return doc;
+  const copy = Array.isArray(doc) ? [...doc] : { ...doc };
+  copy[token] = replaceAt(doc[token], rest, value);
+  return copy;
+};
+
+/**
+ * Converts a JSON value to the value and type of a field.
+ *
+ * @param {*} val - Any JSON value
+ * @returns {{value: string, type: string}}
+ */
+const toFieldValue = (val) => ({
+  value: typeof val === 'object' ? JSON.stringify(val) : String(val),
+  type: typeof val === 'object' ? 'object' :
+        typeof val === 'number' ? 'number' :
+        typeof val === 'boolean' ? 'boolean' : 'string'
+});
+
+function JsonBuilder({ value, onChange, onValidationChange, secretPaths = [], onReveal }) {
 
   // Initialization
   /**
@@ -34,10 +81,7 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
       return Object.entries(parsed).map(([key, val], index) => ({
         id: index,
         key,
-        value: typeof val === 'object' ? JSON.stringify(val) : String(val),
-        type: typeof val === 'object' ? 'object' :
-              typeof val === 'number' ? 'number' :
-              typeof val === 'boolean' ? 'boolean' : 'string'
+        ...toFieldValue(val)
       }));
     } catch {
       // Default field if parsing fails
@@ -48,6 +92,8 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
   // State
   const [fields, setFields] = useState(parseInitialFields);
   const [nextId, setNextId] = useState(fields.length);
+  // IDs of secret fields currently shown in clear
+  const [shown, setShown] = useState([]);
 
   // Validation Functions=
   /**
@@ -174,6 +220,79 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
     updateParent(newFields);
   };
 
+  // Secrets
+  /**
+   * Lists the secret paths inside a field
+   *
+   * @param {Object} field - Field object
+   * @returns {Array<{pointer: string, tokens: string[]}>} Each pointer, with its
+   *          tokens below the field ([] when the whole value is secret)
+   */
+  const secretsIn = (field) => secretPaths
+      .map(pointer => ({ pointer, tokens: parsePointer(pointer) }))
+      .filter(({ tokens }) => tokens[0] === field.key)
+      .map(({ pointer, tokens }) => ({ pointer, tokens: tokens.slice(1) }));
+
+  /**
+   * Checks whether a field holds a secret
+   *
+   * @param {Object} field - Field object
+   * @returns {boolean} True if it is, or contains, a secret value
+   */
+  const isSecret = (field) => secretsIn(field).length > 0;
+
+  /**
+   * Checks whether a field holds a secret and is currently masked
+   *
+   * @param {Object} field - Field object
+   * @returns {boolean} True if its value should be hidden
+   */
+  const isMasked = (field) => isSecret(field) && !shown.includes(field.id);
+
+  /**
+   * Shows or hides a secret field. Each value in it that the server redacted
+   * is loaded through onReveal before it is shown.
+   *
+   * @param {Object} field - Field object
+   */
+  const toggleSecret = async (field) => {
+    if (shown.includes(field.id)) {
+      setShown(shown.filter(id => id !== field.id));
+      return;
+    }
+
+    if (onReveal) {
+      let current = field.value;
+      if (field.type === 'object') {
+        try {
+          current = JSON.parse(field.value);
+        } catch {
+          // Invalid JSON is shown as typed
+        }
+      }
+
+      let changed = false;
+      for (const { pointer, tokens } of secretsIn(field)) {
+        const masked = tokens.reduce((doc, token) => doc?.[token], current);
+        if (masked !== REDACTED) continue;
+
+        const revealed = await onReveal(pointer);
+        if (revealed === undefined) return;
+        current = replaceAt(current, tokens, revealed);
+        changed = true;
+      }
+
+      if (changed) {
+        const newFields = fields.map(f =>
+                                         f.id === field.id ? { ...f, ...toFieldValue(current) } : f
+        );
+        setFields(newFields);
+        updateParent(newFields);
+      }
+    }
+    setShown(ids => [...ids, field.id]);
+  };
+
   // Render
   return (
       <div className="json-builder">
@@ -222,7 +341,7 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
                     <>
                       <span className="json-quote">"</span>
                       <input
-                          type="text"
+                          type={isMasked(field) ? 'password' : 'text'}
                           className="json-value-input"
                           value={field.value}
                           onChange={(e) => updateField(field.id,
@@ -237,7 +356,7 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
                 {field.type === 'number' && (
                     <>
                       <input
-                          type="text"
+                          type={isMasked(field) ? 'password' : 'text'}
                           className={`json-value-input json-number ${
                  field.value && isNaN(Number(field.value)) ? 'input-error' : ''
                           }`}
@@ -270,7 +389,7 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
                 {field.type === 'object' && (
                     <>
                       <input
-                          type="text"
+                          type={isMasked(field) ? 'password' : 'text'}
                           className={`json-value-input json-object ${
                  field.value && !isValidJson(field.value) ? 'input-error' : ''
                           }`}
@@ -286,6 +405,17 @@ function JsonBuilder({ value, onChange, onValidationChange }) {
                     </>
                 )}
 
+                {/* Show/Hide toggle for secret fields */}
+                {isSecret(field) && (
+                    <button
+                        className="json-secret-btn"
+                        onClick={() => toggleSecret(field)}
+                        title="Secret value"
+                    >
+                      {shown.includes(field.id) ? 'Hide' : 'Show'}
+                    </button>
+                )}
+
                 {/* Comma after each field except the last */}
                 <span className="json-comma">
               {index < fields.length - 1 ? ',' : ''}
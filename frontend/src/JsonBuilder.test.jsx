@@ -9,7 +9,7 @@
  */
 
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import JsonBuilder from './JsonBuilder';
 
 describe('JsonBuilder Component', () => {
@@ -220,4 +220,67 @@ describe('JsonBuilder Component', () => {
       expect(JSON.parse(jsonString)).toHaveProperty('key', 'updated');
     });
   });
+
+  // Secret Fields
+  describe('Secret Fields', () => {
+    it('should mask secret values and reveal them on request', async () => {
+      const mockOnChange = vi.fn();
+      const mockOnReveal = vi.fn().mockResolvedValue('hunter2');
+
+      const { container } = render(
+          <JsonBuilder
+              value='{"host": "db", "password": "********"}'
+              onChange={mockOnChange}
+              onValidationChange={vi.fn()}
+              secretPaths={['/password']}
+              onReveal={mockOnReveal}
+          />
+      );
+
+      // Only the secret field is masked and has a toggle
+      const passwordInput = container.querySelector('input[type="password"]');
+      expect(passwordInput).toHaveValue('********');
+      expect(screen.getAllByText('Show')).toHaveLength(1);
+
+      fireEvent.click(screen.getByText('Show'));
+
+      await waitFor(() => expect(screen.getByText('Hide')).toBeInTheDocument());
+      expect(mockOnReveal).toHaveBeenCalledWith('/password');
+      expect(container.querySelector('input[type="password"]')).toBeNull();
+      expect(screen.getByDisplayValue('hunter2')).toBeInTheDocument();
+
+      // Hiding again masks it without another request
+      fireEvent.click(screen.getByText('Hide'));
+      expect(container.querySelector('input[type="password"]')).toHaveValue('hunter2');
+      expect(mockOnReveal).toHaveBeenCalledTimes(1);
+    });
+
+    it('should mask a field holding a nested secret and reveal only that value', async () => {
+      const mockOnChange = vi.fn();
+      const mockOnReveal = vi.fn().mockResolvedValue('hunter2');
+
+      const { container } = render(
+          <JsonBuilder
+              value='{"database": {"host": "db", "password": "********"}, "port": 5432}'
+              onChange={mockOnChange}
+              onValidationChange={vi.fn()}
+              secretPaths={['/database/password']}
+              onReveal={mockOnReveal}
+          />
+      );
+
+      expect(container.querySelector('input[type="password"]'))
+          .toHaveValue('{"host":"db","password":"********"}');
+      expect(screen.getAllByText('Show')).toHaveLength(1);
+
+      fireEvent.click(screen.getByText('Show'));
+
+      await waitFor(() => expect(screen.getByText('Hide')).toBeInTheDocument());
+      expect(mockOnReveal).toHaveBeenCalledWith('/database/password');
+      expect(screen.getByDisplayValue('{"host":"db","password":"hunter2"}')).toBeInTheDocument();
+
+      const jsonString = mockOnChange.mock.calls.at(-1)[0];
+      expect(JSON.parse(jsonString)).toEqual({ database: { host: 'db', password: 'hunter2' }, port: 5432 });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * changeEvents.js - Live Settings Changes
+ *
+ * Subscribes to GET /settings/events (Server-Sent Events). Uses fetch()
+ * rather than EventSource, which cannot send the API key header, and
+ * reconnects with Last-Event-ID so no change is missed after a dropped
+ * connection.
+ */
+
+// Wait before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+/**
+ * Splits text/event-stream text into complete events.
+ * Data is parsed as JSON; comment lines (keepalives) are ignored.
+ *
+ * @param {string} text - Stream text received so far
+ * @returns {{events: Array<{id?: string, type: string, data: *}>, rest: string}}
+ *   rest is an incomplete trailing event to prepend to the next chunk
+ */
+export const parseEventStream = (text) => {
+  const blocks = text.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    const event = { type: 'message', data: '' };
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line === '' || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'id') event.id = value;
+      if (field === 'event') event.type = value;
+      if (field === 'data') data.push(value);
+    }
+    if (data.length === 0) continue;
+
+    try {
+      event.data = JSON.parse(data.join('\n'));
+    } catch {
+      event.data = data.join('\n');
+    }
+    events.push(event);
+  }
+  return { events, rest };
+};
+
+/**
+ * Opens the change stream and calls onEvent for every event, reconnecting
+ * until the returned unsubscribe function is called. Gives up if the
+ * server refuses the stream (e.g. 401 or 403 for this API key).
+ *
+ * @param {string} url - Stream URL, e.g. /settings/events
+ * @param {Object} headers - Extra request headers (Authorization)
+ * @param {function} onEvent - Called with { id, type, data }
+ * @returns {function} Unsubscribe
+ */
+export const subscribeToChanges = (url, headers, onEvent) => {
+  const controller = new AbortController();
+  let lastEventId = null;
+
+  const connect = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const res = await fetch(url, {
+          headers: { ...headers, ...(lastEventId && { 'Last-Event-ID': lastEventId }) },
+          signal: controller.signal
+        });
+        if (!res.ok) return;
+
+        const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+        let pending = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          const { events, rest } = parseEventStream(pending + value);
+          pending = rest;
+          for (const event of events) {
+            if (event.id !== undefined) lastEventId = event.id;
+            onEvent(event);
+          }
+        }
+      } catch {
+        // Dropped connection (or unsubscribed); retried below unless aborted
+      }
+      if (!controller.signal.aborted) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+      }
+    }
+  };
+
+  connect();
+  return () => controller.abort();
+};
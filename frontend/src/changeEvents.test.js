@@ -0,0 +1,34 @@
+/**
+ * changeEvents.test.js - Change Stream Parser Tests
+ *
+ * Tests for parsing text/event-stream chunks in changeEvents.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseEventStream } from './changeEvents';
+
+describe('parseEventStream', () => {
+  it('should parse complete events and keep the incomplete rest', () => {
+    const { events, rest } = parseEventStream(
+        'id: 1\nevent: created\ndata: {"id":"a","revision":1}\n\nid: 2\nevent: upd'
+    );
+
+    expect(events).toEqual([{ id: '1', type: 'created', data: { id: 'a', revision: 1 } }]);
+    expect(rest).toBe('id: 2\nevent: upd');
+  });
+
+  it('should join chunks split anywhere', () => {
+    const first = parseEventStream('id: 2\nevent: upd');
+    const second = parseEventStream(first.rest + 'ated\ndata: {"id":"b"}\n\n');
+
+    expect(first.events).toEqual([]);
+    expect(second.events).toEqual([{ id: '2', type: 'updated', data: { id: 'b' } }]);
+    expect(second.rest).toBe('');
+  });
+
+  it('should skip keepalive comments and accept CRLF line endings', () => {
+    const { events } = parseEventStream(': keepalive\r\n\r\nevent: reset\r\ndata: {}\r\n\r\n');
+
+    expect(events).toEqual([{ type: 'reset', data: {} }]);
+  });
+});
@@ -14,6 +14,10 @@ export default defineConfig({
                                   '/health': {
                                     target: 'http://backend:3001',
                                     changeOrigin: true
+                                  },
+                                  '/audit': {
+                                    target: 'http://backend:3001',
+                                    changeOrigin: true
                                   }
                                 }
                               },
@@ -24,6 +28,10 @@ export default defineConfig({
                                   '/settings': {
                                     target: 'http://backend:3001',
                                     changeOrigin: true
+                                  },
+                                  '/audit': {
+                                    target: 'http://backend:3001',
+                                    changeOrigin: true
                                   }
                                 }
                               }